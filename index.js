@@ -1,107 +1,239 @@
 import express from 'express'
 import cors from 'cors'
-import axios from 'axios'
 import dotenv from 'dotenv'
 import rateLimit from 'express-rate-limit'
-import { LRUCache } from 'lru-cache'
-import { getDistance } from 'geolib'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { logger } from './src/logger.js'
+import { straightDistanceKm } from './src/geo.js'
+import { createRoutingServiceFromEnv } from './src/routing.js'
+import { createGeocodingServiceFromEnv } from './src/geocoding.js'
+import { createLocalGeocoder } from './src/localGeocoder.js'
+import { fuseGeocodeResults } from './src/geocodeConsensus.js'
+import { parseAddress, buildGeocodeQuery } from './src/addressParser.js'
+import { resolveRelativeToPoi } from './src/landmarks.js'
+import { parseLocationLink, findEmbeddedUrl } from './src/linkParsers.js'
+import { createLinkResolverFromEnv } from './src/linkResolver.js'
+import { calculateCost, parseTripDate } from './src/pricing.js'
+import { createTariffStore } from './src/tariffs.js'
+import { createZoneStore, findZoneFare } from './src/zones.js'
+import { createServiceArea } from './src/serviceArea.js'
+import { matchPois, normalizeText } from './src/poiMatcher.js'
+import { createPoiStore } from './src/poiStore.js'
+import { createTripStore } from './src/trips.js'
+import { createQuoteSigner } from './src/quotes.js'
+import { createDriverStore } from './src/drivers.js'
+import { createEventHub, createTripAccessTokens, createStreamTokens } from './src/realtime.js'
+import { mapWithConcurrency } from './src/concurrency.js'
+import { rankSuggestions, AUTOCOMPLETE_MIN_SCORE } from './src/autocomplete.js'
+import { createGeoCache, createFileCacheBackend, createMemoryCacheBackend } from './src/geoCache.js'
+import { createApiKeyAuth } from './src/auth.js'
+import { createApiKeyStore, createQuotaTracker } from './src/apiKeys.js'
+import { buildOpenApiDocument } from './src/openapi.js'
+import { createOpenApiValidator } from './src/openapiValidation.js'
 
 dotenv.config()
 
-// ───── Logger Mejorado ─────
-const logger = {
-  info: (msg, ...args) => console.log(`[INFO] ${new Date().toISOString()} ${msg}`, ...args),
-  warn: (msg, ...args) => console.warn(`[WARN] ${new Date().toISOString()} ${msg}`, ...args),
-  error: (msg, ...args) => console.error(`[ERROR] ${new Date().toISOString()} ${msg}`, ...args),
-  debug: (msg, ...args) => process.env.NODE_ENV !== 'production' && console.log(`[DEBUG] ${new Date().toISOString()} ${msg}`, ...args)
-}
-
 // ───── Validación de Variables de Entorno ─────
-const requiredEnvVars = ['OPENCAGE_API_KEY', 'MAPBOX_TOKEN', 'BOUNDS_NAYARIT', 'ALLOWED_MUNICIPIOS']
+const requiredEnvVars = ['BOUNDS_NAYARIT']
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     logger.error(`❌ Error Crítico: Variable de entorno ${envVar} es requerida. La aplicación no puede iniciar.`)
     process.exit(1)
   }
 }
+if (!process.env.OPENCAGE_API_KEY && !process.env.MAPBOX_TOKEN && !process.env.NOMINATIM_URL) {
+  logger.error('❌ Error Crítico: Se requiere al menos un proveedor de geocodificación (OPENCAGE_API_KEY, MAPBOX_TOKEN o NOMINATIM_URL).')
+  process.exit(1)
+}
 
 // ───── Configuración ─────
-const OPENCAGE_KEY = process.env.OPENCAGE_API_KEY
-const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN
 const bounds = process.env.BOUNDS_NAYARIT.split(',').map(Number)
-const allowed = process.env.ALLOWED_MUNICIPIOS
-  .split(',')
-  .map(m => m.trim().toLowerCase())
 
 // Coordenadas aproximadas del centro de Tepic, Nayarit.
 const TEPIC_CENTER = { lat: 21.4925, lon: -104.8532 };
 
-// ───── Puntos Específicos Permitidos ─────
-const ALLOWED_SPECIFIC_POINTS = [
-  { name: "Playa Las Islitas, San Blas", lat: 21.54333, lon: -105.28558, radiusKm: 1.0 },
-  { name: "Centro de Compostela (Plaza Principal)", lat: 21.1685, lon: -104.9168, radiusKm: 0.2 }
-];
-
-// ───── POIs Adicionales (Ampliados) ─────
-const POIS_ADICIONALES = {
-  "forum tepic": { lat: 21.492075, lon: -104.865812, address: "Forum Tepic, Blvrd Luis Donaldo Colosio 680, Subcentro Urbano, 63175 Tepic, Nay.", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63175', house_number: '680', road: 'Blvrd Luis Donaldo Colosio', suburb: 'Subcentro Urbano' } },
-  "forum": { lat: 21.492075, lon: -104.865812, address: "Forum Tepic, Blvrd Luis Donaldo Colosio 680, Subcentro Urbano, 63175 Tepic, Nay.", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63175', house_number: '680', road: 'Blvrd Luis Donaldo Colosio', suburb: 'Subcentro Urbano' } },
-  "catedral": { lat: 21.4997, lon: -104.8948, address: "Catedral de Tepic, México Nte. 132, Centro, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63000', house_number: '132', road: 'México Nte.', suburb: 'Centro' } },
-  "catedral de tepic": { lat: 21.4997, lon: -104.8948, address: "Catedral de Tepic, México Nte. 132, Centro, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63000', house_number: '132', road: 'México Nte.', suburb: 'Centro' } },
-  "walmart": { lat: 21.5150, lon: -104.8700, address: "Walmart, Av. Insurgentes 1072, Lagos del Country, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63173', house_number: '1072', road: 'Av. Insurgentes', suburb: 'Lagos del Country' } },
-  "walmart tepic": { lat: 21.5150, lon: -104.8700, address: "Walmart, Av. Insurgentes 1072, Lagos del Country, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63173', house_number: '1072', road: 'Av. Insurgentes', suburb: 'Lagos del Country' } },
-  "walmart insurgentes": { lat: 21.5150, lon: -104.8700, address: "Walmart, Av. Insurgentes 1072, Lagos del Country, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63173', house_number: '1072', road: 'Av. Insurgentes', suburb: 'Lagos del Country' } },
-  "central de autobuses": { lat: 21.4880, lon: -104.8900, address: "Central de Autobuses de Tepic, Av. Insurgentes 1072, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63000', house_number: '1072', road: 'Av. Insurgentes' } },
-  "central autobuses": { lat: 21.4880, lon: -104.8900, address: "Central de Autobuses de Tepic, Av. Insurgentes 1072, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', postcode: '63000', house_number: '1072', road: 'Av. Insurgentes' } },
-  "centro": { lat: 21.5017, lon: -104.8940, address: "Centro Histórico, Tepic, Nayarit", components: { _category: 'locality', _type: 'city_district', city: 'Tepic', suburb: 'Centro' } },
-  "el centro": { lat: 21.5017, lon: -104.8940, address: "Centro Histórico, Tepic, Nayarit", components: { _category: 'locality', _type: 'city_district', city: 'Tepic', suburb: 'Centro' } },
-  "centro tepic": { lat: 21.5017, lon: -104.8940, address: "Centro Histórico, Tepic, Nayarit", components: { _category: 'locality', _type: 'city_district', city: 'Tepic', suburb: 'Centro' } },
-  "hospital general": { lat: 21.5000, lon: -104.8900, address: "Hospital General de Nayarit, Av Enfermería S/n, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', road: 'Av Enfermería', house_number: 'S/n' } },
-  "hospital": { lat: 21.5000, lon: -104.8900, address: "Hospital General de Nayarit, Av Enfermería S/n, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', road: 'Av Enfermería', house_number: 'S/n' } },
-  "cruz roja": { lat: 21.5050, lon: -104.8950, address: "Cruz Roja Mexicana, Tepic, Nayarit", components: { _category: 'poi', _type: 'amenity', city: 'Tepic' } },
-  "bodega aurrera": { lat: 21.5100, lon: -104.8900, address: "Bodega Aurrera, Tepic, Nayarit", components: { _category: 'poi', _type: 'amenity', city: 'Tepic' } },
-  "aurrera": { lat: 21.5100, lon: -104.8900, address: "Bodega Aurrera, Tepic, Nayarit", components: { _category: 'poi', _type: 'amenity', city: 'Tepic' } },
-  "uan campus": { lat: 21.5150, lon: -104.8650, address: "Universidad Autónoma de Nayarit, Ciudad de la Cultura, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', suburb: 'Ciudad de la Cultura' } },
-  "universidad": { lat: 21.5150, lon: -104.8650, address: "Universidad Autónoma de Nayarit, Ciudad de la Cultura, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', suburb: 'Ciudad de la Cultura' } },
-  "uan": { lat: 21.5150, lon: -104.8650, address: "Universidad Autónoma de Nayarit, Ciudad de la Cultura, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', suburb: 'Ciudad de la Cultura' } },
-  "tec de tepic": { lat: 21.4800, lon: -104.8400, address: "Instituto Tecnológico de Tepic, Av. Tecnológico 2595, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', house_number: '2595', road: 'Av. Tecnológico' } },
-  "tecnologico": { lat: 21.4800, lon: -104.8400, address: "Instituto Tecnológico de Tepic, Av. Tecnológico 2595, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', house_number: '2595', road: 'Av. Tecnológico' } },
-  "tec tepic": { lat: 21.4800, lon: -104.8400, address: "Instituto Tecnológico de Tepic, Av. Tecnológico 2595, Tepic", components: { _category: 'poi', _type: 'amenity', city: 'Tepic', house_number: '2595', road: 'Av. Tecnológico' } },
-  // Agregados populares
-  "aeropuerto": { lat: 21.4194, lon: -104.8431, address: "Aeropuerto de Tepic, Carretera Tepic-Guadalajara, Tepic", components: { _category: 'poi', _type: 'aeroway', city: 'Tepic' } },
-  "aeropuerto tepic": { lat: 21.4194, lon: -104.8431, address: "Aeropuerto de Tepic, Carretera Tepic-Guadalajara, Tepic", components: { _category: 'poi', _type: 'aeroway', city: 'Tepic' } },
-  "soriana": { lat: 21.4950, lon: -104.8700, address: "Soriana, Tepic, Nayarit", components: { _category: 'poi', _type: 'amenity', city: 'Tepic' } },
-  "chedraui": { lat: 21.4844, lon: -104.8761, address: "Chedraui, Avenida Insurgentes, Las Aves, Tepic", components: { _category: 'poi', _type: 'shop', city: 'Tepic', neighbourhood: 'Las Aves', road: 'Avenida Insurgentes' } }
-};
-
-// ───── Constantes de Pricing ─────
-const PRICING = {
-  BASE_PRICE: 50,
-  TIERS: [
-    { maxKm: 5, rate: null },
-    { maxKm: 10, rate: 10 },
-    { maxKm: 15, rate: 9 },
-    { maxKm: Infinity, rate: 8 }
-  ]
+// ───── Tarifas (config/tarifas.json, recarga en caliente) ─────
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url))
+const tariffs = createTariffStore({ filePath: path.resolve(ROOT_DIR, process.env.TARIFAS_PATH || 'config/tarifas.json') })
+try {
+  tariffs.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar las tarifas desde ${tariffs.filePath}: ${err.message}`, err.details || '')
+  process.exit(1)
+}
+tariffs.watch()
+
+// ───── Zonas de Tarifa Fija (config/zonas.json) ─────
+const zones = createZoneStore({ filePath: path.resolve(ROOT_DIR, process.env.ZONAS_PATH || 'config/zonas.json') })
+try {
+  zones.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar las zonas desde ${zones.filePath}: ${err.message}`, err.details || '')
+  process.exit(1)
+}
+zones.watch()
+
+// ───── Área de Servicio (config/area_servicio.geojson) ─────
+// Municipios, zonas de cobertura adicionales y zonas de exclusión como polígonos GeoJSON.
+const serviceArea = createServiceArea({ filePath: path.resolve(ROOT_DIR, process.env.AREA_SERVICIO_PATH || 'config/area_servicio.geojson') })
+try {
+  serviceArea.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudo cargar el área de servicio desde ${serviceArea.filePath}: ${err.message}`, err.details || '')
+  process.exit(1)
+}
+serviceArea.watch()
+
+// Municipios atendidos (en minúsculas): los Features `municipio` del área de servicio, para que
+// el análisis de direcciones y la validación de cobertura no puedan diferir.
+const allowedMunicipios = () => serviceArea.names('municipio').map(m => m.toLowerCase())
+if (process.env.ALLOWED_MUNICIPIOS) {
+  logger.warn(`ALLOWED_MUNICIPIOS ya no se usa: los municipios salen de ${serviceArea.filePath} (${allowedMunicipios().join(', ')}).`)
+}
+
+// ───── POIs Adicionales (data/pois.json) ─────
+// Un registro por lugar; `aliases` son las formas en que los usuarios lo escriben.
+// La búsqueda ignora acentos, mayúsculas y errores de escritura (ver src/poiMatcher.js).
+// Se administran con /pois; si el archivo no existe se inicializa con data/pois.seed.json.
+const pois = createPoiStore({
+  filePath: path.resolve(ROOT_DIR, process.env.POIS_PATH || 'data/pois.json'),
+  seedPath: path.resolve(ROOT_DIR, 'data/pois.seed.json'),
+  validateLocation: (poi) => serviceArea.check(poi.lat, poi.lon).dentro ? null : `Las coordenadas del POI (${poi.lat}, ${poi.lon}) están fuera del área de servicio.`
+})
+try {
+  pois.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar los POIs desde ${pois.filePath}: ${err.message}`, err.details || '')
+  process.exit(1)
+}
+
+// ───── Viajes (data/trips.json) ─────
+const trips = createTripStore({ filePath: path.resolve(ROOT_DIR, process.env.TRIPS_PATH || 'data/trips.json') })
+try {
+  trips.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar los viajes desde ${trips.filePath}: ${err.message}`)
+  process.exit(1)
 }
 
+// ───── Conductores (data/drivers.json) ─────
+const drivers = createDriverStore({
+  filePath: path.resolve(ROOT_DIR, process.env.DRIVERS_PATH || 'data/drivers.json'),
+  staleAfterMs: (Number(process.env.DRIVER_LOCATION_STALE_SEC) || 120) * 1000,
+  flushIntervalMs: (Number(process.env.DRIVER_LOCATION_FLUSH_SEC) || 15) * 1000
+})
+try {
+  drivers.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar los conductores desde ${drivers.filePath}: ${err.message}`)
+  process.exit(1)
+}
+drivers.startFlushing()
+
+// ───── Cotizaciones Firmadas ─────
+// Sin QUOTE_SECRET se genera una clave aleatoria: las cotizaciones dejan de ser válidas al reiniciar.
+if (!process.env.QUOTE_SECRET) {
+  logger.warn('⚠️ QUOTE_SECRET no configurado; se usará una clave temporal y las cotizaciones emitidas no sobrevivirán a un reinicio.')
+}
+const QUOTE_SECRET = process.env.QUOTE_SECRET || crypto.randomBytes(32).toString('hex')
+const quotes = createQuoteSigner({
+  secret: QUOTE_SECRET,
+  ttlMinutes: Number(process.env.QUOTE_TTL_MIN) || 15
+})
+
+// ───── Eventos en Tiempo Real (SSE) ─────
+const events = createEventHub()
+const tripAccess = createTripAccessTokens({ secret: QUOTE_SECRET })
+const streamTokens = createStreamTokens({ secret: QUOTE_SECRET, ttlSeconds: Number(process.env.STREAM_TOKEN_TTL_SEC) || 60 })
+
+// ───── Proveedores de Geocodificación ─────
+// OpenCage, Mapbox y Nominatim (si NOMINATIM_URL está configurado), con circuit breaker y cuota por proveedor.
+const geocoding = createGeocodingServiceFromEnv(process.env, { bounds, proximity: TEPIC_CENTER })
+
+// ───── Geocodificador Local (LOCAL_GEOCODER_DIR) ─────
+// Calles y colonias propias (CSV o extracto de OpenStreetMap) que se consultan antes que las APIs de pago.
+// Solo se activa con LOCAL_GEOCODER_DIR: un resultado local confiable se responde sin preguntar a
+// ningún proveedor, así que nunca debe cargarse con datos que no sean reales.
+const localGeocoder = createLocalGeocoder({ dirPath: process.env.LOCAL_GEOCODER_DIR ? path.resolve(ROOT_DIR, process.env.LOCAL_GEOCODER_DIR) : null, bounds })
+try {
+  if (!localGeocoder.dirPath) logger.info('Geocodificador local desactivado: LOCAL_GEOCODER_DIR no está configurado')
+  else if (!localGeocoder.load()) logger.warn(`⚠️ Geocodificador local desactivado: no existe LOCAL_GEOCODER_DIR (${localGeocoder.dirPath})`)
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudo cargar el geocodificador local desde ${localGeocoder.dirPath}: ${err.message}`, err.details || '')
+  process.exit(1)
+}
+// Confianza a partir de la cual el resultado local se usa sin consultar a los proveedores externos.
+const LOCAL_GEOCODER_CONFIDENT_AT = Number(process.env.LOCAL_GEOCODER_MIN_CONFIDENCE) || 0.8
+
+// ───── Servicio de Ruteo ─────
+// OSRM/Valhalla si ROUTING_URL está configurado; siempre con respaldo de línea recta ajustada.
+const routing = createRoutingServiceFromEnv()
+
+// ───── Claves de API (data/api_keys.json) ─────
+// Cada cliente usa su clave (header X-API-Key) con permisos geocode, fare y/o admin y cuotas por ruta.
+// Son opcionales por defecto (sin clave se limita por IP) para no cortar a los clientes existentes;
+// con API_KEYS_REQUIRED=true las rutas con permiso exigen clave.
+const apiKeys = createApiKeyStore({ filePath: path.resolve(ROOT_DIR, process.env.API_KEYS_PATH || 'data/api_keys.json') })
+try {
+  apiKeys.load()
+} catch (err) {
+  logger.error(`❌ Error Crítico: No se pudieron cargar las claves de API desde ${apiKeys.filePath}: ${err.message}`)
+  process.exit(1)
+}
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === 'true'
+if (API_KEYS_REQUIRED && !apiKeys.size()) {
+  logger.warn('⚠️ API_KEYS_REQUIRED=true sin claves registradas: todas las rutas con permiso responderán 401 salvo con el token de administración.')
+}
+const apiKeyQuotas = createQuotaTracker({
+  defaultQuota: {
+    limite: Number(process.env.API_KEY_DEFAULT_LIMIT) || 1000,
+    ventana_min: Number(process.env.API_KEY_DEFAULT_WINDOW_MIN) || 15
+  }
+})
+const { identify, requireScope, requireAdmin, isAdminRequest } = createApiKeyAuth({ store: apiKeys, quotas: apiKeyQuotas, required: API_KEYS_REQUIRED, streamTokens })
+
 // ───── Rate Limiter ─────
+// Límite por IP para las peticiones sin clave de API; las que traen clave usan su propia cuota.
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => !!req.apiKey,
   message: {
     error: 'Demasiadas peticiones desde esta IP, por favor intenta de nuevo más tarde.',
     code: 'TOO_MANY_REQUESTS'
   }
 })
 
-// ───── Caché LRU ─────
-const geoCache = new LRUCache({
-  max: 500,
-  ttl: 1000 * 60 * 60 * 24
+// ───── Caché de Geocodificación (data/geocache.jsonl) ─────
+// GEOCACHE_BACKEND=file (por defecto) sobrevive a reinicios; memory es solo en memoria.
+const HOUR_MS = 1000 * 60 * 60
+const geoCacheBackend = process.env.GEOCACHE_BACKEND === 'memory'
+  ? createMemoryCacheBackend()
+  : createFileCacheBackend({ filePath: path.resolve(ROOT_DIR, process.env.GEOCACHE_PATH || 'data/geocache.jsonl') })
+const geoCache = createGeoCache({
+  backend: geoCacheBackend,
+  max: Number(process.env.GEOCACHE_MAX) || 5000,
+  ttls: {
+    geocode: (Number(process.env.GEOCACHE_TTL_GEOCODE_H) || 168) * HOUR_MS,
+    reverse: (Number(process.env.GEOCACHE_TTL_REVERSE_H) || 720) * HOUR_MS,
+    link: (Number(process.env.GEOCACHE_TTL_LINK_H) || 720) * HOUR_MS,
+    autocomplete: (Number(process.env.GEOCACHE_TTL_AUTOCOMPLETE_H) || 1) * HOUR_MS,
+    default: 24 * HOUR_MS
+  }
 })
+try {
+  await geoCache.load()
+} catch (err) {
+  logger.error(`No se pudo cargar la caché de geocodificación (${geoCache.backend}), se inicia vacía: ${err.message}`)
+}
+
+// ───── Resolución de enlaces cortos ─────
+// Hosts permitidos, IPs privadas bloqueadas y presupuesto de tiempo (ver src/linkResolver.js).
+const linkResolver = createLinkResolverFromEnv(process.env, { cache: geoCache })
 
 // ───── Validadores ─────
 const validators = {
@@ -117,16 +249,15 @@ const validators = {
       return false
     }
   },
-  phone: (telefono) => {
-    return typeof telefono === 'string' && telefono.trim().length >= 10
-  },
   address: (address) => {
     return typeof address === 'string' && address.trim().length > 3
   }
 }
 
 // ───── Helper para mapear calidad de geocodificación ─────
-function mapQualityToPrecision(source, qualityScore, direccionEncontrada, originalAddress) {
+// `components` (opcional) son los componentes del resultado; con ellos se compara contra la
+// dirección que escribió el usuario, ya separada en partes (ver src/addressParser.js).
+function mapQualityToPrecision(source, qualityScore, direccionEncontrada, originalAddress, components = null) {
   logger.debug(`mapQualityToPrecision - source: ${source}, qualityScore: ${qualityScore}, found: "${direccionEncontrada}", original: "${originalAddress}"`);
   let calidad = 'Desconocida';
   let precision_metros = 999;
@@ -148,7 +279,7 @@ function mapQualityToPrecision(source, qualityScore, direccionEncontrada, origin
       calidad = 'Baja';
       precision_metros = 600;
     }
-  } else if (source === 'mapbox') {
+  } else if (['mapbox', 'mapbox_reverse', 'nominatim', 'nominatim_reverse', 'local', 'local_reverse', 'interseccion', 'referencia_poi'].includes(source)) {
     if (qualityScore >= 0.9) {
       calidad = 'Excelente';
       precision_metros = 10;
@@ -165,7 +296,6 @@ function mapQualityToPrecision(source, qualityScore, direccionEncontrada, origin
   }
 
   const normalizedFound = (direccionEncontrada || "").toLowerCase();
-  const normalizedOriginal = (originalAddress || "").toLowerCase();
 
   const isGenericResult = normalizedFound.includes('méxico') &&
     !normalizedFound.includes('tepic') &&
@@ -176,130 +306,171 @@ function mapQualityToPrecision(source, qualityScore, direccionEncontrada, origin
 
   const isOnlyPostalCode = /^\d{5},\s*(nayarit,\s*)?méxico$/.test(normalizedFound.trim());
 
+  const parsed = parseAddress(originalAddress, { municipios: allowedMunicipios() });
+  const pidioNumero = !!parsed.numero_exterior && parsed.numero_exterior !== 'S/N';
+  const tieneNumero = components ? !!(components.house_number || components.street_number) : /\d/.test(normalizedFound);
+  const ciudad = components?.city || components?.town;
+  const colonia = components?.suburb || components?.neighbourhood;
+  const coincide = (a, b) => normalizeText(a).includes(normalizeText(b)) || normalizeText(b).includes(normalizeText(a));
+
   if (isGenericResult || isOnlyPostalCode) {
     logger.warn(`Calidad degradada para "${direccionEncontrada}" (original: "${originalAddress}") a "Baja" por ser genérica.`);
     calidad = 'Baja';
     precision_metros = 600;
-  } else if ((calidad === 'Buena' || calidad === 'Excelente') && !/\d/.test(normalizedFound) && /\d/.test(normalizedOriginal)) {
+  } else if (parsed.municipio && ciudad && !coincide(ciudad, parsed.municipio)) {
+    logger.warn(`Calidad degradada para "${direccionEncontrada}" (original: "${originalAddress}") a "Baja": municipio ${ciudad} en lugar de ${parsed.municipio}.`);
+    calidad = 'Baja';
+    precision_metros = 600;
+  } else if ((calidad === 'Buena' || calidad === 'Excelente') && pidioNumero && !tieneNumero) {
     logger.warn(`Calidad degradada para "${direccionEncontrada}" (original: "${originalAddress}") a "Aceptable" por falta de número de calle explícito en resultado.`);
     calidad = 'Aceptable'; 
     precision_metros = 150;
+  } else if ((calidad === 'Buena' || calidad === 'Excelente') && parsed.colonia && colonia && !coincide(colonia, parsed.colonia)) {
+    logger.warn(`Calidad degradada para "${direccionEncontrada}" (original: "${originalAddress}") a "Aceptable": colonia ${colonia} en lugar de ${parsed.colonia}.`);
+    calidad = 'Aceptable';
+    precision_metros = 150;
   }
 
   logger.debug(` -> mapQualityToPrecision - Resultado: calidad: ${calidad}, precision_metros: ${precision_metros}`);
   return { calidad, precision_metros };
 }
 
+// ───── Cruces de calles ─────
+// Primero con los datos locales (cruce de las geometrías). Si no se conocen ambas calles, cada
+// una se geocodifica con los proveedores y se toma el punto medio entre los candidatos más
+// cercanos entre sí, si están dentro del área de servicio y a menos de INTERSECTION_MAX_M.
+const INTERSECTION_MAX_M = 250
+
+async function geocodeIntersection(parsed) {
+  const { calle, esquina, colonia, municipio } = parsed;
+  const local = localGeocoder.intersection(calle, esquina, { municipio, colonia });
+  if (local) {
+    const { calles, separacion_m, ...result } = local;
+    logger.info(`Cruce resuelto localmente: ${result.direccion}`);
+    return { ...result, tipo_resolucion: 'interseccion', interseccion: { calles, metodo: 'local', separacion_m } };
+  }
+
+  const candidatesFor = async (street) => {
+    const query = buildGeocodeQuery({ ...parsed, calle: street, numero_exterior: null, codigo_postal: null });
+    const results = await geocoding.forwardAll(query);
+    // Solo resultados a nivel calle: dos centroides de ciudad "coincidirían" en un cruce falso.
+    return results
+      .filter(r => r.components?.road)
+      .flatMap(r => [{ lat: r.lat, lon: r.lon, components: r.components }, ...(r.alternativas || [])])
+      .filter(c => serviceArea.check(c.lat, c.lon).dentro);
+  };
+  const [candidatesA, candidatesB] = [await candidatesFor(calle), await candidatesFor(esquina)];
+
+  let best = null;
+  for (const a of candidatesA) {
+    for (const b of candidatesB) {
+      const distancia = straightDistanceKm(a, b) * 1000;
+      if (distancia <= INTERSECTION_MAX_M && (!best || distancia < best.distancia)) best = { a, b, distancia };
+    }
+  }
+  if (!best) {
+    logger.warn(`No se encontró el cruce de "${calle}" y "${esquina}"; se geocodifica como dirección.`);
+    return null;
+  }
+
+  const confianza = parseFloat((0.7 - best.distancia / 1000).toFixed(2));
+  const ciudad = municipio || best.a.components?.city || best.b.components?.city;
+  logger.info(`Cruce aproximado con proveedores: ${calle} y ${esquina} (${Math.round(best.distancia)} m entre candidatos)`);
+  return {
+    lat: parseFloat(((best.a.lat + best.b.lat) / 2).toFixed(6)),
+    lon: parseFloat(((best.a.lon + best.b.lon) / 2).toFixed(6)),
+    direccion: [`${calle} esquina ${esquina}`, colonia, ciudad, 'Nayarit'].filter(Boolean).join(', '),
+    source: 'interseccion',
+    quality: confianza,
+    confianza,
+    components: { road: `${calle} esquina ${esquina}`, ...(colonia && { suburb: colonia }), ...(ciudad && { city: ciudad }), state: 'Nayarit' },
+    tipo_resolucion: 'interseccion',
+    interseccion: { calles: [calle, esquina], metodo: 'proveedores', separacion_m: Math.round(best.distancia) }
+  };
+}
+
+// ───── Referencias a lugares conocidos ─────
+// "frente a la Catedral", "a 2 cuadras al norte del Forum" (ver src/landmarks.js).
+function geocodeRelativeToPoi(referencia) {
+  const relativa = resolveRelativeToPoi(referencia, pois.list());
+  if (!relativa) return null;
+  const { poi, alias, score, relacion, distancia_m, rumbo, confianza } = relativa;
+  logger.info(`Referencia "${referencia}" resuelta con el POI ${poi.id} (${relacion}${distancia_m ? `, ${distancia_m} m${rumbo ? ` al ${rumbo}` : ''}` : ''})`);
+  return {
+    lat: relativa.lat,
+    lon: relativa.lon,
+    direccion: `${referencia.charAt(0).toUpperCase()}${referencia.slice(1)} (${poi.address})`,
+    source: 'referencia_poi',
+    quality: confianza,
+    confianza,
+    components: poi.components,
+    tipo_resolucion: 'referencia_poi',
+    referencia: { poi_id: poi.id, poi: poi.nombre, relacion, distancia_m, rumbo },
+    candidatos_poi: [{ id: poi.id, nombre: poi.nombre, alias, score }]
+  };
+}
+
 // ───── Geocode híbrido (texto) ─────
+// Cada resultado lleva `tipo_resolucion`: poi, interseccion, referencia_poi o direccion.
 async function geocodeHybrid(address) {
   logger.debug(`geocodeHybrid iniciado para: "${address}"`);
-  const normalizedAddressInput = address.toLowerCase().trim();
-
-  // Buscar en POIs predefinidos con mayor flexibilidad
-  for (const key in POIS_ADICIONALES) {
-    if (normalizedAddressInput.includes(key) || key.includes(normalizedAddressInput)) {
-      const poi = POIS_ADICIONALES[key];
-      logger.info(`POI Adicional encontrado (flexible): "${poi.address}" para input "${address}"`);
-      return {
-        lat: poi.lat,
-        lon: poi.lon,
-        direccion: poi.address,
-        source: 'predefined_poi',
-        quality: 10,
-        components: poi.components,
-        sugerencias: []
-      };
-    }
+  const parsed = parseAddress(address, { municipios: allowedMunicipios() });
+
+  // Cruce de calles: "Insurgentes esquina con Allende", "cruce de México y Allende".
+  if (parsed.calle && parsed.esquina) {
+    const cruce = await geocodeIntersection(parsed);
+    if (cruce) return cruce;
   }
 
-  const [latS, lonW, latN, lonE] = bounds;
-  const mapboxBbox = `${lonW},${latS},${lonE},${latN}`;
-  const opencageBounds = `${lonW},${latS},${lonE},${latN}`;
+  // Ubicación relativa a un POI, salvo que haya calle y número (más precisos que la referencia).
+  if (!(parsed.calle && parsed.numero_exterior)) {
+    for (const referencia of parsed.referencias) {
+      const relativa = geocodeRelativeToPoi(referencia);
+      if (relativa) return relativa;
+    }
+  }
 
-  let openCageResult = null;
-  let mapboxResult = null;
+  // Buscar en POIs predefinidos (alias, sin acentos y tolerante a errores de escritura)
+  const poiCandidates = matchPois(address, pois.list(), { limit: 3 });
+  if (poiCandidates.length) {
+    const [{ poi, alias, score }, ...otros] = poiCandidates;
+    logger.info(`POI Adicional encontrado: "${poi.address}" para input "${address}" (alias "${alias}", score ${score})`);
+    return {
+      lat: poi.lat,
+      lon: poi.lon,
+      direccion: poi.address,
+      source: 'predefined_poi',
+      quality: 10,
+      components: poi.components,
+      tipo_resolucion: 'poi',
+      sugerencias: otros.map(c => c.poi.address),
+      alternativas: otros.map(c => ({ direccion: c.poi.address, lat: c.poi.lat, lon: c.poi.lon })),
+      candidatos_poi: poiCandidates.map(c => ({ id: c.poi.id, nombre: c.poi.nombre, alias: c.alias, score: c.score }))
+    };
+  }
 
-  // OpenCage con timeout aumentado
-  try {
-    const ocURL = `https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(address)}&key=${OPENCAGE_KEY}&language=es&limit=5&no_annotations=0&proximity=${TEPIC_CENTER.lat},${TEPIC_CENTER.lon}&bounds=${opencageBounds}&countrycode=mx`;
-    const { data: oc } = await axios.get(ocURL, { timeout: 6000, headers: { 'User-Agent': 'TaxiBot-API/1.1' } });
-
-    const bestOc = oc.results?.find(r => r.geometry.lat >= latS && r.geometry.lat <= latN && r.geometry.lng >= lonW && r.geometry.lng <= lonE);
-    if (bestOc) {
-      openCageResult = {
-        lat: bestOc.geometry.lat,
-        lon: bestOc.geometry.lng,
-        direccion: bestOc.formatted,
-        source: 'opencage',
-        quality: bestOc.confidence || 0,
-        components: bestOc.components,
-        sugerencias: oc.results.filter(r => r !== bestOc).map(r => r.formatted).slice(0, 2)
-      };
-      logger.debug(`OpenCage encontró: ${openCageResult.direccion} (Calidad: ${openCageResult.quality})`);
-      if (openCageResult.quality >= 8) {
-         logger.info(`Retornando resultado de OpenCage por buena calidad: ${openCageResult.direccion}`);
-         return openCageResult;
-      }
-    }
-  } catch (err) {
-    if (err.response?.status === 401 || err.response?.status === 403) {
-        logger.error('OpenCage: Error de autenticación/autorización. Verifica la API Key.');
-    } else if (err.code === 'ENOTFOUND') logger.error('OpenCage: Error de conectividad de red');
-    else if (err.code === 'ECONNABORTED') logger.error('OpenCage: Timeout de conexión');
-    else if (err.response?.status === 429) logger.error('OpenCage: Límite de rate excedido');
-    else logger.warn('OpenCage falló o no encontró resultados válidos:', err.message);
+  // Geocodificador local: si resuelve la calle y el número no se consulta ninguna API de pago.
+  const local = localGeocoder.forward(address);
+  if (local && local.confianza >= LOCAL_GEOCODER_CONFIDENT_AT) {
+    logger.info(`Geocodificado localmente (${local.metodo}): ${local.direccion}`);
+    return { ...fuseGeocodeResults([local]), tipo_resolucion: 'direccion' };
   }
 
-  // Mapbox con timeout aumentado
-  try {
-    const mbURL = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json?language=es&limit=5&access_token=${MAPBOX_TOKEN}&proximity=${TEPIC_CENTER.lon},${TEPIC_CENTER.lat}&bbox=${mapboxBbox}&country=mx&types=poi,address,neighborhood,locality,place,district,postcode,region`;
-    const { data: mb } = await axios.get(mbURL, { timeout: 6000, headers: { 'User-Agent': 'TaxiBot-API/1.1' } });
-    
-    const bestMb = mb.features?.find(f => f.center[1] >= latS && f.center[1] <= latN && f.center[0] >= lonW && f.center[0] <= lonE);
-    if (bestMb) {
-      mapboxResult = {
-        lat: bestMb.center[1],
-        lon: bestMb.center[0],
-        direccion: bestMb.place_name,
-        source: 'mapbox',
-        quality: bestMb.relevance || 0,
-        components: bestMb.context?.reduce((acc, ctx) => {
-          if (ctx.id.startsWith('postcode')) acc.postcode = ctx.text;
-          if (ctx.id.startsWith('place')) acc.city = ctx.text;
-          if (ctx.id.startsWith('locality')) acc.locality = ctx.text;
-          if (ctx.id.startsWith('neighborhood')) acc.suburb = ctx.text;
-          if (ctx.id.startsWith('district')) acc.district = ctx.text;
-          if (ctx.id.startsWith('address')) acc.house_number = ctx.text.match(/^(\d+)/)?.[1];
-          if (ctx.id.startsWith('street')) acc.road = ctx.text;
-          return acc;
-        }, { city: bestMb.context?.find(c=>c.id.startsWith('place'))?.text }),
-        place_type: bestMb.place_type,
-        sugerencias: mb.features.filter(f => f !== bestMb).map(f => f.place_name).slice(0, 2)
-      };
-      logger.debug(`Mapbox encontró: ${mapboxResult.direccion} (Calidad: ${mapboxResult.quality})`);
-    }
-  } catch (err) {
-    if (err.response?.status === 401 || err.response?.status === 403) {
-        logger.error('Mapbox: Error de autenticación/autorización. Verifica el Token.');
-    } else if (err.code === 'ENOTFOUND') logger.error('Mapbox: Error de conectividad de red');
-    else if (err.code === 'ECONNABORTED') logger.error('Mapbox: Timeout de conexión');
-    else if (err.response?.status === 429) logger.error('Mapbox: Límite de rate excedido');
-    else logger.warn('Mapbox falló o no encontró resultados válidos:', err.message);
-  }
-
-  if (openCageResult && mapboxResult) {
-    if (mapboxResult.quality >= openCageResult.quality * 0.8) {
-        logger.info(`Ambos geocoders encontraron, eligiendo Mapbox: ${mapboxResult.direccion}`);
-        return mapboxResult;
-    }
-    logger.info(`Ambos geocoders encontraron, eligiendo OpenCage: ${openCageResult.direccion}`);
-    return openCageResult;
-  } else if (openCageResult) {
-    logger.info(`Retornando solo resultado de OpenCage: ${openCageResult.direccion}`);
-    return openCageResult;
-  } else if (mapboxResult) {
-    logger.info(`Retornando solo resultado de Mapbox: ${mapboxResult.direccion}`);
-    return mapboxResult;
+  // A los proveedores se les manda la dirección limpia (sin referencias ni entre calles).
+  const query = buildGeocodeQuery(parsed) || address;
+  if (query !== address) logger.debug(`Consulta estructurada para "${address}": "${query}"`);
+
+  // Proveedores externos en el orden configurado; si varios responden se comparan sus posiciones
+  // (ver src/geocodeConsensus.js). El resultado local de menor confianza (solo calle o colonia)
+  // participa en el consenso y sirve de respaldo si ningún proveedor responde.
+  const results = await geocoding.forwardAll(query);
+  if (local) results.push(local);
+  if (results.length) {
+    const best = fuseGeocodeResults(results);
+    const { estado, ambiguo, alternativa } = best.consenso;
+    logger.info(`Geocodificado con ${best.source}${results.length > 1 ? ` (entre ${results.map(r => r.source).join(', ')}; consenso: ${estado})` : ''}: ${best.direccion}`);
+    if (ambiguo) logger.warn(`Dirección ambigua "${address}": ${best.source} → ${best.direccion}, ${alternativa.fuente} → ${alternativa.direccion} (${alternativa.distancia_m} m)`);
+    return { ...best, tipo_resolucion: 'direccion' };
   }
 
   logger.error(`No se pudo geocodificar "${address}" con ninguna API después de todos los intentos.`);
@@ -307,8 +478,10 @@ async function geocodeHybrid(address) {
 }
 
 // ───── Geocode con caché ─────
+const geocodeCacheKey = (address) => `geocode:${address.trim().toLowerCase().replace(/\s+/g, '-')}`
+
 async function geocodeWithCache(address) {
-  const key = `geocode:${address.trim().toLowerCase().replace(/\s+/g, '-')}`;
+  const key = geocodeCacheKey(address);
   if (geoCache.has(key)) {
     logger.debug(`Cache HIT para geocode: "${address}" (key: ${key})`);
     return geoCache.get(key);
@@ -319,9 +492,27 @@ async function geocodeWithCache(address) {
   return result;
 }
 
+// ───── Invalidación de caché al modificar POIs ─────
+// Borra las búsquedas en caché que resolvieron a alguno de los POIs modificados o
+// cuyo texto ahora coincidiría con ellos (p. ej. un alias nuevo).
+function invalidateGeocodeCacheForPois(changedPois) {
+  const affectedKeys = [];
+  for (const key of geoCache.keys()) {
+    if (!key.startsWith('geocode:')) continue;
+    const cached = geoCache.peek(key);
+    const text = key.slice('geocode:'.length).replace(/-/g, ' ');
+    const resolvedToChanged = cached?.candidatos_poi?.some(c => changedPois.some(p => p.id === c.id));
+    if (resolvedToChanged || matchPois(text, changedPois).length > 0) affectedKeys.push(key);
+  }
+  affectedKeys.forEach(key => geoCache.delete(key));
+  logger.info(`Caché de geocodificación invalidada para POIs ${[...new Set(changedPois.map(p => p.id))].join(', ')}: ${affectedKeys.length} entradas`);
+}
+
 // ───── Reverse Geocode con caché ─────
+const reverseCacheKey = (lat, lon) => `reverse:${lat.toFixed(5)},${lon.toFixed(5)}`
+
 async function reverseGeocodeWithCache(lat, lon) {
-    const key = `reverse:${lat.toFixed(5)},${lon.toFixed(5)}`;
+    const key = reverseCacheKey(lat, lon);
     if (geoCache.has(key)) {
         logger.debug(`Cache HIT para reverseGeocode: ${lat},${lon} (key: ${key})`);
         return geoCache.get(key);
@@ -329,321 +520,287 @@ async function reverseGeocodeWithCache(lat, lon) {
     logger.debug(`Cache MISS para reverseGeocode: ${lat},${lon} (key: ${key})`);
 
     try {
-        const ocURL = `https://api.opencagedata.com/geocode/v1/json?q=${lat}+${lon}&key=${OPENCAGE_KEY}&language=es&limit=1&no_annotations=0&countrycode=mx`;
-        
-        const { data } = await axios.get(ocURL, { timeout: 6000, headers: { 'User-Agent': 'TaxiBot-API/1.1' } });
-        const best = data.results?.[0];
-
-        if (!best) {
-            throw new Error('No se encontró dirección para las coordenadas (OpenCage).');
-        }
-        
-        const result = {
-            direccion: best.formatted,
-            source: 'opencage_reverse',
-            quality: best.confidence || 0,
-            components: best.components
-        };
+        const result = await geocoding.reverse(lat, lon);
         geoCache.set(key, result);
         return result;
-
     } catch (err) {
-        logger.error(`Error en reverseGeocodeWithCache para ${lat},${lon}:`, err.message);
-        if (err.response?.status === 401 || err.response?.status === 403) {
-            logger.error('OpenCage (reverse): Error de autenticación/autorización. Verifica la API Key.');
+        // Respaldo sin conexión; no se guarda en caché para volver a intentar con los proveedores.
+        const local = localGeocoder.reverse(lat, lon);
+        if (local) {
+            logger.warn(`Geocodificación inversa local para ${lat},${lon} (${err.message}): ${local.direccion}`);
+            return local;
         }
+        logger.error(`Error en reverseGeocodeWithCache para ${lat},${lon}:`, err.message);
         throw err;
     }
 }
 
-// 🚀 FUNCIÓN MEJORADA: Parser de Google Maps con soporte saddr/daddr
-function parseGoogleMapsLinkImproved(rawUrl) {
-  logger.debug('Parseando link de Google Maps (mejorado):', rawUrl);
+// Dirección del origen que se firma en la cotización y se guarda en el viaje. Los bots suelen
+// llamar antes a /reverse_origin, así que normalmente sale de la caché; si falla queda sin dirección.
+async function originAddress(lat, lon) {
   try {
-    const url = new URL(rawUrl);
-
-    // 1) Buscar coordenadas en diferentes formatos
-    // Formato /@lat,lon,zoom o /@lat,lon,zoom/data=...
-    const atMatch = url.pathname.match(/@([-0-9.]+),([-0-9.]+)(?:,\d+[a-z]?)?/);
-    if (atMatch && atMatch[1] && atMatch[2]) {
-      logger.debug(`Parseado coordenadas con @: ${atMatch[1]},${atMatch[2]}`);
-      return { lat: parseFloat(atMatch[1]), lon: parseFloat(atMatch[2]) };
-    }
+    return (await reverseGeocodeWithCache(lat, lon)).direccion || null;
+  } catch {
+    return null;
+  }
+}
 
-    // 2) Buscar en parámetros data (formato complejo)
-    // !3d21.4920751!4d-104.8653124
-    const dataParam = url.searchParams.get('data') || url.hash.substring(1);
-    if (dataParam) {
-      const latMatch = dataParam.match(/!3d([-0-9.]+)/);
-      const lonMatch = dataParam.match(/!4d([-0-9.]+)/);
-      if (latMatch && lonMatch) {
-        logger.debug(`Parseado coordenadas del parámetro data: ${latMatch[1]},${lonMatch[1]}`);
-        return { lat: parseFloat(latMatch[1]), lon: parseFloat(lonMatch[1]) };
-      }
-    }
+// ───── Enlaces y textos de ubicación ─────
+// Los enlaces http(s), también el que viene dentro de un texto de WhatsApp, se resuelven primero
+// (enlaces cortos) y la URL final pasa por el registro de parsers de src/linkParsers.js. Las
+// coordenadas sueltas, URIs geo: y Plus Codes se parsean directamente.
+const LINK_PARSER_OPTIONS = { reference: TEPIC_CENTER, resolveLocality: (nombre) => serviceArea.center(nombre) }
 
-    // 3) 🆕 NUEVO: Manejo de URLs de rutas (saddr/daddr) - LA MEJORA CLAVE
-    const saddr = url.searchParams.get('saddr');
-    const daddr = url.searchParams.get('daddr');
-    
-    if (saddr && daddr) {
-      logger.debug(`Detectado URL de ruta - saddr: ${saddr}, daddr: ${daddr}`);
-      
-      // Priorizar coordenadas de origen (saddr) si están disponibles
-      const coordMatch = saddr.match(/^([-0-9.]+),([-0-9.]+)$/);
-      if (coordMatch) {
-        logger.debug(`Parseado coordenadas de saddr: ${coordMatch[1]},${coordMatch[2]}`);
-        return {
-          lat: parseFloat(coordMatch[1]),
-          lon: parseFloat(coordMatch[2]),
-          isOrigin: true,
-          destination: decodeURIComponent(daddr.replace(/\+/g, ' '))
-        };
-      }
-    }
-    
-    // 4) Si solo hay daddr, intentar extraer información del destino
-    if (daddr) {
-      // Verificar si daddr contiene coordenadas
-      const daddrCoordMatch = daddr.match(/^([-0-9.]+),([-0-9.]+)$/);
-      if (daddrCoordMatch) {
-        logger.debug(`Parseado coordenadas de daddr: ${daddrCoordMatch[1]},${daddrCoordMatch[2]}`);
-        return {
-          lat: parseFloat(daddrCoordMatch[1]),
-          lon: parseFloat(daddrCoordMatch[2]),
-          isDestination: true
-        };
-      }
-      
-      // Si daddr es texto de dirección
-      const destinationText = decodeURIComponent(daddr.replace(/\+/g, ' '));
-      logger.debug(`Parseado texto de daddr: ${destinationText}`);
-      return {
-        q: destinationText,
-        isDestination: true
-      };
-    }
-    
-    // 5) Si solo hay saddr
-    if (saddr) {
-      const saddrCoordMatch = saddr.match(/^([-0-9.]+),([-0-9.]+)$/);
-      if (saddrCoordMatch) {
-        logger.debug(`Parseado coordenadas de saddr: ${saddrCoordMatch[1]},${saddrCoordMatch[2]}`);
-        return {
-          lat: parseFloat(saddrCoordMatch[1]),
-          lon: parseFloat(saddrCoordMatch[2]),
-          isOrigin: true
-        };
-      }
-      
-      // Si saddr es texto
-      const originText = decodeURIComponent(saddr.replace(/\+/g, ' '));
-      logger.debug(`Parseado texto de saddr: ${originText}`);
-      return {
-        q: originText,
-        isOrigin: true
-      };
+// { parser, info, finalUrl, redirects, aviso, enlace_en_texto } — `aviso` viene de src/linkResolver.js.
+async function resolveLocationLink(input) {
+  const text = input.trim();
+  const url = /^https?:\/\//i.test(text) ? text : findEmbeddedUrl(text);
+  if (!url) return { ...parseLocationLink(text, LINK_PARSER_OPTIONS), finalUrl: text, redirects: 0, aviso: null, enlace_en_texto: false };
+
+  const { finalUrl, redirects, aviso } = await linkResolver.resolve(url);
+  return { ...parseLocationLink(finalUrl, LINK_PARSER_OPTIONS), finalUrl, redirects, aviso, enlace_en_texto: url !== text };
+}
+
+// Texto que algún parser reconoce como ubicación ("21.50, -104.89", un Plus Code, geo:, un
+// enlace o el texto de WhatsApp que lo trae). No se manda como dirección a los proveedores.
+const isLocationText = (text) => !!parseLocationLink(text, LINK_PARSER_OPTIONS).parser
+
+// ───── Helper para generar link de Google Maps ─────
+function generateGoogleMapsLink(lat, lon, label = '') {
+  const encodedLabel = encodeURIComponent(label);
+  return `https://www.google.com/maps/search/?api=1&query=${lat},${lon}&query_place_id=${encodedLabel}`;
+}
+
+// 🆕 NUEVA: Función para generar enlaces para usuarios
+// Un enlace rápido por cada POI marcado como `destacado`, con la clave de su id.
+function generateDestinationSearchLinks(userLat = null, userLon = null) {
+    const centerLat = userLat || TEPIC_CENTER.lat;
+    const centerLon = userLon || TEPIC_CENTER.lon;
+    const baseParams = `center=${centerLat},${centerLon}&zoom=15`;
+    const searchLink = (query) => `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query).replace(/%20/g, '+')}&${baseParams}`;
+
+    const links = { general: `https://www.google.com/maps/search/?api=1&query=&${baseParams}` };
+    for (const poi of pois.list().filter(p => p.destacado)) {
+        links[poi.id] = searchLink(/tepic/i.test(poi.nombre) ? poi.nombre : `${poi.nombre} Tepic`);
     }
+    links.nearUser = `https://www.google.com/maps/@${centerLat},${centerLon},16z`;
+    return links;
+}
 
-    // 6) Parámetro 'q' con coordenadas o texto (lógica original)
-    const qParam = url.searchParams.get('q');
-    if (qParam) {
-      const qParts = qParam.split(',');
-      if (qParts.length === 2 && !isNaN(parseFloat(qParts[0])) && !isNaN(parseFloat(qParts[1]))) {
-        logger.debug(`Parseado coordenadas del parámetro q: ${qParts[0]},${qParts[1]}`);
-        return { lat: parseFloat(qParts[0]), lon: parseFloat(qParts[1]) };
-      }
-      const queryText = qParam.replace(/\+/g, ' ');
-      logger.debug(`Parseado texto del parámetro q: ${queryText}`);
-      return { q: queryText };
+// ───── Helper para rechazar ubicaciones fuera del área de servicio ─────
+function outOfServiceAreaBody(area, subject, code = 'OUT_OF_SERVICE_AREA') {
+  const error = area.motivo === 'zona_excluida'
+    ? `${subject} está en una zona que no atendemos (${area.zona}).`
+    : `${subject} está fuera de nuestra área de servicio. Solo operamos en: ${serviceArea.names('municipio').join(', ')} y puntos específicos.`;
+  return { error, code, area_servicio: area };
+}
+
+// ───── Paradas de viaje ─────
+const MAX_PARADAS = 5
+const MAX_ESPERA_MIN = 180
+
+function stopError(message, code, parada) {
+  const err = new Error(message);
+  err.code = code;
+  err.parada = parada;
+  return err;
+}
+
+const isValidWaitingTime = (minutes) => minutes == null || (typeof minutes === 'number' && minutes >= 0 && minutes <= MAX_ESPERA_MIN)
+
+// Una parada puede ser { lat, lon, direccion? }, { direccion }, { link } o un texto. Una
+// dirección que reconocen los parsers de enlaces (enlace, coordenadas, Plus Code) se trata como
+// enlace, igual que en /geocode_text. Devuelve { lat, lon, direccion, tipo_entrada, espera_min }.
+async function resolveStop(input, parada) {
+  const stop = typeof input === 'string' ? { direccion: input } : input;
+  if (!stop || typeof stop !== 'object') {
+    throw stopError(`Parada ${parada}: se esperaba un objeto o texto.`, 'INVALID_STOP', parada);
+  }
+  if (!isValidWaitingTime(stop.espera_min)) {
+    throw stopError(`Parada ${parada}: espera_min debe ser un número entre 0 y ${MAX_ESPERA_MIN}.`, 'INVALID_WAITING_TIME', parada);
+  }
+  const espera_min = stop.espera_min || 0;
+
+  if (stop.lat != null || stop.lon != null) {
+    if (!validators.coordinates(stop.lat, stop.lon)) {
+      throw stopError(`Parada ${parada}: coordenadas inválidas.`, 'INVALID_STOP', parada);
     }
+    const direccion = typeof stop.direccion === 'string' && stop.direccion.trim() ? stop.direccion.trim() : 'Ubicación seleccionada';
+    return { lat: stop.lat, lon: stop.lon, direccion, tipo_entrada: 'coordenadas', espera_min };
+  }
 
-    // 7) Parámetros ll o sll
-    const llParam = url.searchParams.get('ll') || url.searchParams.get('sll');
-    if (llParam) {
-      const llParts = llParam.split(',');
-      if (llParts.length === 2 && !isNaN(parseFloat(llParts[0])) && !isNaN(parseFloat(llParts[1]))) {
-        logger.debug(`Parseado coordenadas del parámetro ll: ${llParts[0]},${llParts[1]}`);
-        return { lat: parseFloat(llParts[0]), lon: parseFloat(llParts[1]) };
-      }
+  let texto = stop.direccion;
+  let tipo_entrada = 'texto';
+  const link = stop.link ?? (typeof texto === 'string' && isLocationText(texto) ? texto : null);
+  if (link != null) {
+    if (typeof link !== 'string' || !link.trim()) throw stopError(`Parada ${parada}: enlace inválido.`, 'INVALID_STOP', parada);
+    const { parser, info } = await resolveLocationLink(link);
+    if (!parser) throw stopError(`Parada ${parada}: enlace inválido.`, 'INVALID_STOP', parada);
+    if (info.lat != null && info.lon != null && validators.coordinates(info.lat, info.lon)) {
+      const reverseData = await reverseGeocodeWithCache(info.lat, info.lon);
+      return { lat: info.lat, lon: info.lon, direccion: reverseData.direccion, tipo_entrada: 'enlace', espera_min };
     }
+    if (!info.q) throw stopError(`Parada ${parada}: no se pudo extraer una ubicación del enlace.`, 'UNPARSABLE_STOP_LINK', parada);
+    texto = info.q;
+    tipo_entrada = 'enlace';
+  }
 
-    // 8) Nombre de lugar en /place/ o /search/
-    const placeOrSearchMatch = url.pathname.match(/\/(?:place|search)\/([^\/]+)/);
-    if (placeOrSearchMatch && placeOrSearchMatch[1]) {
-      const queryText = decodeURIComponent(placeOrSearchMatch[1]).replace(/\+/g, ' ');
-      logger.debug(`Parseado texto de /place/ o /search/: ${queryText}`);
-      return { q: queryText };
+  if (!validators.address(texto)) {
+    throw stopError(`Parada ${parada}: requiere coordenadas (lat, lon), dirección o enlace.`, 'INVALID_STOP', parada);
+  }
+  try {
+    const geocoded = await geocodeWithCache(texto);
+    return { lat: geocoded.lat, lon: geocoded.lon, direccion: geocoded.direccion, tipo_entrada, espera_min };
+  } catch (err) {
+    if (err.message.includes('No se pudo geocodificar')) {
+      throw stopError(`Parada ${parada}: no se encontró la dirección "${texto}".`, 'STOP_ADDRESS_NOT_FOUND', parada);
     }
+    throw err;
+  }
+}
 
-    // 9) Buscar coordenadas en el fragmento de URL (#)
-    if (url.hash) {
-      const hashCoordMatch = url.hash.match(/([-0-9.]+),([-0-9.]+)/);
-      if (hashCoordMatch && hashCoordMatch[1] && hashCoordMatch[2]) {
-        logger.debug(`Parseado coordenadas del hash: ${hashCoordMatch[1]},${hashCoordMatch[2]}`);
-        return { lat: parseFloat(hashCoordMatch[1]), lon: parseFloat(hashCoordMatch[2]) };
-      }
+// Parada de un enlace de ruta: { lat, lon }, { q } o { ubicacion_actual } (ver src/linkParsers.js).
+// Las coordenadas se geocodifican a la inversa solo para mostrar la dirección; "mi ubicación"
+// se reemplaza por `ubicacionActual` ({ lat, lon } enviado por el cliente).
+async function resolveLinkStop(stop, parada, ubicacionActual) {
+  if (stop.ubicacion_actual) {
+    if (!ubicacionActual) {
+      throw stopError(`Parada ${parada}: el enlace empieza en "mi ubicación"; envía lat_origen y lon_origen.`, 'ORIGIN_REQUIRED', parada);
     }
+    return { lat: ubicacionActual.lat, lon: ubicacionActual.lon, direccion: null, tipo_entrada: 'ubicacion_actual', espera_min: 0 };
+  }
+  if (stop.q != null) return resolveStop({ direccion: stop.q }, parada);
 
-    logger.warn('No se pudo extraer información de ubicación del link:', rawUrl);
-    return {};
-    
-  } catch (error) {
-    logger.error('Error crítico parseando URL de Google Maps:', error.message, rawUrl);
-    return {};
+  let direccion = 'Ubicación seleccionada';
+  try {
+    direccion = (await reverseGeocodeWithCache(stop.lat, stop.lon)).direccion;
+  } catch (err) {
+    logger.warn(`Parada ${parada}: sin dirección para (${stop.lat}, ${stop.lon}): ${err.message}`);
   }
+  return { lat: stop.lat, lon: stop.lon, direccion, tipo_entrada: 'coordenadas', espera_min: 0 };
 }
 
-// ───── Cálculo de Costo ─────
-function calculateCost(km) {
-  if (isNaN(km) || km < 0) {
-    logger.error(`Intento de calcular costo con distancia inválida: ${km}`);
-    return PRICING.BASE_PRICE;
+// ───── Respuestas de /geocode_text (también usadas por /geocode_batch) ─────
+function geocodeTextResponse(result, direccion) {
+  const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, direccion, result.components);
+
+  const area = serviceArea.check(result.lat, result.lon);
+  if (!area.dentro) {
+    logger.warn(`Dirección "${result.direccion}" en (${result.lat}, ${result.lon}) fuera del área de servicio (${area.motivo}).`);
+    return { status: 400, body: outOfServiceAreaBody(area, 'La dirección') };
   }
 
-  let calculatedPrice = PRICING.BASE_PRICE;
+  return {
+    status: 200,
+    body: {
+      datos: {
+        lat: result.lat,
+        lon: result.lon,
+        direccion_encontrada: result.direccion,
+        precision_estimada_metros: precision_metros,
+        calidad_evaluada: calidad
+      },
+      analisis: {
+        sugerencias: result.sugerencias || [],
+        requiere_confirmacion: !!result.consenso?.ambiguo
+      },
+      fuente_geocodificacion: result.source,
+      tipo_resolucion: result.tipo_resolucion || 'direccion',
+      ...(result.formato_enlace && { formato_enlace: result.formato_enlace }),
+      ...(result.interseccion && { interseccion: result.interseccion }),
+      ...(result.referencia && { referencia: result.referencia }),
+      consenso: result.consenso || null,
+      componentes_direccion: result.components,
+      area_servicio: area
+    }
+  };
+}
 
-  if (km <= PRICING.TIERS[0].maxKm) {
-      calculatedPrice = PRICING.BASE_PRICE;
-  } else if (km <= PRICING.TIERS[1].maxKm) {
-      calculatedPrice = PRICING.BASE_PRICE + ((km - PRICING.TIERS[0].maxKm) * PRICING.TIERS[1].rate);
-  } else if (km <= PRICING.TIERS[2].maxKm) {
-      calculatedPrice = PRICING.BASE_PRICE +
-                        ((PRICING.TIERS[1].maxKm - PRICING.TIERS[0].maxKm) * PRICING.TIERS[1].rate) +
-                        ((km - PRICING.TIERS[1].maxKm) * PRICING.TIERS[2].rate);
-  } else {
-      calculatedPrice = PRICING.BASE_PRICE +
-                        ((PRICING.TIERS[1].maxKm - PRICING.TIERS[0].maxKm) * PRICING.TIERS[1].rate) +
-                        ((PRICING.TIERS[2].maxKm - PRICING.TIERS[1].maxKm) * PRICING.TIERS[2].rate) +
-                        ((km - PRICING.TIERS[2].maxKm) * PRICING.TIERS[3].rate);
+function geocodeTextErrorResponse(err) {
+  if (err.response?.status === 400 && (err.response.data?.code === 'OUT_OF_SERVICE_AREA' || err.response.data?.code === 'OUT_OF_BOUNDS')) {
+    return { status: 400, body: err.response.data };
+  }
+  if (err.message.includes('No se pudo geocodificar') || err.message.includes('ninguna API') || err.message.includes('No se encontró dirección')) {
+    return { status: 404, body: { error: 'No se encontró la dirección solicitada.', code: 'ADDRESS_NOT_FOUND_GEOCODE_TEXT' } };
   }
-  return Math.max(PRICING.BASE_PRICE, Math.round(calculatedPrice));
+  return { status: 500, body: { error: 'Error interno del servidor al geocodificar la dirección.', code: 'INTERNAL_GEOCODING_TEXT_ERROR' } };
 }
 
-// ───── Helper para generar link de Google Maps ─────
-function generateGoogleMapsLink(lat, lon, label = '') {
-  const encodedLabel = encodeURIComponent(label);
-  return `https://www.google.com/maps/search/?api=1&query=${lat},${lon}&query_place_id=${encodedLabel}`;
+// { status, body } para un texto de /geocode_text o una entrada de /geocode_batch. Primero pasa
+// por los parsers de enlaces, como en /geocode_link: las coordenadas ("21.50, -104.89", Plus
+// Codes, enlaces) se geocodifican a la inversa y el `q` de un enlace se geocodifica como texto.
+// Solo lo que ningún parser reconoce llega como dirección a geocodeHybrid.
+async function geocodeTextEntry(entrada) {
+  if (/^https?:\/\//i.test(entrada) && !validators.url(entrada)) {
+    return { status: 400, body: { error: 'URL inválida.', code: 'INVALID_URL_FORMAT' } };
+  }
+  const { parser, info } = await resolveLocationLink(entrada);
+  if (parser) {
+    if (info.lat != null && info.lon != null && validators.coordinates(info.lat, info.lon)) {
+      const reverseData = await reverseGeocodeWithCache(info.lat, info.lon);
+      return geocodeTextResponse({ ...reverseData, lat: info.lat, lon: info.lon, tipo_resolucion: 'coordenadas', formato_enlace: parser }, 'Link con coordenadas');
+    }
+    if (!info.q || !validators.address(info.q)) {
+      return { status: 400, body: { error: 'No se pudo extraer información de ubicación del texto o enlace.', code: 'UNPARSABLE_LINK_CONTENT', detalles: { formato_enlace: parser } } };
+    }
+    const geocoded = await geocodeWithCache(info.q);
+    return geocodeTextResponse({ ...geocoded, formato_enlace: parser }, info.q);
+  }
+
+  if (!validators.address(entrada)) {
+    return { status: 400, body: { error: 'Dirección no proporcionada o inválida.', code: 'INVALID_ADDRESS_INPUT' } };
+  }
+  return geocodeTextResponse(await geocodeWithCache(entrada), entrada);
 }
 
-// 🆕 NUEVA: Función para generar enlaces para usuarios
-function generateDestinationSearchLinks(userLat = null, userLon = null) {
-    const centerLat = userLat || TEPIC_CENTER.lat;
-    const centerLon = userLon || TEPIC_CENTER.lon;
-    const baseParams = `center=${centerLat},${centerLon}&zoom=15`;
-    
-    return {
-        general: `https://www.google.com/maps/search/?api=1&query=&${baseParams}`,
-        forum: `https://www.google.com/maps/search/?api=1&query=Forum+Tepic&${baseParams}`,
-        walmart: `https://www.google.com/maps/search/?api=1&query=Walmart+Tepic&${baseParams}`,
-        centro: `https://www.google.com/maps/search/?api=1&query=Centro+Tepic&${baseParams}`,
-        hospital: `https://www.google.com/maps/search/?api=1&query=Hospital+General+Tepic&${baseParams}`,
-        chedraui: `https://www.google.com/maps/search/?api=1&query=Chedraui+Tepic&${baseParams}`,
-        aeropuerto: `https://www.google.com/maps/search/?api=1&query=Aeropuerto+Tepic&${baseParams}`,
-        nearUser: `https://www.google.com/maps/@${centerLat},${centerLon},16z`
-    };
+// ───── Geocodificación por lotes (límites) ─────
+const GEOCODE_BATCH_MAX = Number(process.env.GEOCODE_BATCH_MAX) || 300
+const GEOCODE_BATCH_CONCURRENCY = Number(process.env.GEOCODE_BATCH_CONCURRENCY) || 3
+const GEOCODE_BATCH_INTERVAL_MS = Number(process.env.GEOCODE_BATCH_INTERVAL_MS) || 200
+
+// ───── Especificación OpenAPI (src/openapi.js) ─────
+// Las peticiones se validan contra la especificación antes de llegar a los handlers. Las respuestas
+// se comparan con ella según OPENAPI_VALIDATE_RESPONSES: off, log (por defecto fuera de producción) o strict.
+const API_VERSION = '2.0-maximized-enhanced'
+const openapiDocument = buildOpenApiDocument({
+  version: API_VERSION,
+  limites: { maxParadas: MAX_PARADAS, maxEsperaMin: MAX_ESPERA_MIN, geocodeBatchMax: GEOCODE_BATCH_MAX }
+})
+const OPENAPI_RESPONSE_MODE = process.env.OPENAPI_VALIDATE_RESPONSES || (process.env.NODE_ENV === 'production' ? 'off' : 'log')
+if (!['off', 'log', 'strict'].includes(OPENAPI_RESPONSE_MODE)) {
+  logger.error(`❌ Error Crítico: OPENAPI_VALIDATE_RESPONSES debe ser off, log o strict (recibido "${OPENAPI_RESPONSE_MODE}").`)
+  process.exit(1)
 }
+const openapi = createOpenApiValidator(openapiDocument, { responses: OPENAPI_RESPONSE_MODE })
 
 // ───── Servidor ─────
 const app = express()
 app.use(cors())
 app.use(express.json({ limit: '500kb' }))
+app.use(openapi.validateResponses)
+app.use(identify)
 app.use(apiLimiter)
+app.use(openapi.validateRequest)
 
 logger.info('Servidor Express iniciado - Configuración cargada, rate-limiter y caché LRU inicializados.')
 
 // 🚀 MEJORA MÁXIMA: Endpoint /geocode_link completamente rediseñado
-app.post('/geocode_link', async (req, res) => {
+app.post('/geocode_link', requireScope('geocode'), async (req, res) => {
   const { url: originalUrl } = req.body;
   logger.debug(`POST /geocode_link - URL recibida: ${originalUrl}`);
 
-  if (!originalUrl || !validators.url(originalUrl)) {
-    return res.status(400).json({ error: 'URL inválida o no proporcionada.', code: 'INVALID_URL_FORMAT' });
-  }
-
-  let finalUrl = originalUrl;
-  let redirectAttempts = 0;
-  const maxRedirects = 10;
-
-  // 🔧 MEJORA 1: Manejo agresivo de redirecciones
+  let enlace;
   try {
-    logger.debug(`Resolviendo redirecciones para: ${originalUrl}`);
-    
-    while (redirectAttempts < maxRedirects) {
-      try {
-        const response = await axios.get(finalUrl, {
-          maxRedirects: 0,
-          timeout: 12000, // Timeout aumentado
-          validateStatus: (status) => status < 400 || (status >= 300 && status < 400),
-          headers: { 
-            'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'es-ES,es;q=0.8,en;q=0.6'
-          }
-        });
-
-        if (response.status >= 300 && response.status < 400) {
-          const location = response.headers.location;
-          if (location) {
-            finalUrl = location.startsWith('http') ? location : new URL(location, finalUrl).href;
-            logger.debug(`Redirección ${redirectAttempts + 1}: ${finalUrl}`);
-            redirectAttempts++;
-            continue;
-          }
-        }
-
-        finalUrl = response.request?.responseURL || response.config.url || finalUrl;
-        logger.debug(`URL final tras ${redirectAttempts} redirecciones: ${finalUrl}`);
-        break;
-
-      } catch (err) {
-        if (err.response && err.response.status >= 300 && err.response.status < 400) {
-          const location = err.response.headers.location;
-          if (location) {
-            finalUrl = location.startsWith('http') ? location : new URL(location, finalUrl).href;
-            logger.debug(`Redirección manual ${redirectAttempts + 1}: ${finalUrl}`);
-            redirectAttempts++;
-            continue;
-          }
-        }
-        
-        logger.warn(`Error en redirección ${redirectAttempts + 1}, continuando con: ${finalUrl}. Error: ${err.message}`);
-        break;
-      }
-    }
-
+    enlace = await resolveLocationLink(originalUrl);
   } catch (err) {
-    logger.warn(`Error general resolviendo redirecciones para ${originalUrl}, usando URL original. Error: ${err.message}`);
-    finalUrl = originalUrl;
+    logger.error(`Error resolviendo enlace en /geocode_link "${originalUrl}": ${err.message}`, err.stack);
+    return res.status(500).json({ error: 'Error interno del servidor al procesar el link.', code: 'INTERNAL_LINK_PROCESSING_ERROR' });
   }
-
-  // 🔧 MEJORA 2: Limpieza de parámetros problemáticos
-  try {
-    const parsedUrl = new URL(finalUrl);
-    
-    // Manejar página "sorry" de Google
-    if (parsedUrl.hostname.includes('google.') && parsedUrl.pathname.startsWith('/sorry')) {
-      const continueParam = parsedUrl.searchParams.get('continue');
-      if (continueParam) {
-        finalUrl = decodeURIComponent(continueParam);
-        logger.debug(`Extraído parámetro 'continue' de página sorry: ${finalUrl}`);
-      }
-    }
-
-    // Limpiar parámetros problemáticos
-    if (parsedUrl.searchParams.has('g_st')) {
-      parsedUrl.searchParams.delete('g_st');
-      finalUrl = parsedUrl.toString();
-      logger.debug(`Removido parámetro g_st: ${finalUrl}`);
-    }
-
-  } catch (error) {
-    logger.warn(`Error procesando URL final ${finalUrl}: ${error.message}`);
+  const { parser, info, finalUrl, redirects: redirectAttempts, aviso } = enlace;
+  if (!parser) {
+    return res.status(400).json({ error: 'URL inválida o no proporcionada.', code: 'INVALID_URL_FORMAT' });
   }
-
-  // 🔧 MEJORA 3: Parsing mejorado CON SOPORTE SADDR/DADDR
-  const info = parseGoogleMapsLinkImproved(finalUrl);
-  logger.debug('Información parseada del link final:', JSON.stringify(info));
+  logger.debug(`Información parseada del link final (${parser}):`, JSON.stringify(info));
 
   try {
     let resultData;
@@ -655,7 +812,7 @@ app.post('/geocode_link', async (req, res) => {
       
       logger.debug(`Usando coordenadas extraídas: ${info.lat}, ${info.lon}`);
       const reverseData = await reverseGeocodeWithCache(info.lat, info.lon);
-      const { calidad, precision_metros } = mapQualityToPrecision(reverseData.source, reverseData.quality, reverseData.direccion, 'Link con coordenadas');
+      const { calidad, precision_metros } = mapQualityToPrecision(reverseData.source, reverseData.quality, reverseData.direccion, 'Link con coordenadas', reverseData.components);
       
       resultData = { 
         lat: info.lat, 
@@ -664,6 +821,8 @@ app.post('/geocode_link', async (req, res) => {
         calidad_evaluada: calidad, 
         precision_estimada_metros: precision_metros, 
         fuente_geocodificacion: reverseData.source, 
+        tipo_resolucion: 'coordenadas',
+        formato_enlace: parser,
         componentes_direccion: reverseData.components 
       };
       
@@ -676,6 +835,7 @@ app.post('/geocode_link', async (req, res) => {
       } else if (info.isDestination) {
         resultData.tipo_ubicacion = 'destino_de_ruta';
       }
+      if (info.ruta) resultData.paradas_ruta = info.ruta;
       
     } else if (info.q) {
       if (!validators.address(info.q)) { 
@@ -684,7 +844,7 @@ app.post('/geocode_link', async (req, res) => {
       
       logger.debug(`Geocodificando texto extraído: "${info.q}"`);
       const geocodedData = await geocodeWithCache(info.q);
-      const { calidad, precision_metros } = mapQualityToPrecision(geocodedData.source, geocodedData.quality, geocodedData.direccion, info.q);
+      const { calidad, precision_metros } = mapQualityToPrecision(geocodedData.source, geocodedData.quality, geocodedData.direccion, info.q, geocodedData.components);
       
       resultData = { 
         lat: geocodedData.lat, 
@@ -693,6 +853,9 @@ app.post('/geocode_link', async (req, res) => {
         calidad_evaluada: calidad, 
         precision_estimada_metros: precision_metros, 
         fuente_geocodificacion: geocodedData.source, 
+        tipo_resolucion: geocodedData.tipo_resolucion || 'direccion',
+        formato_enlace: parser,
+        consenso: geocodedData.consenso || null,
         componentes_direccion: geocodedData.components 
       };
       
@@ -702,29 +865,31 @@ app.post('/geocode_link', async (req, res) => {
       } else if (info.isDestination) {
         resultData.tipo_ubicacion = 'destino_de_ruta';
       }
+      if (info.ruta) resultData.paradas_ruta = info.ruta;
       
     } else {
       // 🔧 MEJORA 4: Mejor mensaje de error con información de debug
       logger.error(`No se pudo extraer información del link. URL original: ${originalUrl}, URL final: ${finalUrl}, Info parseada: ${JSON.stringify(info)}`);
       return res.status(400).json({ 
-        error: 'No se pudo extraer información de ubicación del link. Verifica que sea un enlace válido de Google Maps.', 
+        error: 'No se pudo extraer información de ubicación del link. Verifica que sea un enlace de Google Maps, Waze o Apple Maps, unas coordenadas o un Plus Code.', 
         code: 'UNPARSABLE_LINK_CONTENT',
         debug: {
           original_url: originalUrl,
           final_url: finalUrl,
           redirects: redirectAttempts,
+          aviso_resolucion: aviso,
+          parser,
           parsed_info: info
         }
       });
     }
 
     // Validación de área de servicio
-    const [latS, lonW, latN, lonE] = bounds;
-    if (resultData.lat < latS || resultData.lat > latN || resultData.lon < lonW || resultData.lon > lonE) {
-      logger.warn(`Resultado de /geocode_link fuera de BOUNDS_NAYARIT: ${resultData.lat}, ${resultData.lon}`);
-      return res.status(400).json({ 
-        error: 'La dirección obtenida del link está fuera de nuestra área de servicio.', 
-        code: 'OUT_OF_BOUNDS',
+    const area = serviceArea.check(resultData.lat, resultData.lon);
+    if (!area.dentro) {
+      logger.warn(`Resultado de /geocode_link fuera del área de servicio (${area.motivo}): ${resultData.lat}, ${resultData.lon}`);
+      return res.status(400).json({
+        ...outOfServiceAreaBody(area, 'La dirección obtenida del link'),
         ubicacion: {
           lat: resultData.lat,
           lon: resultData.lon,
@@ -732,35 +897,7 @@ app.post('/geocode_link', async (req, res) => {
         }
       });
     }
-
-    // Validaciones de municipio (igual que antes)
-    let componentsForMunicipality = resultData.componentes_direccion;
-    if (!componentsForMunicipality && resultData.fuente_geocodificacion !== 'predefined_poi') {
-      const tempReverse = await reverseGeocodeWithCache(resultData.lat, resultData.lon);
-      componentsForMunicipality = tempReverse.components;
-    }
-
-    let detectedMunicipality = '';
-    if (componentsForMunicipality) {
-      detectedMunicipality = (componentsForMunicipality.city || componentsForMunicipality.town || componentsForMunicipality.county || componentsForMunicipality.village || '').toLowerCase();
-    }
-
-    let isSpecificAllowedPoint = false;
-    for (const point of ALLOWED_SPECIFIC_POINTS) {
-      const distanceToPointMeters = getDistance({ latitude: resultData.lat, longitude: resultData.lon }, { latitude: point.lat, longitude: point.lon });
-      if (distanceToPointMeters <= point.radiusKm * 1000) { 
-        isSpecificAllowedPoint = true; 
-        break; 
-      }
-    }
-
-    if (detectedMunicipality && !allowed.includes(detectedMunicipality) && !isSpecificAllowedPoint) {
-      logger.warn(`Resultado de /geocode_link en municipio no permitido: ${detectedMunicipality}`);
-      return res.status(400).json({ 
-        error: `La dirección del link está en un municipio no cubierto (${detectedMunicipality.charAt(0).toUpperCase() + detectedMunicipality.slice(1)}).`, 
-        code: 'OUT_OF_SERVICE_AREA' 
-      });
-    }
+    resultData.area_servicio = area;
 
     return res.json(resultData);
     
@@ -774,17 +911,13 @@ app.post('/geocode_link', async (req, res) => {
 });
 
 // ─── POST /reverse_origin ────────────────────────────────────────
-app.post('/reverse_origin', async (req, res) => {
+app.post('/reverse_origin', requireScope('geocode'), async (req, res) => {
   const { lat, lon } = req.body;
   logger.debug(`POST /reverse_origin - coordenadas: lat=${lat}, lon=${lon}`);
 
-  if (lat == null || lon == null || !validators.coordinates(lat, lon)) {
-    return res.status(400).json({ error: 'Coordenadas (lat, lon) inválidas o no proporcionadas.', code: 'INVALID_COORDINATES' });
-  }
-
   try {
     const result = await reverseGeocodeWithCache(lat, lon);
-    const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, `${lat},${lon}`);
+    const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, `${lat},${lon}`, result.components);
 
     return res.json({
       direccion_origen: result.direccion,
@@ -792,7 +925,8 @@ app.post('/reverse_origin', async (req, res) => {
       quality_score: result.quality,
       calidad_evaluada: calidad,
       precision_estimada_metros: precision_metros,
-      componentes_direccion: result.components
+      componentes_direccion: result.components,
+      area_servicio: serviceArea.check(lat, lon)
     });
 
   } catch (err) {
@@ -809,36 +943,39 @@ app.post('/reverse_origin', async (req, res) => {
     if (err.response?.status === 401 || err.response?.status === 403) { 
       return res.status(503).json({ error: 'Problema con la configuración del servicio de geocodificación (auth).', code: 'EXTERNAL_SERVICE_AUTH_ERROR' }); 
     }
+    if (err.code === 'GEOCODING_UNAVAILABLE') {
+      return res.status(503).json({ error: 'Los servicios de geocodificación no están disponibles temporalmente.', code: 'GEOCODING_UNAVAILABLE' });
+    }
     return res.status(500).json({ error: 'Error interno del servidor en geocodificación inversa.', code: 'INTERNAL_REVERSE_GEOCODING_ERROR' });
   }
 });
 
 // ─── POST /validate_address ────────────────────────
-app.post('/validate_address', async (req, res) => {
+app.post('/validate_address', requireScope('geocode'), async (req, res) => {
   const { direccion } = req.body;
   logger.debug(`POST /validate_address - direccion: "${direccion}"`);
 
-  if (!direccion || !validators.address(direccion)) {
-    return res.status(400).json({ error: 'Dirección no proporcionada o inválida.', code: 'INVALID_ADDRESS_INPUT' });
-  }
-
   try {
     const result = await geocodeHybrid(direccion);
-    const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, direccion);
+    const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, direccion, result.components);
+    const estructura = parseAddress(direccion, { municipios: allowedMunicipios() });
 
     const analisis = {
       es_poi_conocido: result.source === 'predefined_poi',
       tiene_numero_calle: false,
       tiene_colonia_barrio: false,
       tiene_ciudad_principal: false,
-      sugerencias_geocoder: result.sugerencias || []
+      sugerencias_geocoder: result.sugerencias || [],
+      candidatos_poi: result.candidatos_poi || [],
+      requiere_confirmacion: !!result.consenso?.ambiguo
     };
 
     if (result.components) {
       const comps = result.components;
       analisis.tiene_numero_calle = !!(comps.house_number || comps.street_number || (comps.road && /\d/.test(comps.road)));
       analisis.tiene_colonia_barrio = !!(comps.suburb || comps.neighbourhood || comps.residential || comps.city_district || comps.locality);
-      analisis.tiene_ciudad_principal = !!(comps.city && allowed.includes(comps.city.toLowerCase())) || !!(comps.town && allowed.includes(comps.town.toLowerCase()));
+      const municipios = allowedMunicipios();
+      analisis.tiene_ciudad_principal = !!(comps.city && municipios.includes(comps.city.toLowerCase())) || !!(comps.town && municipios.includes(comps.town.toLowerCase()));
       
       if (!analisis.es_poi_conocido) {
         if (result.source === 'mapbox' && result.place_type && (result.place_type.includes('poi') || result.place_type.includes('landmark'))) analisis.es_poi_geocodificado = true;
@@ -857,8 +994,15 @@ app.post('/validate_address', async (req, res) => {
       calidad_evaluada: calidad,
       precision_estimada_metros: precision_metros,
       analisis_direccion: analisis,
+      direccion_estructurada: estructura,
+      consulta_geocodificacion: buildGeocodeQuery(estructura) || direccion,
       fuente_geocodificacion: result.source,
-      componentes_direccion: result.components
+      tipo_resolucion: result.tipo_resolucion || 'direccion',
+      ...(result.interseccion && { interseccion: result.interseccion }),
+      ...(result.referencia && { referencia: result.referencia }),
+      consenso: result.consenso || null,
+      componentes_direccion: result.components,
+      area_servicio: serviceArea.check(result.lat, result.lon)
     });
 
   } catch (err) {
@@ -871,112 +1015,342 @@ app.post('/validate_address', async (req, res) => {
 });
 
 // ─── POST /geocode_text ─────────────────────────────────────────
-app.post('/geocode_text', async (req, res) => {
+app.post('/geocode_text', requireScope('geocode'), async (req, res) => {
   const { direccion } = req.body;
   logger.debug(`POST /geocode_text - direccion: "${direccion}"`);
 
-  if (!direccion || !validators.address(direccion)) {
-    return res.status(400).json({ error: 'Dirección no proporcionada o inválida.', code: 'INVALID_ADDRESS_INPUT' });
+  try {
+    const { status, body } = await geocodeTextEntry(direccion);
+    return res.status(status).json(body);
+  } catch (err) {
+    logger.error(`Error en /geocode_text para "${direccion}": ${err.message}`, err.stack);
+    const { status, body } = geocodeTextErrorResponse(err);
+    return res.status(status).json(body);
   }
+});
 
+// ─── POST /geocode_batch ─────────────────────────────────────────
+// Geocodifica listas de direcciones o enlaces en una sola llamada. Las entradas repetidas
+// se resuelven una vez, las que ya están en caché no esperan turno y el resto pasa por
+// geocodeHybrid con concurrencia acotada. Cada resultado tiene `estado` (código HTTP) y
+// `respuesta` con el mismo cuerpo que devolvería /geocode_text. Límites en GEOCODE_BATCH_*.
+// Un lote vale lo que cientos de peticiones sueltas: no se acepta anónimo (el límite por IP lo
+// contaría como una) y cada entrada descuenta una de la cuota de la clave.
+
+async function geocodeBatchEntry(entrada) {
   try {
-    const result = await geocodeWithCache(direccion);
-    const { calidad, precision_metros } = mapQualityToPrecision(result.source, result.quality, result.direccion, direccion);
+    return await geocodeTextEntry(entrada);
+  } catch (err) {
+    logger.warn(`Error en /geocode_batch para "${entrada}": ${err.message}`);
+    return geocodeTextErrorResponse(err);
+  }
+}
 
-    const [latS, lonW, latN, lonE] = bounds;
-    if (result.lat < latS || result.lat > latN || result.lon < lonW || result.lon > lonE) {
-      logger.warn(`Dirección "${result.direccion}" en (${result.lat}, ${result.lon}) está fuera de los BOUNDS definidos.`);
-      return res.status(400).json({ error: 'La dirección está fuera de nuestra área de servicio geográfica principal.', code: 'OUT_OF_BOUNDS' });
-    }
+// Clave de caché de geocodificación que usará un enlace o texto de ubicación, o null si aún no
+// se puede saber. La clave `link:` solo guarda a dónde redirige un enlace corto; lo que cuenta
+// es el resultado: `reverse:` para coordenadas y `geocode:` para los enlaces que traen texto.
+function batchLinkCacheKey(entrada) {
+  const url = /^https?:\/\//i.test(entrada) ? entrada : findEmbeddedUrl(entrada);
+  const finalUrl = url ? (geoCache.peek(`link:${url}`)?.finalUrl ?? url) : entrada;
+  const { info } = parseLocationLink(finalUrl, LINK_PARSER_OPTIONS);
+  if (info.lat != null && info.lon != null && validators.coordinates(info.lat, info.lon)) return reverseCacheKey(info.lat, info.lon);
+  if (info.q && validators.address(info.q)) return geocodeCacheKey(info.q);
+  return null;
+}
 
-    let detectedMunicipality = '';
-    if (result.components) {
-      detectedMunicipality = (result.components.city || result.components.town || result.components.county || result.components.village || '').toLowerCase();
-      logger.debug(`Municipio detectado de componentes directos: "${detectedMunicipality}"`);
-    }
+app.post('/geocode_batch', requireScope('geocode', { keyRequired: true, cost: (req) => req.body.direcciones.length }), async (req, res) => {
+  const { direcciones } = req.body;
 
-    if (!detectedMunicipality || !allowed.includes(detectedMunicipality)) {
-      logger.debug(`Municipio no en componentes directos o no permitido ("${detectedMunicipality}"), intentando reverse geocoding para ${result.lat},${result.lon}`);
-      try {
-        const reverseData = await reverseGeocodeWithCache(result.lat, result.lon);
-        if (reverseData.components) {
-          detectedMunicipality = (reverseData.components.city || reverseData.components.town || reverseData.components.county || reverseData.components.village || '').toLowerCase();
-          logger.debug(`Municipio detectado por reverse geocoding: "${detectedMunicipality}"`);
-        }
-      } catch (reverseErr) {
-        logger.warn(`Falló el reverse geocoding para validación de municipio en /geocode_text: ${reverseErr.message}`);
-      }
-    }
+  // Cada entrada es un texto o { id, direccion | link }; `id` es una referencia libre del cliente.
+  const entradas = direcciones.map((item, indice) => {
+    const texto = typeof item === 'string' ? item : (item?.link ?? item?.direccion);
+    const entrada = typeof texto === 'string' ? texto.trim() : '';
+    const clave = isLocationText(entrada) ? `link:${entrada}` : geocodeCacheKey(entrada);
+    return { indice, id: item?.id ?? null, entrada, clave };
+  });
 
-    let isSpecificAllowedPoint = false;
-    for (const point of ALLOWED_SPECIFIC_POINTS) {
-      const distanceToPointMeters = getDistance({ latitude: result.lat, longitude: result.lon }, { latitude: point.lat, longitude: point.lon });
-      if (distanceToPointMeters <= point.radiusKm * 1000) { 
-        isSpecificAllowedPoint = true; 
-        logger.info(`Dirección "${result.direccion}" coincide con punto específico permitido: ${point.name}`); 
-        break; 
-      }
-    }
+  const unicas = [...new Map(entradas.map(e => [e.clave, e.entrada])).entries()];
+  const claveCache = (clave, entrada) => clave.startsWith('link:') ? batchLinkCacheKey(entrada) : clave;
+  const enCache = new Set(unicas.filter(([clave, entrada]) => {
+    const key = claveCache(clave, entrada);
+    return key && geoCache.has(key);
+  }).map(([clave]) => clave));
+  const pendientes = unicas.filter(([clave]) => !enCache.has(clave));
+  const inicio = Date.now();
+
+  const porClave = new Map();
+  for (const [clave, entrada] of unicas.filter(([clave]) => enCache.has(clave))) {
+    porClave.set(clave, await geocodeBatchEntry(entrada));
+  }
+  const resueltas = await mapWithConcurrency(pendientes, ([, entrada]) => geocodeBatchEntry(entrada), {
+    concurrency: GEOCODE_BATCH_CONCURRENCY,
+    minIntervalMs: GEOCODE_BATCH_INTERVAL_MS
+  });
+  pendientes.forEach(([clave], i) => porClave.set(clave, resueltas[i]));
 
-    if (!isSpecificAllowedPoint && detectedMunicipality && !allowed.includes(detectedMunicipality)) {
-      logger.warn(`Dirección "${result.direccion}" en municipio no permitido: ${detectedMunicipality}`);
-      return res.status(400).json({ error: `Solo operamos en: ${allowed.map(m => m.charAt(0).toUpperCase() + m.slice(1)).join(', ')} y puntos específicos. Tu dirección parece estar en ${detectedMunicipality.charAt(0).toUpperCase() + detectedMunicipality.slice(1)}.`, code: 'OUT_OF_SERVICE_AREA' });
-    }
+  const resultados = entradas.map(({ indice, id, entrada, clave }) => {
+    const { status, body } = porClave.get(clave);
+    return { indice, ...(id != null && { id }), entrada, estado: status, desde_cache: enCache.has(clave), respuesta: body };
+  });
+  const exitosos = resultados.filter(r => r.estado === 200).length;
+
+  logger.info(`📦 /geocode_batch: ${entradas.length} entradas (${unicas.length} únicas, ${enCache.size} en caché), ${exitosos} exitosas, en ${Date.now() - inicio}ms`);
+  res.json({
+    total: entradas.length,
+    unicas: unicas.length,
+    desde_cache: enCache.size,
+    exitosos,
+    fallidos: entradas.length - exitosos,
+    resultados
+  });
+});
 
-    if (!isSpecificAllowedPoint && !detectedMunicipality) {
-      logger.warn(`No se pudo determinar el municipio para "${result.direccion}" y no es un punto específico.`);
-    }
+// ─── GET /autocomplete ───────────────────────────────────────────
+// Sugerencias de destino mientras el usuario escribe. Combina POIs, destinos de viajes
+// anteriores, búsquedas en caché (con sus alternativas) y, si faltan resultados, una
+// consulta a los proveedores. Solo devuelve puntos dentro del área de servicio.
+//
+// Para no pagar una consulta por tecla, a los proveedores solo se les pregunta con al menos
+// AUTOCOMPLETE_PROVIDER_MIN_CHARS caracteres y tras AUTOCOMPLETE_DEBOUNCE_MS sin otra consulta
+// de la misma `sesion` (el usuario final del bot: varios usuarios comparten clave e IP, así que
+// no sirven para distinguirlos). Sin `sesion` no hay espera. Sus resultados van a `autocomplete:` (TTL corto), no a `geocode:`, para que
+// los prefijos a medio escribir no se vuelvan candidatos de búsquedas posteriores.
+const AUTOCOMPLETE_MAX = 20
+const AUTOCOMPLETE_PROVIDER_MIN_CHARS = Number(process.env.AUTOCOMPLETE_PROVIDER_MIN_CHARS) || 6
+const AUTOCOMPLETE_DEBOUNCE_MS = Number(process.env.AUTOCOMPLETE_DEBOUNCE_MS ?? 300)
+const autocompleteLatest = new Map()
+
+// true si ninguna consulta más reciente de la misma sesión llegó durante la espera. La sesión
+// se combina con la clave (o IP) para que dos clientes con el mismo id de sesión no se crucen.
+async function isLatestAutocomplete(req, sesion) {
+  if (!sesion) return true;
+  const sessionId = `${req.apiKey?.id || req.ip} ${sesion}`;
+  const turn = (autocompleteLatest.get(sessionId)?.turn || 0) + 1;
+  autocompleteLatest.set(sessionId, { turn });
+  if (AUTOCOMPLETE_DEBOUNCE_MS > 0) await new Promise(resolve => setTimeout(resolve, AUTOCOMPLETE_DEBOUNCE_MS));
+  const latest = autocompleteLatest.get(sessionId);
+  if (latest?.turn !== turn) return false;
+  autocompleteLatest.delete(sessionId);
+  return true;
+}
 
-    res.json({
-      datos: {
-        lat: result.lat,
-        lon: result.lon,
-        direccion_encontrada: result.direccion,
-        precision_estimada_metros: precision_metros,
-        calidad_evaluada: calidad
-      },
-      analisis: {
-        sugerencias: result.sugerencias || []
-      },
-      fuente_geocodificacion: result.source,
-      componentes_direccion: result.components
-    });
+// Búsqueda completa ya en caché (`geocode:`), o consulta a los proveedores guardada en `autocomplete:`.
+async function autocompleteProviderResult(q) {
+  const fullKey = geocodeCacheKey(q);
+  if (geoCache.has(fullKey)) return { result: geoCache.get(fullKey), consulto: false };
+  const key = fullKey.replace(/^geocode:/, 'autocomplete:');
+  if (geoCache.has(key)) return { result: geoCache.get(key), consulto: false };
+  const result = await geocodeHybrid(q);
+  geoCache.set(key, result);
+  return { result, consulto: true };
+}
 
-  } catch (err) {
-    logger.error(`Error en /geocode_text para "${direccion}": ${err.message}`, err.stack);
-    if (err.response?.status === 400 && (err.response.data?.code === 'OUT_OF_SERVICE_AREA' || err.response.data?.code === 'OUT_OF_BOUNDS')) { 
-      return res.status(400).json(err.response.data); 
+function cachedGeocodeCandidates() {
+  const candidates = [];
+  for (const key of geoCache.keys()) {
+    if (!key.startsWith('geocode:')) continue;
+    candidates.push(...geocodeResultCandidates(geoCache.peek(key), 'cache'));
+  }
+  return candidates;
+}
+
+// El resultado principal y sus alternativas; los POIs ya se consideran por separado.
+function geocodeResultCandidates(result, tipo) {
+  if (!result || result.source === 'predefined_poi') return [];
+  return [result, ...(result.alternativas || [])]
+    .filter(r => validators.coordinates(r.lat, r.lon) && r.direccion)
+    .map(r => ({
+      tipo, textos: [r.direccion], direccion: r.direccion, lat: r.lat, lon: r.lon,
+      ...(tipo === 'proveedor' && { relevancia: AUTOCOMPLETE_MIN_SCORE })
+    }));
+}
+
+function localAutocompleteCandidates() {
+  const poiCandidates = pois.list().map(p => ({
+    tipo: 'poi', nombre: p.nombre, textos: [p.nombre, ...(p.aliases || []), p.address], direccion: p.address, lat: p.lat, lon: p.lon
+  }));
+  const historyCandidates = trips.list()
+    .flatMap(t => [t.destino, ...(t.paradas || [])])
+    .filter(d => d?.direccion)
+    .map(d => ({ tipo: 'historial', textos: [d.direccion], direccion: d.direccion, lat: d.lat, lon: d.lon }));
+  return [...poiCandidates, ...historyCandidates, ...cachedGeocodeCandidates()];
+}
+
+app.get('/autocomplete', requireScope('geocode'), async (req, res) => {
+  const q = req.query.q.trim();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 8, AUTOCOMPLETE_MAX);
+  logger.debug(`GET /autocomplete - q: "${q}", origen: (${req.query.lat},${req.query.lon})`);
+
+  let origin = null;
+  if (req.query.lat != null || req.query.lon != null) {
+    origin = { lat: parseFloat(req.query.lat), lon: parseFloat(req.query.lon) };
+    if (!validators.coordinates(origin.lat, origin.lon)) {
+      return res.status(400).json({ error: 'Coordenadas (lat, lon) inválidas.', code: 'INVALID_COORDINATES' });
     }
-    if (err.message.includes('No se pudo geocodificar') || err.message.includes('ninguna API')) { 
-      return res.status(404).json({ error: 'No se encontró la dirección solicitada.', code: 'ADDRESS_NOT_FOUND_GEOCODE_TEXT' }); 
+  }
+
+  const inServiceArea = (c) => serviceArea.check(c.lat, c.lon).dentro;
+  let candidates = localAutocompleteCandidates().filter(inServiceArea);
+  let sugerencias = rankSuggestions(q, candidates, { origin, limit });
+
+  // Solo se consulta a los proveedores si lo local no alcanza, la consulta ya es específica y el
+  // usuario dejó de escribir.
+  let consultoProveedor = false;
+  if (sugerencias.length < limit && q.length >= AUTOCOMPLETE_PROVIDER_MIN_CHARS && validators.address(q) &&
+      await isLatestAutocomplete(req, req.query.sesion?.trim())) {
+    try {
+      const { result, consulto } = await autocompleteProviderResult(q);
+      consultoProveedor = consulto;
+      candidates = [...candidates, ...geocodeResultCandidates(result, 'proveedor').filter(inServiceArea)];
+      sugerencias = rankSuggestions(q, candidates, { origin, limit });
+    } catch (err) {
+      logger.debug(`Autocompletado sin resultados de proveedores para "${q}": ${err.message}`);
     }
-    return res.status(500).json({ error: 'Error interno del servidor al geocodificar la dirección.', code: 'INTERNAL_GEOCODING_TEXT_ERROR' });
   }
+
+  res.json({ q, total: sugerencias.length, consulto_proveedor: consultoProveedor, sugerencias });
 });
 
-// ─── POST /calculate_fare ─────────────────────────────────────────
-app.post('/calculate_fare', async (req, res) => {
-  const { lat1, lon1, lat2, lon2, destino, telefono } = req.body;
-  logger.debug(`POST /calculate_fare - Origen: (${lat1},${lon1}), Destino: "${destino}", Coords: (${lat2},${lon2}), Tel: ${telefono}`);
+// `fecha_hora` sin zona horaria se lee en la zona de la tarifa vigente, no en la del servidor.
+function parseFechaViaje(fecha_hora) {
+  if (fecha_hora == null) return new Date();
+  return parseTripDate(fecha_hora, tariffs.getActive()?.surcharges?.timeZone);
+}
 
-  if (lat1 == null || lon1 == null || !validators.coordinates(lat1, lon1)) { 
-    return res.status(400).json({ error: 'Coordenadas de origen (lat1, lon1) inválidas o no proporcionadas.', code: 'INVALID_ORIGIN_COORDINATES' }); 
+// ───── Cotización de una ruta ─────
+// Calcula la tarifa de origen → paradas → destino (ya resueltos y dentro del área de servicio),
+// emite la cotización firmada y la publica al despacho. Devuelve { status, body } con la
+// respuesta de /calculate_fare; también la usa /quote_from_link.
+async function quoteRoute({ origen, destino, paradas = [], ida_y_vuelta = false, espera_destino_min = 0, telefono, fechaViaje }) {
+  const { lat: lat1, lon: lon1 } = origen;
+  const { lat: lat2Final, lon: lon2Final, direccion: direccionDestino } = destino;
+  const direccionOrigen = origen.direccion || 'Punto de partida';
+  const multiParada = paradas.length > 0 || ida_y_vuelta;
+
+  const tariff = tariffs.getActive(fechaViaje);
+  if (!tariff) {
+    logger.error(`No hay versión de tarifa vigente para ${fechaViaje.toISOString()}`);
+    return { status: 503, body: { error: 'No hay una tarifa vigente para la fecha del viaje.', code: 'TARIFF_NOT_AVAILABLE' } };
+  }
+
+  try {
+    const distKm = straightDistanceKm({ lat: lat1, lon: lon1 }, { lat: lat2Final, lon: lon2Final });
+    const puntos = [
+      { lat: lat1, lon: lon1, direccion: direccionOrigen },
+      ...paradas,
+      { lat: lat2Final, lon: lon2Final, direccion: direccionDestino },
+      ...(ida_y_vuelta ? [{ lat: lat1, lon: lon1, direccion: direccionOrigen }] : [])
+    ];
+    const ruta = await routing.route(puntos.map(({ lat, lon }) => ({ lat, lon })));
+
+    // Las tarifas fijas por zona solo aplican a viajes directos; con paradas se cobra por km
+    // sobre la distancia total más la espera en cada parada (y en el destino si es ida y vuelta).
+    const zoneFare = multiParada ? null : findZoneFare(tariff, zones.findZones(lat1, lon1), zones.findZones(lat2Final, lon2Final));
+    const esperas = multiParada
+      ? [
+          ...paradas.map((p, i) => ({ parada: i + 1, direccion: p.direccion, minutos: p.espera_min })),
+          ...(ida_y_vuelta ? [{ parada: paradas.length + 1, direccion: direccionDestino, minutos: espera_destino_min || 0 }] : [])
+        ]
+      : [];
+    const tarifa = calculateCost(ruta.distanciaKm, fechaViaje, tariff, zoneFare, { esperas });
+    const costo = tarifa.total;
+    const tramos = ruta.tramos.length === puntos.length - 1
+      ? ruta.tramos.map((t, i) => ({ desde: puntos[i].direccion, hasta: puntos[i + 1].direccion, distancia_km: t.distanciaKm, duracion_min: t.duracionMin }))
+      : [{ desde: puntos[0].direccion, hasta: puntos[puntos.length - 1].direccion, distancia_km: ruta.tramos[0].distanciaKm, duracion_min: ruta.tramos[0].duracionMin }];
+    const paradasCotizadas = paradas.map(({ lat, lon, direccion, espera_min }) => ({ lat, lon, direccion, espera_min }));
+
+    const linkOrigen = generateGoogleMapsLink(lat1, lon1, direccionOrigen);
+    const linkDestino = generateGoogleMapsLink(lat2Final, lon2Final, direccionDestino);
+
+    const origenCotizado = { lat: lat1, lon: lon1, ...(origen.direccion && { direccion: origen.direccion }) };
+    const cotizacion = quotes.issue({
+      origen: origenCotizado,
+      destino: { lat: lat2Final, lon: lon2Final, direccion: direccionDestino },
+      ...(multiParada && { paradas: paradasCotizadas, ida_y_vuelta, espera_destino_min: espera_destino_min || 0 }),
+      distancia_ruta_km: ruta.distanciaKm,
+      duracion_estimada_min: ruta.duracionMin,
+      costo_estimado: costo,
+      moneda: 'MXN',
+      tarifa_version: tariff.version,
+      telefono,
+      fecha_hora_viaje: fechaViaje.toISOString()
+    });
+
+    events.publish('dispatch', 'cotizacion', {
+      cotizacion_id: cotizacion.cotizacion_id,
+      origen: origenCotizado,
+      destino: { lat: lat2Final, lon: lon2Final, direccion: direccionDestino },
+      ...(multiParada && { paradas: paradasCotizadas, ida_y_vuelta }),
+      distancia_ruta_km: ruta.distanciaKm,
+      costo_estimado: costo,
+      tarifa_version: tariff.version,
+      telefono,
+      fecha_hora_viaje: fechaViaje.toISOString(),
+      expira_en: cotizacion.expira_en
+    });
+
+    logger.info(`✅ Viaje calculado: De (${lat1},${lon1}) a "${direccionDestino}" (${lat2Final},${lon2Final}). ${multiParada ? `${paradas.length} paradas${ida_y_vuelta ? ', ida y vuelta' : ''}. ` : ''}Distancia: ${ruta.distanciaKm}km (${ruta.metodo}). Costo: ${costo} (tarifa ${tariff.version}, ${tarifa.origen_precio}). Tel: ${telefono}`);
+
+    return {
+      status: 200,
+      body: {
+        mensaje: 'Tarifa calculada correctamente.',
+        datos: {
+          lat_origen: lat1,
+          lon_origen: lon1,
+          ...(origen.direccion && { direccion_origen: origen.direccion }),
+          lat_destino: lat2Final,
+          lon_destino: lon2Final,
+          direccion_destino: direccionDestino,
+          consenso_destino: destino.consenso || null,
+          link_google_maps_destino: linkDestino,
+          link_google_maps_origen: linkOrigen,
+          distancia_km: distKm,
+          paradas,
+          ida_y_vuelta,
+          tramos,
+          distancia_ruta_km: ruta.distanciaKm,
+          duracion_estimada_min: ruta.duracionMin,
+          tiempo_espera_min: esperas.reduce((sum, e) => sum + e.minutos, 0),
+          geometria_ruta: ruta.geometria,
+          metodo_ruta: ruta.metodo,
+          costo_estimado: costo,
+          desglose_tarifa: tarifa,
+          cargos_espera: tarifa.cargos_espera?.monto ?? 0,
+          tarifa_version: tariff.version,
+          origen_precio: tarifa.origen_precio,
+          fecha_hora_viaje: fechaViaje.toISOString(),
+          moneda: "MXN",
+          telefono_registrado: telefono,
+          cotizacion_id: cotizacion.cotizacion_id,
+          cotizacion_token: cotizacion.token,
+          cotizacion_expira_en: cotizacion.expira_en
+        }
+      }
+    };
+  } catch (error) {
+    logger.error(`Error calculando distancia para viaje a "${direccionDestino}": ${error.message}`);
+    return { status: 500, body: { error: 'Error interno al calcular la tarifa del viaje.', code: 'FARE_CALCULATION_ERROR' } };
   }
-  if (!telefono || !validators.phone(telefono)) { 
-    return res.status(400).json({ error: 'Número de teléfono no proporcionado o inválido.', code: 'INVALID_PHONE_NUMBER' }); 
+}
+
+// ─── POST /calculate_fare ─────────────────────────────────────────
+app.post('/calculate_fare', requireScope('fare'), async (req, res) => {
+  const { lat1, lon1, lat2, lon2, destino, direccion_origen, telefono, fecha_hora, paradas, ida_y_vuelta, espera_destino_min } = req.body;
+  logger.debug(`POST /calculate_fare - Origen: (${lat1},${lon1}), Destino: "${destino}", Coords: (${lat2},${lon2}), Paradas: ${Array.isArray(paradas) ? paradas.length : 0}${ida_y_vuelta ? ' (ida y vuelta)' : ''}, Tel: ${telefono}, Fecha: ${fecha_hora || 'ahora'}`);
+
+  // Tipos y rangos ya validados con la especificación (CalculateFareEntrada); aquí solo las reglas entre campos.
+  const fechaViaje = parseFechaViaje(fecha_hora);
+  if (espera_destino_min && !ida_y_vuelta) {
+    return res.status(400).json({ error: 'espera_destino_min solo aplica a viajes de ida y vuelta.', code: 'INVALID_WAITING_TIME' });
   }
 
   let destinationResult;
 
-  if (lat2 != null && lon2 != null && validators.coordinates(lat2, lon2)) {
+  if (lat2 != null && lon2 != null) {
     logger.info(`✅ Usando coordenadas directas para destino: (${lat2}, ${lon2})`);
     const direccionDestino = destino && destino.trim() && destino !== 'undefined' ? destino : 'Ubicación seleccionada';
     destinationResult = { lat: lat2, lon: lon2, direccion: direccionDestino };
-    const [latS, lonW, latN, lonE] = bounds;
-    if (lat2 < latS || lat2 > latN || lon2 < lonW || lon2 > lonE) {
-      logger.warn(`Coordenadas de destino (${lat2}, ${lon2}) fuera de BOUNDS.`);
-      return res.status(400).json({ error: 'El destino está fuera de nuestra área de servicio geográfica.', code: 'DESTINATION_OUT_OF_BOUNDS' });
-    }
   } else {
     if (!destino || !validators.address(destino) || destino === 'undefined') { 
       return res.status(400).json({ error: 'Dirección de destino no proporcionada o inválida.', code: 'INVALID_DESTINATION_ADDRESS_TEXT' }); 
@@ -984,11 +1358,6 @@ app.post('/calculate_fare', async (req, res) => {
     logger.info(`🔍 Geocodificando destino: "${destino}"`);
     try {
       destinationResult = await geocodeWithCache(destino);
-      const [latS, lonW, latN, lonE] = bounds;
-      if (destinationResult.lat < latS || destinationResult.lat > latN || destinationResult.lon < lonW || destinationResult.lon > lonE) {
-        logger.warn(`Destino geocodificado "${destinationResult.direccion}" fuera de BOUNDS.`);
-        return res.status(400).json({ error: 'La dirección de destino está fuera de nuestra área de servicio geográfica.', code: 'DESTINATION_OUT_OF_BOUNDS' });
-      }
     } catch (e) {
       logger.error(`Error geocodificando destino "${destino}": ${e.message}`);
       if (e.message.includes('No se pudo geocodificar')) { 
@@ -1000,56 +1369,146 @@ app.post('/calculate_fare', async (req, res) => {
 
   const { lat: lat2Final, lon: lon2Final, direccion: direccionDestino } = destinationResult;
 
-  try {
-    const distMeters = getDistance({ latitude: lat1, longitude: lon1 }, { latitude: lat2Final, longitude: lon2Final });
-    const distKm = parseFloat((distMeters / 1000).toFixed(2));
-    const costo = calculateCost(distKm);
+  const areaOrigen = serviceArea.check(lat1, lon1);
+  if (!areaOrigen.dentro) {
+    logger.warn(`Origen (${lat1}, ${lon1}) fuera del área de servicio (${areaOrigen.motivo}).`);
+    return res.status(400).json(outOfServiceAreaBody(areaOrigen, 'El origen', 'ORIGIN_OUT_OF_BOUNDS'));
+  }
+  const areaDestino = serviceArea.check(lat2Final, lon2Final);
+  if (!areaDestino.dentro) {
+    logger.warn(`Destino "${direccionDestino}" (${lat2Final}, ${lon2Final}) fuera del área de servicio (${areaDestino.motivo}).`);
+    return res.status(400).json(outOfServiceAreaBody(areaDestino, 'El destino', 'DESTINATION_OUT_OF_BOUNDS'));
+  }
 
-    const linkOrigen = generateGoogleMapsLink(lat1, lon1, "Punto de partida");
-    const linkDestino = generateGoogleMapsLink(lat2Final, lon2Final, direccionDestino);
+  // Paradas intermedias: se resuelven en orden y cada una debe estar dentro del área de servicio.
+  const paradasResueltas = [];
+  for (const [i, input] of (paradas || []).entries()) {
+    let parada;
+    try {
+      parada = await resolveStop(input, i + 1);
+    } catch (err) {
+      if (!err.parada) {
+        logger.error(`Error procesando parada ${i + 1}: ${err.message}`);
+        return res.status(500).json({ error: `Error interno al procesar la parada ${i + 1}.`, code: 'STOP_PROCESSING_ERROR' });
+      }
+      logger.warn(`Parada rechazada en /calculate_fare: ${err.message}`);
+      return res.status(err.code === 'STOP_ADDRESS_NOT_FOUND' ? 404 : 400).json({ error: err.message, code: err.code, parada: err.parada });
+    }
+    const areaParada = serviceArea.check(parada.lat, parada.lon);
+    if (!areaParada.dentro) {
+      logger.warn(`Parada ${i + 1} "${parada.direccion}" (${parada.lat}, ${parada.lon}) fuera del área de servicio (${areaParada.motivo}).`);
+      return res.status(400).json({ ...outOfServiceAreaBody(areaParada, `La parada ${i + 1}`, 'STOP_OUT_OF_BOUNDS'), parada: i + 1 });
+    }
+    paradasResueltas.push(parada);
+  }
 
-    logger.info(`✅ Viaje calculado: De (${lat1},${lon1}) a "${direccionDestino}" (${lat2Final},${lon2Final}). Distancia: ${distKm}km. Costo: ${costo}. Tel: ${telefono}`);
+  const direccionOrigen = direccion_origen?.trim() || await originAddress(lat1, lon1);
+  const { status, body } = await quoteRoute({
+    origen: { lat: lat1, lon: lon1, ...(direccionOrigen && { direccion: direccionOrigen }) },
+    destino: destinationResult,
+    paradas: paradasResueltas,
+    ida_y_vuelta: ida_y_vuelta === true,
+    espera_destino_min,
+    telefono,
+    fechaViaje
+  });
+  return res.status(status).json(body);
+});
 
-    return res.json({
-      mensaje: 'Tarifa calculada correctamente.',
-      datos: {
-        lat_origen: lat1,
-        lon_origen: lon1,
-        lat_destino: lat2Final,
-        lon_destino: lon2Final,
-        direccion_destino: direccionDestino,
-        link_google_maps_destino: linkDestino,
-        link_google_maps_origen: linkOrigen,
-        distancia_km: distKm,
-        costo_estimado: costo,
-        moneda: "MXN",
-        telefono_registrado: telefono
+// ─── POST /quote_from_link ────────────────────────────────────────
+// Cotiza en una sola llamada la ruta de un enlace de indicaciones (origen, paradas y destino en
+// orden). Si el enlace empieza en "mi ubicación" o es un solo lugar, el origen es lat_origen/lon_origen.
+app.post('/quote_from_link', requireScope('fare'), async (req, res) => {
+  const { url, telefono, fecha_hora, lat_origen, lon_origen } = req.body;
+  logger.debug(`POST /quote_from_link - URL: ${url}, Origen: (${lat_origen},${lon_origen}), Tel: ${telefono}`);
+
+  if ((lat_origen == null) !== (lon_origen == null)) {
+    return res.status(400).json({ error: 'Envía lat_origen y lon_origen juntos.', code: 'INVALID_ORIGIN_COORDINATES' });
+  }
+  const fechaViaje = parseFechaViaje(fecha_hora);
+  const ubicacionActual = lat_origen != null ? { lat: lat_origen, lon: lon_origen } : null;
+
+  let enlace;
+  try {
+    enlace = await resolveLocationLink(url);
+  } catch (err) {
+    logger.error(`Error resolviendo enlace en /quote_from_link "${url}": ${err.message}`);
+    return res.status(500).json({ error: 'Error interno al procesar el link.', code: 'INTERNAL_LINK_PROCESSING_ERROR' });
+  }
+  const { parser, info } = enlace;
+  if (!parser) {
+    return res.status(400).json({ error: 'URL inválida o no proporcionada.', code: 'INVALID_URL_FORMAT' });
+  }
+  if (!info.ruta && info.lat == null && !info.q) {
+    return res.status(400).json({ error: 'No se pudo extraer información de ubicación del link.', code: 'UNPARSABLE_LINK_CONTENT', formato_enlace: parser });
+  }
+  // Un enlace de un solo lugar es el destino de un viaje desde la ubicación del cliente.
+  const stops = info.ruta || [{ ubicacion_actual: true }, info.lat != null ? { lat: info.lat, lon: info.lon } : { q: info.q }];
+  if (stops.length - 2 > MAX_PARADAS) {
+    return res.status(400).json({ error: `El enlace tiene ${stops.length - 2} paradas intermedias; el máximo es ${MAX_PARADAS}.`, code: 'INVALID_STOPS' });
+  }
+
+  // Se resuelven en orden; `parada` es la posición en el enlace (1 = origen).
+  const puntos = [];
+  for (const [i, stop] of stops.entries()) {
+    let punto;
+    try {
+      punto = await resolveLinkStop(stop, i + 1, ubicacionActual);
+    } catch (err) {
+      if (!err.parada) {
+        logger.error(`Error procesando parada ${i + 1} del enlace: ${err.message}`);
+        return res.status(500).json({ error: `Error interno al procesar la parada ${i + 1}.`, code: 'STOP_PROCESSING_ERROR' });
       }
-    });
-  } catch (error) {
-    logger.error(`Error calculando distancia para viaje a "${direccionDestino}": ${error.message}`);
-    return res.status(500).json({ error: 'Error interno al calcular la tarifa del viaje.', code: 'FARE_CALCULATION_ERROR' });
+      logger.warn(`Parada rechazada en /quote_from_link: ${err.message}`);
+      return res.status(err.code === 'STOP_ADDRESS_NOT_FOUND' ? 404 : 400).json({ error: err.message, code: err.code, parada: err.parada });
+    }
+
+    const area = serviceArea.check(punto.lat, punto.lon);
+    if (!area.dentro) {
+      const [subject, code] = i === 0 ? ['El origen', 'ORIGIN_OUT_OF_BOUNDS']
+        : i === stops.length - 1 ? ['El destino', 'DESTINATION_OUT_OF_BOUNDS']
+        : [`La parada ${i + 1}`, 'STOP_OUT_OF_BOUNDS'];
+      logger.warn(`Parada ${i + 1} del enlace "${punto.direccion}" (${punto.lat}, ${punto.lon}) fuera del área de servicio (${area.motivo}).`);
+      return res.status(400).json({ ...outOfServiceAreaBody(area, subject, code), parada: i + 1 });
+    }
+    puntos.push(punto);
   }
+
+  const origen = puntos[0];
+  const destino = puntos[puntos.length - 1];
+  const { status, body } = await quoteRoute({
+    origen: { lat: origen.lat, lon: origen.lon, ...(origen.direccion && { direccion: origen.direccion }) },
+    destino,
+    paradas: puntos.slice(1, -1),
+    telefono,
+    fechaViaje
+  });
+  if (status === 200) {
+    body.datos.enlace = {
+      formato_enlace: parser,
+      paradas: puntos.map(({ lat, lon, direccion, tipo_entrada }, i) => ({ parada: i + 1, lat, lon, direccion: direccion || 'Punto de partida', tipo_entrada }))
+    };
+  }
+  return res.status(status).json(body);
 });
 
 // 🆕 NUEVO ENDPOINT: Para generar enlaces de búsqueda para usuarios
-app.post('/generate_search_links', async (req, res) => {
+app.post('/generate_search_links', requireScope('geocode'), async (req, res) => {
   const { lat_origen, lon_origen } = req.body;
   
   logger.debug(`POST /generate_search_links - Origen: (${lat_origen},${lon_origen})`);
   
   try {
     const links = generateDestinationSearchLinks(lat_origen, lon_origen);
+    const enlacesRapidos = pois.list()
+      .filter(p => p.destacado)
+      .map(p => `${p.emoji || '📍'} ${p.nombre}: ${links[p.id]}`)
+      .join('\n');
     
     const mensaje = `🗺️ **Selecciona tu destino de una de estas formas:**
 
 **📍 OPCIÓN 1 - Enlaces rápidos:**
-🏢 Forum Tepic: ${links.forum}
-🛒 Walmart: ${links.walmart}
-🏛️ Centro: ${links.centro}
-🏥 Hospital: ${links.hospital}
-🏪 Chedraui: ${links.chedraui}
-✈️ Aeropuerto: ${links.aeropuerto}
+${enlacesRapidos}
 
 **📱 OPCIÓN 2 - Buscar cualquier lugar:**
 ${links.general}
@@ -1083,8 +1542,452 @@ ${links.nearUser}
   }
 });
 
+// ─── Viajes ──────────────────────────────────────────────────────
+function tripErrorResponse(res, err) {
+  const statusByCode = { INVALID_TRIP: 400, TRIP_NOT_FOUND: 404, INVALID_TRIP_TRANSITION: 409, QUOTE_ALREADY_USED: 409 };
+  const status = statusByCode[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code, ...(err.details && { detalles: err.details }) });
+  }
+  logger.error(`Error en viajes: ${err.message}`, err.stack);
+  return res.status(500).json({ error: 'Error interno al procesar el viaje.', code: 'TRIP_STORE_ERROR' });
+}
+
+// ─── POST /quotes/verify ─────────────────────────────────────────
+function quoteErrorResponse(res, err) {
+  const statusByCode = { MALFORMED_QUOTE: 400, INVALID_QUOTE_SIGNATURE: 400, QUOTE_EXPIRED: 410 };
+  return res.status(statusByCode[err.code] || 400).json({ valida: false, error: err.message, code: err.code || 'INVALID_QUOTE' });
+}
+
+app.post('/quotes/verify', requireScope('fare'), (req, res) => {
+  const { cotizacion_token } = req.body || {};
+  try {
+    const cotizacion = quotes.verify(cotizacion_token);
+    return res.json({ valida: true, cotizacion });
+  } catch (err) {
+    logger.warn(`Cotización rechazada en /quotes/verify: ${err.message}`);
+    return quoteErrorResponse(res, err);
+  }
+});
+
+// Convierte una cotización firmada de /calculate_fare (`cotizacion_token`) en una reservación.
+app.post('/trips', requireScope('fare'), (req, res) => {
+  const { cotizacion_token, notas } = req.body || {};
+  let cotizacion;
+  try {
+    cotizacion = quotes.verify(cotizacion_token);
+  } catch (err) {
+    logger.warn(`Cotización rechazada en POST /trips: ${err.message}`);
+    return quoteErrorResponse(res, err);
+  }
+
+  try {
+    const trip = trips.create(cotizacion, { notas: typeof notas === 'string' ? notas : null });
+    logger.info(`🚕 Viaje ${trip.id} solicitado: ${trip.telefono}, $${trip.costo_estimado} ${trip.moneda}`);
+    events.publish('dispatch', 'viaje_nuevo', trip);
+    return res.status(201).json({ ...trip, token_seguimiento: tripAccess.issue(trip.id) });
+  } catch (err) {
+    return tripErrorResponse(res, err);
+  }
+});
+
+// El viaje lleva el teléfono del cliente y los datos del conductor: se consulta con el token de
+// seguimiento (`?token=`, devuelto al reservar), con acceso de administración o con una clave con
+// permiso `fare` (el bot que hizo la reservación).
+function requireTripAccess(req, res, next) {
+  if (tripAccess.verify(req.params.id, req.query.token) || isAdminRequest(req)) return next();
+  if (req.apiKey) return requireScope('fare')(req, res, next);
+  logger.warn(`Acceso no autorizado al viaje ${req.params.id} desde ${req.ip}`);
+  return res.status(401).json({ error: 'Token de seguimiento inválido.', code: 'UNAUTHORIZED' });
+}
+
+app.get('/trips/:id', requireTripAccess, (req, res) => {
+  try {
+    return res.json(trips.get(req.params.id));
+  } catch (err) {
+    return tripErrorResponse(res, err);
+  }
+});
+
+// EventSource no permite headers y el token de seguimiento no caduca, así que no se acepta en la
+// URL del stream. El navegador lo cambia por un `access_token` de corta duración, válido solo para
+// este viaje; un bot con clave `fare` o la central se conectan con sus headers.
+app.post('/trips/:id/stream_token', requireTripAccess, (req, res) => {
+  try {
+    const trip = trips.get(req.params.id);
+    const { token, expiresAt } = streamTokens.issue(`trip:${trip.id}`);
+    return res.json({ access_token: token, expira_en: new Date(expiresAt).toISOString() });
+  } catch (err) {
+    return tripErrorResponse(res, err);
+  }
+});
+
+function requireTripStreamAccess(req, res, next) {
+  if (streamTokens.verify(req.query.access_token, `trip:${req.params.id}`) || isAdminRequest(req)) return next();
+  if (req.apiKey) return requireScope('fare')(req, res, next);
+  logger.warn(`Suscripción no autorizada al viaje ${req.params.id} desde ${req.ip}`);
+  return res.status(401).json({ error: 'Token de acceso inválido o vencido.', code: 'UNAUTHORIZED' });
+}
+
+// Stream SSE del viaje: cambios de estado y ubicación del conductor asignado.
+app.get('/trips/:id/events', requireTripStreamAccess, (req, res) => {
+  let trip;
+  try {
+    trip = trips.get(req.params.id);
+  } catch (err) {
+    return tripErrorResponse(res, err);
+  }
+  events.subscribe(`trip:${trip.id}`, req, res, { event: 'estado', data: trip });
+});
+
+app.get('/trips', requireAdmin, (req, res) => {
+  const { estado, telefono } = req.query;
+  const list = trips.list({ estado, telefono });
+  res.json({ total: list.length, viajes: list });
+});
+
+function publishTripUpdate(trip) {
+  events.publish(`trip:${trip.id}`, 'estado', trip);
+  events.publish('dispatch', 'viaje_actualizado', trip);
+}
+
+// Acepta `conductor_id` de un conductor registrado o los datos del conductor en `conductor`.
+app.post('/trips/:id/assign', requireAdmin, (req, res) => {
+  const { conductor_id } = req.body || {};
+  try {
+    let conductor = req.body?.conductor;
+    if (conductor_id) {
+      const driver = drivers.get(conductor_id);
+      const activeTrip = trips.findActiveByDriver(driver.id);
+      if (activeTrip && activeTrip.id !== req.params.id) {
+        return res.status(409).json({ error: `El conductor ya tiene el viaje ${activeTrip.id} en estado ${activeTrip.estado}.`, code: 'DRIVER_BUSY' });
+      }
+      conductor = { id: driver.id, nombre: driver.nombre, telefono: driver.telefono, placa: driver.placa, tipo_vehiculo: driver.tipo_vehiculo };
+    }
+    const trip = trips.assign(req.params.id, conductor);
+    logger.info(`🚕 Viaje ${trip.id} asignado a ${trip.conductor.nombre}`);
+    publishTripUpdate(trip);
+    return res.json(trip);
+  } catch (err) {
+    if (err.code === 'DRIVER_NOT_FOUND') return driverErrorResponse(res, err);
+    return tripErrorResponse(res, err);
+  }
+});
+
+app.post('/trips/:id/status', requireAdmin, (req, res) => {
+  const { estado, motivo } = req.body || {};
+  try {
+    const trip = trips.transition(req.params.id, estado, { motivo: typeof motivo === 'string' ? motivo : null });
+    logger.info(`🚕 Viaje ${trip.id} → ${trip.estado}${motivo ? ` (${motivo})` : ''}`);
+    publishTripUpdate(trip);
+    return res.json(trip);
+  } catch (err) {
+    return tripErrorResponse(res, err);
+  }
+});
+
+// ─── Conductores ─────────────────────────────────────────────────
+function driverErrorResponse(res, err) {
+  const statusByCode = { INVALID_DRIVER: 400, DRIVER_NOT_FOUND: 404, DRIVER_ALREADY_EXISTS: 409 };
+  const status = statusByCode[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code, ...(err.details && { detalles: err.details }) });
+  }
+  logger.error(`Error en conductores: ${err.message}`, err.stack);
+  return res.status(500).json({ error: 'Error interno al procesar el conductor.', code: 'DRIVER_STORE_ERROR' });
+}
+
+const driverView = (driver) => ({
+  ...driver,
+  ubicacion_reciente: !drivers.isStale(driver),
+  viaje_actual: trips.findActiveByDriver(driver.id)?.id || null
+});
+
+app.post('/drivers', requireAdmin, (req, res) => {
+  try {
+    const driver = drivers.register(req.body);
+    logger.info(`🚖 Conductor registrado: ${driver.nombre} (${driver.placa})`);
+    return res.status(201).json(driver);
+  } catch (err) {
+    return driverErrorResponse(res, err);
+  }
+});
+
+app.get('/drivers', requireAdmin, (req, res) => {
+  const list = drivers.list().map(driverView);
+  res.json({ total: list.length, conductores: list });
+});
+
+// Ranking por distancia en línea recta (la misma de `distancia_km` en /calculate_fare).
+app.get('/drivers/nearest', requireAdmin, (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
+
+  const cercanos = drivers.nearest({ lat, lon }, { limit, isBusy: (id) => !!trips.findActiveByDriver(id) });
+  logger.debug(`GET /drivers/nearest (${lat},${lon}): ${cercanos.length} conductores disponibles`);
+  res.json({ total: cercanos.length, conductores: cercanos });
+});
+
+app.get('/drivers/:id', requireAdmin, (req, res) => {
+  try {
+    return res.json(driverView(drivers.get(req.params.id)));
+  } catch (err) {
+    return driverErrorResponse(res, err);
+  }
+});
+
+// Renueva el token del dispositivo del conductor; el anterior deja de funcionar.
+app.post('/drivers/:id/token', requireAdmin, (req, res) => {
+  try {
+    const driver = drivers.rotateToken(req.params.id);
+    logger.info(`🔑 Token renovado para el conductor ${driver.nombre} (${driver.placa})`);
+    return res.json(driver);
+  } catch (err) {
+    return driverErrorResponse(res, err);
+  }
+});
+
+// El dispositivo del conductor se autentica con su propio token (header X-Driver-Token), que solo
+// sirve para reportar la ubicación de ese conductor; la central puede hacerlo con acceso de administración.
+function requireDriverAccess(req, res, next) {
+  if (drivers.authenticate(req.params.id, req.get('x-driver-token'))) return next();
+  if (req.get('x-driver-token')) {
+    logger.warn(`Token de conductor inválido para ${req.params.id} desde ${req.ip}`);
+    return res.status(401).json({ error: 'Token de conductor inválido.', code: 'UNAUTHORIZED' });
+  }
+  return requireAdmin(req, res, next);
+}
+
+app.post('/drivers/:id/location', requireDriverAccess, (req, res) => {
+  const { lat, lon, disponible } = req.body || {};
+  try {
+    const driver = drivers.updateLocation(req.params.id, { lat, lon, disponible });
+    logger.debug(`Ubicación de conductor ${driver.id}: (${lat},${lon}), disponible: ${driver.disponible}`);
+
+    const activeTrip = trips.findActiveByDriver(driver.id);
+    const posicion = { conductor_id: driver.id, viaje_id: activeTrip?.id || null, disponible: driver.disponible, ...driver.ubicacion };
+    if (activeTrip) events.publish(`trip:${activeTrip.id}`, 'ubicacion_conductor', posicion);
+    events.publish('dispatch', 'ubicacion_conductor', posicion);
+    return res.json(driverView(driver));
+  } catch (err) {
+    return driverErrorResponse(res, err);
+  }
+});
+
+// ─── Central de despacho (SSE) ───────────────────────────────────
+// Cotizaciones nuevas, reservaciones, cambios de estado y ubicaciones de conductores.
+// Desde un navegador: pedir un `access_token` a POST /admin/stream_token y conectar con
+// `?access_token=` antes de que expire (STREAM_TOKEN_TTL_SEC).
+app.post('/admin/stream_token', requireAdmin, (req, res) => {
+  const { token, expiresAt } = streamTokens.issue('dispatch');
+  res.json({ access_token: token, expira_en: new Date(expiresAt).toISOString() });
+});
+
+app.get('/dispatch/events', (req, res) => {
+  if (!isAdminRequest(req)) {
+    logger.warn(`Suscripción no autorizada a la central de despacho desde ${req.ip}`);
+    return res.status(401).json({ error: 'No autorizado.', code: 'UNAUTHORIZED' });
+  }
+  events.subscribe('dispatch', req, res);
+});
+
+// ─── Administración de POIs ──────────────────────────────────────
+function poiErrorResponse(res, err) {
+  const statusByCode = { INVALID_POI: 400, POI_OUT_OF_SERVICE_AREA: 400, POI_NOT_FOUND: 404, POI_ALREADY_EXISTS: 409 };
+  const status = statusByCode[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code, ...(err.details && { detalles: err.details }) });
+  }
+  logger.error(`Error guardando POIs: ${err.message}`, err.stack);
+  return res.status(500).json({ error: 'Error interno al guardar el POI.', code: 'POI_STORE_ERROR' });
+}
+
+app.get('/pois', requireAdmin, (req, res) => {
+  res.json({ total: pois.list().length, pois: pois.list() });
+});
+
+app.get('/pois/:id', requireAdmin, (req, res) => {
+  const poi = pois.get(req.params.id);
+  if (!poi) return res.status(404).json({ error: `No existe el POI "${req.params.id}".`, code: 'POI_NOT_FOUND' });
+  res.json(poi);
+});
+
+app.post('/pois', requireAdmin, (req, res) => {
+  try {
+    const poi = pois.create(req.body || {});
+    invalidateGeocodeCacheForPois([poi]);
+    logger.info(`POI creado: ${poi.id} (${poi.nombre})`);
+    return res.status(201).json(poi);
+  } catch (err) {
+    return poiErrorResponse(res, err);
+  }
+});
+
+app.put('/pois/:id', requireAdmin, (req, res) => {
+  try {
+    const { before, after } = pois.update(req.params.id, req.body || {});
+    invalidateGeocodeCacheForPois([before, after]);
+    logger.info(`POI actualizado: ${after.id} (${after.nombre})`);
+    return res.json(after);
+  } catch (err) {
+    return poiErrorResponse(res, err);
+  }
+});
+
+app.delete('/pois/:id', requireAdmin, (req, res) => {
+  try {
+    const removed = pois.remove(req.params.id);
+    invalidateGeocodeCacheForPois([removed]);
+    logger.info(`POI eliminado: ${removed.id} (${removed.nombre})`);
+    return res.json({ mensaje: 'POI eliminado.', poi: removed });
+  } catch (err) {
+    return poiErrorResponse(res, err);
+  }
+});
+
+// ─── Administración de tarifas ───────────────────────────────────
+app.get('/admin/tarifas', requireAdmin, (req, res) => {
+  const vigente = tariffs.getActive();
+  res.json({ ...tariffs.list(), version_vigente: vigente?.version || null });
+});
+
+app.put('/admin/tarifas', requireAdmin, (req, res) => {
+  try {
+    tariffs.replace(req.body);
+    logger.info(`Tarifas reemplazadas vía admin desde ${req.ip}`);
+    return res.json({ mensaje: 'Tarifas actualizadas.', ...tariffs.list() });
+  } catch (err) {
+    if (err.details) {
+      return res.status(400).json({ error: err.message, code: 'INVALID_TARIFF_CONFIG', detalles: err.details });
+    }
+    logger.error(`Error guardando tarifas: ${err.message}`, err.stack);
+    return res.status(500).json({ error: 'Error interno al guardar las tarifas.', code: 'TARIFF_SAVE_ERROR' });
+  }
+});
+
+app.post('/admin/tarifas/reload', requireAdmin, (req, res) => {
+  try {
+    tariffs.load();
+    return res.json({ mensaje: 'Tarifas recargadas.', ...tariffs.list() });
+  } catch (err) {
+    logger.error(`Error recargando tarifas: ${err.message}`, err.details || '');
+    return res.status(400).json({ error: err.message, code: 'INVALID_TARIFF_CONFIG', detalles: err.details || [] });
+  }
+});
+
+// ─── Administración de caché de geocodificación ──────────────────
+// `prefix` filtra por inicio de clave: geocode:, reverse:, link: o uno más específico
+// (p. ej. geocode:av-mexico).
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entradas = geoCache.entries(prefix);
+  res.json({
+    ...geoCache.stats(),
+    prefijo: prefix,
+    coincidencias: entradas.length,
+    entradas: entradas.slice(0, limit).map(({ key, value, expiresAt }) => ({
+      clave: key,
+      expira_en: new Date(expiresAt).toISOString(),
+      valor: value
+    }))
+  });
+});
+
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  if (!/^[a-z]+:/.test(prefix)) {
+    return res.status(400).json({ error: 'Indica un prefijo de clave (geocode:, reverse:, link: o más específico).', code: 'INVALID_CACHE_PREFIX' });
+  }
+  const eliminadas = geoCache.purge(prefix);
+  logger.info(`Caché de geocodificación: ${eliminadas} entradas con prefijo "${prefix}" eliminadas vía admin desde ${req.ip}`);
+  res.json({ mensaje: 'Entradas eliminadas.', prefijo: prefix, eliminadas });
+});
+
+// ─── Administración de claves de API ─────────────────────────────
+function apiKeyErrorResponse(res, err) {
+  const statusByCode = { INVALID_API_KEY_DATA: 400, API_KEY_NOT_FOUND: 404 };
+  const status = statusByCode[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code, ...(err.details && { detalles: err.details }) });
+  }
+  logger.error(`Error guardando claves de API: ${err.message}`, err.stack);
+  return res.status(500).json({ error: 'Error interno al guardar la clave de API.', code: 'API_KEY_STORE_ERROR' });
+}
+
+app.get('/admin/api_keys', requireAdmin, (req, res) => {
+  const list = apiKeys.list();
+  res.json({ total: list.length, claves: list });
+});
+
+// La clave completa (`api_key`) solo viene en esta respuesta.
+app.post('/admin/api_keys', requireAdmin, (req, res) => {
+  try {
+    const created = apiKeys.create(req.body || {});
+    logger.info(`Clave de API creada: ${created.id} (${created.nombre}, ${created.scopes.join(', ')}) desde ${req.ip}`);
+    return res.status(201).json(created);
+  } catch (err) {
+    return apiKeyErrorResponse(res, err);
+  }
+});
+
+app.post('/admin/api_keys/reload', requireAdmin, (req, res) => {
+  try {
+    apiKeys.load();
+    return res.json({ mensaje: 'Claves de API recargadas.', total: apiKeys.size() });
+  } catch (err) {
+    logger.error(`Error recargando claves de API: ${err.message}`);
+    return res.status(500).json({ error: err.message, code: 'API_KEY_STORE_ERROR' });
+  }
+});
+
+app.get('/admin/api_keys/:id', requireAdmin, (req, res) => {
+  try {
+    const apiKey = apiKeys.get(req.params.id);
+    return res.json({ ...apiKey, uso: apiKeyQuotas.usage(apiKey) });
+  } catch (err) {
+    return apiKeyErrorResponse(res, err);
+  }
+});
+
+// Cambia nombre, scopes, cuotas o `activa`; la clave en sí no cambia (para rotarla, crear otra y borrar esta).
+app.put('/admin/api_keys/:id', requireAdmin, (req, res) => {
+  try {
+    const updated = apiKeys.update(req.params.id, req.body || {});
+    logger.info(`Clave de API actualizada: ${updated.id} (${updated.nombre}) desde ${req.ip}`);
+    return res.json(updated);
+  } catch (err) {
+    return apiKeyErrorResponse(res, err);
+  }
+});
+
+app.delete('/admin/api_keys/:id', requireAdmin, (req, res) => {
+  try {
+    const removed = apiKeys.remove(req.params.id);
+    apiKeyQuotas.forget(removed);
+    logger.info(`Clave de API eliminada: ${removed.id} (${removed.nombre}) desde ${req.ip}`);
+    return res.json({ mensaje: 'Clave de API eliminada.', clave: removed });
+  } catch (err) {
+    return apiKeyErrorResponse(res, err);
+  }
+});
+
+// ─── Uso de la clave propia ──────────────────────────────────────
+app.get('/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'Se requiere una clave de API (header X-API-Key).', code: 'API_KEY_REQUIRED' });
+  }
+  const { id, nombre, prefijo, scopes, cuotas } = req.apiKey;
+  res.json({ id, nombre, prefijo, scopes, cuotas, uso: apiKeyQuotas.usage(req.apiKey) });
+});
+
 // ───── Manejo de errores globales ─────
 app.use((err, req, res, next) => {
+  // JSON mal formado: mismo formato que los errores de validación.
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'La petición no cumple con la especificación de la API.', code: 'INVALID_REQUEST', detalles: [{ campo: 'body', mensaje: 'JSON mal formado' }] });
+  }
   logger.error('Error no manejado detectado por el middleware global:', { message: err.message, stack: err.stack, url: req.originalUrl, method: req.method, ip: req.ip });
   const errorResponse = { error: 'Error interno del servidor. Por favor, intente más tarde.', code: 'INTERNAL_SERVER_ERROR' };
   if (process.env.NODE_ENV !== 'production') { errorResponse.details = err.message; }
@@ -1099,15 +2002,48 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(), 
     uptime: process.uptime ? `${Math.floor(process.uptime())}s` : 'N/A', 
     cache_size: geoCache.size, 
-    cache_length: geoCache.length,
-    version: '2.0-maximized-enhanced',
-    pois_count: Object.keys(POIS_ADICIONALES).length,
-    endpoints: ['/health', '/reverse_origin', '/geocode_text', '/geocode_link', '/calculate_fare', '/generate_search_links']
+    cache: geoCache.stats(),
+    geocodificacion: geocoding.status(),
+    geocodificador_local: localGeocoder.stats(),
+    version: API_VERSION,
+    pois_count: pois.list().length,
+    suscriptores_tiempo_real: events.stats(),
+    endpoints: ['/health', '/reverse_origin', '/geocode_text', '/geocode_batch', '/autocomplete', '/geocode_link', '/calculate_fare', '/generate_search_links', '/service_area', '/trips', '/drivers', '/dispatch/events', '/usage', '/openapi.json', '/docs']
   });
 });
 
+// ─── GET /service_area ───────────────────────────────────────────
+app.get('/service_area', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.type('application/geo+json').send(JSON.stringify(serviceArea.toGeoJSON()));
+});
+
+// ─── Especificación y documentación ──────────────────────────────
+app.get('/openapi.json', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json(openapiDocument);
+});
+
+// Swagger UI (desde CDN) sobre /openapi.json.
+const SWAGGER_UI_CDN = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5'
+app.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${openapiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>`);
+});
+
 // 🆕 NUEVO ENDPOINT: Debug de enlaces para desarrollo
-app.post('/debug_link', async (req, res) => {
+app.post('/debug_link', requireScope('geocode'), async (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(404).json({ error: 'Endpoint no disponible en producción' });
   }
@@ -1115,10 +2051,11 @@ app.post('/debug_link', async (req, res) => {
   const { url } = req.body;
   
   try {
-    const info = parseGoogleMapsLinkImproved(url);
+    const { parser, info } = parseLocationLink(url, LINK_PARSER_OPTIONS);
     
     res.json({
       original_url: url,
+      parser,
       parsed_info: info,
       parsing_successful: !!(info.lat && info.lon) || !!info.q,
       debug_info: {
@@ -1144,10 +2081,16 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`🚀 API de Taxis (Automanager Drive) MAXIMIZADA corriendo en puerto ${PORT}`);
   logger.info(`   -> Entorno: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`   -> Municipios Permitidos: ${allowed.join(', ')}`);
-  logger.info(`   -> Puntos Específicos Permitidos: ${ALLOWED_SPECIFIC_POINTS.map(p => p.name).join(', ') || 'Ninguno'}`);
-  logger.info(`   -> POIs Adicionales Cargados: ${Object.keys(POIS_ADICIONALES).length}`);
-  logger.info(`   -> Caché LRU inicializada: Max ${geoCache.max} elementos, TTL ${geoCache.ttl / (1000 * 60 * 60)} horas.`);
-  logger.info(`   -> Endpoints disponibles: ${['/health', '/reverse_origin', '/geocode_text', '/geocode_link', '/calculate_fare', '/generate_search_links'].join(', ')}`);
+  logger.info(`   -> Municipios Permitidos: ${serviceArea.names('municipio').join(', ')}`);
+  logger.info(`   -> Zonas de Cobertura Adicionales: ${serviceArea.names('cobertura').join(', ') || 'Ninguna'}`);
+  logger.info(`   -> Zonas Excluidas: ${serviceArea.names('exclusion').join(', ') || 'Ninguna'}`);
+  logger.info(`   -> POIs Adicionales Cargados: ${pois.list().length}`);
+  logger.info(`   -> Tarifa vigente: ${tariffs.getActive()?.version || 'NINGUNA'} (${tariffs.filePath})`);
+  logger.info(`   -> Zonas de tarifa fija: ${zones.list().map(z => z.id).join(', ') || 'Ninguna'}`);
+  logger.info(`   -> Ruteo: ${routing.providers.join(' → ')}`);
+  logger.info(`   -> Geocodificación: ${geocoding.forwardProviders.join(' → ')} (inversa: ${geocoding.reverseProviders.join(' → ')})`);
+  logger.info(`   -> Claves de API: ${apiKeys.size()} (${API_KEYS_REQUIRED ? 'obligatorias' : 'opcionales, sin clave se limita por IP'})`);
+  logger.info(`   -> Caché de geocodificación (${geoCache.backend}): ${geoCache.size}/${geoCache.max} entradas, TTL geocode ${geoCache.ttls.geocode / HOUR_MS}h, reverse ${geoCache.ttls.reverse / HOUR_MS}h, link ${geoCache.ttls.link / HOUR_MS}h.`);
+  logger.info(`   -> Endpoints disponibles: ${['/health', '/reverse_origin', '/geocode_text', '/geocode_batch', '/autocomplete', '/geocode_link', '/calculate_fare', '/generate_search_links', '/service_area', '/trips', '/drivers', '/dispatch/events', '/usage', '/openapi.json', '/docs'].join(', ')}`);
   logger.info(`   -> Versión: 2.0-maximized-enhanced - ¡Soporte saddr/daddr agregado! 🎯`);
 });
\ No newline at end of file
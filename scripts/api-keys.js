@@ -0,0 +1,63 @@
+// Administración de claves de API desde la terminal (edita data/api_keys.json o API_KEYS_PATH).
+// Uso: npm run keys -- list
+//      npm run keys -- create "Bot Telegram" geocode,fare [--cuota /geocode_text=200/15] [--cuota *=1000/60]
+//      npm run keys -- disable|enable|delete <id>
+// Con el servidor corriendo, aplicar los cambios con POST /admin/api_keys/reload.
+import dotenv from 'dotenv'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createApiKeyStore } from '../src/apiKeys.js'
+
+dotenv.config()
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const store = createApiKeyStore({ filePath: path.resolve(ROOT_DIR, process.env.API_KEYS_PATH || 'data/api_keys.json') })
+
+// "--cuota /ruta=limite/ventana_min" → { "/ruta": { limite, ventana_min } }
+function parseQuotas(args) {
+  const cuotas = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] !== '--cuota') continue;
+    const match = (args[++i] || '').match(/^(\*|\/\S*)=(\d+)\/(\d+)$/);
+    if (!match) throw new Error(`Cuota inválida "${args[i]}" (formato: /ruta=limite/ventana_min o *=limite/ventana_min).`);
+    cuotas[match[1]] = { limite: Number(match[2]), ventana_min: Number(match[3]) };
+  }
+  return Object.keys(cuotas).length ? cuotas : undefined;
+}
+
+function printKey({ id, nombre, prefijo, scopes, cuotas, activa }) {
+  const limits = Object.entries(cuotas || {}).map(([route, q]) => `${route}=${q.limite}/${q.ventana_min}min`).join(' ');
+  console.log(`${id}  ${prefijo}…  ${activa ? 'activa  ' : 'inactiva'}  ${nombre}  [${scopes.join(',')}]${limits ? `  ${limits}` : ''}`);
+}
+
+const [command, ...args] = process.argv.slice(2)
+
+try {
+  store.load();
+  switch (command) {
+    case 'list':
+      store.list().forEach(printKey);
+      break;
+    case 'create': {
+      const [nombre, scopes = ''] = args;
+      const created = store.create({ nombre, scopes: scopes.split(',').filter(Boolean), cuotas: parseQuotas(args) });
+      printKey(created);
+      console.log(`\nClave (no se vuelve a mostrar): ${created.api_key}`);
+      break;
+    }
+    case 'disable':
+    case 'enable':
+      printKey(store.update(args[0], { activa: command === 'enable' }));
+      break;
+    case 'delete':
+      printKey(store.remove(args[0]));
+      break;
+    default:
+      console.error('Comandos: list | create <nombre> <scopes> [--cuota ruta=limite/ventana_min] | disable <id> | enable <id> | delete <id>');
+      process.exit(1);
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  if (err.details) err.details.forEach(d => console.error(`  - ${d}`));
+  process.exit(1);
+}
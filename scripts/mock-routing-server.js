@@ -0,0 +1,73 @@
+// Servidor de ruteo simulado (compatible OSRM y Valhalla) para pruebas locales.
+// Uso: npm run mock:routing  →  ROUTING_URL=http://localhost:5000 ROUTING_PROVIDER=osrm|valhalla
+import express from 'express'
+import { getDistance } from 'geolib'
+import { encodePolyline } from '../src/routing.js'
+import { logger } from '../src/logger.js'
+
+const PORT = process.env.MOCK_ROUTING_PORT || 5000
+const DETOUR = Number(process.env.MOCK_ROUTING_DETOUR) || 1.35
+const SPEED_KMH = Number(process.env.MOCK_ROUTING_SPEED_KMH) || 28
+
+function simulate(points) {
+  const legs = [];
+  for (let i = 1; i < points.length; i++) {
+    const meters = getDistance(
+      { latitude: points[i - 1].lat, longitude: points[i - 1].lon },
+      { latitude: points[i].lat, longitude: points[i].lon }
+    ) * DETOUR;
+    legs.push({ distanceMeters: meters, durationSeconds: (meters / 1000) / SPEED_KMH * 3600, points: [points[i - 1], points[i]] });
+  }
+  const distanceMeters = legs.reduce((sum, l) => sum + l.distanceMeters, 0);
+  return { distanceMeters, durationSeconds: (distanceMeters / 1000) / SPEED_KMH * 3600, legs };
+}
+
+const app = express()
+app.use(express.json())
+
+// OSRM: GET /route/v1/:profile/lon,lat;lon,lat
+app.get('/route/v1/:profile/:coords', (req, res) => {
+  const points = req.params.coords.split(';').map(pair => {
+    const [lon, lat] = pair.split(',').map(Number);
+    return { lat, lon };
+  });
+  if (points.length < 2 || points.some(p => isNaN(p.lat) || isNaN(p.lon))) {
+    return res.status(400).json({ code: 'InvalidQuery', message: 'Coordenadas inválidas' });
+  }
+  const { distanceMeters, durationSeconds, legs } = simulate(points);
+  logger.debug(`mock OSRM: ${points.length} puntos, ${distanceMeters.toFixed(0)}m`);
+  res.json({
+    code: 'Ok',
+    routes: [{
+      distance: distanceMeters,
+      duration: durationSeconds,
+      geometry: encodePolyline(points),
+      legs: legs.map(l => ({ distance: l.distanceMeters, duration: l.durationSeconds }))
+    }],
+    waypoints: points.map(p => ({ location: [p.lon, p.lat] }))
+  });
+});
+
+// Valhalla: POST /route { locations: [{lat, lon}], costing }
+app.post('/route', (req, res) => {
+  const points = (req.body?.locations || []).map(l => ({ lat: Number(l.lat), lon: Number(l.lon) }));
+  if (points.length < 2 || points.some(p => isNaN(p.lat) || isNaN(p.lon))) {
+    return res.status(400).json({ error_code: 154, error: 'Coordenadas inválidas' });
+  }
+  const { distanceMeters, durationSeconds, legs } = simulate(points);
+  logger.debug(`mock Valhalla: ${points.length} puntos, ${distanceMeters.toFixed(0)}m`);
+  res.json({
+    trip: {
+      status: 0,
+      summary: { length: distanceMeters / 1000, time: durationSeconds },
+      legs: legs.map(l => ({
+        shape: encodePolyline(l.points, 6),
+        summary: { length: l.distanceMeters / 1000, time: l.durationSeconds }
+      }))
+    }
+  });
+});
+
+app.listen(PORT, () => {
+  logger.info(`🧪 Servidor de ruteo simulado en puerto ${PORT} (factor ${DETOUR}, ${SPEED_KMH} km/h)`);
+});
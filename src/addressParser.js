@@ -0,0 +1,145 @@
+import { normalizeText, STOPWORDS } from './poiMatcher.js'
+
+// ───── Análisis de direcciones mexicanas ─────
+// Separa el texto libre que escriben los usuarios ("Calle Zacatecas 123 int. 4 col. Centro
+// entre Morelos y Juárez, Tepic, frente al Oxxo") en sus partes. Las referencias y las entre
+// calles se quitan antes de consultar a los geocodificadores, que suelen confundirse con ellas.
+//
+// Resultado (los textos conservan mayúsculas y acentos del original; null si no se encontró):
+//   { calle, numero_exterior, numero_interior, colonia, entre_calles: [], esquina, codigo_postal,
+//     municipio, estado, referencias: [], otros: [] }
+// `esquina` es la calle que cruza a `calle` ("Insurgentes esquina con Allende") y `otros` son
+// las partes separadas por coma que no se pudieron clasificar.
+
+const REFERENCE_PATTERN = /\b(?:a\s+(?:\d+|una?|media|dos|tres|cuatro|cinco)\s+(?:cuadras?|calles?|metros?|mts?)\s+(?:al\s+(?:norte|sur|oriente|este|poniente|oeste)\s+)?de(?:l)?|frente\s+a(?:l)?|enfrente\s+de(?:l)?|junto\s+a(?:l)?|a\s+un\s+lado\s+de(?:l)?|al\s+lado\s+de(?:l)?|cerca\s+de(?:l)?|atr[aá]s\s+de(?:l)?|detr[aá]s\s+de(?:l)?|enseguida\s+de(?:l)?|a\s+la\s+vuelta\s+de(?:l)?|antes\s+de(?:l)?|despu[eé]s\s+de(?:l)?)\s+[^,]+?(?=\s*,|\s+entre\s|$)/gi
+const CROSSING_PATTERN = /^\s*(?:(?:en\s+(?:el|la)\s+)?cruce\s+de|(?:en\s+la\s+)?esquina\s+de)\s+(.+?)\s+(?:y|con)\s+([^,]+)/i
+const CORNER_PATTERN = /\s+(?:esquina|esq\.?)\s+(?:con\s+)?([^,]+?)(?=\s*,|\s+col(?:onia)?\b|\s+c\.?\s?p\b|$)/i
+const BETWEEN_PATTERN = /\bentre\s+(?:(?:las?|los)\s+)?(?:calles?\s+)?(.+?)\s+y\s+(.+?)(?=\s*,|\s+col(?:onia)?\b|\s+fracc|\s+c\.?\s?p\b|$)/i
+const POSTCODE_PATTERN = /\b(?:c\.?\s?p\.?\s*)?(\d{5})\b/i
+const INTERIOR_PATTERN = /\b(?:interior|int|depto|dpto|departamento)\b\.?\s*(?:#|no\.?)?\s*([a-z0-9-]+)\b/i
+const EXTERIOR_PATTERN = /(?:#|\bn[oº°]\.?(?=\s*\d)|\bn[uú]m(?:ero)?\.?)\s*(\d{1,5}(?:\s?-?[a-z]\b)?)/i
+const NO_NUMBER_PATTERN = /\b(?:s\/n|sin\s+n[uú]mero)\b/i
+const COLONIA_PATTERN = /\b(?:col(?:onia)?|fracc(?:ionamiento)?|barrio)\b\.?\s*([^,]+)/i
+const COORDINATES_PATTERN = /^\s*-?\d+(?:\.\d+)?\s*,\s*-?\d+(?:\.\d+)?\s*$/
+
+const STATE_WORDS = ['nayarit', 'nay']
+const COUNTRY_WORDS = ['mexico', 'mx']
+
+const titleCase = (text) => text.replace(/(^|\s)(\p{L})/gu, (_, space, letter) => space + letter.toUpperCase())
+const clean = (text) => {
+  const trimmed = (text || '').replace(/\s+/g, ' ').replace(/^[\s,.;:-]+|[\s,;:-]+$/g, '');
+  return trimmed || null;
+}
+
+// Expresión que acepta la palabra con o sin acentos ("tepic", "compostela", "san blas").
+const accentInsensitive = (word) => word
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/a/g, '[aá]').replace(/e/g, '[eé]').replace(/i/g, '[ií]').replace(/o/g, '[oó]').replace(/u/g, '[uúü]').replace(/n/g, '[nñ]')
+
+export function parseAddress(text, { municipios = [] } = {}) {
+  const parsed = {
+    calle: null,
+    numero_exterior: null,
+    numero_interior: null,
+    colonia: null,
+    entre_calles: [],
+    esquina: null,
+    codigo_postal: null,
+    municipio: null,
+    estado: null,
+    referencias: [],
+    otros: []
+  };
+  if (typeof text !== 'string' || COORDINATES_PATTERN.test(text)) return parsed;
+
+  const localities = municipios.map(m => normalizeText(m)).filter(Boolean);
+  const isMunicipio = (part) => localities.includes(normalizeText(part));
+
+  // Quita del final del segmento municipio y estado escritos sin coma ("av mexico 245 tepic").
+  // El país no: "Av. México" es una calle.
+  const trailingPattern = new RegExp(`\\s+(${[...localities, ...STATE_WORDS].map(accentInsensitive).join('|')})\\.?$`, 'i');
+  const stripTrailingLocalities = (segment) => {
+    let rest = segment || '';
+    for (let match = rest.match(trailingPattern); match; match = rest.match(trailingPattern)) {
+      const word = normalizeText(match[1]);
+      if (localities.includes(word)) parsed.municipio ||= titleCase(word);
+      else if (STATE_WORDS.includes(word)) parsed.estado = 'Nayarit';
+      rest = rest.slice(0, match.index);
+    }
+    return rest;
+  };
+
+  let rest = text.replace(REFERENCE_PATTERN, (match) => {
+    parsed.referencias.push(clean(match));
+    return ' ';
+  });
+  rest = rest.replace(BETWEEN_PATTERN, (_, a, b) => {
+    parsed.entre_calles = [clean(a), clean(b)].filter(Boolean);
+    return ' ';
+  });
+  rest = rest.replace(CROSSING_PATTERN, (_, a, b) => {
+    parsed.esquina = clean(stripTrailingLocalities(clean(b)));
+    return a;
+  });
+  rest = rest.replace(CORNER_PATTERN, (_, b) => {
+    parsed.esquina ||= clean(stripTrailingLocalities(clean(b)));
+    return ' ';
+  });
+  rest = rest.replace(POSTCODE_PATTERN, (_, cp) => {
+    parsed.codigo_postal = cp;
+    return ' ';
+  });
+  rest = rest.replace(INTERIOR_PATTERN, (_, numero) => {
+    parsed.numero_interior = numero.toUpperCase();
+    return ' ';
+  });
+  rest = rest.replace(EXTERIOR_PATTERN, (_, numero) => {
+    parsed.numero_exterior = numero.replace(/\s/g, '').toUpperCase();
+    return ' ';
+  });
+  rest = rest.replace(NO_NUMBER_PATTERN, () => {
+    parsed.numero_exterior ||= 'S/N';
+    return ' ';
+  });
+  rest = rest.replace(COLONIA_PATTERN, (_, colonia) => {
+    parsed.colonia = clean(stripTrailingLocalities(clean(colonia)));
+    return ' ';
+  });
+
+  const [first = '', ...parts] = rest.split(',').map(clean);
+  for (const part of parts.map(p => clean(stripTrailingLocalities(p || ''))).filter(Boolean)) {
+    const normalized = normalizeText(part);
+    if (isMunicipio(part)) parsed.municipio ||= titleCase(normalized);
+    else if (STATE_WORDS.includes(normalized)) parsed.estado = 'Nayarit';
+    else if (COUNTRY_WORDS.includes(normalized)) continue;
+    else if (!parsed.colonia) parsed.colonia = part;
+    else parsed.otros.push(part);
+  }
+
+  let calle = clean(stripTrailingLocalities(first || ''));
+  // Sin "#" ni "No.", el último número suelto de la calle es el número exterior ("Zacatecas 123").
+  if (calle && !parsed.numero_exterior) {
+    const match = calle.match(/^(.*\S)\s+(\d{1,5}(?:\s?[a-z])?)$/i);
+    if (match) {
+      calle = match[1];
+      parsed.numero_exterior = match[2].replace(/\s/g, '').toUpperCase();
+    }
+  }
+  // Sin el municipio, "Hospital Civil de Tepic" queda "Hospital Civil de": se quita la preposición.
+  while (calle && STOPWORDS.has(normalizeText(calle.split(' ').pop()))) calle = clean(calle.split(' ').slice(0, -1).join(' '));
+  parsed.calle = clean(calle);
+  return parsed;
+}
+
+// Consulta limpia para los proveedores: calle y número, colonia, código postal y municipio, sin
+// referencias, entre calles, esquina ni número interior. Null si no hay calle ni colonia que consultar.
+export function buildGeocodeQuery(parsed) {
+  if (!parsed.calle && !parsed.colonia) return null;
+  const numero = parsed.numero_exterior !== 'S/N' ? parsed.numero_exterior : null;
+  return [
+    [parsed.calle, numero].filter(Boolean).join(' '),
+    parsed.colonia,
+    [parsed.codigo_postal, parsed.municipio].filter(Boolean).join(' '),
+    'Nayarit'
+  ].filter(Boolean).join(', ');
+}
@@ -0,0 +1,209 @@
+import crypto from 'crypto'
+import { createJsonCollection } from './jsonCollection.js'
+
+// ───── Claves de API ─────
+// Cada cliente (bot de Telegram, bot de WhatsApp, panel) tiene su clave. En disco solo se guarda
+// el SHA-256 de la clave (son 32 bytes aleatorios, no hace falta un hash lento) y un prefijo para
+// reconocerla en listados y logs; la clave completa se muestra una sola vez al crearla.
+//
+// Registro: { id, nombre, prefijo, hash, scopes: [], cuotas: {}, activa, creado_en, actualizado_en }
+// `cuotas` se indexa por ruta ("/geocode_text") o "*" para el resto de rutas de la clave:
+//   { "*": { limite: 1000, ventana_min: 60 }, "/geocode_text": { limite: 200, ventana_min: 15 } }
+
+export const API_KEY_SCOPES = ['geocode', 'fare', 'admin']
+const KEY_PREFIX = 'av_'
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex')
+const isPositiveInteger = (v) => Number.isInteger(v) && v > 0
+
+function apiKeyError(message, code, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+export function validateApiKeyData(data, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || data.nombre !== undefined) {
+    if (typeof data.nombre !== 'string' || data.nombre.trim().length < 2) errors.push('nombre: requerido (texto).');
+  }
+  if (!partial || data.scopes !== undefined) {
+    if (!Array.isArray(data.scopes) || !data.scopes.length || data.scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+      errors.push(`scopes: arreglo no vacío con valores de ${API_KEY_SCOPES.join(', ')}.`);
+    }
+  }
+  if (data.cuotas !== undefined) {
+    if (!data.cuotas || typeof data.cuotas !== 'object' || Array.isArray(data.cuotas)) {
+      errors.push('cuotas: objeto { "<ruta>|*": { limite, ventana_min } }.');
+    } else {
+      for (const [route, quota] of Object.entries(data.cuotas)) {
+        if (route !== '*' && !route.startsWith('/')) errors.push(`cuotas.${route}: la ruta debe empezar con "/" o ser "*".`);
+        if (!isPositiveInteger(quota?.limite) || !isPositiveInteger(quota?.ventana_min)) {
+          errors.push(`cuotas.${route}: limite y ventana_min deben ser enteros positivos.`);
+        }
+      }
+    }
+  }
+  if (data.activa !== undefined && typeof data.activa !== 'boolean') errors.push('activa: debe ser booleano.');
+  return errors;
+}
+
+// Vista pública del registro (sin el hash).
+const publicView = ({ hash, ...apiKey }) => apiKey
+
+export function createApiKeyStore({ filePath }) {
+  const collection = createJsonCollection({ name: 'Claves de API', filePath });
+  const byHash = new Map();
+
+  function reindex() {
+    byHash.clear();
+    for (const apiKey of collection.all()) byHash.set(apiKey.hash, apiKey);
+  }
+
+  function requireApiKey(id) {
+    const apiKey = collection.get(id);
+    if (!apiKey) throw apiKeyError(`No existe la clave de API "${id}".`, 'API_KEY_NOT_FOUND');
+    return apiKey;
+  }
+
+  return {
+    filePath,
+
+    load() {
+      collection.load();
+      reindex();
+    },
+
+    size() {
+      return byHash.size;
+    },
+
+    list() {
+      return collection.all().map(publicView).sort((a, b) => a.nombre.localeCompare(b.nombre));
+    },
+
+    get(id) {
+      return publicView(requireApiKey(id));
+    },
+
+    // Devuelve la vista pública más `api_key`, que no se vuelve a mostrar.
+    create(data) {
+      const errors = validateApiKeyData(data || {});
+      if (errors.length) throw apiKeyError('Clave de API inválida.', 'INVALID_API_KEY_DATA', errors);
+
+      const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const apiKey = collection.save({
+        id: crypto.randomUUID(),
+        nombre: data.nombre.trim(),
+        prefijo: key.slice(0, 10),
+        hash: hashKey(key),
+        scopes: [...new Set(data.scopes)],
+        cuotas: data.cuotas || {},
+        activa: true,
+        creado_en: now,
+        actualizado_en: now
+      });
+      byHash.set(apiKey.hash, apiKey);
+      return { ...publicView(apiKey), api_key: key };
+    },
+
+    update(id, changes) {
+      const current = requireApiKey(id);
+      const errors = validateApiKeyData(changes || {}, { partial: true });
+      if (errors.length) throw apiKeyError('Clave de API inválida.', 'INVALID_API_KEY_DATA', errors);
+
+      const { nombre, scopes, cuotas, activa } = changes;
+      const apiKey = collection.save({
+        ...current,
+        ...(nombre !== undefined && { nombre: nombre.trim() }),
+        ...(scopes !== undefined && { scopes: [...new Set(scopes)] }),
+        ...(cuotas !== undefined && { cuotas }),
+        ...(activa !== undefined && { activa }),
+        actualizado_en: new Date().toISOString()
+      });
+      byHash.set(apiKey.hash, apiKey);
+      return publicView(apiKey);
+    },
+
+    remove(id) {
+      const apiKey = requireApiKey(id);
+      collection.remove(id);
+      byHash.delete(apiKey.hash);
+      return publicView(apiKey);
+    },
+
+    // Registro activo de la clave, o null.
+    authenticate(key) {
+      if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+      const apiKey = byHash.get(hashKey(key));
+      return apiKey?.activa ? apiKey : null;
+    }
+  };
+}
+
+// ───── Cuotas por clave y ruta ─────
+// Ventanas fijas en memoria (se reinician con el servidor). `defaultQuota` aplica a las rutas
+// sin cuota propia ni "*" en la clave.
+export function createQuotaTracker({ defaultQuota }) {
+  const windows = new Map();
+  const totals = new Map();
+  const lastUsed = new Map();
+
+  const quotaFor = (apiKey, route) => apiKey.cuotas?.[route] || apiKey.cuotas?.['*'] || defaultQuota;
+  // Las rutas con cuota propia cuentan aparte; las demás comparten la ventana de "*".
+  const bucketFor = (apiKey, route) => apiKey.cuotas?.[route] ? route : '*';
+
+  return {
+    // { permitido, limite, restantes, reinicia_en (ms epoch) }. `cost` es lo que vale la
+    // petición en la ventana (p. ej. una por entrada de /geocode_batch); si no cabe completa
+    // se rechaza sin gastar nada.
+    consume(apiKey, route, now = Date.now(), cost = 1) {
+      const quota = quotaFor(apiKey, route);
+      const windowKey = `${apiKey.id} ${bucketFor(apiKey, route)}`;
+      let current = windows.get(windowKey);
+      if (!current || current.reinicia_en <= now) {
+        current = { usadas: 0, reinicia_en: now + quota.ventana_min * 60 * 1000 };
+        windows.set(windowKey, current);
+      }
+
+      const totalKey = `${apiKey.id} ${route}`;
+      const total = totals.get(totalKey) || { solicitudes: 0, rechazadas: 0 };
+      totals.set(totalKey, total);
+      total.solicitudes++;
+      lastUsed.set(apiKey.id, now);
+
+      const permitido = current.usadas + cost <= quota.limite;
+      if (permitido) current.usadas += cost;
+      else total.rechazadas++;
+      return { permitido, limite: quota.limite, restantes: Math.max(0, quota.limite - current.usadas), reinicia_en: current.reinicia_en };
+    },
+
+    // Contadores de la clave desde el arranque: totales por ruta, ventanas vigentes y último uso.
+    usage(apiKey, now = Date.now()) {
+      const prefix = `${apiKey.id} `;
+      const rutas = {};
+      for (const [key, total] of totals) {
+        if (key.startsWith(prefix)) rutas[key.slice(prefix.length)] = { ...total };
+      }
+      const ventanas = {};
+      for (const [key, window] of windows) {
+        if (!key.startsWith(prefix) || window.reinicia_en <= now) continue;
+        const bucket = key.slice(prefix.length);
+        const quota = bucket === '*' ? (apiKey.cuotas?.['*'] || defaultQuota) : apiKey.cuotas?.[bucket] || defaultQuota;
+        ventanas[bucket] = { usadas: window.usadas, limite: quota.limite, ventana_min: quota.ventana_min, reinicia_en: new Date(window.reinicia_en).toISOString() };
+      }
+      const ultimo = lastUsed.get(apiKey.id);
+      return { ultimo_uso: ultimo ? new Date(ultimo).toISOString() : null, rutas, ventanas };
+    },
+
+    forget(apiKey) {
+      const prefix = `${apiKey.id} `;
+      lastUsed.delete(apiKey.id);
+      for (const map of [windows, totals]) {
+        for (const key of map.keys()) if (key.startsWith(prefix)) map.delete(key);
+      }
+    }
+  };
+}
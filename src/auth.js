@@ -0,0 +1,101 @@
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// ───── Autenticación de administración ─────
+// Protege endpoints con el token de ADMIN_TOKEN (header `Authorization: Bearer <token>`).
+// Si ADMIN_TOKEN no está configurado los endpoints quedan deshabilitados.
+export function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Administración deshabilitada: ADMIN_TOKEN no configurado.', code: 'ADMIN_DISABLED' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    logger.warn(`Intento de acceso de administración no autorizado a ${req.method} ${req.originalUrl} desde ${req.ip}`);
+    return res.status(401).json({ error: 'No autorizado.', code: 'UNAUTHORIZED' });
+  }
+  next();
+}
+
+function hasAdminToken(req) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return !!adminToken && scheme === 'Bearer' && !!token && safeEqual(token, adminToken);
+}
+
+// ───── Claves de API ─────
+// `identify` (global) lee `X-API-Key` y deja el registro en `req.apiKey`; una clave inválida o
+// desactivada se rechaza aunque la ruta no la requiera. `requireScope(scope)` exige la clave (si
+// `required`), el permiso y la cuota de la ruta; el token de administración pasa sin cuota.
+// Opciones de `requireScope`: `keyRequired` exige la clave aunque `required` sea false, y
+// `cost(req)` es cuánto descuenta la petición de la cuota (1 por defecto).
+// Los headers RateLimit-* siguen el mismo formato que express-rate-limit (segundos para el reinicio).
+// `streamTokens` (ver src/realtime.js) verifica el `access_token` de corta duración de la central.
+export function createApiKeyAuth({ store, quotas, required = true, streamTokens = null }) {
+  function identify(req, res, next) {
+    const key = req.get('x-api-key');
+    if (!key) return next();
+    const apiKey = store.authenticate(key);
+    if (!apiKey) {
+      logger.warn(`Clave de API inválida (${key.slice(0, 10)}…) en ${req.method} ${req.originalUrl} desde ${req.ip}`);
+      return res.status(401).json({ error: 'Clave de API inválida o desactivada.', code: 'INVALID_API_KEY' });
+    }
+    req.apiKey = apiKey;
+    next();
+  }
+
+  function applyQuota(req, res, next, cost = 1) {
+    const { permitido, limite, restantes, reinicia_en } = quotas.consume(req.apiKey, req.route?.path || req.path, Date.now(), cost);
+    const resetSeconds = Math.max(0, Math.ceil((reinicia_en - Date.now()) / 1000));
+    res.set({ 'RateLimit-Limit': String(limite), 'RateLimit-Remaining': String(restantes), 'RateLimit-Reset': String(resetSeconds) });
+    if (!permitido) {
+      res.set('Retry-After', String(resetSeconds));
+      logger.warn(`Cuota agotada para la clave "${req.apiKey.nombre}" en ${req.method} ${req.originalUrl}`);
+      return res.status(429).json({ error: 'Cuota de la clave de API agotada para esta ruta, intenta de nuevo más tarde.', code: 'API_KEY_QUOTA_EXCEEDED' });
+    }
+    next();
+  }
+
+  function requireScope(scope, { keyRequired = false, cost = null } = {}) {
+    return (req, res, next) => {
+      if (hasAdminToken(req)) return next();
+      if (!req.apiKey) {
+        // Sin claves obligatorias, las peticiones anónimas quedan bajo el límite por IP.
+        if (!required && !keyRequired) return next();
+        return res.status(401).json({ error: 'Se requiere una clave de API (header X-API-Key).', code: 'API_KEY_REQUIRED' });
+      }
+      if (!req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `La clave de API no tiene el permiso "${scope}".`, code: 'INSUFFICIENT_SCOPE' });
+      }
+      applyQuota(req, res, next, cost ? cost(req) : 1);
+    };
+  }
+
+  // Token de administración o clave con permiso `admin` (con su cuota). Como en requireScope, el
+  // token vale aunque la petición traiga también una clave sin ese permiso.
+  function requireAdminAccess(req, res, next) {
+    if (hasAdminToken(req)) return next();
+    if (!req.apiKey) return requireAdmin(req, res, next);
+    if (!req.apiKey.scopes.includes('admin')) {
+      return res.status(403).json({ error: 'La clave de API no tiene el permiso "admin".', code: 'INSUFFICIENT_SCOPE' });
+    }
+    applyQuota(req, res, next);
+  }
+
+  // Para streams de eventos, que no pasan por requireAdmin: token de administración o clave con
+  // permiso `admin` en headers, o un `access_token` de corta duración en la URL (EventSource no
+  // permite headers). El ADMIN_TOKEN nunca se acepta en la URL: quedaría en logs y proxies.
+  function isAdminRequest(req) {
+    if (hasAdminToken(req) || req.apiKey?.scopes.includes('admin')) return true;
+    return !!streamTokens?.verify(req.query.access_token, 'dispatch');
+  }
+
+  return { identify, requireScope, requireAdmin: requireAdminAccess, isAdminRequest };
+}
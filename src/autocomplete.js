@@ -0,0 +1,79 @@
+import { normalizeText, levenshtein, STOPWORDS } from './poiMatcher.js'
+import { straightDistanceKm } from './geo.js'
+
+// ───── Autocompletado de destinos ─────
+// A diferencia de matchPois, el texto del usuario puede estar incompleto ("cated", "av insur"),
+// así que cada palabra se compara contra el inicio de las palabras del candidato.
+
+export const AUTOCOMPLETE_MIN_SCORE = 0.6
+
+const queryTokens = (text) => normalizeText(text).split(' ').filter(t => t && !STOPWORDS.has(t))
+
+// Similitud 0..1 entre una palabra (posiblemente incompleta) y el inicio de otra.
+function prefixSimilarity(partial, word) {
+  if (word.startsWith(partial)) return 1;
+  if (partial.length <= 3) return 0;
+  const allowed = partial.length <= 6 ? 1 : 2;
+  const dist = levenshtein(partial, word.slice(0, partial.length));
+  return dist <= allowed ? 1 - dist / partial.length : 0;
+}
+
+// Promedio de la mejor coincidencia de cada palabra de la consulta; 0 si alguna no coincide.
+export function scoreQuery(query, text) {
+  const tokens = Array.isArray(query) ? query : queryTokens(query);
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (!tokens.length || !words.length) return 0;
+
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(...words.map(word => prefixSimilarity(token, word)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / tokens.length;
+}
+
+// Peso de cada fuente: los POIs curados y los destinos reales de viajes van primero.
+const SOURCE_BONUS = { poi: 0.1, historial: 0.05, cache: 0, proveedor: 0 }
+
+// `candidates`: [{ tipo, nombre?, textos: [...], direccion, lat, lon, relevancia? }], donde
+// `relevancia` es un puntaje de texto mínimo (p. ej. resultados que el proveedor ya consideró
+// relevantes aunque su dirección no contenga las palabras de la consulta). Devuelve los mejores
+// `limit` con puntaje = 75% texto + 25% cercanía a `origin` (si se conoce) + bono por fuente,
+// sin duplicados (misma dirección o a menos de 30 m).
+export function rankSuggestions(query, candidates, { origin = null, limit = 8, minScore = AUTOCOMPLETE_MIN_SCORE } = {}) {
+  const tokens = queryTokens(query);
+  if (!tokens.length) return [];
+
+  const scored = [];
+  for (const candidate of candidates) {
+    const texto = Math.max(candidate.relevancia || 0, ...candidate.textos.map(t => scoreQuery(tokens, t)));
+    if (texto < minScore) continue;
+
+    const distancia_km = origin ? straightDistanceKm(origin, candidate) : null;
+    const cercania = distancia_km == null ? 0.5 : 1 / (1 + distancia_km / 5);
+    const puntaje = 0.75 * texto + 0.25 * cercania + (SOURCE_BONUS[candidate.tipo] || 0);
+    scored.push({ candidate, distancia_km, puntaje });
+  }
+  scored.sort((a, b) => b.puntaje - a.puntaje);
+
+  const results = [];
+  for (const { candidate, distancia_km, puntaje } of scored) {
+    const duplicate = results.some(r =>
+      normalizeText(r.direccion) === normalizeText(candidate.direccion) ||
+      straightDistanceKm(r, candidate) < 0.03
+    );
+    if (duplicate) continue;
+    results.push({
+      tipo: candidate.tipo,
+      ...(candidate.nombre && { nombre: candidate.nombre }),
+      direccion: candidate.direccion,
+      lat: candidate.lat,
+      lon: candidate.lon,
+      ...(distancia_km != null && { distancia_km }),
+      puntaje: parseFloat(puntaje.toFixed(3))
+    });
+    if (results.length >= limit) break;
+  }
+  return results;
+}
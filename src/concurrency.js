@@ -0,0 +1,28 @@
+// ───── Concurrencia acotada ─────
+// Ejecuta `fn(item, index)` para cada elemento con a lo más `concurrency` tareas en curso
+// y al menos `minIntervalMs` entre el inicio de dos tareas (para no saturar a los
+// proveedores externos). Devuelve los resultados en el orden de `items`; si `fn` lanza
+// un error se propaga, así que cada tarea debe capturar sus propios errores.
+export async function mapWithConcurrency(items, fn, { concurrency = 3, minIntervalMs = 0 } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let lastStart = 0;
+
+  async function waitTurn() {
+    const wait = lastStart + minIntervalMs - Date.now();
+    lastStart = Math.max(Date.now(), lastStart + minIntervalMs);
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      await waitTurn();
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,55 @@
+import fs from 'fs'
+import { logger } from './logger.js'
+import { readJsonFile, writeJsonFileAtomic } from './jsonFile.js'
+
+// ───── Archivo de configuración JSON con validación y recarga en caliente ─────
+// `validate(config)` devuelve la lista de errores (vacía si es válida).
+export function createJsonConfigStore({ name, filePath, validate, watchIntervalMs = 2000 }) {
+  let config = null;
+  let loadedAt = null;
+
+  function apply(candidate, origin) {
+    const errors = validate(candidate);
+    if (errors.length) {
+      const err = new Error(`Configuración de ${name} inválida (${origin}).`);
+      err.details = errors;
+      throw err;
+    }
+    config = candidate;
+    loadedAt = new Date();
+  }
+
+  function load() {
+    apply(readJsonFile(filePath), filePath);
+    return config;
+  }
+
+  return {
+    filePath,
+
+    load,
+
+    get: () => config,
+
+    loadedAt: () => loadedAt,
+
+    // Recarga automática cuando el archivo cambia; si la nueva versión es inválida se conserva la anterior.
+    watch(onReload = () => {}) {
+      fs.watchFile(filePath, { interval: watchIntervalMs }, (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs) return;
+        try {
+          onReload(load());
+        } catch (err) {
+          logger.error(`No se recargó la configuración de ${name}, se conserva la anterior: ${err.message}`, err.details || '');
+        }
+      });
+    },
+
+    // Valida, aplica y persiste en disco una configuración completa.
+    replace(candidate) {
+      apply(candidate, 'admin');
+      writeJsonFileAtomic(filePath, candidate);
+      return config;
+    }
+  };
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto'
+import { createJsonCollection } from './jsonCollection.js'
+import { straightDistanceKm } from './geo.js'
+
+export const VEHICLE_TYPES = ['sedan', 'hatchback', 'suv', 'van']
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+
+// Credencial del dispositivo del conductor para reportar su ubicación. En disco solo se guarda
+// su SHA-256 (`token_hash`); el token completo se muestra una vez, al registrar o al renovarlo.
+const TOKEN_PREFIX = 'cd_'
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+const newToken = () => TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+// Vista pública del registro (sin el hash del token).
+const publicView = ({ token_hash, ...driver }) => driver
+
+function driverError(message, code, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+export function validateDriver(driver) {
+  const errors = [];
+  if (typeof driver.nombre !== 'string' || driver.nombre.trim().length < 2) errors.push('nombre: requerido (texto).');
+  if (typeof driver.telefono !== 'string' || driver.telefono.trim().length < 10) errors.push('telefono: requerido (al menos 10 dígitos).');
+  if (typeof driver.placa !== 'string' || !/^[A-Z0-9-]{5,10}$/i.test(driver.placa.trim())) errors.push('placa: requerida (5 a 10 letras, números o guiones).');
+  if (!VEHICLE_TYPES.includes(driver.tipo_vehiculo)) errors.push(`tipo_vehiculo: debe ser uno de ${VEHICLE_TYPES.join(', ')}.`);
+  return errors;
+}
+
+// ───── Registro de conductores ─────
+// `staleAfterMs`: una ubicación más antigua que esto no se considera para asignar viajes.
+// Las posiciones de los latidos viven en memoria y se escriben cada `flushIntervalMs` (ver
+// startFlushing); los cambios de disponibilidad y los registros se guardan al momento.
+export function createDriverStore({ filePath, staleAfterMs = 2 * 60 * 1000, flushIntervalMs = 15 * 1000 }) {
+  const collection = createJsonCollection({ name: 'Conductores', filePath });
+
+  function requireDriver(id) {
+    const driver = collection.get(id);
+    if (!driver) throw driverError(`No existe el conductor "${id}".`, 'DRIVER_NOT_FOUND');
+    return driver;
+  }
+
+  return {
+    filePath,
+
+    staleAfterMs,
+
+    load: collection.load,
+
+    flush: collection.flush,
+
+    // Inicia la escritura periódica de posiciones; devuelve la función para detenerla.
+    startFlushing() {
+      const timer = setInterval(() => collection.flush(), flushIntervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+
+    get(id) {
+      return publicView(requireDriver(id));
+    },
+
+    list() {
+      return collection.all().map(publicView).sort((a, b) => a.nombre.localeCompare(b.nombre));
+    },
+
+    register(data) {
+      const errors = validateDriver(data || {});
+      if (errors.length) throw driverError('Conductor inválido.', 'INVALID_DRIVER', errors);
+
+      const telefono = data.telefono.trim();
+      const existing = collection.all().find(d => d.telefono === telefono);
+      if (existing) throw driverError(`Ya existe un conductor con el teléfono ${telefono}.`, 'DRIVER_ALREADY_EXISTS', { conductor_id: existing.id });
+
+      const token = newToken();
+      const driver = collection.save({
+        id: crypto.randomUUID(),
+        nombre: data.nombre.trim(),
+        telefono,
+        placa: data.placa.trim().toUpperCase(),
+        tipo_vehiculo: data.tipo_vehiculo,
+        disponible: false,
+        ubicacion: null,
+        token_hash: hashToken(token),
+        creado_en: new Date().toISOString()
+      });
+      return { ...publicView(driver), token_conductor: token };
+    },
+
+    // Invalida el token anterior (dispositivo perdido, conductores registrados antes de los tokens).
+    rotateToken(id) {
+      const token = newToken();
+      const driver = collection.save({ ...requireDriver(id), token_hash: hashToken(token) });
+      return { ...publicView(driver), token_conductor: token };
+    },
+
+    // true si `token` es el del conductor `id`.
+    authenticate(id, token) {
+      const driver = collection.get(id);
+      if (!driver?.token_hash || typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return false;
+      const expected = Buffer.from(driver.token_hash);
+      const received = Buffer.from(hashToken(token));
+      return crypto.timingSafeEqual(expected, received);
+    },
+
+    // Latido del conductor: ubicación actual y, opcionalmente, si acepta viajes.
+    updateLocation(id, { lat, lon, disponible }) {
+      const driver = requireDriver(id);
+      if (!isNumber(lat) || !isNumber(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        throw driverError('Coordenadas inválidas.', 'INVALID_DRIVER', ['lat/lon: requeridos (números válidos).']);
+      }
+      if (disponible != null && typeof disponible !== 'boolean') {
+        throw driverError('Disponibilidad inválida.', 'INVALID_DRIVER', ['disponible: debe ser booleano.']);
+      }
+      const updated = {
+        ...driver,
+        disponible: disponible ?? driver.disponible,
+        ubicacion: { lat, lon, actualizada_en: new Date().toISOString() }
+      };
+      return publicView(updated.disponible !== driver.disponible ? collection.save(updated) : collection.saveDeferred(updated));
+    },
+
+    isStale(driver, now = Date.now()) {
+      return !driver.ubicacion || now - new Date(driver.ubicacion.actualizada_en).getTime() > staleAfterMs;
+    },
+
+    // Conductores disponibles, con ubicación reciente y sin viaje activo, del más cercano al más lejano.
+    nearest({ lat, lon }, { limit = 5, isBusy = () => false } = {}) {
+      const now = Date.now();
+      return collection.all()
+        .filter(d => d.disponible && !this.isStale(d, now) && !isBusy(d.id))
+        .map(d => ({ ...publicView(d), distancia_km: straightDistanceKm({ lat, lon }, d.ubicacion) }))
+        .sort((a, b) => a.distancia_km - b.distancia_km)
+        .slice(0, limit);
+    }
+  };
+}
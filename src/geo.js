@@ -0,0 +1,8 @@
+import { getDistance } from 'geolib'
+
+// ───── Distancia en línea recta ─────
+// Distancia geodésica (geolib) en km entre dos puntos { lat, lon }, con 2 decimales.
+export function straightDistanceKm(from, to) {
+  const meters = getDistance({ latitude: from.lat, longitude: from.lon }, { latitude: to.lat, longitude: to.lon });
+  return parseFloat((meters / 1000).toFixed(2));
+}
@@ -0,0 +1,178 @@
+import fs from 'fs'
+import path from 'path'
+import { LRUCache } from 'lru-cache'
+import { logger } from './logger.js'
+
+// ───── Backends de persistencia ─────
+// Un backend guarda las entradas fuera del proceso para que sobrevivan a reinicios.
+// Interfaz (todas las funciones pueden ser asíncronas):
+//   load()                      → [{ key, value, expiresAt }] con las entradas vigentes
+//   set(key, value, expiresAt)  → guarda o reemplaza una entrada
+//   delete(key)                 → elimina una entrada
+//   compact?(entries)           → opcional, reescribe el almacenamiento con `entries`
+
+// Sin persistencia: equivale a la caché en memoria de siempre.
+export function createMemoryCacheBackend() {
+  return {
+    name: 'memory',
+    load: () => [],
+    set: () => {},
+    delete: () => {}
+  };
+}
+
+// Bitácora JSONL: cada escritura agrega una línea ({ k, v, e } o { k, d: 1 }), así que
+// escribir es barato y un corte a media escritura solo pierde la última línea. Al cargar,
+// y cuando la bitácora crece mucho, se reescribe solo con las entradas vigentes.
+export function createFileCacheBackend({ filePath }) {
+  let lines = 0;
+
+  function append(record) {
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    lines++;
+  }
+
+  return {
+    name: 'file',
+    filePath,
+
+    load() {
+      if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        return [];
+      }
+
+      const entries = new Map();
+      let invalid = 0;
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.d) entries.delete(record.k);
+          else entries.set(record.k, { key: record.k, value: record.v, expiresAt: record.e });
+        } catch {
+          invalid++;
+        }
+      }
+      if (invalid) logger.warn(`Caché de geocodificación: ${invalid} líneas inválidas ignoradas en ${filePath}`);
+
+      const now = Date.now();
+      const live = [...entries.values()].filter(e => e.expiresAt > now);
+      this.compact(live);
+      return live;
+    },
+
+    set(key, value, expiresAt) {
+      append({ k: key, v: value, e: expiresAt });
+    },
+
+    delete(key) {
+      append({ k: key, d: 1 });
+    },
+
+    // Reescritura atómica (temporal + rename) con las entradas vigentes.
+    compact(entries) {
+      const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+      fs.writeFileSync(tmpPath, entries.map(e => JSON.stringify({ k: e.key, v: e.value, e: e.expiresAt }) + '\n').join(''));
+      fs.renameSync(tmpPath, filePath);
+      lines = entries.length;
+    },
+
+    lines: () => lines
+  };
+}
+
+// ───── Caché de geocodificación ─────
+// LRU en memoria para lecturas síncronas, con escritura inmediata (write-through) al backend.
+// El TTL depende del prefijo de la clave: `geocode:` (texto → coordenadas), `reverse:`
+// (coordenadas → dirección) y `link:` (enlaces cortos resueltos).
+export function createGeoCache({ backend = createMemoryCacheBackend(), max = 5000, ttls }) {
+  const ttlFor = (key) => ttls[key.slice(0, key.indexOf(':'))] ?? ttls.default;
+
+  const persist = (action, fn) => {
+    Promise.resolve()
+      .then(fn)
+      .catch(err => logger.error(`Caché de geocodificación: error al ${action} en backend ${backend.name}: ${err.message}`));
+  };
+
+  // Las entradas desalojadas por tamaño también salen del backend.
+  const lru = new LRUCache({
+    max,
+    dispose: (value, key, reason) => {
+      if (reason === 'evict') persist('eliminar', () => backend.delete(key));
+    }
+  });
+
+  function entries(prefix = '') {
+    const now = Date.now();
+    return [...lru.keys()]
+      .filter(key => key.startsWith(prefix) && lru.has(key))
+      .map(key => ({ key, value: lru.peek(key), expiresAt: now + lru.getRemainingTTL(key) }));
+  }
+
+  // Compacta la bitácora cuando tiene muchas más líneas que entradas vigentes.
+  async function maybeCompact() {
+    if (backend.compact && backend.lines?.() > Math.max(1000, lru.size * 4)) {
+      await backend.compact(entries());
+    }
+  }
+
+  return {
+    backend: backend.name,
+    max,
+    ttls,
+
+    async load() {
+      const now = Date.now();
+      const loaded = (await backend.load())
+        .filter(e => e.expiresAt > now)
+        .sort((a, b) => a.expiresAt - b.expiresAt);
+      for (const { key, value, expiresAt } of loaded.slice(-max)) {
+        lru.set(key, value, { ttl: expiresAt - now });
+      }
+      logger.info(`Caché de geocodificación (${backend.name}): ${lru.size} entradas recuperadas`);
+    },
+
+    has: (key) => lru.has(key),
+    get: (key) => lru.get(key),
+    peek: (key) => lru.peek(key),
+    keys: () => [...lru.keys()].filter(key => lru.has(key)),
+    get size() {
+      return lru.size;
+    },
+
+    set(key, value) {
+      const ttl = ttlFor(key);
+      lru.set(key, value, { ttl });
+      persist('guardar', async () => {
+        await backend.set(key, value, Date.now() + ttl);
+        await maybeCompact();
+      });
+    },
+
+    delete(key) {
+      const existed = lru.delete(key);
+      if (existed) persist('eliminar', () => backend.delete(key));
+      return existed;
+    },
+
+    entries,
+
+    // Elimina todas las entradas cuya clave empieza con `prefix`; devuelve cuántas eran.
+    purge(prefix) {
+      const keys = entries(prefix).map(e => e.key);
+      keys.forEach(key => this.delete(key));
+      return keys.length;
+    },
+
+    // Conteo de entradas por prefijo (geocode, reverse, link, ...).
+    stats() {
+      const porPrefijo = {};
+      for (const key of this.keys()) {
+        const prefix = key.slice(0, key.indexOf(':'));
+        porPrefijo[prefix] = (porPrefijo[prefix] || 0) + 1;
+      }
+      return { backend: backend.name, entradas: lru.size, max, por_prefijo: porPrefijo };
+    }
+  };
+}
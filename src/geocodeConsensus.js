@@ -0,0 +1,61 @@
+import { straightDistanceKm } from './geo.js'
+
+// ───── Consenso entre proveedores de geocodificación ─────
+// Con varios resultados para la misma dirección (OpenCage, Mapbox, Nominatim, local) se
+// comparan sus posiciones: los que caen a menos de `agreeWithinM` se respaldan entre sí y su
+// confianza combinada es 1 - Π(1 - confianza), así que dos proveedores de acuerdo con 0.7
+// valen 0.91. Gana el grupo con mayor confianza combinada (en empate, el más numeroso).
+// Un resultado a más de `disagreeBeyondM` del ganador es un desacuerdo, y si su confianza es
+// cercana a la del ganador (`ambiguityMargin`) la dirección se marca como ambigua para pedir
+// confirmación.
+
+export const CONSENSUS_DEFAULTS = { agreeWithinM: 150, disagreeBeyondM: 1000, ambiguityMargin: 0.25 }
+
+const distanceM = (a, b) => Math.round(straightDistanceKm(a, b) * 1000)
+const combine = (group) => 1 - group.reduce((p, r) => p * (1 - Math.min(1, Math.max(0, r.confianza || 0))), 1)
+const round3 = (n) => parseFloat(n.toFixed(3))
+
+// Devuelve el mejor resultado con `consenso`:
+//   { estado: 'unico' | 'acuerdo' | 'cercano' | 'desacuerdo', ambiguo, confianza, proveedores,
+//     distancia_m, alternativa: { direccion, lat, lon, fuente, confianza, distancia_m } | null }
+// `cercano`: el otro resultado está entre `agreeWithinM` y `disagreeBeyondM` (misma zona, otra cuadra).
+export function fuseGeocodeResults(results, options = {}) {
+  const { agreeWithinM, disagreeBeyondM, ambiguityMargin } = { ...CONSENSUS_DEFAULTS, ...options };
+  if (!results.length) return null;
+
+  const groups = results.map(candidate => {
+    const group = results.filter(r => r === candidate || distanceM(candidate, r) <= agreeWithinM);
+    return { candidate, group, score: combine(group) };
+  });
+  groups.sort((a, b) => b.score - a.score || b.group.length - a.group.length || b.candidate.confianza - a.candidate.confianza);
+  const { candidate: best, group, score } = groups[0];
+
+  // El rival más fuerte fuera del grupo ganador, con la confianza combinada de su propio grupo.
+  const rival = groups
+    .filter(g => !group.includes(g.candidate))
+    .sort((a, b) => b.score - a.score)[0] || null;
+  const rivalDistance = rival ? distanceM(best, rival.candidate) : null;
+
+  let estado = 'unico';
+  if (rival) estado = rivalDistance > disagreeBeyondM ? 'desacuerdo' : 'cercano';
+  else if (group.length > 1) estado = 'acuerdo';
+
+  return {
+    ...best,
+    consenso: {
+      estado,
+      ambiguo: estado === 'desacuerdo' && rival.score >= score - ambiguityMargin,
+      confianza: round3(score),
+      proveedores: group.map(r => r.source),
+      distancia_m: rival ? rivalDistance : Math.max(0, ...group.map(r => distanceM(best, r))),
+      alternativa: rival && {
+        direccion: rival.candidate.direccion,
+        lat: rival.candidate.lat,
+        lon: rival.candidate.lon,
+        fuente: rival.candidate.source,
+        confianza: round3(rival.score),
+        distancia_m: rivalDistance
+      }
+    }
+  };
+}
@@ -0,0 +1,385 @@
+import axios from 'axios'
+import { logger } from './logger.js'
+
+const HEADERS = { 'User-Agent': 'TaxiBot-API/1.1' }
+
+// ───── Proveedores de Geocodificación ─────
+// Todos los proveedores exponen `name`, `forward(address)` y `reverse(lat, lon)`. Devuelven
+// null si no hay resultado y lanzan error si el servicio falla (red, cuota, autenticación).
+// Forma del resultado:
+//   { lat, lon, direccion, source, quality, confianza, components, sugerencias?, alternativas? }
+// `quality` es el puntaje propio del proveedor (OpenCage 0-10, Mapbox 0-1) y `confianza`
+// el mismo puntaje normalizado a 0..1 para poder compararlos entre proveedores.
+
+const inBoundsFor = ([latS, lonW, latN, lonE]) => (lat, lon) => lat >= latS && lat <= latN && lon >= lonW && lon <= lonE
+
+// `bounds` = [latS, lonW, latN, lonE]; `proximity` = { lat, lon } para sesgar los resultados.
+export function createOpenCageGeocoder({ apiKey, bounds, proximity, timeout = 6000 }) {
+  const inBounds = inBoundsFor(bounds);
+  const [latS, lonW, latN, lonE] = bounds;
+
+  return {
+    name: 'opencage',
+
+    async forward(address) {
+      const url = `https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(address)}&key=${apiKey}&language=es&limit=5&no_annotations=0&proximity=${proximity.lat},${proximity.lon}&bounds=${lonW},${latS},${lonE},${latN}&countrycode=mx`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      const best = data.results?.find(r => inBounds(r.geometry.lat, r.geometry.lng));
+      if (!best) return null;
+      const others = data.results.filter(r => r !== best);
+      return {
+        lat: best.geometry.lat,
+        lon: best.geometry.lng,
+        direccion: best.formatted,
+        source: 'opencage',
+        quality: best.confidence || 0,
+        confianza: (best.confidence || 0) / 10,
+        components: best.components,
+        sugerencias: others.map(r => r.formatted).slice(0, 2),
+        alternativas: others.map(r => ({ direccion: r.formatted, lat: r.geometry.lat, lon: r.geometry.lng }))
+      };
+    },
+
+    async reverse(lat, lon) {
+      const url = `https://api.opencagedata.com/geocode/v1/json?q=${lat}+${lon}&key=${apiKey}&language=es&limit=1&no_annotations=0&countrycode=mx`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      const best = data.results?.[0];
+      if (!best) return null;
+      return {
+        direccion: best.formatted,
+        source: 'opencage_reverse',
+        quality: best.confidence || 0,
+        confianza: (best.confidence || 0) / 10,
+        components: best.components
+      };
+    }
+  };
+}
+
+function mapboxComponents(feature) {
+  return feature.context?.reduce((acc, ctx) => {
+    if (ctx.id.startsWith('postcode')) acc.postcode = ctx.text;
+    if (ctx.id.startsWith('place')) acc.city = ctx.text;
+    if (ctx.id.startsWith('locality')) acc.locality = ctx.text;
+    if (ctx.id.startsWith('neighborhood')) acc.suburb = ctx.text;
+    if (ctx.id.startsWith('district')) acc.district = ctx.text;
+    if (ctx.id.startsWith('address')) acc.house_number = ctx.text.match(/^(\d+)/)?.[1];
+    if (ctx.id.startsWith('street')) acc.road = ctx.text;
+    return acc;
+  }, { city: feature.context?.find(c => c.id.startsWith('place'))?.text });
+}
+
+export function createMapboxGeocoder({ accessToken, bounds, proximity, timeout = 6000 }) {
+  const inBounds = inBoundsFor(bounds);
+  const [latS, lonW, latN, lonE] = bounds;
+  const baseUrl = 'https://api.mapbox.com/geocoding/v5/mapbox.places';
+
+  return {
+    name: 'mapbox',
+
+    async forward(address) {
+      const url = `${baseUrl}/${encodeURIComponent(address)}.json?language=es&limit=5&access_token=${accessToken}&proximity=${proximity.lon},${proximity.lat}&bbox=${lonW},${latS},${lonE},${latN}&country=mx&types=poi,address,neighborhood,locality,place,district,postcode,region`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      const best = data.features?.find(f => inBounds(f.center[1], f.center[0]));
+      if (!best) return null;
+      const others = data.features.filter(f => f !== best);
+      return {
+        lat: best.center[1],
+        lon: best.center[0],
+        direccion: best.place_name,
+        source: 'mapbox',
+        quality: best.relevance || 0,
+        confianza: best.relevance || 0,
+        components: mapboxComponents(best),
+        place_type: best.place_type,
+        sugerencias: others.map(f => f.place_name).slice(0, 2),
+        alternativas: others.map(f => ({ direccion: f.place_name, lat: f.center[1], lon: f.center[0] }))
+      };
+    },
+
+    // La v5 rechaza (422) `limit` con varios `types` en reverse; sin `limit` devuelve un
+    // resultado por tipo, del más específico al más general.
+    async reverse(lat, lon) {
+      const url = `${baseUrl}/${lon},${lat}.json?language=es&access_token=${accessToken}&types=address,poi,neighborhood,locality,place`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      const best = data.features?.[0];
+      if (!best) return null;
+      return {
+        direccion: best.place_name,
+        source: 'mapbox_reverse',
+        quality: best.relevance || 0,
+        confianza: best.relevance || 0,
+        components: mapboxComponents(best)
+      };
+    }
+  };
+}
+
+// Compatible con la API de Nominatim (OpenStreetMap), pública o autoalojada. La instancia
+// pública exige User-Agent identificable y máximo 1 petición por segundo.
+export function createNominatimGeocoder({ baseUrl, email = null, bounds, timeout = 6000 }) {
+  const inBounds = inBoundsFor(bounds);
+  const [latS, lonW, latN, lonE] = bounds;
+  const root = baseUrl.replace(/\/+$/, '');
+  const common = `format=jsonv2&addressdetails=1&accept-language=es${email ? `&email=${encodeURIComponent(email)}` : ''}`;
+
+  // place_rank 30 = edificio/número, 26-27 = calle, ~20 = colonia, <=16 = ciudad o más amplio.
+  const confidence = (r) => Math.min(1, (Number(r.place_rank) || 0) / 30);
+  const components = (a = {}) => ({
+    road: a.road,
+    house_number: a.house_number,
+    suburb: a.suburb || a.neighbourhood,
+    city: a.city || a.town || a.village,
+    postcode: a.postcode,
+    state: a.state
+  });
+
+  return {
+    name: 'nominatim',
+
+    async forward(address) {
+      const url = `${root}/search?q=${encodeURIComponent(address)}&${common}&limit=5&countrycodes=mx&viewbox=${lonW},${latN},${lonE},${latS}&bounded=1`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      const results = (Array.isArray(data) ? data : []).filter(r => inBounds(Number(r.lat), Number(r.lon)));
+      const [best, ...others] = results;
+      if (!best) return null;
+      return {
+        lat: Number(best.lat),
+        lon: Number(best.lon),
+        direccion: best.display_name,
+        source: 'nominatim',
+        quality: confidence(best),
+        confianza: confidence(best),
+        components: components(best.address),
+        sugerencias: others.map(r => r.display_name).slice(0, 2),
+        alternativas: others.map(r => ({ direccion: r.display_name, lat: Number(r.lat), lon: Number(r.lon) }))
+      };
+    },
+
+    async reverse(lat, lon) {
+      const url = `${root}/reverse?lat=${lat}&lon=${lon}&zoom=18&${common}`;
+      const { data } = await axios.get(url, { timeout, headers: HEADERS });
+
+      if (!data || data.error || !data.display_name) return null;
+      return {
+        direccion: data.display_name,
+        source: 'nominatim_reverse',
+        quality: confidence(data),
+        confianza: confidence(data),
+        components: components(data.address)
+      };
+    }
+  };
+}
+
+// ───── Circuit breaker ─────
+// Tras `failureThreshold` fallos seguidos el proveedor se salta durante `cooldownMs`; luego
+// se permite una sola petición de prueba (semiabierto) que lo cierra si funciona; las demás se
+// rechazan mientras la prueba está en curso.
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+  let estado = 'cerrado';
+  let fallos = 0;
+  let abiertoEn = null;
+  let probando = false;
+
+  return {
+    // Cada `true` en estado semiabierto reserva la prueba: el llamador debe reportar success() o failure().
+    canRequest(now = Date.now()) {
+      if (estado === 'abierto' && now - abiertoEn >= cooldownMs) estado = 'semiabierto';
+      if (estado === 'abierto') return false;
+      if (estado === 'semiabierto') {
+        if (probando) return false;
+        probando = true;
+      }
+      return true;
+    },
+
+    success() {
+      estado = 'cerrado';
+      fallos = 0;
+      abiertoEn = null;
+      probando = false;
+    },
+
+    failure(now = Date.now()) {
+      fallos++;
+      probando = false;
+      if (estado === 'semiabierto' || fallos >= failureThreshold) {
+        estado = 'abierto';
+        abiertoEn = now;
+      }
+    },
+
+    status() {
+      return {
+        estado,
+        fallos_consecutivos: fallos,
+        ...(abiertoEn && { reintento_en: new Date(abiertoEn + cooldownMs).toISOString() })
+      };
+    }
+  };
+}
+
+// ───── Cuota diaria ─────
+// Cuenta las peticiones del día (UTC); sin `dailyLimit` solo lleva la cuenta.
+export function createQuotaTracker({ dailyLimit = null } = {}) {
+  let day = null;
+  let used = 0;
+
+  const rollover = () => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (today !== day) {
+      day = today;
+      used = 0;
+    }
+  };
+
+  return {
+    available() {
+      rollover();
+      return dailyLimit == null || used < dailyLimit;
+    },
+
+    record() {
+      rollover();
+      used++;
+    },
+
+    status() {
+      rollover();
+      return { dia: day, usadas: used, limite_diario: dailyLimit };
+    }
+  };
+}
+
+// Errores que cuentan para el circuit breaker: red, 5xx y cualquier 4xx salvo 404. Las entradas
+// ya llegan validadas, así que un 4xx casi siempre es una credencial o una petición mal armada
+// de nuestra parte (p. ej. un 422 por parámetros incompatibles) y se repetiría en cada consulta.
+const isProviderFailure = (err) => !err.response || err.response.status !== 404
+
+function describeError(providerName, err) {
+  if (err.response?.status === 401 || err.response?.status === 403) return `${providerName}: Error de autenticación/autorización. Verifica la credencial.`;
+  if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') return `${providerName}: Error de conectividad de red`;
+  if (err.code === 'ECONNABORTED') return `${providerName}: Timeout de conexión`;
+  if (err.response?.status === 429) return `${providerName}: Límite de rate excedido`;
+  return `${providerName} falló: ${err.message}`;
+}
+
+// ───── Servicio de Geocodificación ─────
+// Consulta los proveedores en el orden configurado (uno para forward y otro para reverse),
+// saltando los que tengan el circuito abierto o la cuota agotada. `minResults` es el número de
+// respuestas que se juntan aunque la primera sea confiable, para poder compararlas (consenso).
+export function createGeocodingService(providers, { forwardOrder, reverseOrder, breaker = {}, quotas = {}, confidentAt = 0.8, minResults = 1 } = {}) {
+  const entries = new Map(providers.map(p => [p.name, {
+    provider: p,
+    breaker: createCircuitBreaker(breaker),
+    quota: createQuotaTracker({ dailyLimit: quotas[p.name] ?? null })
+  }]));
+  const order = (names) => (names || providers.map(p => p.name)).filter(name => entries.has(name));
+  const forwardNames = order(forwardOrder);
+  const reverseNames = order(reverseOrder);
+
+  // Devuelve { result } (puede ser null si no encontró nada), o { skipped } / { error }.
+  async function attempt(name, method, args) {
+    const { provider, breaker: circuit, quota } = entries.get(name);
+    // La cuota va primero: canRequest() puede reservar la petición de prueba del circuito.
+    if (!quota.available()) return { skipped: 'cuota_agotada' };
+    if (!circuit.canRequest()) return { skipped: 'circuito_abierto' };
+
+    quota.record();
+    try {
+      const result = await provider[method](...args);
+      circuit.success();
+      return { result };
+    } catch (err) {
+      // Un 404 es una respuesta (sin resultado): el proveedor está sano.
+      if (isProviderFailure(err)) circuit.failure();
+      else circuit.success();
+      const level = err.response?.status === 401 || err.response?.status === 403 ? 'error' : 'warn';
+      logger[level](`Geocodificación ${method} — ${describeError(name, err)}`);
+      return { error: err };
+    }
+  }
+
+  return {
+    forwardProviders: forwardNames,
+    reverseProviders: reverseNames,
+
+    // Resultados de cada proveedor en orden; se detiene cuando ya hay `minResults` resultados
+    // y alguno tiene `confianza` >= `confidentAt`.
+    async forwardAll(address) {
+      const results = [];
+      for (const name of forwardNames) {
+        const { result } = await attempt(name, 'forward', [address]);
+        if (!result) continue;
+        logger.debug(`${name} encontró: ${result.direccion} (calidad: ${result.quality})`);
+        results.push(result);
+        if (results.length >= minResults && results.some(r => r.confianza >= confidentAt)) break;
+      }
+      return results;
+    },
+
+    // Primer proveedor que devuelva una dirección. Si todos fallaron se relanza el último error,
+    // para que el llamador pueda distinguir timeouts, límites de rate o credenciales.
+    async reverse(lat, lon) {
+      let answered = false;
+      let lastError = null;
+      for (const name of reverseNames) {
+        const { result, error, skipped } = await attempt(name, 'reverse', [lat, lon]);
+        if (result) return result;
+        if (error) lastError = error;
+        else if (!skipped) answered = true;
+      }
+      if (answered) throw new Error('No se encontró dirección para las coordenadas.');
+      if (lastError) throw lastError;
+      const err = new Error('Ningún proveedor de geocodificación está disponible (circuito abierto o cuota agotada).');
+      err.code = 'GEOCODING_UNAVAILABLE';
+      throw err;
+    },
+
+    status() {
+      return Object.fromEntries([...entries].map(([name, e]) => [name, {
+        circuito: e.breaker.status(),
+        cuota: e.quota.status()
+      }]));
+    }
+  };
+}
+
+// Construye el servicio a partir de las variables GEOCODING_* y de las credenciales de cada proveedor.
+export function createGeocodingServiceFromEnv(env = process.env, { bounds, proximity }) {
+  const timeout = Number(env.GEOCODING_TIMEOUT_MS) || 6000;
+  const providers = [];
+  if (env.OPENCAGE_API_KEY) providers.push(createOpenCageGeocoder({ apiKey: env.OPENCAGE_API_KEY, bounds, proximity, timeout }));
+  if (env.MAPBOX_TOKEN) providers.push(createMapboxGeocoder({ accessToken: env.MAPBOX_TOKEN, bounds, proximity, timeout }));
+  if (env.NOMINATIM_URL) providers.push(createNominatimGeocoder({ baseUrl: env.NOMINATIM_URL, email: env.NOMINATIM_EMAIL || null, bounds, timeout }));
+
+  const parseOrder = (value) => value ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+  const forwardOrder = parseOrder(env.GEOCODING_PROVIDERS);
+  const reverseOrder = parseOrder(env.GEOCODING_REVERSE_PROVIDERS) || forwardOrder;
+  for (const name of [...(forwardOrder || []), ...(reverseOrder || [])]) {
+    if (!providers.some(p => p.name === name)) logger.warn(`Proveedor de geocodificación "${name}" desconocido o sin credenciales; se ignora.`);
+  }
+
+  const quotas = {};
+  for (const p of providers) {
+    const limit = Number(env[`GEOCODING_${p.name.toUpperCase()}_DAILY_QUOTA`]);
+    if (limit > 0) quotas[p.name] = limit;
+  }
+
+  return createGeocodingService(providers, {
+    forwardOrder,
+    reverseOrder,
+    quotas,
+    minResults: Number(env.GEOCODING_CONSENSUS_MIN_RESULTS) || 1,
+    breaker: {
+      failureThreshold: Number(env.GEOCODING_BREAKER_FAILURES) || 3,
+      cooldownMs: (Number(env.GEOCODING_BREAKER_COOLDOWN_SEC) || 60) * 1000
+    }
+  });
+}
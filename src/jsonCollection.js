@@ -0,0 +1,59 @@
+import fs from 'fs'
+import { logger } from './logger.js'
+import { readJsonFile, writeJsonFileAtomic } from './jsonFile.js'
+
+// ───── Colección persistente en archivo JSON ─────
+// Mantiene los registros en memoria (indexados por `id`) y reescribe el archivo en cada `save`.
+// Los cambios frecuentes y prescindibles usan `saveDeferred` y se escriben en el siguiente `flush`.
+export function createJsonCollection({ name, filePath }) {
+  const items = new Map();
+  let dirty = false;
+
+  function persist() {
+    writeJsonFileAtomic(filePath, [...items.values()]);
+    dirty = false;
+  }
+
+  return {
+    filePath,
+
+    load() {
+      items.clear();
+      if (fs.existsSync(filePath)) {
+        for (const item of readJsonFile(filePath)) items.set(item.id, item);
+      }
+      logger.info(`${name}: ${items.size} registros cargados desde ${filePath}`);
+    },
+
+    all() {
+      return [...items.values()];
+    },
+
+    get(id) {
+      return items.get(id) || null;
+    },
+
+    save(item) {
+      items.set(item.id, item);
+      persist();
+      return item;
+    },
+
+    saveDeferred(item) {
+      items.set(item.id, item);
+      dirty = true;
+      return item;
+    },
+
+    // Escribe los cambios diferidos pendientes, si los hay.
+    flush() {
+      if (dirty) persist();
+    },
+
+    remove(id) {
+      const existed = items.delete(id);
+      if (existed) persist();
+      return existed;
+    }
+  };
+}
@@ -0,0 +1,15 @@
+import fs from 'fs'
+import path from 'path'
+
+// ───── Lectura y escritura de archivos JSON ─────
+export function readJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Escritura atómica: se escribe un temporal y se renombra, para no dejar archivos a medias.
+export function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
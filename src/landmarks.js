@@ -0,0 +1,81 @@
+import { computeDestinationPoint } from 'geolib'
+import { matchPois, normalizeText } from './poiMatcher.js'
+
+// ───── Ubicaciones relativas a lugares conocidos ─────
+// "frente a la Catedral", "atrás del Forum", "a dos cuadras al norte de la Catedral": el lugar se
+// busca entre los POIs y, si la frase da distancia y rumbo, la posición se desplaza. Sin rumbo
+// se usa el propio POI y la distancia solo reduce la confianza.
+
+const BLOCK_M = 100
+const NUMBER_WORDS = { un: 1, una: 1, media: 0.5, dos: 2, tres: 3, cuatro: 4, cinco: 5 }
+const BEARINGS = { norte: 0, oriente: 90, este: 90, sur: 180, poniente: 270, oeste: 270 }
+
+// Confianza (0..1) según la relación con el lugar; se compara como la de los proveedores.
+const RELATIONS = [
+  { pattern: /^(?:frente|enfrente|en frente) (?:a|al|de|del) /, relacion: 'frente', confianza: 0.85 },
+  { pattern: /^(?:junto (?:a|al)|al lado (?:de|del)|a un lado (?:de|del)|enseguida (?:de|del)) /, relacion: 'junto', confianza: 0.85 },
+  { pattern: /^(?:atras|detras) (?:de|del) /, relacion: 'detras', confianza: 0.7 },
+  { pattern: /^(?:cerca (?:de|del)|antes (?:de|del)|despues (?:de|del)|a la vuelta (?:de|del)) /, relacion: 'cerca', confianza: 0.6 }
+]
+const DISTANCE_PATTERN = /^a (\d+|un|una|media|dos|tres|cuatro|cinco) (cuadras?|calles?|metros?|mts?|m) (?:al (norte|sur|oriente|este|poniente|oeste) )?(?:de|del) /
+const LEADING_ARTICLE = /^(?:el|la|los|las) /
+
+// { relacion, distancia_m, rumbo, lugar } o null si el texto no es una ubicación relativa.
+export function parseRelativePhrase(text) {
+  const normalized = normalizeText(text);
+
+  const distance = normalized.match(DISTANCE_PATTERN);
+  if (distance) {
+    const [match, amount, unit, rumbo = null] = distance;
+    const count = NUMBER_WORDS[amount] ?? Number(amount);
+    const blocks = unit.startsWith('cuadra') || unit.startsWith('calle');
+    return {
+      relacion: 'distancia',
+      distancia_m: Math.round(blocks ? count * BLOCK_M : count),
+      rumbo,
+      lugar: normalized.slice(match.length).replace(LEADING_ARTICLE, '')
+    };
+  }
+
+  for (const { pattern, relacion } of RELATIONS) {
+    const match = normalized.match(pattern);
+    if (match) return { relacion, distancia_m: 0, rumbo: null, lugar: normalized.slice(match[0].length).replace(LEADING_ARTICLE, '') };
+  }
+  return null;
+}
+
+function confidenceFor({ relacion, distancia_m, rumbo }) {
+  if (relacion !== 'distancia') return RELATIONS.find(r => r.relacion === relacion).confianza;
+  // Con rumbo la posición es estimada; sin rumbo, el radio de incertidumbre es la distancia.
+  const blocks = distancia_m / BLOCK_M;
+  return rumbo ? Math.max(0.4, 0.8 - 0.05 * blocks) : Math.max(0.3, 0.7 - 0.1 * blocks);
+}
+
+// Resuelve la frase contra los POIs: { lat, lon, poi, alias, score, relacion, distancia_m, rumbo, confianza } o null.
+export function resolveRelativeToPoi(text, pois) {
+  const phrase = parseRelativePhrase(text);
+  if (!phrase || !phrase.lugar) return null;
+
+  const [candidate] = matchPois(phrase.lugar, pois, { limit: 1 });
+  if (!candidate) return null;
+  const { poi, alias, score } = candidate;
+
+  let { lat, lon } = poi;
+  if (phrase.rumbo && phrase.distancia_m > 0) {
+    const destination = computeDestinationPoint({ latitude: poi.lat, longitude: poi.lon }, phrase.distancia_m, BEARINGS[phrase.rumbo]);
+    lat = parseFloat(destination.latitude.toFixed(6));
+    lon = parseFloat(destination.longitude.toFixed(6));
+  }
+
+  return {
+    lat,
+    lon,
+    poi,
+    alias,
+    score,
+    relacion: phrase.relacion,
+    distancia_m: phrase.distancia_m,
+    rumbo: phrase.rumbo,
+    confianza: parseFloat(confidenceFor(phrase).toFixed(2))
+  };
+}
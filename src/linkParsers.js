@@ -0,0 +1,369 @@
+import { logger } from './logger.js'
+
+// ───── Enlaces y textos de ubicación ─────
+// Los clientes pegan enlaces de Google Maps, Waze o Apple Maps, URIs geo:, coordenadas sueltas,
+// Plus Codes ("FRWV+QX Tepic") o el texto que comparte WhatsApp con un enlace dentro. Cada
+// formato tiene su parser en LINK_PARSERS, elegido por host, por esquema o por el propio texto,
+// y todos devuelven la misma estructura:
+//   { lat, lon } | { q }   más isOrigin / isDestination / destination / ruta en enlaces de rutas
+// o {} si el parser reconoció el formato pero no encontró una ubicación.
+
+const COORDINATE_PAIR = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/
+const EMBEDDED_COORDINATES = /(-?\d{1,2}\.\d{3,})\s*,\s*(-?\d{1,3}\.\d{3,})/
+const EMBEDDED_URL = /https?:\/\/[^\s<>"']+/i
+
+function parsePair(text) {
+  const match = typeof text === 'string' && text.match(COORDINATE_PAIR);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lon = parseFloat(match[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+}
+
+// Primer enlace http(s) dentro de un texto ("📍 Ubicación: https://maps.google.com/?q=..."), o null.
+export function findEmbeddedUrl(text) {
+  const match = typeof text === 'string' && text.match(EMBEDDED_URL);
+  return match ? match[0].replace(/[).,;]+$/, '') : null;
+}
+
+// ───── Plus Codes (Open Location Code) ─────
+// Se decodifican localmente. Un código corto ("FRWV+QX") solo tiene sentido cerca de una
+// referencia: la localidad escrita después del código o, si no hay, `options.reference`.
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX'
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125]
+const PLUS_CODE_PATTERN = /^\s*([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.*?))?\s*$/i
+
+function isValidPlusCode(code) {
+  const [before, after] = code.split('+');
+  if (before.length % 2 === 1 || after.length === 1) return false;
+  if (!before.includes('0')) return true;
+  // El relleno con ceros solo aparece en códigos completos, al final y sin dígitos después del "+".
+  return before.length === 8 && /^[^0]+0+$/.test(before) && !after;
+}
+
+function decodeFullPlusCode(code) {
+  const digits = code.replace('+', '').replace(/0+$/, '');
+  let lat = -90;
+  let lon = -180;
+  let latResolution = 0;
+  let lonResolution = 0;
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    latResolution = lonResolution = OLC_PAIR_RESOLUTIONS[i / 2];
+    lat += OLC_ALPHABET.indexOf(digits[i]) * latResolution;
+    lon += OLC_ALPHABET.indexOf(digits[i + 1]) * lonResolution;
+  }
+  // Después del décimo dígito cada carácter es una celda de una cuadrícula de 5 filas × 4 columnas.
+  for (const char of digits.slice(10)) {
+    latResolution /= 5;
+    lonResolution /= 4;
+    const value = OLC_ALPHABET.indexOf(char);
+    lat += Math.floor(value / 4) * latResolution;
+    lon += (value % 4) * lonResolution;
+  }
+  return {
+    lat: parseFloat((lat + latResolution / 2).toFixed(6)),
+    lon: parseFloat((lon + lonResolution / 2).toFixed(6))
+  };
+}
+
+function encodePlusCodePrefix(lat, lon, length) {
+  let latValue = lat + 90;
+  let lonValue = lon + 180;
+  let prefix = '';
+  for (let i = 0; i < length / 2; i++) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i];
+    const latDigit = Math.floor(latValue / resolution);
+    const lonDigit = Math.floor(lonValue / resolution);
+    prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+    latValue -= latDigit * resolution;
+    lonValue -= lonDigit * resolution;
+  }
+  return prefix;
+}
+
+// Completa el código corto con los primeros dígitos de la referencia y, si el resultado queda
+// a más de media celda, lo mueve a la celda vecina (algoritmo "recover nearest" de la especificación).
+function recoverShortPlusCode(code, reference) {
+  const padding = 8 - code.indexOf('+');
+  const resolution = Math.pow(20, 2 - padding / 2);
+  const half = resolution / 2;
+  let { lat, lon } = decodeFullPlusCode(encodePlusCodePrefix(reference.lat, reference.lon, padding) + code);
+  if (reference.lat + half < lat && lat - resolution >= -90) lat -= resolution;
+  else if (reference.lat - half > lat && lat + resolution <= 90) lat += resolution;
+  if (reference.lon + half < lon) lon -= resolution;
+  else if (reference.lon - half > lon) lon += resolution;
+  return { lat: parseFloat(lat.toFixed(6)), lon: parseFloat(lon.toFixed(6)) };
+}
+
+function parsePlusCode(text, { reference = null, resolveLocality = () => null } = {}) {
+  const [, rawCode, locality = ''] = text.match(PLUS_CODE_PATTERN);
+  const code = rawCode.toUpperCase();
+  if (!isValidPlusCode(code)) return {};
+  if (code.indexOf('+') === 8) return decodeFullPlusCode(code);
+
+  const localityName = locality.split(',')[0].trim();
+  const near = (localityName && resolveLocality(localityName)) || reference;
+  if (!near) {
+    logger.warn(`Plus Code corto sin referencia para recuperarlo: ${text}`);
+    return {};
+  }
+  return recoverShortPlusCode(code, near);
+}
+
+// ───── Geohash (enlaces cortos de Waze: waze.com/ul/h<geohash>) ─────
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz'
+
+function decodeGeohash(hash) {
+  const range = { lat: [-90, 90], lon: [-180, 180] };
+  let isLon = true;
+  for (const char of hash.toLowerCase()) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    if (value < 0) return {};
+    for (let bit = 4; bit >= 0; bit--) {
+      const interval = isLon ? range.lon : range.lat;
+      const mid = (interval[0] + interval[1]) / 2;
+      interval[(value >> bit) & 1 ? 0 : 1] = mid;
+      isLon = !isLon;
+    }
+  }
+  return {
+    lat: parseFloat(((range.lat[0] + range.lat[1]) / 2).toFixed(6)),
+    lon: parseFloat(((range.lon[0] + range.lon[1]) / 2).toFixed(6))
+  };
+}
+
+// ───── Parsers por formato ─────
+
+// geo:21.5,-104.89  ·  geo:21.5,-104.89;u=35  ·  geo:0,0?q=21.5,-104.89(Casa)  ·  geo:0,0?q=Forum+Tepic
+function parseGeoUri(url) {
+  const [lat, lon] = url.pathname.split(';')[0].split(',').map(Number);
+  const q = url.searchParams.get('q');
+  const qCoordinates = q && parsePair(q.replace(/\s*\(.*\)\s*$/, ''));
+  if (qCoordinates) return qCoordinates;
+  if (Number.isFinite(lat) && Number.isFinite(lon) && (lat !== 0 || lon !== 0) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) return { lat, lon };
+  return q ? { q } : {};
+}
+
+// waze.com/ul?ll=21.5,-104.89  ·  waze.com/ul?q=Forum  ·  waze.com/live-map/directions?to=ll.21.5,-104.89
+// ·  waze.com/ul/h9ewy8ft3 (geohash)
+function parseWazeLink(url) {
+  const ll = parsePair(url.searchParams.get('ll'));
+  if (ll) return ll;
+  const to = url.searchParams.get('to');
+  const destination = to?.startsWith('ll.') && parsePair(to.slice(3));
+  if (destination) return { ...destination, isDestination: true };
+  const geohash = url.pathname.match(/^\/ul\/h([0-9a-z]+)\/?$/i);
+  if (geohash) return decodeGeohash(geohash[1]);
+  const q = url.searchParams.get('q');
+  return q ? { q } : {};
+}
+
+// maps.apple.com/?ll=21.5,-104.89&q=Forum  ·  maps.apple.com/place?coordinate=21.5,-104.89
+// ·  maps.apple.com/?daddr=...  ·  maps.apple.com/?address=...  ·  maps.apple.com/?q=Forum&sll=...
+// `sll` es solo el centro de la búsqueda: con `q` se geocodifica el texto.
+function parseAppleMapsLink(url) {
+  const params = url.searchParams;
+  const coordinates = parsePair(params.get('ll')) || parsePair(params.get('coordinate'));
+  if (coordinates) return coordinates;
+  const daddr = params.get('daddr');
+  if (daddr) return { ...(parsePair(daddr) || { q: daddr }), isDestination: true };
+  const text = params.get('q') || params.get('address') || params.get('name');
+  if (text) return { q: text };
+  return parsePair(params.get('sll')) || {};
+}
+
+// ───── Enlaces de rutas ─────
+// Una parada es { lat, lon }, { q } o { ubicacion_actual: true } (origen vacío: "mi ubicación",
+// que el enlace no trae y debe darlo quien lo usa).
+function routeStop(text) {
+  const value = (text || '').trim();
+  if (!value) return { ubicacion_actual: true };
+  return parsePair(value) || { q: value };
+}
+
+// `ruta` lleva todas las paradas en orden (origen, intermedias y destino). Los demás campos
+// conservan la respuesta de una sola ubicación: el origen si tiene coordenadas (con el destino
+// en `destination`) o, si no, el destino.
+function directionsInfo(stops) {
+  const origin = stops[0];
+  const destination = stops[stops.length - 1];
+  logger.debug(`Parseada ruta con ${stops.length} paradas`);
+  if (stops.length > 1 && origin.lat != null) {
+    return { lat: origin.lat, lon: origin.lon, isOrigin: true, destination: destination.q ?? `${destination.lat},${destination.lon}`, ruta: stops };
+  }
+  if (destination.lat != null) return { lat: destination.lat, lon: destination.lon, isDestination: true, ruta: stops };
+  return { ...(destination.q && { q: destination.q }), isDestination: true, ruta: stops };
+}
+
+// Google Maps: rutas (saddr/daddr, /dir/, api=1), /@lat,lon, parámetro data (!3d!4d), q, ll/sll, /place/ y /search/.
+// También se usa para hosts desconocidos, que suelen copiar los parámetros q y ll.
+function parseGoogleMapsLink(url) {
+  logger.debug('Parseando link de Google Maps:', url.href);
+
+  // 0) Rutas: /maps/dir/?api=1&origin=&destination=&waypoints=a|b y /maps/dir/A/B/C/@centro
+  // (el @ de estos enlaces es el centro del mapa, no una parada).
+  if (url.searchParams.get('api') === '1' && url.searchParams.has('destination')) {
+    const waypoints = url.searchParams.get('waypoints');
+    return directionsInfo([
+      routeStop(url.searchParams.get('origin')),
+      ...(waypoints ? waypoints.split('|').map(routeStop) : []),
+      routeStop(url.searchParams.get('destination'))
+    ]);
+  }
+  const dirMatch = url.pathname.match(/\/dir\/(.*)$/);
+  if (dirMatch) {
+    const segments = [];
+    for (const segment of dirMatch[1].split('/')) {
+      if (/^(?:@|data=|am=)/.test(segment)) break;
+      segments.push(decodeURIComponent(segment.replace(/\+/g, ' ')));
+    }
+    if (segments.length && !segments[segments.length - 1]) segments.pop();
+    if (segments.length) return directionsInfo(segments.length === 1 ? ['', ...segments].map(routeStop) : segments.map(routeStop));
+  }
+
+  // 1) Buscar coordenadas en diferentes formatos
+  // Formato /@lat,lon,zoom o /@lat,lon,zoom/data=...
+  const atMatch = url.pathname.match(/@([-0-9.]+),([-0-9.]+)(?:,\d+[a-z]?)?/);
+  if (atMatch && atMatch[1] && atMatch[2]) {
+    logger.debug(`Parseado coordenadas con @: ${atMatch[1]},${atMatch[2]}`);
+    return { lat: parseFloat(atMatch[1]), lon: parseFloat(atMatch[2]) };
+  }
+
+  // 2) Buscar en parámetros data (formato complejo)
+  // !3d21.4920751!4d-104.8653124
+  const dataParam = url.searchParams.get('data') || url.hash.substring(1);
+  if (dataParam) {
+    const latMatch = dataParam.match(/!3d([-0-9.]+)/);
+    const lonMatch = dataParam.match(/!4d([-0-9.]+)/);
+    if (latMatch && lonMatch) {
+      logger.debug(`Parseado coordenadas del parámetro data: ${latMatch[1]},${lonMatch[1]}`);
+      return { lat: parseFloat(latMatch[1]), lon: parseFloat(lonMatch[1]) };
+    }
+  }
+
+  // 3) Rutas saddr/daddr (daddr puede traer varios destinos: "A+to:B+to:C")
+  const saddr = url.searchParams.get('saddr');
+  const daddr = url.searchParams.get('daddr');
+  if (daddr) {
+    logger.debug(`Detectado URL de ruta - saddr: ${saddr}, daddr: ${daddr}`);
+    return directionsInfo([routeStop(saddr), ...daddr.split(/\s+to:/).map(routeStop)]);
+  }
+
+  // 5) Si solo hay saddr
+  if (saddr) {
+    const saddrCoordMatch = saddr.match(/^([-0-9.]+),([-0-9.]+)$/);
+    if (saddrCoordMatch) {
+      logger.debug(`Parseado coordenadas de saddr: ${saddrCoordMatch[1]},${saddrCoordMatch[2]}`);
+      return {
+        lat: parseFloat(saddrCoordMatch[1]),
+        lon: parseFloat(saddrCoordMatch[2]),
+        isOrigin: true
+      };
+    }
+    
+    // Si saddr es texto
+    const originText = decodeURIComponent(saddr.replace(/\+/g, ' '));
+    logger.debug(`Parseado texto de saddr: ${originText}`);
+    return {
+      q: originText,
+      isOrigin: true
+    };
+  }
+
+  // 6) Parámetro 'q' con coordenadas o texto (lógica original)
+  const qParam = url.searchParams.get('q');
+  if (qParam) {
+    const qParts = qParam.split(',');
+    if (qParts.length === 2 && !isNaN(parseFloat(qParts[0])) && !isNaN(parseFloat(qParts[1]))) {
+      logger.debug(`Parseado coordenadas del parámetro q: ${qParts[0]},${qParts[1]}`);
+      return { lat: parseFloat(qParts[0]), lon: parseFloat(qParts[1]) };
+    }
+    const queryText = qParam.replace(/\+/g, ' ');
+    logger.debug(`Parseado texto del parámetro q: ${queryText}`);
+    return { q: queryText };
+  }
+
+  // 7) Parámetros ll o sll
+  const llParam = url.searchParams.get('ll') || url.searchParams.get('sll');
+  if (llParam) {
+    const llParts = llParam.split(',');
+    if (llParts.length === 2 && !isNaN(parseFloat(llParts[0])) && !isNaN(parseFloat(llParts[1]))) {
+      logger.debug(`Parseado coordenadas del parámetro ll: ${llParts[0]},${llParts[1]}`);
+      return { lat: parseFloat(llParts[0]), lon: parseFloat(llParts[1]) };
+    }
+  }
+
+  // 8) Nombre de lugar en /place/ o /search/
+  const placeOrSearchMatch = url.pathname.match(/\/(?:place|search)\/([^\/]+)/);
+  if (placeOrSearchMatch && placeOrSearchMatch[1]) {
+    const queryText = decodeURIComponent(placeOrSearchMatch[1]).replace(/\+/g, ' ');
+    logger.debug(`Parseado texto de /place/ o /search/: ${queryText}`);
+    return { q: queryText };
+  }
+
+  // 9) Buscar coordenadas en el fragmento de URL (#)
+  if (url.hash) {
+    const hashCoordMatch = url.hash.match(/([-0-9.]+),([-0-9.]+)/);
+    if (hashCoordMatch && hashCoordMatch[1] && hashCoordMatch[2]) {
+      logger.debug(`Parseado coordenadas del hash: ${hashCoordMatch[1]},${hashCoordMatch[2]}`);
+      return { lat: parseFloat(hashCoordMatch[1]), lon: parseFloat(hashCoordMatch[2]) };
+    }
+  }
+
+  return {};
+}
+
+// Texto con un enlace (WhatsApp: "📍 Ubicación: https://maps.google.com/?q=...") o con
+// coordenadas sueltas dentro de una frase ("estoy en 21.5012, -104.8931 por favor").
+function parseSharedText(text, options) {
+  const url = findEmbeddedUrl(text);
+  if (url) return parseLocationLink(url, options).info;
+  const match = text.match(EMBEDDED_COORDINATES);
+  return (match && parsePair(`${match[1]},${match[2]}`)) || {};
+}
+
+// Orden de prueba: primero los enlaces (por esquema o host) y después los textos.
+const LINK_PARSERS = [
+  { name: 'geo', schemes: ['geo:'], parse: parseGeoUri },
+  { name: 'waze', hosts: ['waze.com'], parse: parseWazeLink },
+  { name: 'apple_maps', hosts: ['maps.apple.com'], parse: parseAppleMapsLink },
+  { name: 'google_maps', hosts: ['google.com', 'google.com.mx', 'goo.gl', 'g.co'], parse: parseGoogleMapsLink },
+  { name: 'generico', schemes: ['http:', 'https:'], parse: parseGoogleMapsLink },
+  { name: 'coordenadas', test: (text) => COORDINATE_PAIR.test(text), parse: (text) => parsePair(text) || {} },
+  { name: 'plus_code', test: (text) => PLUS_CODE_PATTERN.test(text), parse: parsePlusCode },
+  { name: 'whatsapp', test: (text) => !!findEmbeddedUrl(text) || EMBEDDED_COORDINATES.test(text), parse: parseSharedText }
+]
+
+const hostMatches = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`)
+
+function toUrl(text) {
+  try {
+    return new URL(text);
+  } catch {
+    return null;
+  }
+}
+
+// { parser, info }: `parser` es el nombre del formato reconocido (null si ninguno) e `info`
+// la ubicación extraída. `options`: { reference: { lat, lon }, resolveLocality(nombre) → { lat, lon } | null }
+// para los Plus Codes cortos.
+export function parseLocationLink(input, options = {}) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) return { parser: null, info: {} };
+
+  const url = toUrl(text);
+  const matchesUrl = (p) => p.hosts
+    ? /^https?:$/.test(url.protocol) && p.hosts.some(host => hostMatches(url.hostname.toLowerCase(), host))
+    : !!p.schemes?.includes(url.protocol);
+  const parser = (url && LINK_PARSERS.find(matchesUrl)) || LINK_PARSERS.find(p => p.test?.(text));
+  if (!parser) return { parser: null, info: {} };
+
+  try {
+    const info = parser.test ? parser.parse(text, options) : parser.parse(url, options);
+    if (info.lat == null && !info.q) logger.warn(`No se pudo extraer información de ubicación (${parser.name}):`, text);
+    return { parser: parser.name, info };
+  } catch (error) {
+    logger.error(`Error crítico parseando ubicación (${parser.name}):`, error.message, text);
+    return { parser: parser.name, info: {} };
+  }
+}
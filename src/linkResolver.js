@@ -0,0 +1,227 @@
+import axios from 'axios'
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import { logger } from './logger.js'
+
+const HEADERS = {
+  'User-Agent': 'TaxiBot-API/1.1',
+  'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'es-MX,es;q=0.9'
+}
+
+// ───── Resolución de enlaces cortos ─────
+// Los enlaces cortos (maps.app.goo.gl, goo.gl/maps) solo dicen dónde está el lugar después de
+// seguir sus redirecciones. Como la URL la manda el cliente, la resolución está acotada:
+//   - solo se hacen peticiones a hosts de la lista permitida (`allowedHosts`, con subdominios);
+//     una redirección a otro host se toma como URL final sin pedirla,
+//   - cada conexión valida la IP resuelta por DNS y rechaza direcciones privadas o locales,
+//   - hay un presupuesto de tiempo total (`budgetMs`) para todos los saltos,
+//   - primero HEAD; GET solo si el servidor no acepta HEAD o responde 200 sin redirigir, y
+//     entonces se busca la URL en el HTML (continue del consentimiento de Google, og:url,
+//     canonical o meta refresh),
+//   - el resultado (enlace corto → URL final) se guarda en la caché con prefijo `link:`.
+
+export const DEFAULT_ALLOWED_HOSTS = ['goo.gl', 'g.co']
+
+// ───── Direcciones privadas ─────
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0
+
+export function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const value = ipv4ToInt(ip);
+    return PRIVATE_IPV4.some(([base, bits]) => (value >>> (32 - bits)) === (ipv4ToInt(base) >>> (32 - bits)));
+  }
+  const lower = ip.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  // ::, ::1, únicas locales (fc00::/7), enlace local (fe80::/10) y multicast (ff00::/8).
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+function blockedAddressError(hostname, address) {
+  const err = new Error(`${hostname} resuelve a una dirección privada (${address}).`);
+  err.code = 'PRIVATE_ADDRESS';
+  return err;
+}
+
+// `lookup` para los agentes HTTP: la IP se valida en la misma resolución que usa la conexión,
+// así que un DNS que cambia de respuesta entre la validación y la petición no sirve de nada.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup })
+const httpsAgent = new https.Agent({ lookup: safeLookup })
+
+// ───── URLs dentro del HTML ─────
+const TAG_PATTERN = /<(meta|link|input)\b([^>]*)>/gi
+const ATTRIBUTE_PATTERN = /([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi
+
+const decodeEntities = (text) => text
+  .replace(/&amp;/g, '&').replace(/&#39;|&#x27;/g, "'").replace(/&quot;/g, '"').replace(/&#x2F;|&#47;/g, '/')
+
+// La primera URL absoluta de: campo `continue` (consentimiento de Google), og:url, canonical o meta refresh.
+export function findUrlInHtml(html, baseUrl) {
+  const found = {};
+  for (const [, tag, rawAttributes] of html.matchAll(TAG_PATTERN)) {
+    const attributes = {};
+    for (const [, name, double, single] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[name.toLowerCase()] = decodeEntities(double ?? single);
+    }
+    const kind = tag.toLowerCase();
+    if (kind === 'input' && attributes.name === 'continue') found.continue ??= attributes.value;
+    else if (kind === 'meta' && attributes.property === 'og:url') found.og ??= attributes.content;
+    else if (kind === 'link' && attributes.rel?.toLowerCase() === 'canonical') found.canonical ??= attributes.href;
+    else if (kind === 'meta' && attributes['http-equiv']?.toLowerCase() === 'refresh') {
+      found.refresh ??= attributes.content?.match(/url\s*=\s*['"]?([^'"]+)/i)?.[1];
+    }
+  }
+  for (const candidate of [found.continue, found.og, found.canonical, found.refresh]) {
+    if (!candidate) continue;
+    try {
+      const url = new URL(candidate, baseUrl);
+      if (/^https?:$/.test(url.protocol)) return url.href;
+    } catch {
+      // URL inválida en el HTML: se prueba la siguiente.
+    }
+  }
+  return null;
+}
+
+// Página de consentimiento o "sorry" de Google: la URL real viene en el parámetro `continue`.
+function unwrapGoogleInterstitial(url) {
+  const isInterstitial = /(^|\.)google\./.test(url.hostname) &&
+    (url.hostname.startsWith('consent.') || url.pathname.startsWith('/sorry'));
+  const target = isInterstitial && url.searchParams.get('continue');
+  return target && /^https?:\/\//i.test(target) ? target : null;
+}
+
+function cleanFinalUrl(rawUrl) {
+  try {
+    const url = new URL(rawUrl);
+    if (url.searchParams.has('g_st')) url.searchParams.delete('g_st');
+    return url.href;
+  } catch {
+    return rawUrl;
+  }
+}
+
+// `cache`: caché con get/has/set (ver src/geoCache.js). Devuelve `resolve(url)` →
+// { finalUrl, redirects, cached, aviso } donde `aviso` explica por qué se detuvo antes de
+// tiempo (tiempo_agotado, demasiadas_redirecciones, direccion_privada, error_red) o es null.
+export function createLinkResolver({ cache = null, allowedHosts = DEFAULT_ALLOWED_HOSTS, budgetMs = 5000, maxRedirects = 5, maxBodyBytes = 512 * 1024 } = {}) {
+  const hosts = allowedHosts.map(h => h.toLowerCase());
+  const isAllowed = (url) => /^https?:$/.test(url.protocol) && !net.isIP(url.hostname.replace(/^\[|\]$/g, '')) &&
+    hosts.some(h => url.hostname.toLowerCase() === h || url.hostname.toLowerCase().endsWith(`.${h}`));
+
+  const request = (method, url, timeout) => axios.request({
+    method,
+    url,
+    timeout,
+    maxRedirects: 0,
+    maxContentLength: maxBodyBytes,
+    responseType: 'text',
+    validateStatus: () => true,
+    httpAgent,
+    httpsAgent,
+    headers: HEADERS
+  });
+
+  async function follow(originalUrl) {
+    const deadline = Date.now() + budgetMs;
+    let current = originalUrl;
+    let redirects = 0;
+    let aviso = null;
+
+    while (true) {
+      let url;
+      try {
+        url = new URL(current);
+      } catch {
+        break;
+      }
+      const unwrapped = unwrapGoogleInterstitial(url);
+      if (unwrapped) {
+        logger.debug(`Extraído parámetro 'continue' de página de Google: ${unwrapped}`);
+        current = unwrapped;
+        continue;
+      }
+      if (!isAllowed(url)) break;
+      if (redirects >= maxRedirects) {
+        aviso = 'demasiadas_redirecciones';
+        break;
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        aviso = 'tiempo_agotado';
+        break;
+      }
+
+      try {
+        let response = await request('HEAD', current, remaining);
+        const location = response.status >= 300 && response.status < 400 && response.headers.location;
+        if (!location && (response.status < 300 || [403, 405, 501].includes(response.status))) {
+          // Sin redirección en HEAD: la URL puede estar en el HTML (o el servidor no acepta HEAD).
+          response = await request('GET', current, Math.max(1, deadline - Date.now()));
+        }
+        const next = response.status >= 300 && response.status < 400 && response.headers.location
+          ? new URL(response.headers.location, current).href
+          : (response.status < 300 && typeof response.data === 'string' ? findUrlInHtml(response.data, current) : null);
+        if (!next || next === current) break;
+        logger.debug(`Redirección ${redirects + 1}: ${next}`);
+        current = next;
+        redirects++;
+      } catch (err) {
+        aviso = err.code === 'PRIVATE_ADDRESS' ? 'direccion_privada'
+          : err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' ? 'tiempo_agotado'
+          : 'error_red';
+        logger.warn(`Error resolviendo ${current} (salto ${redirects + 1}): ${err.message}`);
+        break;
+      }
+    }
+    return { finalUrl: cleanFinalUrl(current), redirects, aviso };
+  }
+
+  return {
+    allowedHosts: hosts,
+
+    async resolve(originalUrl) {
+      const cacheKey = `link:${originalUrl}`;
+      if (cache?.has(cacheKey)) {
+        logger.debug(`Cache HIT para link: ${originalUrl}`);
+        return { ...cache.get(cacheKey), cached: true, aviso: null };
+      }
+
+      const { finalUrl, redirects, aviso } = await follow(originalUrl);
+      logger.debug(`URL final tras ${redirects} redirecciones: ${finalUrl}`);
+      // Solo se guardan los enlaces que realmente se resolvieron (no los que fallaron a medio camino).
+      if (finalUrl !== originalUrl && !aviso) cache?.set(cacheKey, { finalUrl, redirects });
+      return { finalUrl, redirects, cached: false, aviso };
+    }
+  };
+}
+
+export function createLinkResolverFromEnv(env = process.env, { cache }) {
+  const hosts = env.LINK_RESOLVER_ALLOWED_HOSTS
+    ? env.LINK_RESOLVER_ALLOWED_HOSTS.split(',').map(h => h.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_HOSTS;
+  return createLinkResolver({
+    cache,
+    allowedHosts: hosts,
+    budgetMs: Number(env.LINK_RESOLVER_BUDGET_MS) || 5000,
+    maxRedirects: Number(env.LINK_RESOLVER_MAX_REDIRECTS) || 5
+  });
+}
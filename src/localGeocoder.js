@@ -0,0 +1,537 @@
+import fs from 'fs'
+import path from 'path'
+import { logger } from './logger.js'
+import { normalizeText, scoreTokens, STOPWORDS } from './poiMatcher.js'
+import { parseAddress } from './addressParser.js'
+
+// ───── Geocodificador local (sin conexión) ─────
+// Resuelve direcciones con datos propios de calles y colonias, sin consultar APIs de pago.
+// Archivos reconocidos dentro de `dirPath` (las líneas de CSV que empiezan con # se ignoran):
+//   colonias.csv  municipio,colonia,cp,lat,lon → centroide de cada colonia
+//   calles.csv    municipio,colonia,calle,numero_inicio,numero_fin,lat_inicio,lon_inicio,lat_fin,lon_fin
+//                 → tramos de calle con su rango de numeración, para interpolar el número
+//   *.geojson     extracto de OpenStreetMap (overpass turbo, osmtogeojson, osmium export):
+//                 calles (`highway` + `name`), colonias (`place` = suburb/neighbourhood/quarter)
+//                 y números exactos (`addr:street` + `addr:housenumber`)
+// Los resultados tienen la misma forma que los de src/geocoding.js, con `source: 'local'`.
+
+// Confianza (0..1) según cómo se resolvió la dirección.
+export const LOCAL_CONFIDENCE = { numero: 0.9, interseccion: 0.9, interpolacion: 0.85, calle: 0.6, colonia: 0.5 }
+
+const MATCH_THRESHOLD = 0.8
+const REVERSE_STREET_MAX_M = 100
+const REVERSE_NUMBER_MAX_M = 30
+const REVERSE_COLONIA_MAX_M = 1500
+// Dos calles que en los datos no llegan a tocarse se consideran cruce si quedan a menos de esto.
+const INTERSECTION_MAX_M = 40
+
+const CALLES_COLUMNS = ['municipio', 'colonia', 'calle', 'numero_inicio', 'numero_fin', 'lat_inicio', 'lon_inicio', 'lat_fin', 'lon_fin']
+const COLONIAS_COLUMNS = ['municipio', 'colonia', 'cp', 'lat', 'lon']
+const OSM_COLONIA_PLACES = ['suburb', 'neighbourhood', 'quarter']
+
+// Tipos de vialidad y de asentamiento: no distinguen una calle o colonia de otra.
+const STREET_TYPE_WORDS = new Set(['calle', 'c', 'av', 'ave', 'avenida', 'blvd', 'blvr', 'blvrd', 'boulevard', 'bulevar', 'calz', 'calzada', 'prol', 'prolongacion', 'priv', 'privada', 'cda', 'cerrada', 'and', 'andador', 'carr', 'carretera', 'cto', 'circuito', 'paseo'])
+const COLONIA_TYPE_WORDS = new Set(['col', 'colonia', 'fracc', 'fraccionamiento', 'barrio', 'residencial'])
+const ABBREVIATIONS = { nte: 'norte', pte: 'poniente', ote: 'oriente', gral: 'general', prof: 'profesor', lic: 'licenciado' }
+
+const tokensOf = (text, typeWords) => normalizeText(text)
+  .split(' ')
+  .map(t => ABBREVIATIONS[t] || t)
+  .filter(t => t && !STOPWORDS.has(t) && !typeWords.has(t))
+
+const streetTokens = (text) => tokensOf(text, STREET_TYPE_WORDS)
+const coloniaTokens = (text) => tokensOf(text, COLONIA_TYPE_WORDS)
+
+// ───── Geometría ─────
+// Aproximación plana (equirectangular): suficiente para tramos de calle de unos cientos de metros.
+const M_PER_DEG = 111320
+
+function toXY(point, refLat) {
+  return { x: point.lon * M_PER_DEG * Math.cos(refLat * Math.PI / 180), y: point.lat * M_PER_DEG };
+}
+
+const fromXY = ({ x, y }, refLat) => ({ lat: y / M_PER_DEG, lon: x / (M_PER_DEG * Math.cos(refLat * Math.PI / 180)) })
+
+// Punto del segmento a-b más cercano a p, con su posición t (0..1) en el segmento.
+function closestOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return { x: a.x + t * dx, y: a.y + t * dy, t };
+}
+
+function segmentIntersection(p1, p2, p3, p4) {
+  const d = (p2.x - p1.x) * (p4.y - p3.y) - (p2.y - p1.y) * (p4.x - p3.x);
+  if (!d) return null;
+  const t = ((p3.x - p1.x) * (p4.y - p3.y) - (p3.y - p1.y) * (p4.x - p3.x)) / d;
+  const u = ((p3.x - p1.x) * (p2.y - p1.y) - (p3.y - p1.y) * (p2.x - p1.x)) / d;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? { x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) } : null;
+}
+
+const distanceM = (a, b) => {
+  const pa = toXY(a, a.lat);
+  const pb = toXY(b, a.lat);
+  return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+}
+
+const polylineLength = (puntos) => puntos.slice(1).reduce((sum, p, i) => sum + distanceM(puntos[i], p), 0)
+
+// Punto a la fracción `fraction` (0..1) de la longitud de la polilínea.
+function pointAlong(puntos, fraction) {
+  let remaining = polylineLength(puntos) * Math.min(1, Math.max(0, fraction));
+  for (let i = 1; i < puntos.length; i++) {
+    const length = distanceM(puntos[i - 1], puntos[i]);
+    if (remaining <= length && length > 0) {
+      const t = remaining / length;
+      return {
+        lat: puntos[i - 1].lat + (puntos[i].lat - puntos[i - 1].lat) * t,
+        lon: puntos[i - 1].lon + (puntos[i].lon - puntos[i - 1].lon) * t
+      };
+    }
+    remaining -= length;
+  }
+  return { ...puntos[puntos.length - 1] };
+}
+
+// Distancia en metros del punto a la polilínea y fracción (0..1) de su proyección.
+function projectOnPolyline(puntos, point) {
+  const total = polylineLength(puntos);
+  const p = toXY(point, point.lat);
+  let best = { distancia: Infinity, fraccion: 0 };
+  let walked = 0;
+  for (let i = 1; i < puntos.length; i++) {
+    const a = toXY(puntos[i - 1], point.lat);
+    const b = toXY(puntos[i], point.lat);
+    const closest = closestOnSegment(p, a, b);
+    const distancia = Math.hypot(p.x - closest.x, p.y - closest.y);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (distancia < best.distancia) best = { distancia, fraccion: total ? (walked + closest.t * length) / total : 0 };
+    walked += length;
+  }
+  return best;
+}
+
+// Cruce de dos polilíneas, o el punto medio entre sus puntos más próximos si no se tocan
+// (en los datos las calles a veces terminan unos metros antes del cruce).
+function closestApproach(puntosA, puntosB) {
+  const refLat = puntosA[0].lat;
+  const a = puntosA.map(p => toXY(p, refLat));
+  const b = puntosB.map(p => toXY(p, refLat));
+  let best = { distancia: Infinity, punto: null };
+  for (let i = 1; i < a.length; i++) {
+    for (let j = 1; j < b.length; j++) {
+      const cross = segmentIntersection(a[i - 1], a[i], b[j - 1], b[j]);
+      if (cross) return { distancia: 0, punto: fromXY(cross, refLat) };
+      for (const [p, s1, s2] of [[a[i - 1], b[j - 1], b[j]], [a[i], b[j - 1], b[j]], [b[j - 1], a[i - 1], a[i]], [b[j], a[i - 1], a[i]]]) {
+        const q = closestOnSegment(p, s1, s2);
+        const distancia = Math.hypot(p.x - q.x, p.y - q.y);
+        if (distancia < best.distancia) best = { distancia, punto: fromXY({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }, refLat) };
+      }
+    }
+  }
+  return best;
+}
+
+function centroid(geometry) {
+  const ring = geometry.type === 'Point' ? [geometry.coordinates]
+    : geometry.type === 'Polygon' ? geometry.coordinates[0]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0]
+    : null;
+  if (!ring?.length) return null;
+  return {
+    lat: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length,
+    lon: ring.reduce((sum, [lon]) => sum + lon, 0) / ring.length
+  };
+}
+
+// ───── Lectura de CSV ─────
+// Campos separados por coma, con comillas dobles opcionales ("Lagos del Country, 2a sección").
+export function parseCsv(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trimStart().startsWith('#')) return;
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let j = 0; j < line.length; j++) {
+      const ch = line[j];
+      if (quoted) {
+        if (ch === '"' && line[j + 1] === '"') {
+          field += '"';
+          j++;
+        } else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') {
+        fields.push(field.trim());
+        field = '';
+      } else field += ch;
+    }
+    fields.push(field.trim());
+    rows.push({ linea: i + 1, fields });
+  });
+
+  const [header, ...data] = rows;
+  if (!header) return { columns: [], records: [] };
+  const columns = header.fields.map(c => c.toLowerCase());
+  return {
+    columns,
+    records: data.map(({ linea, fields }) => ({ linea, ...Object.fromEntries(columns.map((c, j) => [c, fields[j] ?? ''])) }))
+  };
+}
+
+// ───── Geocodificador local ─────
+// `bounds` = [latS, lonW, latN, lonE] para validar las coordenadas de los datos.
+export function createLocalGeocoder({ dirPath, bounds = null }) {
+  let colonias = [];
+  let calles = new Map();
+  let archivos = [];
+
+  const inBounds = (lat, lon) => !bounds || (lat >= bounds[0] && lat <= bounds[2] && lon >= bounds[1] && lon <= bounds[3]);
+
+  function getCalle(map, municipio, nombre) {
+    const key = `${normalizeText(municipio)}|${streetTokens(nombre).join(' ')}`;
+    if (!map.has(key)) map.set(key, { nombre, municipio, tokens: streetTokens(nombre), tramos: [], numeros: new Map() });
+    return map.get(key);
+  }
+
+  const nearestColonia = (list, point, maxM = Infinity) => {
+    let best = null;
+    for (const colonia of list) {
+      const d = distanceM(point, colonia);
+      if (d <= maxM && (!best || d < best.distancia)) best = { colonia, distancia: d };
+    }
+    return best?.colonia || null;
+  };
+
+  function loadColoniasCsv(filePath, errors, list) {
+    const { columns, records } = parseCsv(fs.readFileSync(filePath, 'utf8'));
+    const missing = COLONIAS_COLUMNS.filter(c => !columns.includes(c));
+    if (missing.length) return errors.push(`${filePath}: faltan columnas ${missing.join(', ')}.`);
+
+    for (const r of records) {
+      const lat = Number(r.lat);
+      const lon = Number(r.lon);
+      if (!r.municipio || !r.colonia) errors.push(`${filePath}:${r.linea}: municipio y colonia son requeridos.`);
+      else if (r.lat === '' || r.lon === '' || !Number.isFinite(lat) || !Number.isFinite(lon) || !inBounds(lat, lon)) errors.push(`${filePath}:${r.linea}: coordenadas inválidas o fuera de los límites.`);
+      else list.push({ municipio: r.municipio, nombre: r.colonia, cp: r.cp || null, lat, lon, tokens: coloniaTokens(r.colonia) });
+    }
+  }
+
+  function loadCallesCsv(filePath, errors, map) {
+    const { columns, records } = parseCsv(fs.readFileSync(filePath, 'utf8'));
+    const missing = CALLES_COLUMNS.filter(c => !columns.includes(c));
+    if (missing.length) return errors.push(`${filePath}: faltan columnas ${missing.join(', ')}.`);
+
+    for (const r of records) {
+      const [desde, hasta, latA, lonA, latB, lonB] = ['numero_inicio', 'numero_fin', 'lat_inicio', 'lon_inicio', 'lat_fin', 'lon_fin'].map(c => r[c] === '' ? NaN : Number(r[c]));
+      if (!r.municipio || !r.calle) errors.push(`${filePath}:${r.linea}: municipio y calle son requeridos.`);
+      else if (![latA, lonA, latB, lonB].every(Number.isFinite) || !inBounds(latA, lonA) || !inBounds(latB, lonB)) errors.push(`${filePath}:${r.linea}: coordenadas inválidas o fuera de los límites.`);
+      else if (!Number.isInteger(desde) || !Number.isInteger(hasta) || desde < 0 || hasta < desde) errors.push(`${filePath}:${r.linea}: rango de numeración inválido (${r.numero_inicio}-${r.numero_fin}).`);
+      else {
+        getCalle(map, r.municipio, r.calle).tramos.push({
+          colonia: r.colonia || null,
+          desde,
+          hasta,
+          puntos: [{ lat: latA, lon: lonA }, { lat: latB, lon: lonB }]
+        });
+      }
+    }
+  }
+
+  // Calles sin rango de numeración (OSM rara vez lo tiene): sirven para nivel calle y para la inversa.
+  function loadOsmGeoJson(filePath, errors, list, map) {
+    let geojson;
+    try {
+      geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      return errors.push(`${filePath}: JSON inválido (${err.message}).`);
+    }
+    if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      return errors.push(`${filePath}: debe ser un GeoJSON FeatureCollection.`);
+    }
+
+    const tagsOf = (f) => f?.properties?.tags || f?.properties || {};
+    const features = geojson.features.filter(f => f?.geometry);
+    const municipioFor = (tags, point) => tags['addr:city'] || tags['is_in:city'] || nearestColonia(list, point)?.municipio || null;
+
+    for (const f of features) {
+      const tags = tagsOf(f);
+      if (tags.name && OSM_COLONIA_PLACES.includes(tags.place)) {
+        const center = centroid(f.geometry);
+        if (center && inBounds(center.lat, center.lon)) {
+          list.push({ municipio: tags['addr:city'] || tags['is_in:city'] || null, nombre: tags.name, cp: tags['addr:postcode'] || null, ...center, tokens: coloniaTokens(tags.name) });
+        }
+      }
+    }
+
+    for (const f of features) {
+      const tags = tagsOf(f);
+      const { type, coordinates } = f.geometry;
+      if (tags.highway && tags.name && (type === 'LineString' || type === 'MultiLineString')) {
+        const lines = type === 'LineString' ? [coordinates] : coordinates;
+        for (const line of lines) {
+          const puntos = line.map(([lon, lat]) => ({ lat, lon })).filter(p => inBounds(p.lat, p.lon));
+          if (puntos.length < 2) continue;
+          const middle = pointAlong(puntos, 0.5);
+          getCalle(map, municipioFor(tags, middle), tags.name).tramos.push({
+            colonia: nearestColonia(list, middle, REVERSE_COLONIA_MAX_M)?.nombre || null,
+            desde: null,
+            hasta: null,
+            puntos
+          });
+        }
+      } else if (tags['addr:street'] && /^\d+/.test(tags['addr:housenumber'] || '')) {
+        const center = centroid(f.geometry);
+        if (!center || !inBounds(center.lat, center.lon)) continue;
+        getCalle(map, municipioFor(tags, center), tags['addr:street']).numeros.set(parseInt(tags['addr:housenumber'], 10), center);
+      }
+    }
+  }
+
+  // ───── Búsqueda ─────
+  const bestMatch = (items, tokens, threshold = MATCH_THRESHOLD) => items
+    .map(item => ({ item, score: scoreTokens(tokens, item.tokens) }))
+    .filter(m => m.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+
+  const municipioNames = () => [...new Set([...colonias.map(c => c.municipio), ...[...calles.values()].map(c => c.municipio)].filter(Boolean).map(normalizeText))];
+
+  function findMunicipio(parts) {
+    const municipios = [...new Set([...colonias.map(c => c.municipio), ...[...calles.values()].map(c => c.municipio)].filter(Boolean))];
+    for (const part of parts) {
+      const found = municipios.find(m => normalizeText(m) === normalizeText(part));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function findColonia(texts, municipio) {
+    const candidates = colonias.filter(c => !municipio || !c.municipio || normalizeText(c.municipio) === normalizeText(municipio));
+    for (const text of texts.filter(Boolean)) {
+      const [match] = bestMatch(candidates, coloniaTokens(text));
+      if (match) return match.item;
+    }
+    return null;
+  }
+
+  function findStreets(text, municipio, colonia) {
+    const tokens = streetTokens(text);
+    if (!tokens.length) return [];
+    const candidates = [...calles.values()].filter(c => !municipio || !c.municipio || normalizeText(c.municipio) === normalizeText(municipio));
+    return bestMatch(candidates, tokens).map(({ item, score }) => ({
+      calle: item,
+      // A igualdad de nombre gana la calle que pasa por la colonia indicada.
+      score: score + (colonia && item.tramos.some(t => t.colonia && normalizeText(t.colonia) === normalizeText(colonia.nombre)) ? 0.1 : 0)
+    })).sort((a, b) => b.score - a.score);
+  }
+
+  function formatAddress({ calle, numero, colonia, cp, municipio }) {
+    return [
+      calle && (numero != null ? `${calle} ${numero}` : calle),
+      colonia,
+      [cp, municipio].filter(Boolean).join(' '),
+      'Nayarit'
+    ].filter(Boolean).join(', ');
+  }
+
+  // La inversa se llama sin `lat`/`lon`: sus resultados no llevan coordenadas, igual que los de los proveedores.
+  function buildResult({ lat = null, lon = null, metodo, calle = null, numero = null, colonia = null, municipio, cp = null, source = 'local' }) {
+    const confianza = LOCAL_CONFIDENCE[metodo];
+    const coloniaData = colonia && colonias.find(c => c.nombre === colonia && (!municipio || c.municipio === municipio));
+    const postcode = cp || coloniaData?.cp || null;
+    return {
+      ...(lat != null && { lat: parseFloat(lat.toFixed(6)), lon: parseFloat(lon.toFixed(6)) }),
+      direccion: formatAddress({ calle, numero, colonia, cp: postcode, municipio }),
+      source,
+      quality: confianza,
+      confianza,
+      metodo,
+      components: {
+        ...(calle && { road: calle }),
+        ...(numero != null && { house_number: String(numero) }),
+        ...(colonia && { suburb: colonia }),
+        ...(municipio && { city: municipio }),
+        ...(postcode && { postcode }),
+        state: 'Nayarit',
+        country: 'México'
+      }
+    };
+  }
+
+  // Ubica `numero` en la calle: número exacto (OSM), tramo cuyo rango lo contiene o, si no
+  // se puede, el tramo de la colonia (o el de en medio) a nivel calle.
+  function locateOnStreet(calle, numero, colonia) {
+    const sameColonia = (t) => colonia && t.colonia && normalizeText(t.colonia) === normalizeText(colonia.nombre);
+
+    if (numero != null && calle.numeros.has(numero)) {
+      const point = calle.numeros.get(numero);
+      const tramo = calle.tramos.length ? calle.tramos.reduce((a, b) => projectOnPolyline(a.puntos, point).distancia <= projectOnPolyline(b.puntos, point).distancia ? a : b) : null;
+      return { ...point, metodo: 'numero', numero, colonia: colonia?.nombre || tramo?.colonia || nearestColonia(colonias, point, REVERSE_COLONIA_MAX_M)?.nombre || null };
+    }
+
+    if (numero != null) {
+      const inRange = calle.tramos
+        .filter(t => t.desde != null && numero >= t.desde && numero <= t.hasta)
+        .sort((a, b) => Number(sameColonia(b)) - Number(sameColonia(a)));
+      if (inRange.length) {
+        const tramo = inRange[0];
+        const fraction = tramo.hasta > tramo.desde ? (numero - tramo.desde) / (tramo.hasta - tramo.desde) : 0.5;
+        return { ...pointAlong(tramo.puntos, fraction), metodo: 'interpolacion', numero, colonia: tramo.colonia };
+      }
+    }
+
+    const tramo = calle.tramos.find(sameColonia) || calle.tramos[Math.floor(calle.tramos.length / 2)];
+    if (tramo) return { ...pointAlong(tramo.puntos, 0.5), metodo: 'calle', numero: null, colonia: tramo.colonia };
+
+    const [point] = calle.numeros.values();
+    return point ? { ...point, metodo: 'calle', numero: null, colonia: colonia?.nombre || null } : null;
+  }
+
+  return {
+    dirPath,
+
+    // Carga todos los archivos del directorio. Devuelve false si el directorio no existe
+    // (geocodificador desactivado); lanza error con `details` si algún archivo es inválido.
+    load() {
+      if (!fs.existsSync(dirPath)) {
+        colonias = [];
+        calles = new Map();
+        archivos = [];
+        return false;
+      }
+
+      const errors = [];
+      const nextColonias = [];
+      const nextCalles = new Map();
+      const files = fs.readdirSync(dirPath).sort();
+      if (files.includes('colonias.csv')) loadColoniasCsv(path.join(dirPath, 'colonias.csv'), errors, nextColonias);
+      if (files.includes('calles.csv')) loadCallesCsv(path.join(dirPath, 'calles.csv'), errors, nextCalles);
+      files.filter(f => f.endsWith('.geojson')).forEach(f => loadOsmGeoJson(path.join(dirPath, f), errors, nextColonias, nextCalles));
+
+      if (errors.length) {
+        const err = new Error(`Datos del geocodificador local inválidos en ${dirPath}.`);
+        err.details = errors;
+        throw err;
+      }
+
+      colonias = nextColonias;
+      calles = nextCalles;
+      archivos = files.filter(f => f === 'colonias.csv' || f === 'calles.csv' || f.endsWith('.geojson'));
+      const { tramos, numeros } = this.stats();
+      logger.info(`Geocodificador local cargado desde ${dirPath}: ${colonias.length} colonias, ${calles.size} calles (${tramos} tramos, ${numeros} números exactos)`);
+      return true;
+    },
+
+    get available() {
+      return colonias.length > 0 || calles.size > 0;
+    },
+
+    // Misma forma de resultado que los proveedores externos; null si no reconoce la dirección.
+    forward(address) {
+      const parsed = parseAddress(address, { municipios: municipioNames() });
+      const municipio = parsed.municipio && findMunicipio([parsed.municipio]);
+      const colonia = findColonia([parsed.colonia, ...parsed.otros], municipio);
+      const numero = /^\d+/.test(parsed.numero_exterior || '') ? parseInt(parsed.numero_exterior, 10) : null;
+
+      // Si el número pudo ser parte del nombre ("Calle 20 de Noviembre"), se prueban ambas lecturas.
+      const readings = [{ text: parsed.calle, numero }];
+      if (parsed.calle && numero != null) readings.push({ text: `${parsed.calle} ${parsed.numero_exterior}`, numero: null });
+      const [street] = readings
+        .flatMap(r => findStreets(r.text || '', municipio, colonia).map(s => ({ ...s, numero: r.numero })))
+        .sort((a, b) => b.score - a.score);
+
+      if (street) {
+        const located = locateOnStreet(street.calle, street.numero, colonia);
+        if (located) {
+          return buildResult({
+            ...located,
+            calle: street.calle.nombre,
+            municipio: street.calle.municipio || colonia?.municipio || municipio,
+            cp: parsed.codigo_postal
+          });
+        }
+      }
+
+      // Sin calle reconocida: centroide de la colonia (también si la "calle" era la colonia: "Centro, Tepic").
+      const coloniaOnly = colonia || (!parsed.colonia && parsed.calle && findColonia([parsed.calle], municipio));
+      if (coloniaOnly) {
+        return buildResult({ lat: coloniaOnly.lat, lon: coloniaOnly.lon, metodo: 'colonia', colonia: coloniaOnly.nombre, municipio: coloniaOnly.municipio, cp: parsed.codigo_postal });
+      }
+      return null;
+    },
+
+    // Cruce de dos calles conocidas ("Insurgentes esquina con Allende"). Además de los campos
+    // de siempre devuelve `calles` y `separacion_m` (0 si las calles se tocan en los datos).
+    intersection(textA, textB, { municipio = null, colonia = null } = {}) {
+      const muni = municipio && findMunicipio([municipio]);
+      const col = colonia ? findColonia([colonia], muni) : null;
+      const streetsA = findStreets(textA, muni, col).slice(0, 3);
+      const streetsB = findStreets(textB, muni, col).slice(0, 3);
+
+      let best = null;
+      for (const a of streetsA) {
+        for (const b of streetsB) {
+          if (a.calle === b.calle || (a.calle.municipio && b.calle.municipio && a.calle.municipio !== b.calle.municipio)) continue;
+          for (const ta of a.calle.tramos) {
+            for (const tb of b.calle.tramos) {
+              const { distancia, punto } = closestApproach(ta.puntos, tb.puntos);
+              const score = a.score + b.score;
+              if (distancia <= INTERSECTION_MAX_M && (!best || score > best.score || (score === best.score && distancia < best.distancia))) {
+                best = { a: a.calle, b: b.calle, colonia: ta.colonia || tb.colonia, distancia, punto, score };
+              }
+            }
+          }
+        }
+      }
+      if (!best) return null;
+
+      return {
+        ...buildResult({
+          ...best.punto,
+          metodo: 'interseccion',
+          calle: `${best.a.nombre} esquina ${best.b.nombre}`,
+          colonia: best.colonia,
+          municipio: best.a.municipio || best.b.municipio
+        }),
+        calles: [best.a.nombre, best.b.nombre],
+        separacion_m: Math.round(best.distancia)
+      };
+    },
+
+    // Calle más cercana (con número interpolado si el tramo tiene rango) o, en su defecto, colonia más cercana.
+    reverse(lat, lon) {
+      const point = { lat, lon };
+      let best = null;
+      for (const calle of calles.values()) {
+        for (const tramo of calle.tramos) {
+          const { distancia, fraccion } = projectOnPolyline(tramo.puntos, point);
+          if (distancia <= REVERSE_STREET_MAX_M && (!best || distancia < best.distancia)) best = { calle, tramo, distancia, fraccion };
+        }
+      }
+
+      if (best) {
+        const { calle, tramo, distancia, fraccion } = best;
+        const numero = tramo.desde != null && distancia <= REVERSE_NUMBER_MAX_M ? Math.round(tramo.desde + fraccion * (tramo.hasta - tramo.desde)) : null;
+        const colonia = tramo.colonia || nearestColonia(colonias, point, REVERSE_COLONIA_MAX_M)?.nombre || null;
+        return buildResult({ metodo: numero != null ? 'interpolacion' : 'calle', calle: calle.nombre, numero, colonia, municipio: calle.municipio, source: 'local_reverse' });
+      }
+
+      const colonia = nearestColonia(colonias, point, REVERSE_COLONIA_MAX_M);
+      if (!colonia) return null;
+      return buildResult({ metodo: 'colonia', colonia: colonia.nombre, municipio: colonia.municipio, source: 'local_reverse' });
+    },
+
+    stats() {
+      const list = [...calles.values()];
+      return {
+        archivos,
+        colonias: colonias.length,
+        calles: list.length,
+        tramos: list.reduce((sum, c) => sum + c.tramos.length, 0),
+        numeros: list.reduce((sum, c) => sum + c.numeros.size, 0)
+      };
+    }
+  };
+}
@@ -0,0 +1,800 @@
+import { API_KEY_SCOPES } from './apiKeys.js'
+import { TRIP_TRANSITIONS } from './trips.js'
+import { VEHICLE_TYPES } from './drivers.js'
+
+// ───── Especificación OpenAPI 3 ─────
+// Una sola descripción de todas las rutas: la sirve GET /openapi.json, la usa la documentación
+// de GET /docs y con ella se validan las peticiones (y, fuera de producción, las respuestas; ver
+// src/openapiValidation.js). Al agregar o cambiar una ruta en index.js hay que actualizarla aquí.
+
+// Teléfono de 10 a 15 dígitos, con lada internacional opcional y separadores comunes.
+export const PHONE_PATTERN = '^\\+?(?:[\\s().-]*\\d){10,15}[\\s().-]*$'
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const nullable = (schema) => ({ ...schema, nullable: true })
+const string = { type: 'string' }
+const number = { type: 'number' }
+const integer = { type: 'integer' }
+const boolean = { type: 'boolean' }
+const fechaIso = { type: 'string', format: 'date-time' }
+const fechaViajeEntrada = { ...fechaIso, description: 'ISO 8601. Sin `Z` ni desfase se interpreta en la hora local de la tarifa (America/Mazatlan).' }
+const latitud = { type: 'number', minimum: -90, maximum: 90 }
+const longitud = { type: 'number', minimum: -180, maximum: 180 }
+const direccion = { type: 'string', pattern: '^\\s*\\S[\\s\\S]{2,}\\S\\s*$', 'x-mensaje': 'debe tener al menos 4 caracteres' }
+const telefono = { type: 'string', pattern: PHONE_PATTERN, 'x-mensaje': 'debe ser un teléfono de 10 a 15 dígitos' }
+const object = (properties, required = []) => ({ type: 'object', ...(required.length && { required }), properties })
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra })
+const mapOf = (values) => ({ type: 'object', additionalProperties: values })
+
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } })
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } })
+const errorResponse = jsonResponse('Error (`error`, `code` y, si aplica, `detalles`)', ref('Error'))
+const responses = (status, description, schema) => ({ [status]: jsonResponse(description, schema), default: errorResponse })
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: string })
+const queryParam = (name, schema, { required = false, description } = {}) => ({ name, in: 'query', required, ...(description && { description }), schema })
+
+const SCOPED = (permiso) => ({ security: [{ ApiKey: [] }, { AdminToken: [] }], 'x-permiso': permiso })
+const ADMIN = { security: [{ ApiKey: [] }, { AdminToken: [] }], 'x-permiso': 'admin' }
+const PUBLIC = { security: [] }
+// Token de seguimiento del viaje, o las credenciales de una clave `fare` o de administración.
+const TRIP_ACCESS = { security: [{ TokenSeguimiento: [] }, { ApiKey: [] }, { AdminToken: [] }], 'x-permiso': 'fare' }
+const trackingToken = queryParam('token', string, { description: '`token_seguimiento` devuelto al reservar.' })
+const streamToken = (origen) => queryParam('access_token', string, { description: `Token de corta duración de ${origen} (EventSource no permite headers).` })
+const streamTokenRespuesta = object({ access_token: string, expira_en: fechaIso }, ['access_token', 'expira_en'])
+
+function schemas({ maxParadas, maxEsperaMin, geocodeBatchMax }) {
+  const esperaMin = { type: 'number', minimum: 0, maximum: maxEsperaMin }
+  const poi = {
+    id: { type: 'string', pattern: '^[a-z0-9_]+$' },
+    nombre: string,
+    aliases: arrayOf(string),
+    lat: latitud,
+    lon: longitud,
+    address: string,
+    components: { type: 'object', additionalProperties: true },
+    destacado: boolean,
+    emoji: string
+  }
+
+  return {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: string,
+        code: string,
+        detalles: { description: 'Campos inválidos ({ campo, mensaje }) o detalles del error.' }
+      }
+    },
+    AreaServicio: object({
+      dentro: boolean,
+      motivo: nullable({ type: 'string', enum: ['zona_excluida', 'fuera_de_cobertura'] }),
+      municipio: nullable(string),
+      zona: nullable(string)
+    }, ['dentro', 'motivo', 'municipio', 'zona']),
+    Componentes: { type: 'object', nullable: true, additionalProperties: true, description: 'Componentes de la dirección según el proveedor.' },
+    Consenso: {
+      ...object({
+        estado: { type: 'string', enum: ['unico', 'acuerdo', 'cercano', 'desacuerdo'] },
+        ambiguo: boolean,
+        confianza: number,
+        proveedores: arrayOf(string),
+        distancia_m: number,
+        alternativa: nullable(object({ direccion: string, lat: latitud, lon: longitud, fuente: string, confianza: number, distancia_m: number }))
+      }, ['estado', 'ambiguo', 'confianza', 'proveedores']),
+      nullable: true
+    },
+    TipoResolucion: { type: 'string', enum: ['poi', 'direccion', 'interseccion', 'referencia_poi', 'coordenadas'] },
+    Interseccion: object({ calles: arrayOf(string), metodo: { type: 'string', enum: ['local', 'proveedores'] }, separacion_m: number }, ['calles', 'metodo']),
+    Referencia: object({ poi_id: string, poi: string, relacion: string, distancia_m: number, rumbo: nullable(string) }, ['poi_id', 'poi', 'relacion']),
+    CandidatoPoi: object({ id: string, nombre: string, alias: nullable(string), score: number }, ['id', 'nombre']),
+    DireccionEstructurada: object({
+      calle: nullable(string),
+      numero_exterior: nullable(string),
+      numero_interior: nullable(string),
+      colonia: nullable(string),
+      entre_calles: arrayOf(string),
+      esquina: nullable(string),
+      codigo_postal: nullable(string),
+      municipio: nullable(string),
+      estado: nullable(string),
+      referencias: arrayOf(string),
+      otros: arrayOf(string)
+    }, ['calle', 'numero_exterior', 'colonia', 'entre_calles', 'referencias']),
+    ParadaEnlace: {
+      type: 'object',
+      description: 'Parada de un enlace de ruta: coordenadas, texto (`q`) o "mi ubicación".',
+      properties: { lat: latitud, lon: longitud, q: string, ubicacion_actual: boolean }
+    },
+
+    // ─── Geocodificación ───
+    GeocodeLinkResultado: object({
+      lat: latitud,
+      lon: longitud,
+      direccion_encontrada: string,
+      calidad_evaluada: string,
+      precision_estimada_metros: number,
+      fuente_geocodificacion: string,
+      tipo_resolucion: ref('TipoResolucion'),
+      formato_enlace: string,
+      consenso: ref('Consenso'),
+      componentes_direccion: ref('Componentes'),
+      tipo_ubicacion: { type: 'string', enum: ['origen_de_ruta', 'destino_de_ruta'] },
+      destino_detectado: string,
+      paradas_ruta: arrayOf(ref('ParadaEnlace')),
+      area_servicio: ref('AreaServicio')
+    }, ['lat', 'lon', 'direccion_encontrada', 'calidad_evaluada', 'precision_estimada_metros', 'fuente_geocodificacion', 'tipo_resolucion', 'formato_enlace', 'area_servicio']),
+    ReverseOriginResultado: object({
+      direccion_origen: string,
+      source: string,
+      quality_score: number,
+      calidad_evaluada: string,
+      precision_estimada_metros: number,
+      componentes_direccion: ref('Componentes'),
+      area_servicio: ref('AreaServicio')
+    }, ['direccion_origen', 'source', 'calidad_evaluada', 'precision_estimada_metros', 'area_servicio']),
+    ValidateAddressResultado: object({
+      lat: latitud,
+      lon: longitud,
+      direccion_encontrada: string,
+      calidad_evaluada: string,
+      precision_estimada_metros: number,
+      analisis_direccion: object({
+        es_poi_conocido: boolean,
+        es_poi_geocodificado: boolean,
+        tiene_numero_calle: boolean,
+        tiene_colonia_barrio: boolean,
+        tiene_ciudad_principal: boolean,
+        sugerencias_geocoder: arrayOf(string),
+        candidatos_poi: arrayOf(ref('CandidatoPoi')),
+        requiere_confirmacion: boolean
+      }, ['es_poi_conocido', 'tiene_numero_calle', 'tiene_colonia_barrio', 'tiene_ciudad_principal', 'requiere_confirmacion']),
+      direccion_estructurada: ref('DireccionEstructurada'),
+      consulta_geocodificacion: string,
+      fuente_geocodificacion: string,
+      tipo_resolucion: ref('TipoResolucion'),
+      interseccion: ref('Interseccion'),
+      referencia: ref('Referencia'),
+      consenso: ref('Consenso'),
+      componentes_direccion: ref('Componentes'),
+      area_servicio: ref('AreaServicio')
+    }, ['lat', 'lon', 'direccion_encontrada', 'calidad_evaluada', 'precision_estimada_metros', 'analisis_direccion', 'direccion_estructurada', 'fuente_geocodificacion', 'tipo_resolucion', 'area_servicio']),
+    GeocodeTextResultado: object({
+      datos: object({
+        lat: latitud,
+        lon: longitud,
+        direccion_encontrada: string,
+        precision_estimada_metros: number,
+        calidad_evaluada: string
+      }, ['lat', 'lon', 'direccion_encontrada', 'precision_estimada_metros', 'calidad_evaluada']),
+      analisis: object({ sugerencias: arrayOf(string), requiere_confirmacion: boolean }, ['sugerencias', 'requiere_confirmacion']),
+      fuente_geocodificacion: string,
+      tipo_resolucion: ref('TipoResolucion'),
+      formato_enlace: string,
+      interseccion: ref('Interseccion'),
+      referencia: ref('Referencia'),
+      consenso: ref('Consenso'),
+      componentes_direccion: ref('Componentes'),
+      area_servicio: ref('AreaServicio')
+    }, ['datos', 'analisis', 'fuente_geocodificacion', 'tipo_resolucion', 'area_servicio']),
+    GeocodeBatchResultado: object({
+      total: integer,
+      unicas: integer,
+      desde_cache: integer,
+      exitosos: integer,
+      fallidos: integer,
+      resultados: arrayOf(object({
+        indice: integer,
+        id: {},
+        entrada: string,
+        estado: integer,
+        desde_cache: boolean,
+        respuesta: { anyOf: [ref('GeocodeTextResultado'), ref('Error')] }
+      }, ['indice', 'entrada', 'estado', 'desde_cache', 'respuesta']))
+    }, ['total', 'unicas', 'desde_cache', 'exitosos', 'fallidos', 'resultados']),
+    Sugerencia: object({
+      tipo: { type: 'string', enum: ['poi', 'historial', 'cache', 'proveedor'] },
+      nombre: string,
+      direccion: string,
+      lat: latitud,
+      lon: longitud,
+      distancia_km: number,
+      puntaje: number
+    }, ['tipo', 'direccion', 'lat', 'lon', 'puntaje']),
+
+    // ─── Tarifas y cotizaciones ───
+    ParadaEntrada: {
+      description: 'Parada intermedia: texto (dirección o enlace) u objeto con coordenadas, dirección o enlace.',
+      oneOf: [
+        { type: 'string', minLength: 1 },
+        object({ lat: latitud, lon: longitud, direccion: string, link: string, espera_min: nullable(esperaMin) })
+      ]
+    },
+    ParadaResuelta: object({
+      lat: latitud,
+      lon: longitud,
+      direccion: nullable(string),
+      tipo_entrada: { type: 'string', enum: ['coordenadas', 'texto', 'enlace', 'ubicacion_actual'] },
+      espera_min: number
+    }, ['lat', 'lon', 'direccion', 'tipo_entrada', 'espera_min']),
+    Cotizacion: object({
+      mensaje: string,
+      datos: object({
+        lat_origen: latitud,
+        lon_origen: longitud,
+        direccion_origen: string,
+        lat_destino: latitud,
+        lon_destino: longitud,
+        direccion_destino: string,
+        consenso_destino: ref('Consenso'),
+        link_google_maps_destino: string,
+        link_google_maps_origen: string,
+        distancia_km: number,
+        paradas: arrayOf(ref('ParadaResuelta')),
+        ida_y_vuelta: boolean,
+        tramos: arrayOf(object({ desde: string, hasta: string, distancia_km: number, duracion_min: number }, ['desde', 'hasta', 'distancia_km', 'duracion_min'])),
+        distancia_ruta_km: number,
+        duracion_estimada_min: number,
+        tiempo_espera_min: number,
+        geometria_ruta: nullable(string),
+        metodo_ruta: string,
+        costo_estimado: number,
+        desglose_tarifa: { type: 'object', additionalProperties: true },
+        cargos_espera: number,
+        tarifa_version: string,
+        origen_precio: string,
+        fecha_hora_viaje: fechaIso,
+        moneda: string,
+        telefono_registrado: string,
+        cotizacion_id: string,
+        cotizacion_token: string,
+        cotizacion_expira_en: fechaIso,
+        enlace: object({
+          formato_enlace: string,
+          paradas: arrayOf(object({ parada: integer, lat: latitud, lon: longitud, direccion: string, tipo_entrada: string }, ['parada', 'lat', 'lon', 'direccion', 'tipo_entrada']))
+        }, ['formato_enlace', 'paradas'])
+      }, [
+        'lat_origen', 'lon_origen', 'lat_destino', 'lon_destino', 'direccion_destino', 'distancia_km', 'paradas', 'ida_y_vuelta', 'tramos',
+        'distancia_ruta_km', 'duracion_estimada_min', 'costo_estimado', 'tarifa_version', 'fecha_hora_viaje', 'moneda', 'cotizacion_id', 'cotizacion_token', 'cotizacion_expira_en'
+      ])
+    }, ['mensaje', 'datos']),
+
+    // ─── Viajes y conductores ───
+    Viaje: object({
+      id: string,
+      cotizacion_id: string,
+      estado: { type: 'string', enum: Object.keys(TRIP_TRANSITIONS) },
+      telefono: string,
+      origen: object({ lat: latitud, lon: longitud, direccion: nullable(string) }, ['lat', 'lon']),
+      destino: object({ lat: latitud, lon: longitud, direccion: nullable(string) }, ['lat', 'lon']),
+      paradas: arrayOf({ type: 'object', additionalProperties: true }),
+      ida_y_vuelta: boolean,
+      distancia_ruta_km: nullable(number),
+      duracion_estimada_min: nullable(number),
+      costo_estimado: number,
+      moneda: string,
+      tarifa_version: nullable(string),
+      fecha_hora_viaje: fechaIso,
+      notas: nullable(string),
+      conductor: nullable({ type: 'object', additionalProperties: true }),
+      historial: arrayOf(object({ estado: string, fecha: fechaIso, motivo: string }, ['estado', 'fecha'])),
+      creado_en: fechaIso,
+      actualizado_en: fechaIso
+    }, ['id', 'cotizacion_id', 'estado', 'telefono', 'origen', 'destino', 'costo_estimado', 'historial', 'creado_en']),
+    Conductor: object({
+      id: string,
+      nombre: string,
+      telefono: string,
+      placa: string,
+      tipo_vehiculo: { type: 'string', enum: VEHICLE_TYPES },
+      disponible: boolean,
+      ubicacion: nullable(object({ lat: latitud, lon: longitud, actualizada_en: fechaIso }, ['lat', 'lon', 'actualizada_en'])),
+      creado_en: fechaIso
+    }, ['id', 'nombre', 'telefono', 'placa', 'tipo_vehiculo', 'disponible', 'ubicacion']),
+    ConductorVista: {
+      allOf: [ref('Conductor'), object({ ubicacion_reciente: boolean, viaje_actual: nullable(string) }, ['ubicacion_reciente', 'viaje_actual'])]
+    },
+
+    // ─── Administración ───
+    Poi: object(poi, ['id', 'nombre', 'lat', 'lon', 'address']),
+    PoiCambios: object(poi),
+    Cuota: object({ limite: { type: 'integer', minimum: 1 }, ventana_min: { type: 'integer', minimum: 1 } }, ['limite', 'ventana_min']),
+    ClaveApi: object({
+      id: string,
+      nombre: string,
+      prefijo: string,
+      scopes: arrayOf({ type: 'string', enum: API_KEY_SCOPES }),
+      cuotas: mapOf(ref('Cuota')),
+      activa: boolean,
+      creado_en: fechaIso,
+      actualizado_en: fechaIso
+    }, ['id', 'nombre', 'prefijo', 'scopes', 'cuotas', 'activa']),
+    UsoClave: object({
+      ultimo_uso: nullable(fechaIso),
+      rutas: mapOf(object({ solicitudes: integer, rechazadas: integer }, ['solicitudes', 'rechazadas'])),
+      ventanas: mapOf(object({ usadas: integer, limite: integer, ventana_min: integer, reinicia_en: fechaIso }, ['usadas', 'limite', 'ventana_min', 'reinicia_en']))
+    }, ['ultimo_uso', 'rutas', 'ventanas']),
+
+    // ─── Cuerpos de petición compartidos ───
+    CalculateFareEntrada: object({
+      lat1: latitud,
+      lon1: longitud,
+      lat2: nullable(latitud),
+      lon2: nullable(longitud),
+      destino: nullable({ ...string, description: 'Dirección de destino; requerida si no se envían lat2/lon2.' }),
+      direccion_origen: nullable({ ...string, description: 'Dirección del origen; si no se envía se obtiene por geocodificación inversa de lat1/lon1.' }),
+      telefono,
+      fecha_hora: nullable(fechaViajeEntrada),
+      paradas: nullable(arrayOf(ref('ParadaEntrada'), { maxItems: maxParadas })),
+      ida_y_vuelta: nullable(boolean),
+      espera_destino_min: nullable({ ...esperaMin, description: 'Solo en viajes de ida y vuelta.' })
+    }, ['lat1', 'lon1', 'telefono']),
+    GeocodeBatchEntrada: object({
+      direcciones: arrayOf({
+        oneOf: [string, object({ id: {}, direccion: string, link: string })]
+      }, { minItems: 1, maxItems: geocodeBatchMax })
+    }, ['direcciones']),
+    ClaveApiEntrada: object({
+      nombre: { type: 'string', minLength: 2 },
+      scopes: arrayOf({ type: 'string', enum: API_KEY_SCOPES }, { minItems: 1 }),
+      cuotas: mapOf(ref('Cuota')),
+      activa: boolean
+    }),
+    Coordenadas: object({ lat: latitud, lon: longitud }, ['lat', 'lon'])
+  };
+}
+
+function paths() {
+  const listOf = (key, items) => object({ total: integer, [key]: arrayOf(items) }, ['total', key]);
+  const idParam = (description) => ({ parameters: [pathParam('id', description)] });
+  const conductorConToken = { allOf: [ref('Conductor'), object({ token_conductor: string }, ['token_conductor'])] };
+
+  return {
+    // ─── Geocodificación ───
+    '/geocode_link': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Ubicación de un enlace de mapas, Plus Code o coordenadas',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(object({ url: { type: 'string', pattern: '\\S', description: 'Enlace de Google Maps, Waze o Apple Maps, URI geo:, Plus Code, coordenadas o texto con un enlace.' } }, ['url'])),
+        responses: responses(200, 'Ubicación dentro del área de servicio', ref('GeocodeLinkResultado'))
+      }
+    },
+    '/reverse_origin': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Dirección de unas coordenadas (origen del viaje)',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(ref('Coordenadas')),
+        responses: responses(200, 'Dirección encontrada', ref('ReverseOriginResultado'))
+      }
+    },
+    '/validate_address': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Geocodifica y analiza una dirección escrita por el usuario',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(object({ direccion }, ['direccion'])),
+        responses: responses(200, 'Dirección analizada', ref('ValidateAddressResultado'))
+      }
+    },
+    '/geocode_text': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Coordenadas de una dirección, POI, cruce o referencia',
+        description: 'Las coordenadas sueltas, Plus Codes, URIs `geo:` y enlaces (también dentro de un texto de WhatsApp) se resuelven como en `/geocode_link` y la respuesta indica el `formato_enlace` reconocido.',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(object({ direccion }, ['direccion'])),
+        responses: responses(200, 'Dirección dentro del área de servicio', ref('GeocodeTextResultado'))
+      }
+    },
+    '/geocode_batch': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Geocodifica una lista de direcciones o enlaces',
+        description: 'Requiere clave de API o token de administración aunque `API_KEYS_REQUIRED=false`. Cada entrada descuenta una petición de la cuota de la clave.',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(ref('GeocodeBatchEntrada')),
+        responses: responses(200, 'Un resultado por entrada, en el mismo orden', ref('GeocodeBatchResultado'))
+      }
+    },
+    '/autocomplete': {
+      get: {
+        tags: ['Geocodificación'],
+        summary: 'Sugerencias de destino mientras el usuario escribe',
+        ...SCOPED('geocode'),
+        parameters: [
+          queryParam('q', { type: 'string', pattern: '^\\s*\\S[\\s\\S]*\\S\\s*$', 'x-mensaje': 'debe tener al menos 2 caracteres' }, { required: true }),
+          queryParam('limit', { type: 'integer', minimum: 1 }, { description: 'Máximo 20 (por defecto 8).' }),
+          queryParam('lat', latitud, { description: 'Origen del usuario, para ordenar por cercanía (junto con lon).' }),
+          queryParam('lon', longitud),
+          queryParam('sesion', { type: 'string', maxLength: 100 }, { description: 'Id del usuario final (p. ej. el chat). Solo la última consulta de la sesión llega a los proveedores; sin él no hay espera.' })
+        ],
+        responses: responses(200, 'Sugerencias ordenadas por relevancia', object({
+          q: string, total: integer, consulto_proveedor: boolean, sugerencias: arrayOf(ref('Sugerencia'))
+        }, ['q', 'total', 'consulto_proveedor', 'sugerencias']))
+      }
+    },
+    '/generate_search_links': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Enlaces de búsqueda de Google Maps para elegir destino',
+        ...SCOPED('geocode'),
+        requestBody: { required: false, content: { 'application/json': { schema: object({ lat_origen: nullable(latitud), lon_origen: nullable(longitud) }) } } },
+        responses: responses(200, 'Mensaje para el bot y enlaces', object({
+          mensaje: string, enlaces: mapOf(string), instrucciones: mapOf(string)
+        }, ['mensaje', 'enlaces', 'instrucciones']))
+      }
+    },
+    '/debug_link': {
+      post: {
+        tags: ['Geocodificación'],
+        summary: 'Resultado del parser de enlaces (solo fuera de producción)',
+        ...SCOPED('geocode'),
+        requestBody: jsonBody(object({ url: string }, ['url'])),
+        responses: responses(200, 'Información extraída del enlace', object({
+          original_url: string, parser: nullable(string), parsed_info: nullable({ type: 'object', additionalProperties: true }), parsing_successful: boolean, debug_info: { type: 'object', additionalProperties: true }
+        }, ['original_url', 'parsing_successful']))
+      }
+    },
+
+    // ─── Tarifas y cotizaciones ───
+    '/calculate_fare': {
+      post: {
+        tags: ['Tarifas'],
+        summary: 'Cotiza un viaje (directo, con paradas o de ida y vuelta)',
+        ...SCOPED('fare'),
+        requestBody: jsonBody(ref('CalculateFareEntrada')),
+        responses: responses(200, 'Tarifa y cotización firmada', ref('Cotizacion'))
+      }
+    },
+    '/quote_from_link': {
+      post: {
+        tags: ['Tarifas'],
+        summary: 'Cotiza la ruta de un enlace de indicaciones',
+        ...SCOPED('fare'),
+        requestBody: jsonBody(object({
+          url: { type: 'string', pattern: '\\S' },
+          telefono,
+          fecha_hora: nullable(fechaViajeEntrada),
+          lat_origen: nullable({ ...latitud, description: 'Ubicación del cliente si el enlace empieza en "mi ubicación" o es un solo lugar (junto con lon_origen).' }),
+          lon_origen: nullable(longitud)
+        }, ['url', 'telefono'])),
+        responses: responses(200, 'Tarifa y cotización firmada, con `datos.enlace`', ref('Cotizacion'))
+      }
+    },
+    '/quotes/verify': {
+      post: {
+        tags: ['Tarifas'],
+        summary: 'Verifica la firma y vigencia de una cotización',
+        ...SCOPED('fare'),
+        requestBody: jsonBody(object({ cotizacion_token: string }, ['cotizacion_token'])),
+        responses: responses(200, 'Cotización válida', object({ valida: { type: 'boolean', enum: [true] }, cotizacion: { type: 'object', additionalProperties: true } }, ['valida', 'cotizacion']))
+      }
+    },
+
+    // ─── Viajes ───
+    '/trips': {
+      post: {
+        tags: ['Viajes'],
+        summary: 'Reserva un viaje a partir de una cotización firmada',
+        ...SCOPED('fare'),
+        requestBody: jsonBody(object({ cotizacion_token: string, notas: nullable(string) }, ['cotizacion_token'])),
+        responses: responses(201, 'Viaje creado, con el token para seguirlo', { allOf: [ref('Viaje'), object({ token_seguimiento: string }, ['token_seguimiento'])] })
+      },
+      get: {
+        tags: ['Viajes'],
+        summary: 'Lista los viajes',
+        ...ADMIN,
+        parameters: [
+          queryParam('estado', { type: 'string', enum: Object.keys(TRIP_TRANSITIONS) }),
+          queryParam('telefono', string)
+        ],
+        responses: responses(200, 'Viajes del más reciente al más antiguo', listOf('viajes', ref('Viaje')))
+      }
+    },
+    '/trips/{id}': {
+      ...idParam('Id del viaje'),
+      get: {
+        tags: ['Viajes'],
+        summary: 'Estado de un viaje',
+        ...TRIP_ACCESS,
+        parameters: [trackingToken],
+        responses: responses(200, 'Viaje', ref('Viaje'))
+      }
+    },
+    '/trips/{id}/stream_token': {
+      ...idParam('Id del viaje'),
+      post: {
+        tags: ['Viajes'],
+        summary: 'Token de corta duración para conectar al stream del viaje desde un navegador',
+        ...TRIP_ACCESS,
+        parameters: [trackingToken],
+        responses: responses(200, 'Token para `?access_token=` de /trips/{id}/events', streamTokenRespuesta)
+      }
+    },
+    '/trips/{id}/events': {
+      ...idParam('Id del viaje'),
+      get: {
+        tags: ['Viajes'],
+        summary: 'Eventos del viaje en tiempo real (SSE)',
+        security: [{ StreamToken: [] }, { ApiKey: [] }, { AdminToken: [] }],
+        'x-permiso': 'fare',
+        parameters: [streamToken('POST /trips/{id}/stream_token')],
+        responses: { 200: { description: 'Stream de eventos `estado` y `ubicacion_conductor`', content: { 'text/event-stream': { schema: string } } }, default: errorResponse }
+      }
+    },
+    '/trips/{id}/assign': {
+      ...idParam('Id del viaje'),
+      post: {
+        tags: ['Viajes'],
+        summary: 'Asigna un conductor registrado (`conductor_id`) o uno externo (`conductor`)',
+        ...ADMIN,
+        requestBody: jsonBody(object({
+          conductor_id: string,
+          conductor: object({ id: string, nombre: string, telefono, placa: string, tipo_vehiculo: string })
+        })),
+        responses: responses(200, 'Viaje asignado', ref('Viaje'))
+      }
+    },
+    '/trips/{id}/status': {
+      ...idParam('Id del viaje'),
+      post: {
+        tags: ['Viajes'],
+        summary: 'Cambia el estado del viaje',
+        ...ADMIN,
+        requestBody: jsonBody(object({ estado: { type: 'string', enum: Object.keys(TRIP_TRANSITIONS) }, motivo: nullable(string) }, ['estado'])),
+        responses: responses(200, 'Viaje actualizado', ref('Viaje'))
+      }
+    },
+
+    // ─── Conductores ───
+    '/drivers': {
+      post: {
+        tags: ['Conductores'],
+        summary: 'Registra un conductor',
+        ...ADMIN,
+        requestBody: jsonBody(object({
+          nombre: { type: 'string', minLength: 2 },
+          telefono,
+          placa: { type: 'string', pattern: '^\\s*[A-Za-z0-9-]{5,10}\\s*$' },
+          tipo_vehiculo: { type: 'string', enum: VEHICLE_TYPES }
+        }, ['nombre', 'telefono', 'placa', 'tipo_vehiculo'])),
+        responses: responses(201, 'Conductor registrado, con el token de su dispositivo', conductorConToken)
+      },
+      get: {
+        tags: ['Conductores'],
+        summary: 'Lista los conductores',
+        ...ADMIN,
+        responses: responses(200, 'Conductores', listOf('conductores', ref('ConductorVista')))
+      }
+    },
+    '/drivers/nearest': {
+      get: {
+        tags: ['Conductores'],
+        summary: 'Conductores disponibles más cercanos a un punto',
+        ...ADMIN,
+        parameters: [
+          queryParam('lat', latitud, { required: true }),
+          queryParam('lon', longitud, { required: true }),
+          queryParam('limit', { type: 'integer', minimum: 1 }, { description: 'Máximo 50 (por defecto 5).' })
+        ],
+        responses: responses(200, 'Del más cercano al más lejano', listOf('conductores', { allOf: [ref('Conductor'), object({ distancia_km: number }, ['distancia_km'])] }))
+      }
+    },
+    '/drivers/{id}': {
+      ...idParam('Id del conductor'),
+      get: {
+        tags: ['Conductores'],
+        summary: 'Detalle de un conductor',
+        ...ADMIN,
+        responses: responses(200, 'Conductor', ref('ConductorVista'))
+      }
+    },
+    '/drivers/{id}/token': {
+      ...idParam('Id del conductor'),
+      post: {
+        tags: ['Conductores'],
+        summary: 'Renueva el token del dispositivo del conductor (el anterior deja de funcionar)',
+        ...ADMIN,
+        responses: responses(200, 'Conductor con su nuevo token', conductorConToken)
+      }
+    },
+    '/drivers/{id}/location': {
+      ...idParam('Id del conductor'),
+      post: {
+        tags: ['Conductores'],
+        summary: 'Ubicación actual del conductor y disponibilidad',
+        security: [{ TokenConductor: [] }, { ApiKey: [] }, { AdminToken: [] }],
+        'x-permiso': 'admin',
+        requestBody: jsonBody(object({ lat: latitud, lon: longitud, disponible: nullable(boolean) }, ['lat', 'lon'])),
+        responses: responses(200, 'Conductor actualizado', ref('ConductorVista'))
+      }
+    },
+    '/admin/stream_token': {
+      post: {
+        tags: ['Conductores'],
+        summary: 'Token de corta duración para conectar a los streams desde un navegador',
+        ...ADMIN,
+        responses: responses(200, 'Token para `?access_token=` de /dispatch/events', streamTokenRespuesta)
+      }
+    },
+    '/dispatch/events': {
+      get: {
+        tags: ['Conductores'],
+        summary: 'Eventos de la central de despacho (SSE)',
+        security: [{ StreamToken: [] }, { ApiKey: [] }, { AdminToken: [] }],
+        'x-permiso': 'admin',
+        parameters: [streamToken('POST /admin/stream_token')],
+        responses: { 200: { description: 'Stream de eventos `cotizacion`, `viaje_nuevo`, `viaje_actualizado` y `ubicacion_conductor`', content: { 'text/event-stream': { schema: string } } }, default: errorResponse }
+      }
+    },
+
+    // ─── POIs ───
+    '/pois': {
+      get: { tags: ['Administración'], summary: 'Lista los POIs', ...ADMIN, responses: responses(200, 'POIs', listOf('pois', ref('Poi'))) },
+      post: { tags: ['Administración'], summary: 'Crea un POI', ...ADMIN, requestBody: jsonBody(ref('Poi')), responses: responses(201, 'POI creado', ref('Poi')) }
+    },
+    '/pois/{id}': {
+      ...idParam('Id del POI'),
+      get: { tags: ['Administración'], summary: 'Detalle de un POI', ...ADMIN, responses: responses(200, 'POI', ref('Poi')) },
+      put: {
+        tags: ['Administración'],
+        summary: 'Actualiza un POI (solo los campos enviados)',
+        ...ADMIN,
+        requestBody: jsonBody(ref('PoiCambios')),
+        responses: responses(200, 'POI actualizado', ref('Poi'))
+      },
+      delete: { tags: ['Administración'], summary: 'Elimina un POI', ...ADMIN, responses: responses(200, 'POI eliminado', object({ mensaje: string, poi: ref('Poi') }, ['mensaje', 'poi'])) }
+    },
+
+    // ─── Tarifas ───
+    '/admin/tarifas': {
+      get: {
+        tags: ['Administración'],
+        summary: 'Versiones de tarifa y la vigente',
+        ...ADMIN,
+        responses: responses(200, 'Tarifas', object({ loaded_at: nullable(fechaIso), versions: arrayOf({ type: 'object', additionalProperties: true }), version_vigente: nullable(string) }, ['versions', 'version_vigente']))
+      },
+      put: {
+        tags: ['Administración'],
+        summary: 'Reemplaza config/tarifas.json (se valida con su propio esquema)',
+        ...ADMIN,
+        requestBody: jsonBody(object({ versions: arrayOf({ type: 'object', additionalProperties: true }, { minItems: 1 }) }, ['versions'])),
+        responses: responses(200, 'Tarifas actualizadas', object({ mensaje: string, versions: arrayOf({ type: 'object', additionalProperties: true }) }, ['mensaje', 'versions']))
+      }
+    },
+    '/admin/tarifas/reload': {
+      post: {
+        tags: ['Administración'],
+        summary: 'Recarga config/tarifas.json',
+        ...ADMIN,
+        responses: responses(200, 'Tarifas recargadas', object({ mensaje: string, versions: arrayOf({ type: 'object', additionalProperties: true }) }, ['mensaje', 'versions']))
+      }
+    },
+
+    // ─── Caché ───
+    '/admin/cache': {
+      get: {
+        tags: ['Administración'],
+        summary: 'Entradas de la caché de geocodificación',
+        ...ADMIN,
+        parameters: [
+          queryParam('prefix', string, { description: 'geocode:, reverse:, link: o más específico.' }),
+          queryParam('limit', { type: 'integer', minimum: 1 }, { description: 'Máximo 1000 (por defecto 100).' })
+        ],
+        responses: responses(200, 'Estadísticas y entradas', object({
+          backend: string,
+          max: integer,
+          por_prefijo: mapOf(integer),
+          prefijo: string,
+          coincidencias: integer,
+          entradas: arrayOf(object({ clave: string, expira_en: fechaIso, valor: {} }, ['clave', 'expira_en']))
+        }, ['prefijo', 'coincidencias', 'entradas']))
+      },
+      delete: {
+        tags: ['Administración'],
+        summary: 'Elimina las entradas con un prefijo',
+        ...ADMIN,
+        parameters: [queryParam('prefix', { type: 'string', pattern: '^[a-z]+:' }, { required: true })],
+        responses: responses(200, 'Entradas eliminadas', object({ mensaje: string, prefijo: string, eliminadas: integer }, ['mensaje', 'prefijo', 'eliminadas']))
+      }
+    },
+
+    // ─── Claves de API ───
+    '/admin/api_keys': {
+      get: { tags: ['Claves de API'], summary: 'Lista las claves (sin hash)', ...ADMIN, responses: responses(200, 'Claves', listOf('claves', ref('ClaveApi'))) },
+      post: {
+        tags: ['Claves de API'],
+        summary: 'Crea una clave; `api_key` solo se muestra en esta respuesta',
+        ...ADMIN,
+        requestBody: jsonBody({ allOf: [ref('ClaveApiEntrada'), { type: 'object', required: ['nombre', 'scopes'] }] }),
+        responses: responses(201, 'Clave creada', { allOf: [ref('ClaveApi'), object({ api_key: string }, ['api_key'])] })
+      }
+    },
+    '/admin/api_keys/reload': {
+      post: {
+        tags: ['Claves de API'],
+        summary: 'Recarga data/api_keys.json',
+        ...ADMIN,
+        responses: responses(200, 'Claves recargadas', object({ mensaje: string, total: integer }, ['mensaje', 'total']))
+      }
+    },
+    '/admin/api_keys/{id}': {
+      ...idParam('Id de la clave'),
+      get: { tags: ['Claves de API'], summary: 'Detalle con contadores de uso', ...ADMIN, responses: responses(200, 'Clave', { allOf: [ref('ClaveApi'), object({ uso: ref('UsoClave') }, ['uso'])] }) },
+      put: { tags: ['Claves de API'], summary: 'Cambia nombre, scopes, cuotas o activa', ...ADMIN, requestBody: jsonBody(ref('ClaveApiEntrada')), responses: responses(200, 'Clave actualizada', ref('ClaveApi')) },
+      delete: { tags: ['Claves de API'], summary: 'Elimina la clave', ...ADMIN, responses: responses(200, 'Clave eliminada', object({ mensaje: string, clave: ref('ClaveApi') }, ['mensaje', 'clave'])) }
+    },
+    '/usage': {
+      get: {
+        tags: ['Claves de API'],
+        summary: 'Permisos, cuotas y consumo de la clave propia',
+        security: [{ ApiKey: [] }],
+        responses: responses(200, 'Consumo desde el arranque', object({
+          id: string, nombre: string, prefijo: string, scopes: arrayOf(string), cuotas: mapOf(ref('Cuota')), uso: ref('UsoClave')
+        }, ['id', 'nombre', 'scopes', 'cuotas', 'uso']))
+      }
+    },
+
+    // ─── Servicio ───
+    '/health': {
+      get: {
+        tags: ['Servicio'],
+        summary: 'Estado del servicio',
+        ...PUBLIC,
+        responses: responses(200, 'Servicio en línea', object({
+          status: string, timestamp: fechaIso, uptime: string, version: string, endpoints: arrayOf(string)
+        }, ['status', 'timestamp', 'version']))
+      }
+    },
+    '/service_area': {
+      get: {
+        tags: ['Servicio'],
+        summary: 'Área de servicio (municipios, coberturas y exclusiones)',
+        ...PUBLIC,
+        responses: { 200: { description: 'FeatureCollection', content: { 'application/geo+json': { schema: { type: 'object', additionalProperties: true } } } } }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Servicio'],
+        summary: 'Esta especificación',
+        ...PUBLIC,
+        responses: { 200: { description: 'Documento OpenAPI 3', content: { 'application/json': { schema: { type: 'object', additionalProperties: true } } } } }
+      }
+    },
+    '/docs': {
+      get: {
+        tags: ['Servicio'],
+        summary: 'Documentación interactiva',
+        ...PUBLIC,
+        responses: { 200: { description: 'Página HTML', content: { 'text/html': { schema: string } } } }
+      }
+    }
+  };
+}
+
+export function buildOpenApiDocument({ version, limites }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'API de Servicios de Taxi - Nayarit',
+      version,
+      description: 'Geocodificación, tarifas y viajes para servicios de taxi en Nayarit. Las rutas marcadas con `x-permiso` requieren una clave de API con ese permiso (header `X-API-Key`) o el token de administración.'
+    },
+    tags: ['Geocodificación', 'Tarifas', 'Viajes', 'Conductores', 'Administración', 'Claves de API', 'Servicio'].map(name => ({ name })),
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: `Permisos: ${API_KEY_SCOPES.join(', ')}.` },
+        AdminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+        TokenSeguimiento: { type: 'apiKey', in: 'query', name: 'token', description: '`token_seguimiento` de POST /trips, solo para ese viaje.' },
+        TokenConductor: { type: 'apiKey', in: 'header', name: 'X-Driver-Token', description: '`token_conductor` de POST /drivers, solo para ese conductor.' },
+        StreamToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Token de corta duración de POST /admin/stream_token o POST /trips/{id}/stream_token.' }
+      },
+      schemas: schemas(limites)
+    },
+    paths: paths()
+  };
+}
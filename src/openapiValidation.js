@@ -0,0 +1,117 @@
+import { logger } from './logger.js'
+import { validateSchema } from './schemaValidator.js'
+
+// ───── Validación con la especificación OpenAPI ─────
+// `validateRequest` (global) busca la operación por método y ruta y valida parámetros de ruta,
+// query y cuerpo JSON; si algo no cumple responde 400 INVALID_REQUEST con todos los campos:
+//   { error, code: 'INVALID_REQUEST', detalles: [{ campo: 'body.lat1', mensaje: 'es requerido' }] }
+// `validateResponses` envuelve res.json y compara el cuerpo con el esquema del código de estado:
+//   'log'    registra las diferencias (por defecto fuera de producción),
+//   'strict' además responde 500 RESPONSE_SCHEMA_MISMATCH (lo usa test/openapi.test.js en `npm test`),
+//   'off'    no valida (por defecto en producción).
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch']
+
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+// Los parámetros de query llegan como texto: se convierten al tipo del esquema antes de validar.
+function coerceQueryValue(value, schema) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'number' || schema.type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+export function createOpenApiValidator(document, { responses = 'off' } = {}) {
+  const { components } = document;
+
+  // Rutas literales antes que las de parámetros (/drivers/nearest antes que /drivers/{id}).
+  const routes = Object.entries(document.paths)
+    .map(([template, item]) => ({
+      template,
+      params: [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]),
+      pattern: new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{\w+\}/g, '([^/]+)')}/?$`),
+      item
+    }))
+    .sort((a, b) => a.params.length - b.params.length);
+
+  function findOperation(method, path) {
+    const verb = method.toLowerCase();
+    if (!METHODS.includes(verb)) return null;
+    for (const route of routes) {
+      const match = path.match(route.pattern);
+      if (!match || !route.item[verb]) continue;
+      const pathParams = Object.fromEntries(route.params.map((name, i) => [name, safeDecode(match[i + 1])]));
+      return { template: route.template, operation: route.item[verb], parameters: [...(route.item.parameters || []), ...(route.item[verb].parameters || [])], pathParams };
+    }
+    return null;
+  }
+
+  function requestErrors(req, { operation, parameters, pathParams }) {
+    const errors = [];
+    for (const param of parameters) {
+      const source = param.in === 'path' ? pathParams : param.in === 'query' ? req.query : null;
+      if (!source) continue;
+      const value = source[param.name];
+      if (value === undefined || value === '') {
+        if (param.required) errors.push({ campo: `${param.in}.${param.name}`, mensaje: 'es requerido' });
+        continue;
+      }
+      const coerced = param.in === 'query' ? coerceQueryValue(value, param.schema) : value;
+      errors.push(...validateSchema(param.schema, coerced, { components, path: `${param.in}.${param.name}` }));
+    }
+
+    const body = operation.requestBody?.content?.['application/json'];
+    if (body) {
+      // express.json solo deja `req.body` si la petición trae Content-Type: application/json.
+      if (req.body === undefined) {
+        if (operation.requestBody.required) errors.push({ campo: 'body', mensaje: 'se requiere un cuerpo JSON (Content-Type: application/json)' });
+      } else {
+        errors.push(...validateSchema(body.schema, req.body, { components, path: 'body' }));
+      }
+    }
+    return errors;
+  }
+
+  function validateRequest(req, res, next) {
+    const found = findOperation(req.method, req.path);
+    if (!found) return next();
+    const errors = requestErrors(req, found);
+    if (!errors.length) return next();
+    logger.warn(`Petición inválida a ${req.method} ${req.originalUrl}: ${errors.map(e => `${e.campo} ${e.mensaje}`).join('; ')}`);
+    return res.status(400).json({ error: 'La petición no cumple con la especificación de la API.', code: 'INVALID_REQUEST', detalles: errors });
+  }
+
+  function responseSchema(operation, status) {
+    const candidates = operation.responses || {};
+    const response = candidates[status] || candidates[`${String(status)[0]}XX`] || candidates.default;
+    return response?.content?.['application/json']?.schema || null;
+  }
+
+  function validateResponses(req, res, next) {
+    if (responses === 'off') return next();
+    const found = findOperation(req.method, req.path);
+    if (!found) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const schema = responseSchema(found.operation, res.statusCode);
+      const errors = schema ? validateSchema(schema, body, { components, path: 'respuesta' }) : [];
+      if (!errors.length) return json(body);
+
+      logger.error(`Respuesta de ${req.method} ${found.template} (${res.statusCode}) no coincide con la especificación: ${errors.map(e => `${e.campo} ${e.mensaje}`).join('; ')}`);
+      if (responses !== 'strict') return json(body);
+      res.status(500);
+      return json({ error: 'La respuesta no coincide con la especificación de la API.', code: 'RESPONSE_SCHEMA_MISMATCH', detalles: errors });
+    };
+    next();
+  }
+
+  return { findOperation, validateRequest, validateResponses };
+}
@@ -0,0 +1,108 @@
+// ───── Coincidencia difusa de POIs ─────
+// Compara el texto del usuario contra los alias de cada POI por tokens normalizados
+// (sin acentos ni mayúsculas), tolerando errores de escritura con distancia de Levenshtein.
+
+export const POI_MATCH_THRESHOLD = 0.75
+
+export const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'en', 'a', 'al', 'y', 'por'])
+// Palabras de localidad que no distinguen un POI de otro ("aeropuerto de tepic" = "aeropuerto").
+const LOCALITY_WORDS = ['tepic', 'nayarit', 'nay', 'mexico']
+
+export function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9ñ\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Ediciones permitidas según la longitud: palabras cortas ("uan", "tec") deben coincidir exactas.
+function allowedEdits(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Similitud 0..1 entre dos tokens; 0 si superan las ediciones permitidas.
+function tokenSimilarity(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  const dist = levenshtein(a, b);
+  if (dist > allowedEdits(Math.min(a.length, b.length))) return 0;
+  return 1 - dist / maxLen;
+}
+
+const isLocalityWord = (token) =>
+  LOCALITY_WORDS.some(word => token === word || (token.length >= 4 && levenshtein(token, word) <= 1))
+
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(t => t && !STOPWORDS.has(t) && !isLocalityWord(t));
+}
+
+// Puntaje tipo Dice entre los tokens del usuario y los de un alias: penaliza tanto
+// los tokens del alias que faltan como los tokens extra del usuario, de modo que
+// "centro comercial" no coincide con el alias "centro".
+export function scoreTokens(inputTokens, aliasTokens) {
+  if (!inputTokens.length || !aliasTokens.length) return 0;
+
+  const used = new Set();
+  let matched = 0;
+  for (const aliasToken of aliasTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    inputTokens.forEach((inputToken, i) => {
+      if (used.has(i)) return;
+      const sim = tokenSimilarity(inputToken, aliasToken);
+      if (sim > best) {
+        best = sim;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex >= 0) {
+      used.add(bestIndex);
+      matched += best;
+    }
+  }
+  return (2 * matched) / (inputTokens.length + aliasTokens.length);
+}
+
+// Devuelve hasta `limit` candidatos { poi, alias, score } ordenados por puntaje,
+// un candidato por POI (su mejor alias) y solo los que alcanzan `threshold`.
+export function matchPois(input, pois, { limit = 3, threshold = POI_MATCH_THRESHOLD } = {}) {
+  const inputTokens = tokenize(input);
+  if (!inputTokens.length) return [];
+
+  const candidates = [];
+  for (const poi of pois) {
+    let best = null;
+    for (const alias of [poi.nombre, ...(poi.aliases || [])]) {
+      const score = scoreTokens(inputTokens, tokenize(alias));
+      if (!best || score > best.score) best = { poi, alias, score };
+    }
+    if (best && best.score >= threshold) {
+      candidates.push({ ...best, score: parseFloat(best.score.toFixed(3)) });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+}
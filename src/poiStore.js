@@ -0,0 +1,122 @@
+import fs from 'fs'
+import { logger } from './logger.js'
+import { readJsonFile, writeJsonFileAtomic } from './jsonFile.js'
+import { normalizeText } from './poiMatcher.js'
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+
+const slugify = (text) => normalizeText(text).replace(/\s+/g, '_').slice(0, 60)
+
+// ───── Validación de POIs ─────
+export function validatePoi(poi) {
+  const errors = [];
+  if (typeof poi.id !== 'string' || !/^[a-z0-9_]+$/.test(poi.id)) errors.push('id: requerido (minúsculas, números y guion bajo).');
+  if (typeof poi.nombre !== 'string' || poi.nombre.trim().length < 2) errors.push('nombre: requerido (texto).');
+  if (!Array.isArray(poi.aliases) || poi.aliases.some(a => typeof a !== 'string' || !a.trim())) errors.push('aliases: debe ser un arreglo de textos.');
+  if (!isNumber(poi.lat) || poi.lat < -90 || poi.lat > 90) errors.push('lat: requerido (número entre -90 y 90).');
+  if (!isNumber(poi.lon) || poi.lon < -180 || poi.lon > 180) errors.push('lon: requerido (número entre -180 y 180).');
+  if (typeof poi.address !== 'string' || poi.address.trim().length < 3) errors.push('address: requerido (texto).');
+  if (poi.components != null && (typeof poi.components !== 'object' || Array.isArray(poi.components))) errors.push('components: debe ser un objeto.');
+  if (poi.destacado != null && typeof poi.destacado !== 'boolean') errors.push('destacado: debe ser booleano.');
+  if (poi.emoji != null && typeof poi.emoji !== 'string') errors.push('emoji: debe ser texto.');
+  return errors;
+}
+
+function poiError(message, code, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Solo se guardan los campos conocidos; sin `components` el registro queda como POI genérico.
+function sanitize(data) {
+  return {
+    id: data.id,
+    nombre: typeof data.nombre === 'string' ? data.nombre.trim() : data.nombre,
+    aliases: Array.isArray(data.aliases) ? data.aliases.map(a => typeof a === 'string' ? a.trim() : a) : (data.aliases ?? []),
+    lat: data.lat,
+    lon: data.lon,
+    address: typeof data.address === 'string' ? data.address.trim() : data.address,
+    ...(data.destacado != null && { destacado: data.destacado }),
+    ...(data.emoji != null && { emoji: data.emoji }),
+    components: data.components || { _category: 'poi', _type: 'amenity' }
+  };
+}
+
+// ───── Almacén persistente de POIs (archivo JSON) ─────
+// Si `filePath` no existe se inicializa con el contenido de `seedPath`.
+// `validateLocation(poi)` devuelve un mensaje de error si la ubicación no es aceptable.
+export function createPoiStore({ filePath, seedPath, validateLocation = () => null }) {
+  let pois = [];
+
+  function checkPoi(poi) {
+    const errors = validatePoi(poi);
+    if (errors.length) throw poiError('POI inválido.', 'INVALID_POI', errors);
+    const locationError = validateLocation(poi);
+    if (locationError) throw poiError(locationError, 'POI_OUT_OF_SERVICE_AREA');
+  }
+
+  function persist() {
+    writeJsonFileAtomic(filePath, pois);
+  }
+
+  return {
+    filePath,
+
+    load() {
+      if (!fs.existsSync(filePath)) {
+        logger.info(`No existe ${filePath}, se inicializa con los POIs de ${seedPath}`);
+        pois = readJsonFile(seedPath);
+        persist();
+      } else {
+        pois = readJsonFile(filePath);
+      }
+      const invalid = pois.map(p => ({ id: p.id, errors: validatePoi(p) })).filter(r => r.errors.length);
+      if (invalid.length) {
+        throw poiError(`Archivo de POIs inválido (${filePath}).`, 'INVALID_POI', invalid);
+      }
+      logger.info(`POIs cargados: ${pois.length} desde ${filePath}`);
+    },
+
+    list() {
+      return pois;
+    },
+
+    get(id) {
+      return pois.find(p => p.id === id) || null;
+    },
+
+    create(data) {
+      const poi = sanitize({ ...data, id: data.id || slugify(data.nombre || '') });
+      checkPoi(poi);
+      if (pois.some(p => p.id === poi.id)) throw poiError(`Ya existe un POI con id "${poi.id}".`, 'POI_ALREADY_EXISTS');
+
+      pois = [...pois, poi];
+      persist();
+      return poi;
+    },
+
+    // Actualización parcial: los campos no enviados conservan su valor; el id no cambia.
+    update(id, data) {
+      const current = pois.find(p => p.id === id);
+      if (!current) throw poiError(`No existe el POI "${id}".`, 'POI_NOT_FOUND');
+
+      const poi = sanitize({ ...current, ...data, id });
+      checkPoi(poi);
+
+      pois = pois.map(p => (p.id === id ? poi : p));
+      persist();
+      return { before: current, after: poi };
+    },
+
+    remove(id) {
+      const current = pois.find(p => p.id === id);
+      if (!current) throw poiError(`No existe el POI "${id}".`, 'POI_NOT_FOUND');
+
+      pois = pois.filter(p => p.id !== id);
+      persist();
+      return current;
+    }
+  };
+}
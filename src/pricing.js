@@ -0,0 +1,177 @@
+import { logger } from './logger.js'
+
+// ───── Recargos por horario y fecha ─────
+// Cada regla de `tariff.surcharges.rules` aplica cuando TODAS sus condiciones se
+// cumplen en la hora local de `tariff.surcharges.timeZone`:
+//   window:    { from: 'HH:MM', to: 'HH:MM' }  (puede cruzar medianoche)
+//   weekdays:  [0..6]  (0 = domingo)
+//   dates:     ['YYYY-MM-DD' | 'MM-DD']  ('MM-DD' se repite cada año)
+//   dateRange: { from, to }  (inclusivo, mismos formatos que `dates`)
+// y aporta `multiplier` (sobre la tarifa base) y/o `flat` (cargo fijo).
+
+// Fecha y hora locales del viaje en la zona horaria indicada.
+function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, p) => { acc[p.type] = p.value; return acc; }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    monthDay: `${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// Desfase en ms de `timeZone` respecto a UTC en el instante `date`.
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, p) => { acc[p.type] = Number(p.value); return acc; }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Fecha del viaje enviada por el cliente. Con `Z` o desfase (-07:00) se respeta tal cual; sin
+// zona horaria ("2025-06-11T23:00") se lee como hora local de `timeZone` y no del servidor,
+// para que un viaje a las 23:00 en Tepic no se cotice como si fueran las 16:00.
+export function parseTripDate(text, timeZone = 'America/Mazatlan') {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/i.exec(String(text).trim());
+  if (!m) return new Date(text);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction] = m;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second),
+    fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0);
+  // Segunda pasada por si el desfase cambia entre la hora local y la UTC (horario de verano).
+  const guess = wall - timeZoneOffsetMs(new Date(wall), timeZone);
+  return new Date(wall - timeZoneOffsetMs(new Date(guess), timeZone));
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// 'MM-DD' se compara contra el mes-día local; 'YYYY-MM-DD' contra la fecha completa.
+function dateKey(local, pattern) {
+  return pattern.length === 5 ? local.monthDay : local.date;
+}
+
+function ruleMatches(rule, local) {
+  if (rule.window) {
+    const from = toMinutes(rule.window.from);
+    const to = toMinutes(rule.window.to);
+    const inWindow = from <= to
+      ? local.minutes >= from && local.minutes < to
+      : local.minutes >= from || local.minutes < to;
+    if (!inWindow) return false;
+  }
+  if (rule.weekdays && !rule.weekdays.includes(local.weekday)) return false;
+  if (rule.dates && !rule.dates.some(d => dateKey(local, d) === d)) return false;
+  if (rule.dateRange) {
+    const { from, to } = rule.dateRange;
+    const value = dateKey(local, from);
+    const inRange = from <= to ? value >= from && value <= to : value >= from || value <= to;
+    if (!inRange) return false;
+  }
+  return true;
+}
+
+// ───── Cálculo de Costo ─────
+// Tarifa por distancia, sin recargos. `basePrice` cubre el primer escalón (rate null);
+// cada escalón siguiente cobra `rate` por km entre el límite anterior y su `maxKm`
+// (null = sin límite).
+export function calculateBaseCost(km, tariff) {
+  if (isNaN(km) || km < 0) {
+    logger.error(`Intento de calcular costo con distancia inválida: ${km}`);
+    return tariff.basePrice;
+  }
+
+  let calculatedPrice = tariff.basePrice;
+  let prevMaxKm = 0;
+
+  for (const tier of tariff.tiers) {
+    const maxKm = tier.maxKm ?? Infinity;
+    if (km <= prevMaxKm) break;
+    if (tier.rate != null) {
+      calculatedPrice += (Math.min(km, maxKm) - prevMaxKm) * tier.rate;
+    }
+    prevMaxKm = maxKm;
+  }
+  return Math.max(tariff.basePrice, Math.round(calculatedPrice));
+}
+
+// Cargo por tiempo de espera en paradas. `esperas` es un arreglo de { parada, minutos, ... };
+// cada parada tiene `waiting.freeMinPerStop` minutos sin costo. Sin `waiting` en la tarifa
+// la espera no se cobra.
+export function calculateWaitingCharges(esperas, tariff) {
+  const { ratePerMin = 0, freeMinPerStop = 0 } = tariff.waiting || {};
+  const paradas = esperas
+    .filter(e => e.minutos > 0)
+    .map(e => {
+      const minutosCobrados = Math.max(0, e.minutos - freeMinPerStop);
+      return { ...e, minutos_cobrados: minutosCobrados, monto: Math.round(minutosCobrados * ratePerMin) };
+    });
+
+  return {
+    tarifa_por_minuto: ratePerMin,
+    minutos_gratis_por_parada: freeMinPerStop,
+    paradas,
+    monto: paradas.reduce((sum, p) => sum + p.monto, 0)
+  };
+}
+
+// Tarifa completa: base por distancia (o precio fijo de zona, ver zones.js) más los
+// recargos que apliquen a `tripDate` y, si hay `esperas`, el cargo por espera. Los
+// multiplicadores se calculan sobre la tarifa base y se suman entre sí (no se encadenan).
+export function calculateCost(km, tripDate, tariff, zoneFare = null, { esperas = [] } = {}) {
+  const base = zoneFare ? zoneFare.precio : calculateBaseCost(km, tariff);
+  const { timeZone, rules } = tariff.surcharges || { timeZone: 'America/Mazatlan', rules: [] };
+  const local = getLocalParts(tripDate, timeZone);
+  const recargos = [];
+
+  for (const rule of (zoneFare && !zoneFare.aplica_recargos ? [] : rules)) {
+    if (!ruleMatches(rule, local)) continue;
+
+    let monto = 0;
+    if (rule.multiplier != null) monto += base * (rule.multiplier - 1);
+    if (rule.flat != null) monto += rule.flat;
+
+    recargos.push({
+      id: rule.id,
+      descripcion: rule.label,
+      ...(rule.multiplier != null && { multiplicador: rule.multiplier }),
+      ...(rule.flat != null && { cargo_fijo: rule.flat }),
+      monto: Math.round(monto)
+    });
+  }
+
+  const cargosEspera = esperas.length ? calculateWaitingCharges(esperas, tariff) : null;
+  const total = base + recargos.reduce((sum, r) => sum + r.monto, 0) + (cargosEspera?.monto || 0);
+  logger.debug(`calculateCost - ${km}km, tarifa ${tariff.version}${zoneFare ? ` (zona ${zoneFare.zona_origen}→${zoneFare.zona_destino})` : ''}, fecha local ${local.date} (${timeZone}): base ${base}, recargos ${recargos.map(r => r.id).join(',') || 'ninguno'}, total ${total}`);
+
+  return {
+    tarifa_version: tariff.version,
+    origen_precio: zoneFare ? 'tarifa_zona' : 'tarifa_km',
+    ...(zoneFare && { tarifa_zona: zoneFare }),
+    tarifa_base: base,
+    recargos,
+    ...(cargosEspera && { cargos_espera: cargosEspera }),
+    total
+  };
+}
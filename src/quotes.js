@@ -0,0 +1,56 @@
+import crypto from 'crypto'
+
+// ───── Cotizaciones firmadas ─────
+// Token: base64url(JSON del contenido) + '.' + base64url(HMAC-SHA256 del contenido).
+// El contenido incluye origen, destino, distancia, precio, tarifa y expiración, de modo
+// que cualquier cambio en el precio o el trayecto invalida la firma.
+
+function quoteError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function createQuoteSigner({ secret, ttlMinutes = 15 }) {
+  const sign = (encodedPayload) => crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+
+  return {
+    ttlMinutes,
+
+    // `data` son los campos de la cotización; devuelve { cotizacion_id, token, expira_en }.
+    issue(data, now = new Date()) {
+      const payload = {
+        ...data,
+        cotizacion_id: crypto.randomUUID(),
+        emitida_en: now.toISOString(),
+        expira_en: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+      };
+      const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      return { cotizacion_id: payload.cotizacion_id, token: `${encoded}.${sign(encoded)}`, expira_en: payload.expira_en };
+    },
+
+    // Devuelve el contenido si la firma es válida y no ha expirado; si no, lanza un error con `code`.
+    verify(token, now = new Date()) {
+      if (typeof token !== 'string' || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(token)) {
+        throw quoteError('Token de cotización con formato inválido.', 'MALFORMED_QUOTE');
+      }
+      const [encoded, signature] = token.split('.');
+      const expected = Buffer.from(sign(encoded));
+      const received = Buffer.from(signature);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw quoteError('La firma de la cotización no es válida (cotización alterada).', 'INVALID_QUOTE_SIGNATURE');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+      } catch {
+        throw quoteError('Token de cotización con formato inválido.', 'MALFORMED_QUOTE');
+      }
+      if (!payload.expira_en || new Date(payload.expira_en) <= now) {
+        throw quoteError(`La cotización expiró el ${payload.expira_en}.`, 'QUOTE_EXPIRED');
+      }
+      return payload;
+    }
+  };
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+// ───── Canales de eventos en tiempo real (Server-Sent Events) ─────
+// Cada suscriptor es una respuesta HTTP abierta (`text/event-stream`) sobre el mismo servidor
+// de Express. Canales: `trip:<id>` para un viaje y `dispatch` para la central.
+
+export function createEventHub({ heartbeatMs = 25000 } = {}) {
+  const channels = new Map();
+  let lastEventId = 0;
+
+  const format = (event, data, id) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  // Mantiene viva la conexión a través de proxies que cortan conexiones inactivas.
+  const heartbeat = setInterval(() => {
+    for (const subscribers of channels.values()) {
+      for (const res of subscribers) res.write(': ping\n\n');
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    // Abre el stream en `res` y lo registra en `channel`; `initial` se envía como primer evento.
+    subscribe(channel, req, res, initial = null) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 5000\n\n');
+      if (initial) res.write(format(initial.event, initial.data, ++lastEventId));
+
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(res);
+      logger.debug(`Suscriptor conectado a ${channel} (${channels.get(channel).size} en el canal)`);
+
+      req.on('close', () => {
+        const subscribers = channels.get(channel);
+        if (!subscribers) return;
+        subscribers.delete(res);
+        if (!subscribers.size) channels.delete(channel);
+        logger.debug(`Suscriptor desconectado de ${channel}`);
+      });
+    },
+
+    publish(channel, event, data) {
+      const subscribers = channels.get(channel);
+      if (!subscribers?.size) return 0;
+      const message = format(event, data, ++lastEventId);
+      for (const res of subscribers) res.write(message);
+      return subscribers.size;
+    },
+
+    // Número de suscriptores por canal (para /health).
+    stats() {
+      return Object.fromEntries([...channels].map(([channel, subscribers]) => [channel, subscribers.size]));
+    }
+  };
+}
+
+// ───── Tokens de seguimiento de viaje ─────
+// HMAC del id del viaje: quien reservó el viaje recibe el token y puede suscribirse a él
+// sin credenciales de administración.
+export function createTripAccessTokens({ secret }) {
+  const sign = (tripId) => crypto.createHmac('sha256', secret).update(`trip:${tripId}`).digest('base64url');
+
+  return {
+    issue(tripId) {
+      return sign(tripId);
+    },
+
+    verify(tripId, token) {
+      if (typeof token !== 'string' || !token) return false;
+      const expected = Buffer.from(sign(tripId));
+      const received = Buffer.from(token);
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+}
+
+// ───── Tokens de acceso a streams ─────
+// EventSource no permite headers, así que ni la central ni el navegador del cliente pueden mandar
+// su credencial. Con ella piden un token de corta duración (`<expira_ms>.<HMAC>`) y lo pasan en
+// `?access_token=`; solo se verifica al conectar, el stream sigue abierto después de que expira.
+// El alcance (`dispatch` o `trip:<id>`) va dentro de la firma: un token de un viaje no abre otro.
+export function createStreamTokens({ secret, ttlSeconds = 60 }) {
+  const sign = (scope, expiresAt) => crypto.createHmac('sha256', secret).update(`stream:${scope}:${expiresAt}`).digest('base64url');
+
+  return {
+    ttlSeconds,
+
+    issue(scope = 'dispatch', now = Date.now()) {
+      const expiresAt = now + ttlSeconds * 1000;
+      return { token: `${expiresAt}.${sign(scope, expiresAt)}`, expiresAt };
+    },
+
+    verify(token, scope = 'dispatch', now = Date.now()) {
+      if (typeof token !== 'string') return false;
+      const [expiresAt, signature] = token.split('.');
+      if (!/^\d+$/.test(expiresAt) || Number(expiresAt) <= now || !signature) return false;
+      const expected = Buffer.from(sign(scope, expiresAt));
+      const received = Buffer.from(signature);
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+}
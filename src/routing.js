@@ -0,0 +1,199 @@
+import axios from 'axios'
+import { getDistance } from 'geolib'
+import { logger } from './logger.js'
+
+// ───── Polyline (Google Encoded Polyline Algorithm) ─────
+export function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let output = '';
+  let prevLat = 0;
+  let prevLon = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const { lat, lon } of points) {
+    const latE = Math.round(lat * factor);
+    const lonE = Math.round(lon * factor);
+    output += encodeValue(latE - prevLat) + encodeValue(lonE - prevLon);
+    prevLat = latE;
+    prevLon = lonE;
+  }
+  return output;
+}
+
+export function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    points.push({ lat: lat / factor, lon: lon / factor });
+  }
+  return points;
+}
+
+// ───── Proveedores de Ruteo ─────
+// Todos los proveedores exponen `name` y `route(points)`, donde `points` es un
+// arreglo ordenado de { lat, lon } y el resultado tiene la forma
+// { distanciaKm, duracionMin, geometria, metodo, tramos }, donde `tramos` tiene un
+// { distanciaKm, duracionMin } por cada par de puntos consecutivos. La geometría siempre
+// se entrega como polyline codificado con precisión 5.
+
+// Cliente compatible con OSRM (/route/v1/{perfil}/{lon,lat;lon,lat}).
+export function createOsrmRouter({ baseUrl, profile = 'driving', timeout = 5000 }) {
+  return {
+    name: 'osrm',
+    async route(points) {
+      const coords = points.map(p => `${p.lon},${p.lat}`).join(';');
+      const url = `${baseUrl.replace(/\/+$/, '')}/route/v1/${profile}/${coords}?overview=full&geometries=polyline&steps=false`;
+      const { data } = await axios.get(url, { timeout, headers: { 'User-Agent': 'TaxiBot-API/1.1' } });
+
+      if (data.code !== 'Ok' || !data.routes?.length) {
+        throw new Error(`OSRM no encontró ruta (code: ${data.code})`);
+      }
+      const best = data.routes[0];
+      return {
+        distanciaKm: best.distance / 1000,
+        duracionMin: best.duration / 60,
+        geometria: best.geometry,
+        metodo: 'osrm',
+        tramos: (best.legs || []).map(leg => ({ distanciaKm: leg.distance / 1000, duracionMin: leg.duration / 60 }))
+      };
+    }
+  };
+}
+
+// Cliente compatible con Valhalla (POST /route). Valhalla codifica la forma con precisión 6.
+export function createValhallaRouter({ baseUrl, costing = 'auto', timeout = 5000 }) {
+  return {
+    name: 'valhalla',
+    async route(points) {
+      const body = {
+        locations: points.map(p => ({ lat: p.lat, lon: p.lon })),
+        costing,
+        units: 'kilometers',
+        directions_type: 'none'
+      };
+      const { data } = await axios.post(`${baseUrl.replace(/\/+$/, '')}/route`, body, { timeout, headers: { 'User-Agent': 'TaxiBot-API/1.1' } });
+
+      const trip = data.trip;
+      if (!trip || trip.status !== 0 || !trip.legs?.length) {
+        throw new Error(`Valhalla no encontró ruta (status: ${trip?.status})`);
+      }
+      const shape = trip.legs.flatMap(leg => decodePolyline(leg.shape, 6));
+      return {
+        distanciaKm: trip.summary.length,
+        duracionMin: trip.summary.time / 60,
+        geometria: encodePolyline(shape),
+        metodo: 'valhalla',
+        tramos: trip.legs.map(leg => ({ distanciaKm: leg.summary?.length ?? NaN, duracionMin: (leg.summary?.time ?? NaN) / 60 }))
+      };
+    }
+  };
+}
+
+// Respaldo sin conexión: distancia en línea recta multiplicada por un factor de rodeo calibrado.
+export function createDetourRouter({ detourFactor = 1.4, avgSpeedKmh = 30 } = {}) {
+  return {
+    name: 'linea_recta_ajustada',
+    async route(points) {
+      const tramos = [];
+      for (let i = 1; i < points.length; i++) {
+        const straightMeters = getDistance(
+          { latitude: points[i - 1].lat, longitude: points[i - 1].lon },
+          { latitude: points[i].lat, longitude: points[i].lon }
+        );
+        const legKm = (straightMeters / 1000) * detourFactor;
+        tramos.push({ distanciaKm: legKm, duracionMin: (legKm / avgSpeedKmh) * 60 });
+      }
+      const distanciaKm = tramos.reduce((sum, t) => sum + t.distanciaKm, 0);
+      return {
+        distanciaKm,
+        duracionMin: (distanciaKm / avgSpeedKmh) * 60,
+        geometria: encodePolyline(points),
+        metodo: 'linea_recta_ajustada',
+        tramos
+      };
+    }
+  };
+}
+
+// ───── Servicio de Ruteo ─────
+// Prueba cada proveedor en orden; el último debería ser el respaldo sin conexión.
+export function createRoutingService(providers) {
+  return {
+    providers: providers.map(p => p.name),
+    async route(points) {
+      for (const provider of providers) {
+        try {
+          const result = await provider.route(points);
+          logger.debug(`Ruta calculada con ${provider.name}: ${result.distanciaKm.toFixed(2)}km, ${result.duracionMin.toFixed(1)}min`);
+          // Si el proveedor no desglosa los tramos se reparte el total en uno solo.
+          const tramos = result.tramos?.length === points.length - 1 && result.tramos.every(t => Number.isFinite(t.distanciaKm))
+            ? result.tramos
+            : [{ distanciaKm: result.distanciaKm, duracionMin: result.duracionMin }];
+          return {
+            distanciaKm: parseFloat(result.distanciaKm.toFixed(2)),
+            duracionMin: Math.round(result.duracionMin),
+            geometria: result.geometria,
+            metodo: result.metodo,
+            tramos: tramos.map(t => ({ distanciaKm: parseFloat(t.distanciaKm.toFixed(2)), duracionMin: Math.round(t.duracionMin) }))
+          };
+        } catch (err) {
+          if (err.code === 'ECONNABORTED') logger.warn(`Ruteo ${provider.name}: Timeout de conexión`);
+          else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') logger.warn(`Ruteo ${provider.name}: Error de conectividad de red`);
+          else logger.warn(`Ruteo ${provider.name} falló:`, err.message);
+        }
+      }
+      throw new Error('No se pudo calcular la ruta con ningún proveedor de ruteo.');
+    }
+  };
+}
+
+// Construye el servicio a partir de las variables ROUTING_*.
+export function createRoutingServiceFromEnv(env = process.env) {
+  const providers = [];
+  const timeout = Number(env.ROUTING_TIMEOUT_MS) || 5000;
+
+  if (env.ROUTING_URL) {
+    const kind = (env.ROUTING_PROVIDER || 'osrm').toLowerCase();
+    if (kind === 'valhalla') {
+      providers.push(createValhallaRouter({ baseUrl: env.ROUTING_URL, costing: env.ROUTING_PROFILE || 'auto', timeout }));
+    } else if (kind === 'osrm') {
+      providers.push(createOsrmRouter({ baseUrl: env.ROUTING_URL, profile: env.ROUTING_PROFILE || 'driving', timeout }));
+    } else {
+      logger.warn(`ROUTING_PROVIDER desconocido "${env.ROUTING_PROVIDER}", se usará solo el respaldo sin conexión.`);
+    }
+  }
+
+  providers.push(createDetourRouter({
+    detourFactor: Number(env.ROUTING_DETOUR_FACTOR) || 1.4,
+    avgSpeedKmh: Number(env.ROUTING_AVG_SPEED_KMH) || 30
+  }));
+
+  return createRoutingService(providers);
+}
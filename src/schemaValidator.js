@@ -0,0 +1,100 @@
+// ───── Validación de esquemas (OpenAPI 3.0) ─────
+// Subconjunto de JSON Schema que usa src/openapi.js: $ref a #/components/schemas, type (con
+// `nullable`), enum, properties/required/additionalProperties, items/minItems/maxItems,
+// minLength/maxLength/pattern/format, minimum/maximum, oneOf/anyOf/allOf y not.
+// Devuelve la lista de errores como { campo, mensaje }; vacía si el valor es válido.
+
+const FORMATS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i.test(v) && !isNaN(new Date(v).getTime()),
+  uri: (v) => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key)
+
+function resolveRef(schema, components) {
+  let current = schema;
+  for (let depth = 0; current?.$ref; depth++) {
+    const name = current.$ref.replace('#/components/schemas/', '');
+    if (depth > 20 || !components?.schemas?.[name]) throw new Error(`Referencia de esquema no encontrada: ${current.$ref}`);
+    current = components.schemas[name];
+  }
+  return current;
+}
+
+export function validateSchema(rawSchema, value, { components, path = '' } = {}) {
+  const schema = resolveRef(rawSchema, components);
+  if (!schema || value === undefined) return [];
+  const errors = [];
+  const fail = (mensaje, campo = path) => errors.push({ campo: campo || '(raíz)', mensaje });
+  const nested = (subschema, subvalue, subpath) => validateSchema(subschema, subvalue, { components, path: subpath });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) fail('no puede ser null');
+    return errors;
+  }
+
+  for (const subschema of schema.allOf || []) errors.push(...nested(subschema, value, path));
+  for (const key of ['oneOf', 'anyOf']) {
+    if (!schema[key]) continue;
+    const matches = schema[key].filter(subschema => nested(subschema, value, path).length === 0).length;
+    if (matches === 0 || (key === 'oneOf' && matches > 1)) {
+      // Con una sola alternativa del tipo recibido se informan sus errores, que son más útiles.
+      const sameType = schema[key].filter(s => !resolveRef(s, components).type || matchesType(value, resolveRef(s, components).type));
+      if (matches === 0 && sameType.length === 1) errors.push(...nested(sameType[0], value, path));
+      else fail(matches === 0 ? 'no coincide con ninguna de las formas permitidas' : 'coincide con más de una forma permitida');
+    }
+  }
+  if (schema.not && nested(schema.not, value, path).length === 0) fail('valor no permitido');
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`debe ser de tipo ${schema.type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`debe ser uno de: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`debe tener al menos ${schema.minLength} caracteres`);
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`debe tener como máximo ${schema.maxLength} caracteres`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(schema['x-mensaje'] || `no tiene el formato esperado (${schema.pattern})`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`debe tener formato ${schema.format}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`debe ser mayor o igual a ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`debe ser menor o igual a ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`debe tener al menos ${schema.minItems} elementos`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`debe tener como máximo ${schema.maxItems} elementos`);
+    if (schema.items) value.forEach((item, i) => errors.push(...nested(schema.items, item, join(path, i))));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('es requerido', join(path, key));
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...nested(schema.properties[key], item, join(path, key)));
+      else if (schema.additionalProperties === false) fail('propiedad no permitida', join(path, key));
+      else if (typeof schema.additionalProperties === 'object') errors.push(...nested(schema.additionalProperties, item, join(path, key)));
+    }
+  }
+  return errors;
+}
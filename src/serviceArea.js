@@ -0,0 +1,131 @@
+import { isPointInPolygon } from 'geolib'
+import { logger } from './logger.js'
+import { createJsonConfigStore } from './configStore.js'
+import { normalizeText } from './poiMatcher.js'
+
+// Tipos de zona (propiedad `tipo` de cada Feature):
+//   municipio  → municipio atendido
+//   cobertura  → zona adicional atendida fuera de los municipios (playas, puntos específicos)
+//   exclusion  → zona NO atendida aunque esté dentro de un municipio o cobertura
+const FEATURE_TYPES = ['municipio', 'cobertura', 'exclusion']
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 &&
+  typeof p[0] === 'number' && typeof p[1] === 'number' &&
+  p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90
+
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition)
+
+// ───── Validación de esquema (GeoJSON) ─────
+export function validateServiceAreaGeoJson(geojson) {
+  const errors = [];
+
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return ['El área de servicio debe ser un GeoJSON FeatureCollection.'];
+  }
+
+  const seen = new Set();
+  geojson.features.forEach((feature, i) => {
+    const at = `features[${i}]`;
+    const props = feature?.properties || {};
+
+    if (feature?.type !== 'Feature') errors.push(`${at}.type: debe ser "Feature".`);
+    if (typeof props.id !== 'string' || !props.id) errors.push(`${at}.properties.id: requerido (texto).`);
+    else if (seen.has(props.id)) errors.push(`${at}.properties.id: "${props.id}" está duplicado.`);
+    else seen.add(props.id);
+    if (!FEATURE_TYPES.includes(props.tipo)) errors.push(`${at}.properties.tipo: debe ser uno de ${FEATURE_TYPES.join(', ')}.`);
+
+    const geometry = feature?.geometry;
+    if (geometry?.type === 'Polygon') {
+      if (!Array.isArray(geometry.coordinates) || !geometry.coordinates.length || !geometry.coordinates.every(isRing)) {
+        errors.push(`${at}.geometry: Polygon con anillos inválidos (mínimo 4 posiciones [lon, lat]).`);
+      }
+    } else if (geometry?.type === 'MultiPolygon') {
+      if (!Array.isArray(geometry.coordinates) || !geometry.coordinates.length || !geometry.coordinates.every(poly => Array.isArray(poly) && poly.length && poly.every(isRing))) {
+        errors.push(`${at}.geometry: MultiPolygon con anillos inválidos (mínimo 4 posiciones [lon, lat]).`);
+      }
+    } else {
+      errors.push(`${at}.geometry.type: debe ser Polygon o MultiPolygon.`);
+    }
+  });
+
+  return errors;
+}
+
+const toGeolibRing = (ring) => ring.map(([lon, lat]) => ({ latitude: lat, longitude: lon }))
+
+// Un punto está en un polígono si está en su anillo exterior y en ninguno de sus huecos.
+function polygonContains(rings, point) {
+  const [outer, ...holes] = rings;
+  return isPointInPolygon(point, toGeolibRing(outer)) &&
+    !holes.some(hole => isPointInPolygon(point, toGeolibRing(hole)));
+}
+
+function featureContains(feature, lat, lon) {
+  const point = { latitude: lat, longitude: lon };
+  const { type, coordinates } = feature.geometry;
+  if (type === 'Polygon') return polygonContains(coordinates, point);
+  return coordinates.some(rings => polygonContains(rings, point));
+}
+
+// ───── Área de Servicio ─────
+export function createServiceArea({ filePath, watchIntervalMs }) {
+  const store = createJsonConfigStore({ name: 'área de servicio', filePath, validate: validateServiceAreaGeoJson, watchIntervalMs });
+  const logLoaded = (geojson) => logger.info(`Área de servicio cargada: ${geojson.features.map(f => `${f.properties.id} (${f.properties.tipo})`).join(', ')}`);
+
+  const featuresOfType = (tipo) => (store.get()?.features || []).filter(f => f.properties.tipo === tipo);
+
+  return {
+    filePath,
+
+    load() {
+      logLoaded(store.load());
+    },
+
+    watch() {
+      store.watch(logLoaded);
+    },
+
+    // { dentro, motivo, municipio, zona } — `motivo` es null, 'zona_excluida' o 'fuera_de_cobertura'.
+    check(lat, lon) {
+      const exclusion = featuresOfType('exclusion').find(f => featureContains(f, lat, lon));
+      const municipio = featuresOfType('municipio').find(f => featureContains(f, lat, lon));
+      const cobertura = featuresOfType('cobertura').find(f => featureContains(f, lat, lon));
+
+      const result = {
+        dentro: !exclusion && !!(municipio || cobertura),
+        motivo: null,
+        municipio: municipio?.properties.nombre || null,
+        zona: (exclusion || cobertura)?.properties.nombre || null
+      };
+      if (exclusion) result.motivo = 'zona_excluida';
+      else if (!result.dentro) result.motivo = 'fuera_de_cobertura';
+
+      logger.debug(`serviceArea.check(${lat}, ${lon}) → ${JSON.stringify(result)}`);
+      return result;
+    },
+
+    // Centro (del rectángulo envolvente) del municipio o zona de cobertura con ese nombre o id,
+    // o null. Sirve de referencia para ubicaciones escritas como "<algo> Tepic".
+    center(nombre) {
+      const wanted = normalizeText(nombre);
+      const feature = [...featuresOfType('municipio'), ...featuresOfType('cobertura')]
+        .find(f => [f.properties.nombre, f.properties.id].some(n => n && normalizeText(n) === wanted));
+      if (!feature) return null;
+      const positions = feature.geometry.type === 'Polygon' ? feature.geometry.coordinates.flat() : feature.geometry.coordinates.flat(2);
+      const lons = positions.map(([lon]) => lon);
+      const lats = positions.map(([, lat]) => lat);
+      return {
+        lat: parseFloat(((Math.min(...lats) + Math.max(...lats)) / 2).toFixed(6)),
+        lon: parseFloat(((Math.min(...lons) + Math.max(...lons)) / 2).toFixed(6))
+      };
+    },
+
+    names(tipo) {
+      return featuresOfType(tipo).map(f => f.properties.nombre || f.properties.id);
+    },
+
+    toGeoJSON() {
+      return store.get();
+    }
+  };
+}
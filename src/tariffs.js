@@ -0,0 +1,169 @@
+import { logger } from './logger.js'
+import { createJsonConfigStore } from './configStore.js'
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/
+const DATE_OR_MONTH_DAY = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+const isIsoDate = (v) => typeof v === 'string' && !isNaN(new Date(v).getTime())
+
+// ───── Validación de esquema ─────
+// Devuelve la lista de errores encontrados (vacía si la configuración es válida).
+export function validateTariffConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.versions) || config.versions.length === 0) {
+    return ['La configuración debe tener un arreglo "versions" con al menos una versión.'];
+  }
+
+  const seen = new Set();
+  config.versions.forEach((v, i) => {
+    const at = `versions[${i}]`;
+    if (!isObject(v)) {
+      errors.push(`${at}: debe ser un objeto.`);
+      return;
+    }
+
+    if (typeof v.version !== 'string' || !v.version.trim()) errors.push(`${at}.version: requerido (texto).`);
+    else if (seen.has(v.version)) errors.push(`${at}.version: "${v.version}" está duplicada.`);
+    else seen.add(v.version);
+
+    if (!isIsoDate(v.validFrom)) errors.push(`${at}.validFrom: requerido (fecha ISO 8601).`);
+    if (v.validTo != null && !isIsoDate(v.validTo)) errors.push(`${at}.validTo: debe ser fecha ISO 8601 o null.`);
+    if (isIsoDate(v.validFrom) && isIsoDate(v.validTo) && new Date(v.validTo) <= new Date(v.validFrom)) {
+      errors.push(`${at}.validTo: debe ser posterior a validFrom.`);
+    }
+
+    if (!isNumber(v.basePrice) || v.basePrice < 0) errors.push(`${at}.basePrice: requerido (número >= 0).`);
+
+    if (!Array.isArray(v.tiers) || v.tiers.length === 0) {
+      errors.push(`${at}.tiers: requerido (arreglo con al menos un escalón).`);
+    } else {
+      let prevMaxKm = 0;
+      v.tiers.forEach((tier, j) => {
+        const tierAt = `${at}.tiers[${j}]`;
+        const isLast = j === v.tiers.length - 1;
+        if (!isObject(tier)) {
+          errors.push(`${tierAt}: debe ser un objeto { maxKm, rate }.`);
+          return;
+        }
+        if (tier.maxKm === null) {
+          if (!isLast) errors.push(`${tierAt}.maxKm: solo el último escalón puede ser ilimitado (null).`);
+        } else if (!isNumber(tier.maxKm) || tier.maxKm <= prevMaxKm) {
+          errors.push(`${tierAt}.maxKm: debe ser un número mayor que el escalón anterior (${prevMaxKm}).`);
+        } else {
+          prevMaxKm = tier.maxKm;
+        }
+        if (tier.rate !== null && (!isNumber(tier.rate) || tier.rate < 0)) {
+          errors.push(`${tierAt}.rate: debe ser un número >= 0 o null.`);
+        }
+      });
+      const lastTier = v.tiers[v.tiers.length - 1];
+      if (isObject(lastTier) && lastTier.maxKm !== null) {
+        errors.push(`${at}.tiers: el último escalón debe tener maxKm null (sin límite).`);
+      }
+    }
+
+    if (v.waiting != null && !isObject(v.waiting)) {
+      errors.push(`${at}.waiting: debe ser un objeto.`);
+    } else if (v.waiting != null) {
+      if (!isNumber(v.waiting.ratePerMin) || v.waiting.ratePerMin < 0) errors.push(`${at}.waiting.ratePerMin: requerido (número >= 0).`);
+      if (v.waiting.freeMinPerStop != null && (!isNumber(v.waiting.freeMinPerStop) || v.waiting.freeMinPerStop < 0)) {
+        errors.push(`${at}.waiting.freeMinPerStop: debe ser un número >= 0.`);
+      }
+    }
+
+    if (v.surcharges != null && !isObject(v.surcharges)) {
+      errors.push(`${at}.surcharges: debe ser un objeto.`);
+    } else if (v.surcharges != null) {
+      const { timeZone, rules } = v.surcharges;
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+      } catch {
+        errors.push(`${at}.surcharges.timeZone: zona horaria inválida "${timeZone}".`);
+      }
+      if (!Array.isArray(rules)) {
+        errors.push(`${at}.surcharges.rules: debe ser un arreglo.`);
+      } else {
+        rules.forEach((rule, j) => {
+          const ruleAt = `${at}.surcharges.rules[${j}]`;
+          if (!isObject(rule)) {
+            errors.push(`${ruleAt}: debe ser un objeto.`);
+            return;
+          }
+          if (typeof rule.id !== 'string' || !rule.id) errors.push(`${ruleAt}.id: requerido.`);
+          if (rule.multiplier == null && rule.flat == null) errors.push(`${ruleAt}: requiere "multiplier" y/o "flat".`);
+          if (rule.multiplier != null && (!isNumber(rule.multiplier) || rule.multiplier < 1)) errors.push(`${ruleAt}.multiplier: debe ser un número >= 1.`);
+          if (rule.flat != null && (!isNumber(rule.flat) || rule.flat < 0)) errors.push(`${ruleAt}.flat: debe ser un número >= 0.`);
+          if (rule.window && (!HHMM.test(rule.window.from) || !HHMM.test(rule.window.to))) errors.push(`${ruleAt}.window: from/to deben tener formato HH:MM.`);
+          if (rule.weekdays && (!Array.isArray(rule.weekdays) || rule.weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) errors.push(`${ruleAt}.weekdays: deben ser enteros 0-6.`);
+          if (rule.dates && (!Array.isArray(rule.dates) || rule.dates.some(d => !DATE_OR_MONTH_DAY.test(d)))) errors.push(`${ruleAt}.dates: deben tener formato YYYY-MM-DD o MM-DD.`);
+          if (rule.dateRange) {
+            const { from, to } = rule.dateRange;
+            if (!DATE_OR_MONTH_DAY.test(from) || !DATE_OR_MONTH_DAY.test(to) || from.length !== to.length) {
+              errors.push(`${ruleAt}.dateRange: from/to deben tener el mismo formato (YYYY-MM-DD o MM-DD).`);
+            }
+          }
+        });
+      }
+    }
+
+    if (v.zoneFares != null) {
+      if (!Array.isArray(v.zoneFares)) {
+        errors.push(`${at}.zoneFares: debe ser un arreglo.`);
+      } else {
+        v.zoneFares.forEach((fare, j) => {
+          const fareAt = `${at}.zoneFares[${j}]`;
+          if (!isObject(fare)) {
+            errors.push(`${fareAt}: debe ser un objeto { from, to, price }.`);
+            return;
+          }
+          if (typeof fare.from !== 'string' || !fare.from) errors.push(`${fareAt}.from: requerido (id de zona).`);
+          if (typeof fare.to !== 'string' || !fare.to) errors.push(`${fareAt}.to: requerido (id de zona).`);
+          if (!isNumber(fare.price) || fare.price < 0) errors.push(`${fareAt}.price: requerido (número >= 0).`);
+          if (fare.oneWay != null && typeof fare.oneWay !== 'boolean') errors.push(`${fareAt}.oneWay: debe ser booleano.`);
+          if (fare.applySurcharges != null && typeof fare.applySurcharges !== 'boolean') errors.push(`${fareAt}.applySurcharges: debe ser booleano.`);
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+// ───── Almacén de tarifas con recarga en caliente ─────
+export function createTariffStore({ filePath, watchIntervalMs }) {
+  const store = createJsonConfigStore({ name: 'tarifas', filePath, validate: validateTariffConfig, watchIntervalMs });
+  const logLoaded = (config) => logger.info(`Tarifas cargadas: ${config.versions.map(v => v.version).join(', ')}`);
+
+  return {
+    filePath,
+
+    load() {
+      logLoaded(store.load());
+    },
+
+    watch() {
+      store.watch(logLoaded);
+    },
+
+    // Valida, persiste en disco y aplica una configuración completa (endpoint de administración).
+    replace(candidate) {
+      logLoaded(store.replace(candidate));
+    },
+
+    // Versión vigente en `date`; si varias se traslapan gana la de validFrom más reciente.
+    getActive(date = new Date()) {
+      const candidates = (store.get()?.versions || []).filter(v =>
+        new Date(v.validFrom) <= date && (v.validTo == null || date < new Date(v.validTo))
+      );
+      candidates.sort((a, b) => new Date(b.validFrom) - new Date(a.validFrom));
+      return candidates[0] || null;
+    },
+
+    list() {
+      return { loaded_at: store.loadedAt()?.toISOString() || null, versions: store.get()?.versions || [] };
+    }
+  };
+}
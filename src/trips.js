@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import { createJsonCollection } from './jsonCollection.js'
+
+// ───── Estados de viaje ─────
+// solicitado → asignado → en_camino → en_curso → finalizado; se puede cancelar antes de iniciar.
+export const TRIP_TRANSITIONS = {
+  solicitado: ['asignado', 'cancelado'],
+  asignado: ['asignado', 'en_camino', 'cancelado'],
+  en_camino: ['en_curso', 'cancelado'],
+  en_curso: ['finalizado'],
+  finalizado: [],
+  cancelado: []
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const isCoord = (lat, lon) => isNumber(lat) && isNumber(lon) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180
+
+function tripError(message, code, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Valida el contenido de una cotización firmada (ver quotes.js) ya verificada.
+export function validateQuote(quote) {
+  const errors = [];
+  if (!quote || typeof quote !== 'object') return ['cotizacion: requerida.'];
+  if (typeof quote.cotizacion_id !== 'string' || !quote.cotizacion_id) errors.push('cotizacion_id: requerido.');
+  if (!isCoord(quote.origen?.lat, quote.origen?.lon)) errors.push('origen: coordenadas inválidas.');
+  if (!isCoord(quote.destino?.lat, quote.destino?.lon)) errors.push('destino: coordenadas inválidas.');
+  if (quote.paradas != null && (!Array.isArray(quote.paradas) || quote.paradas.some(p => !isCoord(p?.lat, p?.lon)))) errors.push('paradas: coordenadas inválidas.');
+  if (!isNumber(quote.costo_estimado) || quote.costo_estimado <= 0) errors.push('costo_estimado: requerido (número > 0).');
+  if (typeof quote.telefono !== 'string' || quote.telefono.trim().length < 10) errors.push('telefono: requerido.');
+  return errors;
+}
+
+// ───── Almacén de viajes ─────
+export function createTripStore({ filePath }) {
+  const collection = createJsonCollection({ name: 'Viajes', filePath });
+
+  function requireTrip(id) {
+    const trip = collection.get(id);
+    if (!trip) throw tripError(`No existe el viaje "${id}".`, 'TRIP_NOT_FOUND');
+    return trip;
+  }
+
+  function moveTo(trip, estado, extra = {}, motivo = null) {
+    if (!TRIP_TRANSITIONS[trip.estado]?.includes(estado)) {
+      throw tripError(`Transición no permitida: ${trip.estado} → ${estado}.`, 'INVALID_TRIP_TRANSITION', { estado_actual: trip.estado, permitidos: TRIP_TRANSITIONS[trip.estado] });
+    }
+    const fecha = new Date().toISOString();
+    return collection.save({
+      ...trip,
+      ...extra,
+      estado,
+      historial: [...trip.historial, { estado, fecha, ...(motivo && { motivo }) }],
+      actualizado_en: fecha
+    });
+  }
+
+  return {
+    filePath,
+
+    load: collection.load,
+
+    get: requireTrip,
+
+    // Viaje asignado, en camino o en curso del conductor registrado `driverId`, si lo hay.
+    findActiveByDriver(driverId) {
+      return collection.all().find(t =>
+        t.conductor?.id === driverId && ['asignado', 'en_camino', 'en_curso'].includes(t.estado)
+      ) || null;
+    },
+
+    list({ estado, telefono } = {}) {
+      return collection.all()
+        .filter(t => !estado || t.estado === estado)
+        .filter(t => !telefono || t.telefono === telefono)
+        .sort((a, b) => b.creado_en.localeCompare(a.creado_en));
+    },
+
+    // Crea la reservación a partir de una cotización firmada; cada cotización se puede usar una sola vez.
+    create(quote, { notas = null } = {}) {
+      const errors = validateQuote(quote);
+      if (errors.length) throw tripError('Cotización inválida.', 'INVALID_TRIP', errors);
+
+      const existing = collection.all().find(t => t.cotizacion_id === quote.cotizacion_id);
+      if (existing) {
+        throw tripError(`La cotización ya fue usada en el viaje ${existing.id}.`, 'QUOTE_ALREADY_USED', { viaje_id: existing.id });
+      }
+
+      const fecha = new Date().toISOString();
+      return collection.save({
+        id: crypto.randomUUID(),
+        cotizacion_id: quote.cotizacion_id,
+        estado: 'solicitado',
+        telefono: quote.telefono.trim(),
+        origen: { lat: quote.origen.lat, lon: quote.origen.lon, direccion: quote.origen.direccion || null },
+        destino: { lat: quote.destino.lat, lon: quote.destino.lon, direccion: quote.destino.direccion || null },
+        paradas: quote.paradas || [],
+        ida_y_vuelta: quote.ida_y_vuelta === true,
+        distancia_ruta_km: quote.distancia_ruta_km ?? null,
+        duracion_estimada_min: quote.duracion_estimada_min ?? null,
+        costo_estimado: quote.costo_estimado,
+        moneda: quote.moneda || 'MXN',
+        tarifa_version: quote.tarifa_version || null,
+        fecha_hora_viaje: quote.fecha_hora_viaje || fecha,
+        notas,
+        conductor: null,
+        historial: [{ estado: 'solicitado', fecha }],
+        creado_en: fecha,
+        actualizado_en: fecha
+      });
+    },
+
+    // Asigna (o reasigna antes de salir) un conductor: { id?, nombre, telefono, placa, tipo_vehiculo? }.
+    assign(id, conductor) {
+      const trip = requireTrip(id);
+      const errors = [];
+      if (!conductor || typeof conductor.nombre !== 'string' || !conductor.nombre.trim()) errors.push('conductor.nombre: requerido.');
+      if (!conductor || typeof conductor.telefono !== 'string' || conductor.telefono.trim().length < 10) errors.push('conductor.telefono: requerido (teléfono).');
+      if (errors.length) throw tripError('Conductor inválido.', 'INVALID_TRIP', errors);
+
+      return moveTo(trip, 'asignado', { conductor: { ...conductor, asignado_en: new Date().toISOString() } });
+    },
+
+    // Cambio de estado genérico (en_camino, en_curso, finalizado, cancelado).
+    transition(id, estado, { motivo = null } = {}) {
+      const trip = requireTrip(id);
+      if (estado === 'asignado') {
+        throw tripError('Para asignar un conductor usa POST /trips/:id/assign.', 'INVALID_TRIP_TRANSITION');
+      }
+      if (!(estado in TRIP_TRANSITIONS)) {
+        throw tripError(`Estado desconocido "${estado}".`, 'INVALID_TRIP', [`estado: debe ser uno de ${Object.keys(TRIP_TRANSITIONS).join(', ')}.`]);
+      }
+      return moveTo(trip, estado, {}, motivo);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { isPointInPolygon, isPointWithinRadius } from 'geolib'
+import { logger } from './logger.js'
+import { createJsonConfigStore } from './configStore.js'
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+const isLatLon = (p) => isObject(p) && isNumber(p.lat) && isNumber(p.lon) && p.lat >= -90 && p.lat <= 90 && p.lon >= -180 && p.lon <= 180
+
+// ───── Validación de esquema ─────
+// Cada zona es un círculo ({ center, radiusKm }) o un polígono ({ polygon: [{lat, lon}, ...] }).
+export function validateZoneConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.zones)) {
+    return ['La configuración debe tener un arreglo "zones".'];
+  }
+
+  const seen = new Set();
+  config.zones.forEach((zone, i) => {
+    const at = `zones[${i}]`;
+    if (!isObject(zone)) {
+      errors.push(`${at}: debe ser un objeto.`);
+      return;
+    }
+    if (typeof zone.id !== 'string' || !zone.id) errors.push(`${at}.id: requerido (texto).`);
+    else if (seen.has(zone.id)) errors.push(`${at}.id: "${zone.id}" está duplicado.`);
+    else seen.add(zone.id);
+
+    if (zone.polygon != null) {
+      if (!Array.isArray(zone.polygon) || zone.polygon.length < 3 || !zone.polygon.every(isLatLon)) {
+        errors.push(`${at}.polygon: debe tener al menos 3 vértices { lat, lon } válidos.`);
+      }
+    } else if (zone.center != null) {
+      if (!isLatLon(zone.center)) errors.push(`${at}.center: coordenadas { lat, lon } inválidas.`);
+      if (!isNumber(zone.radiusKm) || zone.radiusKm <= 0) errors.push(`${at}.radiusKm: requerido (número > 0).`);
+    } else {
+      errors.push(`${at}: requiere "polygon" o "center" + "radiusKm".`);
+    }
+  });
+
+  return errors;
+}
+
+function containsPoint(zone, lat, lon) {
+  const point = { latitude: lat, longitude: lon };
+  if (zone.polygon) {
+    return isPointInPolygon(point, zone.polygon.map(p => ({ latitude: p.lat, longitude: p.lon })));
+  }
+  return isPointWithinRadius(point, { latitude: zone.center.lat, longitude: zone.center.lon }, zone.radiusKm * 1000);
+}
+
+// ───── Zonas de tarifa fija ─────
+export function createZoneStore({ filePath, watchIntervalMs }) {
+  const store = createJsonConfigStore({ name: 'zonas', filePath, validate: validateZoneConfig, watchIntervalMs });
+  const logLoaded = (config) => logger.info(`Zonas de tarifa cargadas: ${config.zones.map(z => z.id).join(', ') || 'ninguna'}`);
+
+  return {
+    filePath,
+
+    load() {
+      logLoaded(store.load());
+    },
+
+    watch() {
+      store.watch(logLoaded);
+    },
+
+    // Zonas que contienen el punto, en el orden del archivo (las más específicas deben ir primero).
+    findZones(lat, lon) {
+      return (store.get()?.zones || []).filter(zone => containsPoint(zone, lat, lon));
+    },
+
+    list() {
+      return store.get()?.zones || [];
+    }
+  };
+}
+
+// Busca en `tariff.zoneFares` el primer precio fijo entre alguna zona de origen y alguna de destino.
+// Las tarifas aplican en ambos sentidos salvo que tengan `oneWay: true`.
+export function findZoneFare(tariff, originZones, destinationZones) {
+  const fares = tariff.zoneFares || [];
+  for (const origin of originZones) {
+    for (const destination of destinationZones) {
+      const fare = fares.find(f =>
+        (f.from === origin.id && f.to === destination.id) ||
+        (!f.oneWay && f.from === destination.id && f.to === origin.id)
+      );
+      if (fare) {
+        return {
+          zona_origen: origin.id,
+          zona_destino: destination.id,
+          precio: fare.price,
+          aplica_recargos: fare.applySurcharges !== false
+        };
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGeocodeQuery, parseAddress } from '../src/addressParser.js'
+
+// Partes de una dirección escrita en texto libre y consulta limpia para los proveedores.
+
+const MUNICIPIOS = ['Tepic', 'Xalisco']
+const parse = (text) => parseAddress(text, { municipios: MUNICIPIOS })
+
+test('separa calle, números, colonia, entre calles, municipio y referencias', () => {
+  assert.deepEqual(parse('Calle Zacatecas 123 int. 4 col. Centro entre Morelos y Juárez, Tepic, frente al Oxxo'), {
+    calle: 'Calle Zacatecas',
+    numero_exterior: '123',
+    numero_interior: '4',
+    colonia: 'Centro',
+    entre_calles: ['Morelos', 'Juárez'],
+    esquina: null,
+    codigo_postal: null,
+    municipio: 'Tepic',
+    estado: null,
+    referencias: ['frente al Oxxo'],
+    otros: []
+  });
+});
+
+test('reconoce #, letras en el número, C.P. y estado', () => {
+  const parsed = parse('Av. México #245-B, Col. San José, C.P. 63150, Tepic, Nayarit');
+  assert.equal(parsed.calle, 'Av. México');
+  assert.equal(parsed.numero_exterior, '245-B');
+  assert.equal(parsed.colonia, 'San José');
+  assert.equal(parsed.codigo_postal, '63150');
+  assert.equal(parsed.estado, 'Nayarit');
+});
+
+test('s/n, fraccionamientos, departamento y abreviaturas del estado', () => {
+  const sinNumero = parse('Privada Los Pinos s/n, fracc. Las Aves, a dos cuadras del hospital');
+  assert.equal(sinNumero.numero_exterior, 'S/N');
+  assert.equal(sinNumero.colonia, 'Las Aves');
+  assert.deepEqual(sinNumero.referencias, ['a dos cuadras del hospital']);
+
+  const depto = parse('Boulevard Colosio 500 Depto 3, Tepic, Nay.');
+  assert.equal(depto.numero_interior, '3');
+  assert.equal(depto.estado, 'Nayarit');
+});
+
+test('un número al inicio del nombre de la calle no se toma como número exterior', () => {
+  const parsed = parse('Calle 20 de Noviembre 50, Xalisco');
+  assert.equal(parsed.calle, 'Calle 20 de Noviembre');
+  assert.equal(parsed.numero_exterior, '50');
+  assert.equal(parsed.municipio, 'Xalisco');
+});
+
+test('esquina: la calle que cruza queda aparte', () => {
+  const parsed = parse('Av. Insurgentes esquina con Allende, Tepic');
+  assert.equal(parsed.calle, 'Av. Insurgentes');
+  assert.equal(parsed.esquina, 'Allende');
+});
+
+test('buildGeocodeQuery quita referencias, entre calles, esquina y número interior', () => {
+  assert.equal(buildGeocodeQuery(parse('Calle Zacatecas 123 int. 4 col. Centro entre Morelos y Juárez, Tepic, frente al Oxxo')), 'Calle Zacatecas 123, Centro, Tepic, Nayarit');
+  assert.equal(buildGeocodeQuery(parse('Av. México #245-B, Col. San José, C.P. 63150, Tepic, Nayarit')), 'Av. México 245-B, San José, 63150 Tepic, Nayarit');
+  assert.equal(buildGeocodeQuery(parse('Privada Los Pinos s/n, fracc. Las Aves')), 'Privada Los Pinos, Las Aves, Nayarit');
+  assert.equal(buildGeocodeQuery(parse('Av. Insurgentes esquina con Allende, Tepic')), 'Av. Insurgentes, Tepic, Nayarit');
+  assert.equal(buildGeocodeQuery(parseAddress('')), null);
+});
@@ -0,0 +1,150 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createApiKeyStore, createQuotaTracker, validateApiKeyData } from '../src/apiKeys.js'
+
+// Claves de API (solo se guarda el hash) y cuotas por clave y ruta en ventanas fijas.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-claves-'))
+let counter = 0
+const NOW = Date.parse('2025-06-11T18:00:00Z')
+const MIN = 60 * 1000
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function newStore() {
+  const filePath = path.join(dir, `api_keys-${++counter}.json`);
+  const store = createApiKeyStore({ filePath });
+  store.load();
+  return { store, onDisk: () => JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+// ───── Almacén ─────
+
+test('create devuelve la clave una sola vez y en disco solo queda su hash', () => {
+  const { store, onDisk } = newStore();
+  const creada = store.create({ nombre: ' Bot WhatsApp ', scopes: ['geocode', 'fare', 'geocode'] });
+
+  assert.match(creada.api_key, /^av_/);
+  assert.equal(creada.nombre, 'Bot WhatsApp');
+  assert.deepEqual(creada.scopes, ['geocode', 'fare']);
+  assert.equal(creada.prefijo, creada.api_key.slice(0, 10));
+  assert.equal('hash' in creada, false);
+  assert.equal('api_key' in store.get(creada.id), false);
+  assert.equal(JSON.stringify(onDisk()).includes(creada.api_key), false);
+  assert.match(onDisk()[0].hash, /^[0-9a-f]{64}$/);
+});
+
+test('authenticate acepta solo claves activas con el prefijo correcto', () => {
+  const { store } = newStore();
+  const { id, api_key } = store.create({ nombre: 'Panel', scopes: ['admin'] });
+
+  assert.equal(store.authenticate(api_key).id, id);
+  assert.equal(store.authenticate(`${api_key}x`), null);
+  assert.equal(store.authenticate(api_key.replace(/^av_/, 'xx_')), null);
+  assert.equal(store.authenticate(undefined), null);
+
+  store.update(id, { activa: false });
+  assert.equal(store.authenticate(api_key), null);
+  store.update(id, { activa: true });
+  assert.equal(store.authenticate(api_key).id, id);
+
+  store.remove(id);
+  assert.equal(store.authenticate(api_key), null);
+  assert.throws(() => store.get(id), { code: 'API_KEY_NOT_FOUND' });
+});
+
+test('las claves sobreviven a un reinicio', () => {
+  const { store } = newStore();
+  const { id, api_key } = store.create({ nombre: 'Bot Telegram', scopes: ['fare'], cuotas: { '*': { limite: 50, ventana_min: 60 } } });
+
+  const reloaded = createApiKeyStore({ filePath: store.filePath });
+  reloaded.load();
+  assert.equal(reloaded.authenticate(api_key).id, id);
+  assert.deepEqual(reloaded.get(id).cuotas, { '*': { limite: 50, ventana_min: 60 } });
+});
+
+test('los datos de la clave se validan al crear y al actualizar', () => {
+  assert.deepEqual(validateApiKeyData({ nombre: 'x', scopes: ['geocode', 'todo'], cuotas: { geocode_text: { limite: 0, ventana_min: 15 } }, activa: 'si' }), [
+    'nombre: requerido (texto).',
+    'scopes: arreglo no vacío con valores de geocode, fare, admin.',
+    'cuotas.geocode_text: la ruta debe empezar con "/" o ser "*".',
+    'cuotas.geocode_text: limite y ventana_min deben ser enteros positivos.',
+    'activa: debe ser booleano.'
+  ]);
+  assert.deepEqual(validateApiKeyData({ activa: false }, { partial: true }), []);
+
+  const { store } = newStore();
+  assert.throws(() => store.create({ nombre: 'Sin permisos', scopes: [] }), { code: 'INVALID_API_KEY_DATA' });
+  const { id } = store.create({ nombre: 'Bot', scopes: ['geocode'] });
+  assert.throws(() => store.update(id, { scopes: ['root'] }), { code: 'INVALID_API_KEY_DATA' });
+  assert.deepEqual(store.get(id).scopes, ['geocode']);
+});
+
+// ───── Cuotas ─────
+
+const quotas = () => createQuotaTracker({ defaultQuota: { limite: 3, ventana_min: 15 } })
+const clave = (cuotas = {}) => ({ id: `clave-${++counter}`, cuotas })
+
+test('sin cuota propia se aplica la cuota por defecto y la ventana se reinicia', () => {
+  const tracker = quotas();
+  const apiKey = clave();
+
+  assert.deepEqual(tracker.consume(apiKey, '/geocode_text', NOW), { permitido: true, limite: 3, restantes: 2, reinicia_en: NOW + 15 * MIN });
+  tracker.consume(apiKey, '/geocode_text', NOW + MIN);
+  tracker.consume(apiKey, '/geocode_text', NOW + 2 * MIN);
+  assert.deepEqual(tracker.consume(apiKey, '/geocode_text', NOW + 3 * MIN), { permitido: false, limite: 3, restantes: 0, reinicia_en: NOW + 15 * MIN });
+
+  const nueva = tracker.consume(apiKey, '/geocode_text', NOW + 15 * MIN);
+  assert.equal(nueva.permitido, true);
+  assert.equal(nueva.restantes, 2);
+});
+
+test('las rutas con cuota propia cuentan aparte; las demás comparten la de "*"', () => {
+  const tracker = quotas();
+  const apiKey = clave({ '/geocode_text': { limite: 1, ventana_min: 5 }, '*': { limite: 2, ventana_min: 60 } });
+
+  assert.equal(tracker.consume(apiKey, '/geocode_text', NOW).permitido, true);
+  assert.equal(tracker.consume(apiKey, '/geocode_text', NOW).permitido, false);
+
+  assert.deepEqual(tracker.consume(apiKey, '/calculate_fare', NOW), { permitido: true, limite: 2, restantes: 1, reinicia_en: NOW + 60 * MIN });
+  assert.equal(tracker.consume(apiKey, '/autocomplete', NOW).restantes, 0);
+  assert.equal(tracker.consume(apiKey, '/reverse_origin', NOW).permitido, false);
+
+  assert.equal(tracker.consume(clave(), '/geocode_text', NOW).permitido, true);
+});
+
+test('una petición que vale varias se rechaza completa si no cabe', () => {
+  const tracker = quotas();
+  const apiKey = clave({ '/geocode_batch': { limite: 5, ventana_min: 15 } });
+
+  assert.equal(tracker.consume(apiKey, '/geocode_batch', NOW, 3).restantes, 2);
+  assert.deepEqual(tracker.consume(apiKey, '/geocode_batch', NOW, 3), { permitido: false, limite: 5, restantes: 2, reinicia_en: NOW + 15 * MIN });
+  assert.equal(tracker.consume(apiKey, '/geocode_batch', NOW, 2).restantes, 0);
+  assert.equal(tracker.consume(apiKey, '/geocode_batch', NOW, 6).permitido, false);
+});
+
+test('usage informa totales, ventanas vigentes y último uso; forget los borra', () => {
+  const tracker = quotas();
+  const apiKey = clave({ '/geocode_text': { limite: 1, ventana_min: 5 } });
+  tracker.consume(apiKey, '/geocode_text', NOW);
+  tracker.consume(apiKey, '/geocode_text', NOW + MIN);
+  tracker.consume(apiKey, '/calculate_fare', NOW + 2 * MIN);
+
+  assert.deepEqual(tracker.usage(apiKey, NOW + 2 * MIN), {
+    ultimo_uso: new Date(NOW + 2 * MIN).toISOString(),
+    rutas: { '/geocode_text': { solicitudes: 2, rechazadas: 1 }, '/calculate_fare': { solicitudes: 1, rechazadas: 0 } },
+    ventanas: {
+      '/geocode_text': { usadas: 1, limite: 1, ventana_min: 5, reinicia_en: new Date(NOW + 5 * MIN).toISOString() },
+      '*': { usadas: 1, limite: 3, ventana_min: 15, reinicia_en: new Date(NOW + 17 * MIN).toISOString() }
+    }
+  });
+  assert.deepEqual(Object.keys(tracker.usage(apiKey, NOW + 6 * MIN).ventanas), ['*']);
+
+  tracker.forget(apiKey);
+  assert.deepEqual(tracker.usage(apiKey, NOW), { ultimo_uso: null, rutas: {}, ventanas: {} });
+});
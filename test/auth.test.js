@@ -0,0 +1,172 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createApiKeyAuth, requireAdmin } from '../src/auth.js'
+import { createQuotaTracker } from '../src/apiKeys.js'
+
+// Middlewares de autenticación: token de administración, claves de API con permisos y cuotas,
+// y el modo con claves opcionales (API_KEYS_REQUIRED=false) u obligatorias.
+
+const ADMIN_TOKEN = 'token_de_prueba'
+const claves = {
+  'av_geocode': { id: 'k-geocode', nombre: 'Bot', scopes: ['geocode'], cuotas: { '/geocode_batch': { limite: 5, ventana_min: 15 } } },
+  'av_admin': { id: 'k-admin', nombre: 'Panel', scopes: ['admin'], cuotas: { '*': { limite: 1, ventana_min: 15 } } }
+}
+const store = { authenticate: (key) => claves[key] || null }
+
+let previousAdminToken
+
+before(() => {
+  previousAdminToken = process.env.ADMIN_TOKEN;
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+});
+
+after(() => {
+  if (previousAdminToken === undefined) delete process.env.ADMIN_TOKEN;
+  else process.env.ADMIN_TOKEN = previousAdminToken;
+});
+
+function auth(options = {}) {
+  return createApiKeyAuth({ store, quotas: createQuotaTracker({ defaultQuota: { limite: 2, ventana_min: 15 } }), required: false, ...options });
+}
+
+function request({ apiKey, bearer, route = '/geocode_text', body = {}, query = {} } = {}) {
+  const headers = {
+    ...(apiKey && { 'x-api-key': apiKey }),
+    ...(bearer && { authorization: `Bearer ${bearer}` })
+  };
+  return { method: 'POST', originalUrl: route, path: route, route: { path: route }, ip: '127.0.0.1', body, query, get: (name) => headers[name.toLowerCase()] };
+}
+
+// Pasa `req` por los middlewares en orden: { status, body, headers } o { status: 'next' } si todos llaman a next().
+function run(req, ...middlewares) {
+  const res = {
+    statusCode: null,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set(headers, value) { Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers); return this; }
+  };
+  for (const middleware of middlewares) {
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    if (!passed) return { status: res.statusCode, body: res.body, headers: res.headers };
+  }
+  return { status: 'next', headers: res.headers };
+}
+
+// ───── Claves opcionales / obligatorias ─────
+
+test('con claves opcionales pasa el anónimo, salvo en rutas que la exigen', () => {
+  const { identify, requireScope } = auth();
+  assert.equal(run(request(), identify, requireScope('geocode')).status, 'next');
+
+  const lote = run(request({ route: '/geocode_batch' }), identify, requireScope('geocode', { keyRequired: true }));
+  assert.equal(lote.status, 401);
+  assert.equal(lote.body.code, 'API_KEY_REQUIRED');
+});
+
+test('con claves obligatorias el anónimo recibe 401 y el token de administración pasa', () => {
+  const { identify, requireScope } = auth({ required: true });
+  const anonimo = run(request(), identify, requireScope('geocode'));
+  assert.equal(anonimo.status, 401);
+  assert.equal(anonimo.body.code, 'API_KEY_REQUIRED');
+
+  assert.equal(run(request({ bearer: ADMIN_TOKEN }), identify, requireScope('geocode')).status, 'next');
+  assert.equal(run(request({ bearer: 'otro' }), identify, requireScope('geocode')).status, 401);
+});
+
+test('una clave inválida se rechaza aunque la ruta no la exija', () => {
+  const { identify, requireScope } = auth();
+  const { status, body } = run(request({ apiKey: 'av_no_existe' }), identify, requireScope('geocode'));
+  assert.equal(status, 401);
+  assert.equal(body.code, 'INVALID_API_KEY');
+});
+
+// ───── Permisos y cuotas ─────
+
+test('una clave sin el permiso de la ruta recibe 403', () => {
+  const { identify, requireScope } = auth();
+  const { status, body } = run(request({ apiKey: 'av_geocode', route: '/calculate_fare' }), identify, requireScope('fare'));
+  assert.equal(status, 403);
+  assert.equal(body.code, 'INSUFFICIENT_SCOPE');
+});
+
+test('cada petición con clave descuenta de su cuota y publica los headers RateLimit', () => {
+  const { identify, requireScope } = auth();
+  const pedir = () => run(request({ apiKey: 'av_geocode' }), identify, requireScope('geocode'));
+
+  const primera = pedir();
+  assert.equal(primera.status, 'next');
+  assert.equal(primera.headers['RateLimit-Limit'], '2');
+  assert.equal(primera.headers['RateLimit-Remaining'], '1');
+  assert.ok(Number(primera.headers['RateLimit-Reset']) > 0);
+
+  pedir();
+  const agotada = pedir();
+  assert.equal(agotada.status, 429);
+  assert.equal(agotada.body.code, 'API_KEY_QUOTA_EXCEEDED');
+  assert.equal(agotada.headers['Retry-After'], agotada.headers['RateLimit-Reset']);
+});
+
+test('cost descuenta según la petición y el token de administración no gasta cuota', () => {
+  const { identify, requireScope } = auth();
+  const lote = requireScope('geocode', { keyRequired: true, cost: (req) => req.body.direcciones.length });
+  const pedir = (n, credenciales) => run(request({ ...credenciales, route: '/geocode_batch', body: { direcciones: Array(n).fill('x') } }), identify, lote);
+
+  assert.equal(pedir(3, { apiKey: 'av_geocode' }).headers['RateLimit-Remaining'], '2');
+  assert.equal(pedir(3, { apiKey: 'av_geocode' }).status, 429);
+  assert.equal(pedir(3, { apiKey: 'av_geocode', bearer: ADMIN_TOKEN }).status, 'next');
+  assert.equal(pedir(2, { apiKey: 'av_geocode' }).headers['RateLimit-Remaining'], '0');
+});
+
+// ───── Administración ─────
+
+test('requireAdmin acepta el token de administración o una clave con permiso admin', () => {
+  const { identify, requireAdmin: requireAdminAccess } = auth();
+  assert.equal(run(request({ bearer: ADMIN_TOKEN }), identify, requireAdminAccess).status, 'next');
+  assert.equal(run(request({ apiKey: 'av_admin' }), identify, requireAdminAccess).status, 'next');
+
+  // La clave admin tiene cuota de 1.
+  const agotada = run(request({ apiKey: 'av_admin' }), identify, requireAdminAccess);
+  assert.equal(agotada.status, 429);
+
+  const anonimo = run(request(), identify, requireAdminAccess);
+  assert.equal(anonimo.status, 401);
+  assert.equal(anonimo.body.code, 'UNAUTHORIZED');
+});
+
+test('el token de administración vale aunque venga con una clave sin permiso admin', () => {
+  const { identify, requireAdmin: requireAdminAccess } = auth();
+  assert.equal(run(request({ apiKey: 'av_geocode', bearer: ADMIN_TOKEN }), identify, requireAdminAccess).status, 'next');
+
+  const soloClave = run(request({ apiKey: 'av_geocode' }), identify, requireAdminAccess);
+  assert.equal(soloClave.status, 403);
+  assert.equal(soloClave.body.code, 'INSUFFICIENT_SCOPE');
+
+  const tokenIncorrecto = run(request({ apiKey: 'av_geocode', bearer: 'otro' }), identify, requireAdminAccess);
+  assert.equal(tokenIncorrecto.status, 403);
+});
+
+test('sin ADMIN_TOKEN la administración queda deshabilitada', () => {
+  delete process.env.ADMIN_TOKEN;
+  try {
+    const { status, body } = run(request({ bearer: ADMIN_TOKEN }), requireAdmin);
+    assert.equal(status, 503);
+    assert.equal(body.code, 'ADMIN_DISABLED');
+  } finally {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  }
+});
+
+test('isAdminRequest acepta token, clave admin o access_token de la central, nunca el ADMIN_TOKEN en la URL', () => {
+  const streamTokens = { verify: (token, scope) => token === 'corto' && scope === 'dispatch' };
+  const { isAdminRequest } = auth({ streamTokens });
+  const conClave = (apiKey, extra) => ({ ...request(extra), apiKey });
+
+  assert.equal(isAdminRequest(request({ bearer: ADMIN_TOKEN })), true);
+  assert.equal(isAdminRequest(conClave(claves.av_admin)), true);
+  assert.equal(isAdminRequest(conClave(claves.av_geocode)), false);
+  assert.equal(isAdminRequest(request({ query: { access_token: 'corto' } })), true);
+  assert.equal(isAdminRequest(request({ query: { access_token: ADMIN_TOKEN } })), false);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { rankSuggestions, scoreQuery } from '../src/autocomplete.js'
+import { freePort, startNodeProcess } from './helpers.js'
+
+// Ranking de sugerencias (src/autocomplete.js) y espera por `sesion` en GET /autocomplete.
+
+const CENTRO = { lat: 21.5095, lon: -104.8957 }
+const candidato = (tipo, direccion, lat, lon, extra = {}) => ({ tipo, textos: [direccion], direccion, lat, lon, ...extra })
+
+test('scoreQuery acepta palabras incompletas y errores en palabras largas', () => {
+  assert.equal(scoreQuery('cated', 'Catedral de Tepic'), 1);
+  assert.equal(scoreQuery('av insur', 'Avenida Insurgentes 1050'), 1);
+  assert.ok(scoreQuery('insurjentes', 'Avenida Insurgentes') >= 0.8);
+  assert.equal(scoreQuery('cat', 'Mercado'), 0);
+  assert.equal(scoreQuery('catedral hospital', 'Catedral de Tepic'), 0);
+});
+
+test('rankSuggestions prefiere POIs e historial, y lo cercano con origen', () => {
+  const candidatos = [
+    candidato('cache', 'Hospital General, Tepic', 21.52, -104.90),
+    candidato('poi', 'Hospital Civil, Tepic', 21.50, -104.89, { nombre: 'Hospital Civil' }),
+    candidato('historial', 'Hospital del IMSS, Tepic', 21.40, -104.80)
+  ];
+  assert.deepEqual(rankSuggestions('hosp', candidatos).map(s => s.tipo), ['poi', 'historial', 'cache']);
+
+  const cercanos = rankSuggestions('hosp', candidatos, { origin: { lat: 21.40, lon: -104.80 } });
+  assert.equal(cercanos[0].tipo, 'historial');
+  assert.ok(cercanos.every(s => typeof s.distancia_km === 'number'));
+  assert.equal(rankSuggestions('hosp', candidatos)[1].nombre, undefined);
+});
+
+test('rankSuggestions quita duplicados, respeta el límite y el puntaje mínimo', () => {
+  const candidatos = [
+    candidato('poi', 'Catedral de Tepic', CENTRO.lat, CENTRO.lon),
+    candidato('cache', 'catedral de tepic', 21.52, -104.90),
+    candidato('cache', 'Catedral, Centro', CENTRO.lat + 0.0001, CENTRO.lon),
+    candidato('cache', 'Calle Catedral 5', 21.45, -104.85),
+    candidato('proveedor', 'Plaza Principal', 21.46, -104.86, { relevancia: 0.6 })
+  ];
+  const sugerencias = rankSuggestions('catedral', candidatos);
+  assert.deepEqual(sugerencias.map(s => s.direccion), ['Catedral de Tepic', 'Calle Catedral 5', 'Plaza Principal']);
+  assert.equal(rankSuggestions('catedral', candidatos, { limit: 1 }).length, 1);
+  assert.deepEqual(rankSuggestions('catedral', candidatos, { minScore: 0.9 }).map(s => s.direccion), ['Catedral de Tepic', 'Calle Catedral 5']);
+  assert.deepEqual(rankSuggestions('de la', candidatos), []);
+});
+
+// ─── Espera por sesión ───
+let app
+let baseUrl
+let nominatim
+let dataDir
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-autocompletado-'));
+  nominatim = await new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const q = new URL(req.url, 'http://localhost').searchParams.get('q') || '';
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify([{ lat: '21.5050', lon: '-104.8900', display_name: `${q}, Tepic, Nayarit`, place_rank: 30, address: { road: q, city: 'Tepic' } }]));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      GEOCACHE_BACKEND: 'memory',
+      AUTOCOMPLETE_DEBOUNCE_MS: '150',
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function autocompletar(q, sesion) {
+  const res = await fetch(`${baseUrl}/autocomplete?${new URLSearchParams({ q, ...(sesion && { sesion }) })}`);
+  return (await res.json()).consulto_proveedor;
+}
+
+test('en una sesión solo la última consulta llega al proveedor', async () => {
+  const [primera, segunda] = await Promise.all([
+    autocompletar('calle lerm', 'chat-1'),
+    new Promise(resolve => setTimeout(resolve, 30)).then(() => autocompletar('calle lerma 1', 'chat-1'))
+  ]);
+  assert.deepEqual([primera, segunda], [false, true]);
+});
+
+test('sesiones distintas con la misma clave e IP no se cancelan', async () => {
+  const consultas = await Promise.all([autocompletar('calle zacatecas', 'chat-2'), autocompletar('calle veracruz', 'chat-3')]);
+  assert.deepEqual(consultas, [true, true]);
+});
+
+test('sin sesión no hay espera y ninguna consulta cancela a otra', async () => {
+  const consultas = await Promise.all([autocompletar('calle hidalgo'), autocompletar('calle morelos')]);
+  assert.deepEqual(consultas, [true, true]);
+});
@@ -0,0 +1,166 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { calculateBaseCost } from '../src/pricing.js'
+import { ROOT_DIR, freePort, startNodeProcess } from './helpers.js'
+
+// /calculate_fare con paradas intermedias e ida y vuelta: cada parada se resuelve por la misma
+// vía que /geocode_text o /geocode_link, se valida contra el área de servicio y el precio es uno
+// solo (km totales + recargos + espera). Sin ROUTING_URL la ruta es línea recta ajustada.
+
+const ORIGEN = { lat1: 21.5095, lon1: -104.8957 }
+const DESTINO = { lat2: 21.4194, lon2: -104.8431, destino: 'Aeropuerto de Tepic' }
+// Miércoles al mediodía en Tepic: sin recargos.
+const FECHA = '2025-06-11T12:00:00'
+const tariff = JSON.parse(readFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), 'utf8')).versions[0]
+
+let app
+let baseUrl
+let nominatim
+let dataDir
+
+function startFakeNominatim() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/reverse') {
+      return res.end(JSON.stringify({ display_name: 'Avenida Insurgentes 200, Tepic, Nayarit', place_rank: 30, address: { road: 'Avenida Insurgentes', house_number: '200', city: 'Tepic' } }));
+    }
+    res.end('[]');
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function cotizar(body) {
+  const res = await fetch(`${baseUrl}/calculate_fare`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...ORIGEN, ...DESTINO, direccion_origen: 'Centro, Tepic', telefono: '3111234567', fecha_hora: FECHA, ...body })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-paradas-'));
+  nominatim = await startFakeNominatim();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      ROUTING_URL: '',
+      QUOTE_SECRET: 'secreto_de_prueba',
+      GEOCACHE_BACKEND: 'memory',
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('las paradas se resuelven por coordenadas, texto o enlace, en orden', async () => {
+  const { status, body } = await cotizar({
+    paradas: [
+      { lat: 21.4800, lon: -104.8650, direccion: 'Farmacia', espera_min: 10 },
+      'Catedral de Tepic',
+      { link: 'https://www.google.com/maps/place/@21.4650,-104.8600,17z', espera_min: 3 }
+    ]
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  const { paradas, tramos } = body.datos;
+
+  assert.deepEqual(paradas.map(p => p.tipo_entrada), ['coordenadas', 'texto', 'enlace']);
+  assert.deepEqual(paradas.map(p => p.espera_min), [10, 0, 3]);
+  assert.deepEqual([paradas[1].lat, paradas[1].lon], [21.4997, -104.8948]);
+  assert.match(paradas[2].direccion, /Insurgentes/);
+
+  assert.deepEqual(tramos.map(t => [t.desde, t.hasta]), [
+    ['Centro, Tepic', 'Farmacia'],
+    ['Farmacia', paradas[1].direccion],
+    [paradas[1].direccion, paradas[2].direccion],
+    [paradas[2].direccion, 'Aeropuerto de Tepic']
+  ]);
+});
+
+test('una parada escrita como coordenadas se resuelve como enlace, no como dirección', async () => {
+  const { status, body } = await cotizar({ paradas: ['21.4650, -104.8600', { direccion: 'geo:21.4800,-104.8650' }] });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.datos.paradas.map(p => [p.tipo_entrada, p.lat, p.lon]), [['enlace', 21.465, -104.86], ['enlace', 21.48, -104.865]]);
+});
+
+test('ida y vuelta regresa al origen y cobra un solo precio con la espera', async () => {
+  const { status, body } = await cotizar({
+    paradas: [{ lat: 21.4800, lon: -104.8650, direccion: 'Farmacia', espera_min: 12 }],
+    ida_y_vuelta: true,
+    espera_destino_min: 30
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  const { datos } = body;
+
+  assert.equal(datos.tramos.length, 3);
+  assert.equal(datos.tramos.at(-1).hasta, 'Centro, Tepic');
+  const sumaTramos = datos.tramos.reduce((sum, t) => sum + t.distancia_km, 0);
+  assert.ok(Math.abs(sumaTramos - datos.distancia_ruta_km) <= 0.05, `${sumaTramos} vs ${datos.distancia_ruta_km}`);
+
+  // 12 y 30 minutos, con 5 gratis por parada: (7 + 25) × $3.
+  assert.equal(datos.tiempo_espera_min, 42);
+  assert.deepEqual(datos.desglose_tarifa.cargos_espera.paradas.map(p => [p.parada, p.minutos_cobrados]), [[1, 7], [2, 25]]);
+  assert.equal(datos.cargos_espera, 96);
+
+  assert.equal(datos.origen_precio, 'tarifa_km');
+  assert.deepEqual(datos.desglose_tarifa.recargos, []);
+  assert.equal(datos.desglose_tarifa.tarifa_base, calculateBaseCost(datos.distancia_ruta_km, tariff));
+  assert.equal(datos.costo_estimado, datos.desglose_tarifa.tarifa_base + 96);
+});
+
+test('la cotización firmada lleva las paradas y la ida y vuelta', async () => {
+  const { body } = await cotizar({ paradas: [{ lat: 21.4800, lon: -104.8650, espera_min: 5 }], ida_y_vuelta: true });
+  const res = await fetch(`${baseUrl}/quotes/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ cotizacion_token: body.datos.cotizacion_token })
+  });
+  const { cotizacion } = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(cotizacion.paradas, [{ lat: 21.4800, lon: -104.8650, direccion: 'Ubicación seleccionada', espera_min: 5 }]);
+  assert.equal(cotizacion.ida_y_vuelta, true);
+  assert.equal(cotizacion.costo_estimado, body.datos.costo_estimado);
+});
+
+test('una parada fuera del área de servicio se rechaza con su número', async () => {
+  const { status, body } = await cotizar({ paradas: [{ lat: 21.4800, lon: -104.8650 }, { lat: 20.6767, lon: -103.3475 }] });
+  assert.equal(status, 400);
+  assert.equal(body.code, 'STOP_OUT_OF_BOUNDS');
+  assert.equal(body.parada, 2);
+});
+
+test('las reglas de espera y los límites de paradas se validan', async () => {
+  const sinVuelta = await cotizar({ espera_destino_min: 10 });
+  assert.equal(sinVuelta.status, 400);
+  assert.equal(sinVuelta.body.code, 'INVALID_WAITING_TIME');
+
+  const demasiadas = await cotizar({ paradas: Array.from({ length: 6 }, () => ({ lat: 21.48, lon: -104.865 })) });
+  assert.equal(demasiadas.status, 400);
+
+  const sinUbicacion = await cotizar({ paradas: [{ espera_min: 5 }] });
+  assert.equal(sinUbicacion.status, 400);
+  assert.equal(sinUbicacion.body.code, 'INVALID_STOP');
+  assert.equal(sinUbicacion.body.parada, 1);
+});
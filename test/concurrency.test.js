@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mapWithConcurrency } from '../src/concurrency.js'
+
+// Concurrencia acotada de /geocode_batch: tareas simultáneas, espaciado y orden de resultados.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+test('devuelve los resultados en el orden de la entrada aunque terminen desordenados', async () => {
+  const resultados = await mapWithConcurrency([30, 5, 15, 0], async (ms, i) => {
+    await sleep(ms);
+    return `${i}:${ms}`;
+  }, { concurrency: 4 });
+  assert.deepEqual(resultados, ['0:30', '1:5', '2:15', '3:0']);
+});
+
+test('nunca hay más de `concurrency` tareas en curso', async () => {
+  let enCurso = 0;
+  let maximo = 0;
+  await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), async () => {
+    maximo = Math.max(maximo, ++enCurso);
+    await sleep(5);
+    enCurso--;
+  }, { concurrency: 3 });
+  assert.equal(maximo, 3);
+});
+
+test('minIntervalMs separa el inicio de cada tarea', async () => {
+  const inicios = [];
+  await mapWithConcurrency([1, 2, 3, 4], async () => {
+    inicios.push(Date.now());
+  }, { concurrency: 4, minIntervalMs: 25 });
+  for (let i = 1; i < inicios.length; i++) {
+    assert.ok(inicios[i] - inicios[i - 1] >= 20, `separación ${inicios[i] - inicios[i - 1]}ms`);
+  }
+});
+
+test('una lista vacía no crea tareas y un error se propaga', async () => {
+  assert.deepEqual(await mapWithConcurrency([], () => assert.fail('no debe llamarse')), []);
+  await assert.rejects(mapWithConcurrency([1, 2], async (n) => {
+    if (n === 2) throw new Error('falló la entrada 2');
+    return n;
+  }), /falló la entrada 2/);
+});
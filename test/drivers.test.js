@@ -0,0 +1,136 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createDriverStore } from '../src/drivers.js'
+
+// Registro de conductores, token del dispositivo, latidos de ubicación y conductor más cercano.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-drivers-'))
+let counter = 0
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function newStore(options = {}) {
+  const filePath = path.join(dir, `drivers-${++counter}.json`);
+  const drivers = createDriverStore({ filePath, ...options });
+  drivers.load();
+  const onDisk = (id) => JSON.parse(fs.readFileSync(filePath, 'utf8')).find(d => d.id === id);
+  return { drivers, onDisk };
+}
+
+const datos = (telefono = '3119876543', nombre = 'Juan Pérez') => ({ nombre, telefono, placa: 'nay-1234', tipo_vehiculo: 'sedan' })
+
+test('register devuelve el token una sola vez y solo guarda su hash', () => {
+  const { drivers, onDisk } = newStore();
+  const driver = drivers.register(datos());
+
+  assert.match(driver.token_conductor, /^cd_/);
+  assert.equal(driver.placa, 'NAY-1234');
+  assert.equal(driver.disponible, false);
+  assert.equal('token_hash' in driver, false);
+  assert.equal('token_conductor' in drivers.get(driver.id), false);
+  assert.equal(JSON.stringify(onDisk(driver.id)).includes(driver.token_conductor), false);
+  assert.match(onDisk(driver.id).token_hash, /^[0-9a-f]{64}$/);
+});
+
+test('register valida los datos y rechaza teléfonos repetidos', () => {
+  const { drivers } = newStore();
+  assert.throws(() => drivers.register({ nombre: 'J', telefono: '123', placa: 'x', tipo_vehiculo: 'moto' }), err => {
+    assert.equal(err.code, 'INVALID_DRIVER');
+    assert.equal(err.details.length, 4);
+    return true;
+  });
+  const { id } = drivers.register(datos());
+  assert.throws(() => drivers.register(datos()), err => {
+    assert.equal(err.code, 'DRIVER_ALREADY_EXISTS');
+    assert.deepEqual(err.details, { conductor_id: id });
+    return true;
+  });
+});
+
+test('authenticate acepta solo el token vigente del mismo conductor', () => {
+  const { drivers } = newStore();
+  const juan = drivers.register(datos());
+  const ana = drivers.register(datos('3110000000', 'Ana López'));
+
+  assert.equal(drivers.authenticate(juan.id, juan.token_conductor), true);
+  assert.equal(drivers.authenticate(juan.id, ana.token_conductor), false);
+  assert.equal(drivers.authenticate(juan.id, undefined), false);
+  assert.equal(drivers.authenticate('no-existe', juan.token_conductor), false);
+
+  const { token_conductor } = drivers.rotateToken(juan.id);
+  assert.equal(drivers.authenticate(juan.id, juan.token_conductor), false);
+  assert.equal(drivers.authenticate(juan.id, token_conductor), true);
+});
+
+test('los latidos solo con posición quedan en memoria hasta flush', () => {
+  const { drivers, onDisk } = newStore();
+  const { id } = drivers.register(datos());
+  drivers.updateLocation(id, { lat: 21.5, lon: -104.9, disponible: true });
+  assert.equal(onDisk(id).ubicacion.lat, 21.5);
+
+  drivers.updateLocation(id, { lat: 21.51, lon: -104.91 });
+  assert.equal(drivers.get(id).ubicacion.lat, 21.51);
+  assert.equal(onDisk(id).ubicacion.lat, 21.5);
+
+  drivers.flush();
+  assert.equal(onDisk(id).ubicacion.lat, 21.51);
+});
+
+test('un cambio de disponibilidad se guarda al momento', () => {
+  const { drivers, onDisk } = newStore();
+  const { id } = drivers.register(datos());
+  drivers.updateLocation(id, { lat: 21.5, lon: -104.9, disponible: true });
+  drivers.updateLocation(id, { lat: 21.52, lon: -104.92, disponible: false });
+
+  assert.equal(onDisk(id).disponible, false);
+  assert.equal(onDisk(id).ubicacion.lat, 21.52);
+});
+
+test('startFlushing escribe las posiciones pendientes en el intervalo', async () => {
+  const { drivers, onDisk } = newStore({ flushIntervalMs: 20 });
+  const { id } = drivers.register(datos());
+  const stop = drivers.startFlushing();
+  try {
+    drivers.updateLocation(id, { lat: 21.53, lon: -104.93 });
+    assert.equal(onDisk(id).ubicacion, null);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal(onDisk(id).ubicacion.lat, 21.53);
+  } finally {
+    stop();
+  }
+});
+
+test('updateLocation valida coordenadas y disponibilidad', () => {
+  const { drivers } = newStore();
+  const { id } = drivers.register(datos());
+  assert.throws(() => drivers.updateLocation(id, { lat: 91, lon: 0 }), { code: 'INVALID_DRIVER' });
+  assert.throws(() => drivers.updateLocation(id, { lat: 21.5, lon: -104.9, disponible: 'si' }), { code: 'INVALID_DRIVER' });
+  assert.throws(() => drivers.updateLocation('no-existe', { lat: 21.5, lon: -104.9 }), { code: 'DRIVER_NOT_FOUND' });
+});
+
+test('nearest ordena por distancia y omite ocupados, no disponibles y ubicaciones vencidas', async () => {
+  const { drivers } = newStore({ staleAfterMs: 50 });
+  const cerca = drivers.register(datos('3110000001', 'Cerca'));
+  const lejos = drivers.register(datos('3110000002', 'Lejos'));
+  const ocupado = drivers.register(datos('3110000003', 'Ocupado'));
+  const libre = drivers.register(datos('3110000004', 'Fuera de turno'));
+  const vencido = drivers.register(datos('3110000005', 'Vencido'));
+
+  drivers.updateLocation(vencido.id, { lat: 21.5095, lon: -104.8957, disponible: true });
+  await new Promise(resolve => setTimeout(resolve, 80));
+  drivers.updateLocation(cerca.id, { lat: 21.51, lon: -104.896, disponible: true });
+  drivers.updateLocation(lejos.id, { lat: 21.45, lon: -104.85, disponible: true });
+  drivers.updateLocation(ocupado.id, { lat: 21.5095, lon: -104.8957, disponible: true });
+  drivers.updateLocation(libre.id, { lat: 21.5095, lon: -104.8957 });
+
+  const cercanos = drivers.nearest({ lat: 21.5095, lon: -104.8957 }, { isBusy: id => id === ocupado.id });
+  assert.deepEqual(cercanos.map(d => d.nombre), ['Cerca', 'Lejos']);
+  assert.ok(cercanos[0].distancia_km < cercanos[1].distancia_km);
+  assert.equal('token_hash' in cercanos[0], false);
+  assert.equal(drivers.nearest({ lat: 21.5095, lon: -104.8957 }, { limit: 1 }).length, 1);
+});
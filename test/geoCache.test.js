@@ -0,0 +1,121 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createFileCacheBackend, createGeoCache, createMemoryCacheBackend } from '../src/geoCache.js'
+
+// Caché de geocodificación: TTL por prefijo, escritura inmediata al backend y bitácora JSONL
+// que sobrevive a reinicios.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-geocache-'))
+let counter = 0
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const TTLS = { geocode: 60_000, reverse: 60_000, link: 60_000, default: 60_000 }
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+// Las escrituras al backend no bloquean la respuesta; se espera a que terminen.
+const settle = () => sleep(10)
+
+function newFilePath() {
+  return path.join(dir, `cache-${++counter}`, 'geocache.jsonl');
+}
+
+async function openCache(filePath, options = {}) {
+  const cache = createGeoCache({ backend: createFileCacheBackend({ filePath }), ttls: TTLS, ...options });
+  await cache.load();
+  return cache;
+}
+
+const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line))
+
+test('las entradas sobreviven a un reinicio con el backend de archivo', async () => {
+  const filePath = newFilePath();
+  const cache = await openCache(filePath);
+  cache.set('geocode:catedral-tepic', { lat: 21.4997, lon: -104.8948 });
+  cache.set('reverse:21.5095,-104.8957', { direccion: 'Centro, Tepic' });
+  cache.delete('reverse:21.5095,-104.8957');
+  await settle();
+
+  const reiniciada = await openCache(filePath);
+  assert.deepEqual(reiniciada.get('geocode:catedral-tepic'), { lat: 21.4997, lon: -104.8948 });
+  assert.equal(reiniciada.has('reverse:21.5095,-104.8957'), false);
+  // Al cargar se compacta: una línea por entrada vigente, sin borrados.
+  assert.deepEqual(readLines(filePath).map(r => r.k), ['geocode:catedral-tepic']);
+});
+
+test('cada prefijo tiene su TTL', async () => {
+  const cache = createGeoCache({ ttls: { geocode: 60_000, reverse: 20, default: 60_000 } });
+  cache.set('geocode:x', 1);
+  cache.set('reverse:1,2', 2);
+  cache.set('otro:y', 3);
+  await sleep(40);
+
+  assert.equal(cache.has('geocode:x'), true);
+  assert.equal(cache.has('reverse:1,2'), false);
+  assert.equal(cache.has('otro:y'), true);
+});
+
+test('load ignora entradas vencidas y líneas dañadas', async () => {
+  const filePath = newFilePath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const now = Date.now();
+  fs.writeFileSync(filePath, [
+    JSON.stringify({ k: 'geocode:vigente', v: 1, e: now + 5_000 }),
+    JSON.stringify({ k: 'geocode:vencida', v: 2, e: now - 1 }),
+    '{"k": "geocode:cortada", "v": ',
+    JSON.stringify({ k: 'link:borrado', v: 3, e: now + 60_000 }),
+    JSON.stringify({ k: 'link:borrado', d: 1 })
+  ].join('\n') + '\n');
+
+  const cache = await openCache(filePath);
+  assert.deepEqual(cache.keys(), ['geocode:vigente']);
+  // Conserva su vencimiento original, no reinicia el TTL de `geocode:`.
+  assert.ok(Math.abs(cache.entries()[0].expiresAt - (now + 5_000)) < 1_000);
+});
+
+test('una entrada desalojada por tamaño también sale del archivo', async () => {
+  const filePath = newFilePath();
+  const cache = await openCache(filePath, { max: 2 });
+  cache.set('geocode:a', 1);
+  cache.set('geocode:b', 2);
+  cache.set('geocode:c', 3);
+  await settle();
+
+  assert.deepEqual((await openCache(filePath)).keys().sort(), ['geocode:b', 'geocode:c']);
+});
+
+test('purge borra por prefijo y stats cuenta por prefijo', async () => {
+  const filePath = newFilePath();
+  const cache = await openCache(filePath);
+  cache.set('geocode:a', 1);
+  cache.set('geocode:b', 2);
+  cache.set('reverse:1,2', 3);
+  assert.deepEqual(cache.stats(), { backend: 'file', entradas: 3, max: 5000, por_prefijo: { geocode: 2, reverse: 1 } });
+
+  assert.equal(cache.purge('geocode:'), 2);
+  assert.equal(cache.purge('geocode:'), 0);
+  await settle();
+  assert.deepEqual((await openCache(filePath)).keys(), ['reverse:1,2']);
+});
+
+test('la bitácora se compacta cuando crece mucho más que las entradas', async () => {
+  const filePath = newFilePath();
+  const cache = await openCache(filePath);
+  for (let i = 0; i <= 1000; i++) cache.set('geocode:misma', i);
+  await sleep(50);
+
+  assert.ok(readLines(filePath).length < 50, `${readLines(filePath).length} líneas`);
+  assert.equal((await openCache(filePath)).get('geocode:misma'), 1000);
+});
+
+test('un backend que falla no rompe la caché en memoria', async () => {
+  const backend = { ...createMemoryCacheBackend(), name: 'roto', set: () => Promise.reject(new Error('sin conexión')) };
+  const cache = createGeoCache({ backend, ttls: TTLS });
+  cache.set('geocode:a', 1);
+  await settle();
+  assert.equal(cache.get('geocode:a'), 1);
+});
@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { freePort, startNodeProcess } from './helpers.js'
+
+// POST /geocode_batch: solo con clave o token de administración, cada entrada descuenta de la
+// cuota y las entradas repetidas o en caché no vuelven a consultar al proveedor. Las coordenadas,
+// Plus Codes y enlaces escritos como texto se resuelven como en /geocode_link, también en /geocode_text.
+
+const ADMIN = { Authorization: 'Bearer token_de_prueba' }
+
+let app
+let baseUrl
+let nominatim
+let dataDir
+const consultas = []
+
+function startFakeNominatim() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/reverse') {
+      return res.end(JSON.stringify({ display_name: 'Calle Zacatecas 20, Centro, Tepic, Nayarit', place_rank: 30, address: { road: 'Calle Zacatecas', house_number: '20', city: 'Tepic' } }));
+    }
+    if (url.pathname === '/search') consultas.push(url.searchParams.get('q'));
+    res.end(JSON.stringify([
+      { lat: '21.5050', lon: '-104.8900', display_name: 'Avenida México 100, Centro, Tepic, Nayarit', place_rank: 30, address: { road: 'Avenida México', house_number: '100', city: 'Tepic' } }
+    ]));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function post(ruta, body, headers = {}) {
+  const res = await fetch(`${baseUrl}${ruta}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-lotes-'));
+  nominatim = await startFakeNominatim();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      ADMIN_TOKEN: 'token_de_prueba',
+      API_KEYS_REQUIRED: 'false',
+      GEOCACHE_BACKEND: 'memory',
+      GEOCODE_BATCH_INTERVAL_MS: '0',
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sin clave se rechaza aunque API_KEYS_REQUIRED=false', async () => {
+  const { status, body } = await post('/geocode_batch', { direcciones: ['Avenida México 100, Tepic'] });
+  assert.equal(status, 401);
+  assert.equal(body.code, 'API_KEY_REQUIRED');
+
+  const suelta = await post('/geocode_text', { direccion: 'Avenida México 100, Tepic' });
+  assert.equal(suelta.status, 200);
+});
+
+test('cada entrada descuenta de la cuota; un lote que no cabe se rechaza completo', async () => {
+  const { body: clave } = await post('/admin/api_keys', {
+    nombre: 'Importador',
+    scopes: ['geocode'],
+    cuotas: { '/geocode_batch': { limite: 5, ventana_min: 15 } }
+  }, ADMIN);
+  const headers = { 'X-API-Key': clave.api_key };
+
+  const primero = await post('/geocode_batch', { direcciones: ['Calle Lerma 10, Tepic', 'Calle Lerma 10, Tepic', 'Calle Zacatecas 5, Tepic'] }, headers);
+  assert.equal(primero.status, 200);
+  assert.equal(primero.headers.get('ratelimit-remaining'), '2');
+
+  const excedido = await post('/geocode_batch', { direcciones: ['Calle Hidalgo 1, Tepic', 'Calle Morelos 2, Tepic', 'Calle Allende 3, Tepic'] }, headers);
+  assert.equal(excedido.status, 429);
+  assert.equal(excedido.body.code, 'API_KEY_QUOTA_EXCEEDED');
+  assert.ok(Number(excedido.headers.get('retry-after')) > 0);
+
+  const cabe = await post('/geocode_batch', { direcciones: ['Calle Hidalgo 1, Tepic', 'Calle Morelos 2, Tepic'] }, headers);
+  assert.equal(cabe.status, 200);
+  assert.equal(cabe.headers.get('ratelimit-remaining'), '0');
+});
+
+test('las entradas repetidas se geocodifican una vez y las ya resueltas salen de caché', async () => {
+  consultas.length = 0;
+  const direcciones = ['Calle Mina 40, Tepic', { id: 'a', direccion: 'calle mina 40, tepic' }, 'Calle Veracruz 8, Tepic'];
+
+  const { body } = await post('/geocode_batch', { direcciones }, ADMIN);
+  assert.equal(body.total, 3);
+  assert.equal(body.unicas, 2);
+  assert.equal(body.desde_cache, 0);
+  assert.equal(body.exitosos, 3);
+  assert.deepEqual(body.resultados.map(r => r.indice), [0, 1, 2]);
+  assert.equal(body.resultados[1].id, 'a');
+  const consultasPrimera = consultas.length;
+
+  const { body: repetido } = await post('/geocode_batch', { direcciones }, ADMIN);
+  assert.equal(repetido.desde_cache, 2);
+  assert.ok(repetido.resultados.every(r => r.desde_cache));
+  assert.equal(consultas.length, consultasPrimera);
+});
+
+test('una entrada inválida no detiene el lote', async () => {
+  const { status, body } = await post('/geocode_batch', { direcciones: ['Calle Mina 40, Tepic', 'x', 'https://'] }, ADMIN);
+  assert.equal(status, 200);
+  assert.deepEqual(body.resultados.map(r => r.estado), [200, 400, 400]);
+  assert.equal(body.fallidos, 2);
+});
+
+test('/geocode_text resuelve coordenadas escritas como texto sin buscarlas como dirección', async () => {
+  consultas.length = 0;
+  const { status, body } = await post('/geocode_text', { direccion: '21.5012, -104.8931' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_resolucion, 'coordenadas');
+  assert.equal(body.formato_enlace, 'coordenadas');
+  assert.deepEqual([body.datos.lat, body.datos.lon], [21.5012, -104.8931]);
+  assert.match(body.datos.direccion_encontrada, /Zacatecas 20/);
+
+  const whatsapp = await post('/geocode_text', { direccion: '📍 Ubicación: https://maps.google.com/?q=21.5012,-104.8931' });
+  assert.equal(whatsapp.body.formato_enlace, 'google_maps');
+  assert.deepEqual([whatsapp.body.datos.lat, whatsapp.body.datos.lon], [21.5012, -104.8931]);
+  assert.deepEqual(consultas, []);
+});
+
+test('/geocode_text geocodifica el texto que trae un enlace y rechaza coordenadas inválidas', async () => {
+  const geo = await post('/geocode_text', { direccion: 'geo:0,0?q=Forum+Tepic' });
+  assert.equal(geo.status, 200, JSON.stringify(geo.body));
+  assert.equal(geo.body.formato_enlace, 'geo');
+  assert.equal(geo.body.tipo_resolucion, 'poi');
+
+  const fueraDeRango = await post('/geocode_text', { direccion: '95, -104.89' });
+  assert.equal(fueraDeRango.status, 400);
+  assert.equal(fueraDeRango.body.code, 'UNPARSABLE_LINK_CONTENT');
+});
+
+test('en un lote las coordenadas y los Plus Codes se resuelven a la inversa y quedan en caché', async () => {
+  consultas.length = 0;
+  const direcciones = ['21.4997,-104.8948', { id: 'pc', direccion: '75HQF4X4+V3' }];
+
+  const { body } = await post('/geocode_batch', { direcciones }, ADMIN);
+  assert.deepEqual(body.resultados.map(r => [r.estado, r.respuesta.tipo_resolucion, r.respuesta.formato_enlace]), [
+    [200, 'coordenadas', 'coordenadas'],
+    [200, 'coordenadas', 'plus_code']
+  ]);
+  assert.deepEqual(body.resultados[1].respuesta.datos.lat, 21.499687);
+  assert.deepEqual(consultas, []);
+
+  const { body: repetido } = await post('/geocode_batch', { direcciones }, ADMIN);
+  assert.equal(repetido.desde_cache, 2);
+});
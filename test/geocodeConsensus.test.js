@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fuseGeocodeResults } from '../src/geocodeConsensus.js'
+
+// Consenso entre proveedores: acuerdo, cercanía, desacuerdo y direcciones ambiguas.
+
+// Desplaza un punto ~`m` metros al norte (1° de latitud ≈ 111.2 km).
+const north = (point, m) => ({ ...point, lat: point.lat + m / 111_195 })
+const CENTRO = { lat: 21.5095, lon: -104.8957 }
+const result = (source, confianza, point = CENTRO, direccion = `${source}: Avenida México 100`) => ({ ...point, source, confianza, direccion })
+
+test('un solo resultado es único y conserva su confianza', () => {
+  const best = fuseGeocodeResults([result('opencage', 0.8)]);
+  assert.equal(best.source, 'opencage');
+  assert.deepEqual(best.consenso, { estado: 'unico', ambiguo: false, confianza: 0.8, proveedores: ['opencage'], distancia_m: 0, alternativa: null });
+  assert.equal(fuseGeocodeResults([]), null);
+});
+
+test('dos proveedores cerca entre sí combinan su confianza', () => {
+  const best = fuseGeocodeResults([result('opencage', 0.7), result('mapbox', 0.7, north(CENTRO, 80))]);
+  assert.equal(best.consenso.estado, 'acuerdo');
+  assert.equal(best.consenso.confianza, 0.91);
+  assert.deepEqual(best.consenso.proveedores, ['opencage', 'mapbox']);
+  assert.equal(best.consenso.distancia_m, 80);
+});
+
+test('el acuerdo de dos proveedores le gana a uno solo más confiado', () => {
+  const best = fuseGeocodeResults([
+    result('opencage', 0.8, north(CENTRO, 3000)),
+    result('mapbox', 0.6),
+    result('nominatim', 0.6, north(CENTRO, 50))
+  ]);
+  assert.equal(best.source, 'mapbox');
+  assert.equal(best.consenso.confianza, 0.84);
+  assert.equal(best.consenso.estado, 'desacuerdo');
+  assert.equal(best.consenso.alternativa.fuente, 'opencage');
+  assert.equal(best.consenso.alternativa.distancia_m, 3000);
+});
+
+test('un rival a menos de disagreeBeyondM queda como cercano, no ambiguo', () => {
+  const best = fuseGeocodeResults([result('opencage', 0.8), result('mapbox', 0.75, north(CENTRO, 400))]);
+  assert.equal(best.source, 'opencage');
+  assert.equal(best.consenso.estado, 'cercano');
+  assert.equal(best.consenso.ambiguo, false);
+  assert.equal(best.consenso.distancia_m, 400);
+});
+
+test('un desacuerdo con confianza parecida marca la dirección como ambigua', () => {
+  const parecida = fuseGeocodeResults([result('opencage', 0.8), result('mapbox', 0.7, north(CENTRO, 5000))]);
+  assert.equal(parecida.consenso.estado, 'desacuerdo');
+  assert.equal(parecida.consenso.ambiguo, true);
+  assert.deepEqual(
+    { fuente: parecida.consenso.alternativa.fuente, confianza: parecida.consenso.alternativa.confianza },
+    { fuente: 'mapbox', confianza: 0.7 }
+  );
+
+  const lejana = fuseGeocodeResults([result('opencage', 0.9), result('mapbox', 0.4, north(CENTRO, 5000))]);
+  assert.equal(lejana.consenso.estado, 'desacuerdo');
+  assert.equal(lejana.consenso.ambiguo, false);
+});
+
+test('los umbrales se pueden ajustar', () => {
+  const resultados = [result('opencage', 0.7), result('mapbox', 0.7, north(CENTRO, 200))];
+  assert.equal(fuseGeocodeResults(resultados).consenso.estado, 'cercano');
+  assert.equal(fuseGeocodeResults(resultados, { agreeWithinM: 300 }).consenso.estado, 'acuerdo');
+  assert.equal(fuseGeocodeResults(resultados, { disagreeBeyondM: 100 }).consenso.estado, 'desacuerdo');
+});
+
+test('en empate de confianza gana el resultado más confiable del grupo', () => {
+  const best = fuseGeocodeResults([result('local', 0.5), result('nominatim', 0.6, north(CENTRO, 20))]);
+  assert.equal(best.source, 'nominatim');
+  assert.equal(best.consenso.confianza, 0.8);
+});
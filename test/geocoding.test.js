@@ -0,0 +1,123 @@
+import { test, mock, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import axios from 'axios'
+import { createCircuitBreaker, createGeocodingService, createMapboxGeocoder, createQuotaTracker } from '../src/geocoding.js'
+
+// Proveedores de geocodificación: URL de Mapbox, circuit breaker y cuota diaria.
+
+const BOUNDS = [21.0, -105.5, 22.5, -104.0]
+const PROXIMITY = { lat: 21.5095, lon: -104.8957 }
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } })
+
+// Proveedor falso que responde según `plan` (un valor o un error por llamada).
+function fakeProvider(name, plan = []) {
+  const calls = [];
+  const answer = (args) => {
+    calls.push(args);
+    const next = plan.length ? plan.shift() : { direccion: name, confianza: 1 };
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { name, calls, forward: async (...args) => answer(args), reverse: async (...args) => answer(args) };
+}
+
+test('el reverse de Mapbox no manda limit junto con varios types', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: { features: [{ place_name: 'Calle Amado Nervo 5, Tepic', relevance: 1, context: [] }] } }));
+  const mapbox = createMapboxGeocoder({ accessToken: 'pk.prueba', bounds: BOUNDS, proximity: PROXIMITY });
+
+  const result = await mapbox.reverse(21.5095, -104.8957);
+  const url = new URL(get.mock.calls[0].arguments[0]);
+
+  assert.equal(url.pathname, '/geocoding/v5/mapbox.places/-104.8957,21.5095.json');
+  assert.equal(url.searchParams.has('limit'), false);
+  assert.ok(url.searchParams.get('types').split(',').length > 1);
+  assert.equal(result.direccion, 'Calle Amado Nervo 5, Tepic');
+});
+
+test('el circuito se abre tras N fallos seguidos y un éxito reinicia la cuenta', () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+  breaker.failure(0);
+  breaker.failure(0);
+  breaker.success();
+  breaker.failure(0);
+  breaker.failure(0);
+  assert.equal(breaker.canRequest(0), true);
+
+  breaker.failure(100);
+  assert.equal(breaker.status().estado, 'abierto');
+  assert.equal(breaker.canRequest(500), false);
+  assert.equal(breaker.status().reintento_en, new Date(1100).toISOString());
+});
+
+test('semiabierto deja pasar una sola prueba; si falla se vuelve a abrir', () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+  breaker.failure(0);
+
+  assert.equal(breaker.canRequest(1000), true);
+  assert.equal(breaker.status().estado, 'semiabierto');
+  assert.equal(breaker.canRequest(1001), false);
+
+  breaker.failure(1500);
+  assert.equal(breaker.status().estado, 'abierto');
+  assert.equal(breaker.canRequest(2000), false);
+
+  assert.equal(breaker.canRequest(2500), true);
+  breaker.success();
+  assert.equal(breaker.status().estado, 'cerrado');
+  assert.equal(breaker.canRequest(2501), true);
+  assert.equal(breaker.canRequest(2502), true);
+});
+
+test('un 4xx abre el circuito del proveedor y las consultas pasan al siguiente', async () => {
+  const mapbox = fakeProvider('mapbox', [httpError(422), httpError(422)]);
+  const nominatim = fakeProvider('nominatim');
+  const service = createGeocodingService([mapbox, nominatim], { breaker: { failureThreshold: 2, cooldownMs: 60_000 } });
+
+  for (let i = 0; i < 3; i++) assert.equal((await service.reverse(21.5, -104.9)).direccion, 'nominatim');
+  assert.equal(mapbox.calls.length, 2);
+  assert.equal(service.status().mapbox.circuito.estado, 'abierto');
+});
+
+test('un 404 no cuenta como fallo del proveedor', async () => {
+  const mapbox = fakeProvider('mapbox', [httpError(404), httpError(404), { direccion: 'mapbox', confianza: 1 }]);
+  const service = createGeocodingService([mapbox], { breaker: { failureThreshold: 2 } });
+
+  await assert.rejects(service.reverse(21.5, -104.9), /HTTP 404/);
+  await assert.rejects(service.reverse(21.5, -104.9), /HTTP 404/);
+  assert.equal((await service.reverse(21.5, -104.9)).direccion, 'mapbox');
+  assert.equal(service.status().mapbox.circuito.estado, 'cerrado');
+});
+
+test('con la cuota diaria agotada el proveedor se salta hasta el día siguiente', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2025-06-11T23:59:00Z') });
+  const opencage = fakeProvider('opencage');
+  const service = createGeocodingService([opencage], { quotas: { opencage: 2 } });
+
+  await service.reverse(21.5, -104.9);
+  await service.reverse(21.5, -104.9);
+  await assert.rejects(service.reverse(21.5, -104.9), { code: 'GEOCODING_UNAVAILABLE' });
+  assert.equal(opencage.calls.length, 2);
+  assert.deepEqual(service.status().opencage.cuota, { dia: '2025-06-11', usadas: 2, limite_diario: 2 });
+
+  assert.equal(createQuotaTracker().available(), true);
+
+  mock.timers.tick(60_000);
+  assert.equal((await service.reverse(21.5, -104.9)).direccion, 'opencage');
+  assert.deepEqual(service.status().opencage.cuota, { dia: '2025-06-12', usadas: 1, limite_diario: 2 });
+});
+
+test('forwardAll junta minResults respuestas y se detiene con una confiable', async () => {
+  const a = fakeProvider('a', [{ direccion: 'a', confianza: 0.5 }]);
+  const b = fakeProvider('b', [{ direccion: 'b', confianza: 0.9 }]);
+  const c = fakeProvider('c');
+  const service = createGeocodingService([a, b, c], { minResults: 1, confidentAt: 0.8 });
+
+  assert.deepEqual((await service.forwardAll('x')).map(r => r.direccion), ['a', 'b']);
+  assert.equal(c.calls.length, 0);
+});
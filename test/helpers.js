@@ -0,0 +1,56 @@
+import { spawn } from 'node:child_process'
+import net from 'node:net'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+// ───── Utilidades para las pruebas ─────
+
+// Puerto libre en localhost: se abre un servidor en el puerto 0 y se cierra de inmediato.
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Inicia `node <script>` con variables de entorno extra y espera a que `readyUrl` responda
+// (cualquier código HTTP). Devuelve { url, output(), stop() }; `stop` termina solo ese proceso.
+export async function startNodeProcess(script, { env = {}, readyUrl, timeoutMs = 15000 }) {
+  const child = spawn(process.execPath, [path.resolve(ROOT_DIR, script)], {
+    cwd: ROOT_DIR,
+    env: { ...process.env, NODE_ENV: 'test', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+    await exited;
+  };
+
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`${script} terminó antes de estar listo (código ${child.exitCode}):\n${output}`);
+    }
+    try {
+      await fetch(readyUrl, { signal: AbortSignal.timeout(1000) });
+      return { output: () => output, stop };
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  await stop();
+  throw new Error(`${script} no respondió en ${timeoutMs}ms:\n${output}`);
+}
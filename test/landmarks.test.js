@@ -0,0 +1,191 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { getDistance } from 'geolib'
+import { parseRelativePhrase, resolveRelativeToPoi } from '../src/landmarks.js'
+import { ROOT_DIR, freePort, startNodeProcess } from './helpers.js'
+
+// Cruces ("Avenida México esquina con Juárez") y referencias a lugares conocidos ("frente a la
+// Catedral", "a 2 cuadras al norte del Forum"): cada resultado de /geocode_text lleva `tipo_resolucion`.
+
+const pois = JSON.parse(readFileSync(path.resolve(ROOT_DIR, 'data/pois.seed.json'), 'utf8'))
+const poi = (id) => pois.find(p => p.id === id)
+
+// Calles que el proveedor falso conoce a nivel calle (no están en los datos locales de prueba).
+const CALLES_PROVEEDOR = {
+  zaragoza: { lat: '21.5060', lon: '-104.8920', road: 'Calle Zaragoza' },
+  lerdo: { lat: '21.5066', lon: '-104.8925', road: 'Calle Lerdo' },
+  'amado nervo': { lat: '21.5250', lon: '-104.9100', road: 'Calle Amado Nervo' }
+}
+
+let app
+let baseUrl
+let nominatim
+let dataDir
+
+// ───── parseRelativePhrase ─────
+
+test('parseRelativePhrase reconoce la relación con el lugar y quita el artículo', () => {
+  assert.deepEqual(parseRelativePhrase('Frente a la Catedral'), { relacion: 'frente', distancia_m: 0, rumbo: null, lugar: 'catedral' });
+  assert.equal(parseRelativePhrase('enfrente del Forum').relacion, 'frente');
+  assert.equal(parseRelativePhrase('al lado de la UAN').relacion, 'junto');
+  assert.equal(parseRelativePhrase('atrás del Walmart').relacion, 'detras');
+  assert.deepEqual(parseRelativePhrase('a la vuelta del Chedraui'), { relacion: 'cerca', distancia_m: 0, rumbo: null, lugar: 'chedraui' });
+});
+
+test('parseRelativePhrase convierte cuadras y metros, con o sin rumbo', () => {
+  assert.deepEqual(parseRelativePhrase('a 2 cuadras al norte del Forum'), { relacion: 'distancia', distancia_m: 200, rumbo: 'norte', lugar: 'forum' });
+  assert.deepEqual(parseRelativePhrase('a dos calles de la Catedral'), { relacion: 'distancia', distancia_m: 200, rumbo: null, lugar: 'catedral' });
+  assert.equal(parseRelativePhrase('a media cuadra al poniente de la Catedral').distancia_m, 50);
+  assert.equal(parseRelativePhrase('a 50 metros del Aeropuerto').distancia_m, 50);
+});
+
+test('parseRelativePhrase devuelve null si el texto no es una referencia', () => {
+  assert.equal(parseRelativePhrase('Avenida México 100, Centro'), null);
+  assert.equal(parseRelativePhrase('Catedral de Tepic'), null);
+  assert.equal(parseRelativePhrase(''), null);
+});
+
+// ───── resolveRelativeToPoi ─────
+
+test('sin distancia la posición es la del POI y la confianza depende de la relación', () => {
+  const frente = resolveRelativeToPoi('frente a la Catedral', pois);
+  assert.equal(frente.poi.id, 'catedral');
+  assert.deepEqual([frente.lat, frente.lon], [poi('catedral').lat, poi('catedral').lon]);
+  assert.equal(frente.confianza, 0.85);
+
+  assert.equal(resolveRelativeToPoi('atrás del Forum', pois).confianza, 0.7);
+  assert.equal(resolveRelativeToPoi('cerca del Walmart', pois).confianza, 0.6);
+});
+
+test('con distancia y rumbo la posición se desplaza desde el POI', () => {
+  const { lat, lon, poi: forum, rumbo, distancia_m, confianza } = resolveRelativeToPoi('a 2 cuadras al norte del Forum', pois);
+  assert.equal(forum.id, 'forum');
+  assert.equal(rumbo, 'norte');
+  assert.equal(distancia_m, 200);
+  assert.ok(lat > forum.lat);
+  assert.ok(Math.abs(lon - forum.lon) < 1e-5);
+  assert.ok(Math.abs(getDistance({ latitude: forum.lat, longitude: forum.lon }, { latitude: lat, longitude: lon }) - 200) <= 1);
+  assert.equal(confianza, 0.7);
+
+  const poniente = resolveRelativeToPoi('a 300 metros al poniente de la Catedral', pois);
+  assert.ok(poniente.lon < poi('catedral').lon);
+  assert.equal(poniente.lat.toFixed(4), poi('catedral').lat.toFixed(4));
+});
+
+test('con distancia sin rumbo se usa el POI y la confianza baja con la distancia', () => {
+  const cerca = resolveRelativeToPoi('a una cuadra de la Catedral', pois);
+  const lejos = resolveRelativeToPoi('a 5 cuadras de la Catedral', pois);
+  assert.deepEqual([lejos.lat, lejos.lon], [poi('catedral').lat, poi('catedral').lon]);
+  assert.equal(cerca.confianza, 0.6);
+  assert.equal(lejos.confianza, 0.3);
+});
+
+test('resolveRelativeToPoi devuelve null si el lugar no es un POI conocido', () => {
+  assert.equal(resolveRelativeToPoi('frente a la casa de mi tía', pois), null);
+  assert.equal(resolveRelativeToPoi('Avenida México 100', pois), null);
+});
+
+// ───── /geocode_text ─────
+
+function startFakeNominatim() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    const q = (url.searchParams.get('q') || '').toLowerCase();
+    const calle = Object.entries(CALLES_PROVEEDOR).find(([nombre]) => q.includes(nombre));
+    if (!calle) return res.end('[]');
+    const [, { lat, lon, road }] = calle;
+    res.end(JSON.stringify([{ lat, lon, display_name: `${road}, Tepic, Nayarit`, place_rank: 26, address: { road, city: 'Tepic' } }]));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function geocodeText(direccion) {
+  const res = await fetch(`${baseUrl}/geocode_text`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ direccion })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-referencias-'));
+  nominatim = await startFakeNominatim();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      GEOCACHE_BACKEND: 'memory',
+      LOCAL_GEOCODER_DIR: 'test/fixtures/geocoder_local',
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('un cruce conocido en los datos locales se resuelve sin proveedores', async () => {
+  const { status, body } = await geocodeText('Avenida México esquina con Juárez, Tepic');
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_resolucion, 'interseccion');
+  assert.equal(body.interseccion.metodo, 'local');
+  assert.equal(body.interseccion.calles.length, 2);
+  assert.ok(Math.abs(body.datos.lat - 21.5016) < 0.001 && Math.abs(body.datos.lon - (-104.8946)) < 0.001, JSON.stringify(body.datos));
+});
+
+test('un cruce desconocido localmente se aproxima con los candidatos de cada calle', async () => {
+  const { status, body } = await geocodeText('Zaragoza esquina Lerdo, Tepic');
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_resolucion, 'interseccion');
+  assert.equal(body.fuente_geocodificacion, 'interseccion');
+  assert.deepEqual(body.interseccion.calles, ['Zaragoza', 'Lerdo']);
+  assert.equal(body.interseccion.metodo, 'proveedores');
+  assert.ok(body.interseccion.separacion_m > 0 && body.interseccion.separacion_m <= 250);
+  assert.deepEqual([body.datos.lat, body.datos.lon], [21.5063, -104.89225]);
+});
+
+test('si las calles quedan lejos entre sí no se inventa un cruce', async () => {
+  const { status, body } = await geocodeText('Zaragoza esquina Amado Nervo, Tepic');
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_resolucion, 'direccion');
+  assert.equal(body.interseccion, undefined);
+});
+
+test('una referencia a un POI lleva el lugar, la relación y el desplazamiento', async () => {
+  const frente = await geocodeText('frente a la Catedral');
+  assert.equal(frente.status, 200, JSON.stringify(frente.body));
+  assert.equal(frente.body.tipo_resolucion, 'referencia_poi');
+  assert.deepEqual(frente.body.referencia, { poi_id: 'catedral', poi: poi('catedral').nombre, relacion: 'frente', distancia_m: 0, rumbo: null });
+  assert.deepEqual([frente.body.datos.lat, frente.body.datos.lon], [poi('catedral').lat, poi('catedral').lon]);
+
+  const norte = await geocodeText('a 2 cuadras al norte del Forum');
+  assert.equal(norte.body.tipo_resolucion, 'referencia_poi');
+  assert.equal(norte.body.referencia.rumbo, 'norte');
+  assert.ok(norte.body.datos.lat > poi('forum').lat);
+});
+
+test('con calle y número la referencia no sustituye a la dirección', async () => {
+  const { status, body } = await geocodeText('Avenida México 100 frente a la Catedral, Tepic');
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_resolucion, 'direccion');
+  assert.equal(body.referencia, undefined);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseLocationLink, findEmbeddedUrl } from '../src/linkParsers.js'
+
+// Registro de parsers de enlaces y textos de ubicación: cada formato devuelve { lat, lon } o { q }
+// y el nombre del parser que lo reconoció.
+
+const TEPIC = { lat: 21.5042, lon: -104.8946 }
+const options = { reference: TEPIC, resolveLocality: (nombre) => (nombre.toLowerCase() === 'tepic' ? TEPIC : null) }
+const parse = (text) => parseLocationLink(text, options)
+
+test('coordenadas sueltas, con o sin espacios, dentro de rango', () => {
+  assert.deepEqual(parse('21.50, -104.89'), { parser: 'coordenadas', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse(' 21.4997,-104.8948 '), { parser: 'coordenadas', info: { lat: 21.4997, lon: -104.8948 } });
+  assert.deepEqual(parse('95, -104.89'), { parser: 'coordenadas', info: {} });
+});
+
+test('un texto sin formato reconocible no tiene parser', () => {
+  for (const text of ['Avenida México 100, Centro', 'Catedral de Tepic', '', '   ', undefined]) {
+    assert.deepEqual(parse(text), { parser: null, info: {} }, String(text));
+  }
+});
+
+test('URIs geo: con coordenadas en la ruta o en q', () => {
+  assert.deepEqual(parse('geo:21.5,-104.89'), { parser: 'geo', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse('geo:21.5,-104.89;u=35'), { parser: 'geo', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse('geo:0,0?q=21.5,-104.89(Casa)').info, { lat: 21.5, lon: -104.89 });
+  assert.deepEqual(parse('geo:0,0?q=Forum+Tepic').info, { q: 'Forum Tepic' });
+  assert.deepEqual(parse('geo:0,0').info, {});
+});
+
+test('enlaces de Waze: ll, destino, geohash y búsqueda', () => {
+  assert.deepEqual(parse('https://waze.com/ul?ll=21.5,-104.89&navigate=yes'), { parser: 'waze', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse('https://www.waze.com/live-map/directions?to=ll.21.5,-104.89').info, { lat: 21.5, lon: -104.89, isDestination: true });
+  assert.deepEqual(parse('https://www.waze.com/ul?q=Forum').info, { q: 'Forum' });
+
+  const { info } = parse('https://waze.com/ul/h9ewy8ft3');
+  assert.ok(Math.abs(info.lat - 20.844) < 0.001 && Math.abs(info.lon - (-102.967)) < 0.001, JSON.stringify(info));
+});
+
+test('enlaces de Apple Maps: ll o coordinate antes que q; sll solo sin texto', () => {
+  assert.deepEqual(parse('https://maps.apple.com/?ll=21.5,-104.89&q=Forum'), { parser: 'apple_maps', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse('https://maps.apple.com/place?coordinate=21.5,-104.89').info, { lat: 21.5, lon: -104.89 });
+  assert.deepEqual(parse('https://maps.apple.com/?q=Forum&sll=21.5,-104.89').info, { q: 'Forum' });
+  assert.deepEqual(parse('https://maps.apple.com/?sll=21.5,-104.89').info, { lat: 21.5, lon: -104.89 });
+  assert.deepEqual(parse('https://maps.apple.com/?daddr=Catedral+Tepic').info, { q: 'Catedral Tepic', isDestination: true });
+});
+
+test('enlaces de Google Maps: @, data, q, ll y /place/', () => {
+  assert.deepEqual(parse('https://www.google.com/maps/@21.50,-104.89,17z'), { parser: 'google_maps', info: { lat: 21.5, lon: -104.89 } });
+  assert.deepEqual(parse('https://www.google.com/maps/place/Forum?data=!3m1!4b1!3d21.4920751!4d-104.8653124').info, { lat: 21.4920751, lon: -104.8653124 });
+  assert.deepEqual(parse('https://maps.google.com/?q=21.5012,-104.8931').info, { lat: 21.5012, lon: -104.8931 });
+  assert.deepEqual(parse('https://www.google.com.mx/maps?q=Catedral+Tepic').info, { q: 'Catedral Tepic' });
+  assert.deepEqual(parse('https://www.google.com/maps?ll=21.5,-104.89').info, { lat: 21.5, lon: -104.89 });
+  assert.deepEqual(parse('https://www.google.com/maps/place/Plaza+Forum+Tepic').info, { q: 'Plaza Forum Tepic' });
+  assert.equal(parse('https://maps.app.goo.gl/abc123').parser, 'google_maps');
+});
+
+test('un host desconocido usa el parser genérico y un host parecido no cuenta como Google', () => {
+  assert.deepEqual(parse('https://ejemplo.com/mapa?ll=21.5,-104.89'), { parser: 'generico', info: { lat: 21.5, lon: -104.89 } });
+  assert.equal(parse('https://notgoogle.com/maps?q=Forum').parser, 'generico');
+  assert.equal(parse('https://maps.google.com.evil.example/?q=Forum').parser, 'generico');
+});
+
+test('Plus Codes completos y cortos se decodifican localmente', () => {
+  assert.deepEqual(parse('75HQF4X4+V3'), { parser: 'plus_code', info: { lat: 21.499687, lon: -104.894813 } });
+  assert.deepEqual(parse('f4x4+v3 Tepic, Nayarit').info, { lat: 21.499687, lon: -104.894813 });
+  assert.deepEqual(parse('F4X4+V3').info, { lat: 21.499687, lon: -104.894813 });
+  assert.deepEqual(parse('ZZZZ+ZZ'), { parser: null, info: {} });
+});
+
+test('un Plus Code corto se completa con la localidad escrita o, si no, con la referencia', () => {
+  const lejos = { reference: { lat: 0, lon: 0 }, resolveLocality: options.resolveLocality };
+  assert.deepEqual(parseLocationLink('F4X4+V3 Tepic', lejos).info, { lat: 21.499687, lon: -104.894813 });
+  assert.notDeepEqual(parseLocationLink('F4X4+V3', lejos).info, { lat: 21.499687, lon: -104.894813 });
+  assert.deepEqual(parseLocationLink('F4X4+V3 Tepic').info, {});
+});
+
+test('el texto de WhatsApp usa el enlace que trae o las coordenadas dentro de la frase', () => {
+  assert.deepEqual(parse('📍 Ubicación: https://maps.google.com/?q=21.5012,-104.8931'), { parser: 'whatsapp', info: { lat: 21.5012, lon: -104.8931 } });
+  assert.deepEqual(parse('estoy en 21.5012, -104.8931 por favor'), { parser: 'whatsapp', info: { lat: 21.5012, lon: -104.8931 } });
+  assert.deepEqual(parse('Ubicación en tiempo real: https://www.google.com/maps/search/Forum+Tepic').info, { q: 'Forum Tepic' });
+  // Números cortos dentro de una dirección no son coordenadas.
+  assert.equal(parse('Calle 5, 20 de Noviembre').parser, null);
+});
+
+test('findEmbeddedUrl toma el primer enlace sin la puntuación que lo rodea', () => {
+  assert.equal(findEmbeddedUrl('mira (https://goo.gl/maps/abc).'), 'https://goo.gl/maps/abc');
+  assert.equal(findEmbeddedUrl('uno https://a.example/x, otro https://b.example/y'), 'https://a.example/x');
+  assert.equal(findEmbeddedUrl('sin enlace'), null);
+  assert.equal(findEmbeddedUrl(null), null);
+});
+
+// ───── Enlaces de rutas ─────
+
+test('/maps/dir/A/B/C da las paradas en orden e ignora el centro del mapa', () => {
+  const { parser, info } = parse('https://www.google.com/maps/dir/21.50,-104.89/Catedral+de+Tepic/21.42,-104.84/@21.4,-104.8,13z/data=!4m2!4m1!3e0');
+  assert.equal(parser, 'google_maps');
+  assert.deepEqual(info.ruta, [{ lat: 21.5, lon: -104.89 }, { q: 'Catedral de Tepic' }, { lat: 21.42, lon: -104.84 }]);
+  assert.deepEqual([info.lat, info.lon, info.isOrigin, info.destination], [21.5, -104.89, true, '21.42,-104.84']);
+});
+
+test('/maps/dir con el origen vacío empieza en "mi ubicación"', () => {
+  assert.deepEqual(parse('https://www.google.com/maps/dir//Forum+Tepic/').info, {
+    q: 'Forum Tepic',
+    isDestination: true,
+    ruta: [{ ubicacion_actual: true }, { q: 'Forum Tepic' }]
+  });
+  assert.deepEqual(parse('https://www.google.com/maps/dir/Plaza+Principal%2C+Tepic').info.ruta, [{ ubicacion_actual: true }, { q: 'Plaza Principal, Tepic' }]);
+});
+
+test('api=1 usa origin, waypoints separados por | y destination', () => {
+  const { info } = parse('https://www.google.com/maps/dir/?api=1&origin=21.50,-104.89&destination=Forum+Tepic&waypoints=Catedral%7C21.48,-104.865');
+  assert.deepEqual(info.ruta, [{ lat: 21.5, lon: -104.89 }, { q: 'Catedral' }, { lat: 21.48, lon: -104.865 }, { q: 'Forum Tepic' }]);
+  assert.equal(info.destination, 'Forum Tepic');
+
+  const sinOrigen = parse('https://www.google.com/maps/dir/?api=1&destination=21.42,-104.84').info;
+  assert.deepEqual(sinOrigen, { lat: 21.42, lon: -104.84, isDestination: true, ruta: [{ ubicacion_actual: true }, { lat: 21.42, lon: -104.84 }] });
+});
+
+test('saddr/daddr admite varios destinos con +to:', () => {
+  const { info } = parse('https://maps.google.com/?saddr=21.50,-104.89&daddr=Catedral+de+Tepic+to:Forum+Tepic+to:21.42,-104.84');
+  assert.deepEqual(info.ruta, [{ lat: 21.5, lon: -104.89 }, { q: 'Catedral de Tepic' }, { q: 'Forum Tepic' }, { lat: 21.42, lon: -104.84 }]);
+
+  const textoOrigen = parse('https://maps.google.com/maps?saddr=Centro+Tepic&daddr=21.42,-104.84').info;
+  assert.deepEqual(textoOrigen, { lat: 21.42, lon: -104.84, isDestination: true, ruta: [{ q: 'Centro Tepic' }, { lat: 21.42, lon: -104.84 }] });
+
+  assert.deepEqual(parse('https://maps.google.com/?saddr=21.50,-104.89').info, { lat: 21.5, lon: -104.89, isOrigin: true });
+});
@@ -0,0 +1,192 @@
+import { test, mock, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import axios from 'axios'
+import { createLinkResolver, findUrlInHtml, isPrivateAddress } from '../src/linkResolver.js'
+
+// Resolución de enlaces cortos: IPs privadas, URLs dentro del HTML, hosts permitidos, límite de
+// redirecciones y presupuesto de tiempo. Las peticiones se simulan con axios.request, salvo la
+// validación de DNS, que usa un servidor local de verdad.
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const redirect = (location) => ({ status: 302, headers: { location }, data: '' })
+const page = (html) => ({ status: 200, headers: {}, data: html })
+
+// Responde según `answer(method, url)` y guarda cada petición.
+function fakeRequests(answer) {
+  const calls = [];
+  mock.method(axios, 'request', async ({ method, url, timeout }) => {
+    calls.push({ method, url, timeout });
+    return answer(method, url);
+  });
+  return calls;
+}
+
+function memoryCache() {
+  const entries = new Map();
+  return { entries, has: (k) => entries.has(k), get: (k) => entries.get(k), set: (k, v) => entries.set(k, v) };
+}
+
+// ───── isPrivateAddress ─────
+
+test('isPrivateAddress reconoce los rangos IPv4 privados, locales y reservados', () => {
+  for (const ip of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.0.0.8', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '142.250.72.14', '172.32.0.1', '100.128.0.1', '192.169.0.1', '11.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('isPrivateAddress reconoce IPv6 locales y las IPv4 mapeadas en IPv6', () => {
+  for (const ip of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'FEBF::1', 'ff02::1', '::ffff:127.0.0.1', '::FFFF:10.0.0.1', '::ffff:169.254.169.254']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['2001:4860:4860::8888', '2800:3f0::1', '::ffff:8.8.8.8', 'fec0::1']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+// ───── findUrlInHtml ─────
+
+test('findUrlInHtml prefiere continue, luego og:url, canonical y meta refresh', () => {
+  const base = 'https://maps.app.goo.gl/abc';
+  const continuar = '<input type="hidden" name="continue" value="https://www.google.com/maps/place/Forum">';
+  const og = '<meta property="og:url" content="https://www.google.com/maps/@21.5,-104.89,17z">';
+  const canonical = '<link rel="Canonical" href="/maps/place/Catedral">';
+  const refresh = "<meta http-equiv=\"refresh\" content=\"0; url='https://www.google.com/maps?q=Tepic'\">";
+
+  assert.equal(findUrlInHtml(refresh + canonical + og + continuar, base), 'https://www.google.com/maps/place/Forum');
+  assert.equal(findUrlInHtml(refresh + canonical + og, base), 'https://www.google.com/maps/@21.5,-104.89,17z');
+  assert.equal(findUrlInHtml(refresh + canonical, base), 'https://maps.app.goo.gl/maps/place/Catedral');
+  assert.equal(findUrlInHtml(refresh, base), 'https://www.google.com/maps?q=Tepic');
+});
+
+test('findUrlInHtml decodifica entidades, acepta comillas simples y salta URLs no http', () => {
+  const base = 'https://goo.gl/maps/x';
+  assert.equal(findUrlInHtml("<meta property='og:url' content='https://www.google.com/maps?q=21.5,-104.89&amp;z=17'>", base), 'https://www.google.com/maps?q=21.5,-104.89&z=17');
+  assert.equal(findUrlInHtml('<meta property="og:url" content="javascript:alert(1)"><link rel="canonical" href="https://www.google.com/maps/place/Forum">', base), 'https://www.google.com/maps/place/Forum');
+  assert.equal(findUrlInHtml('<html><body>Sin enlaces</body></html>', base), null);
+});
+
+// ───── Hosts permitidos ─────
+
+test('una URL fuera de la lista permitida no se pide', async () => {
+  const calls = fakeRequests(() => redirect('https://www.google.com/maps/@21.5,-104.89,17z'));
+  const resolver = createLinkResolver();
+
+  for (const url of ['https://bit.ly/abc', 'https://evilgoo.gl/abc', 'https://goo.gl.evil.example/abc', 'http://127.0.0.1/abc', 'ftp://goo.gl/abc']) {
+    assert.deepEqual(await resolver.resolve(url), { finalUrl: url, redirects: 0, cached: false, aviso: null }, url);
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('se siguen los subdominios permitidos y una redirección a otro host se toma como final', async () => {
+  const calls = fakeRequests((method, url) => (url.includes('maps.app.goo.gl')
+    ? redirect('https://goo.gl/maps/paso2')
+    : redirect('https://www.google.com/maps/place/Forum/@21.49,-104.86,17z?g_st=iw')));
+  const resolver = createLinkResolver();
+
+  const { finalUrl, redirects, aviso } = await resolver.resolve('https://maps.app.goo.gl/abc');
+  assert.equal(finalUrl, 'https://www.google.com/maps/place/Forum/@21.49,-104.86,17z');
+  assert.equal(redirects, 2);
+  assert.equal(aviso, null);
+  assert.deepEqual(calls.map(c => c.url), ['https://maps.app.goo.gl/abc', 'https://goo.gl/maps/paso2']);
+});
+
+test('la página de consentimiento de Google se reemplaza por su continue sin pedirla', async () => {
+  const calls = fakeRequests(() => redirect('https://consent.google.com/ml?continue=https://www.google.com/maps/@21.5,-104.89,17z&gl=MX'));
+  const resolver = createLinkResolver();
+
+  const { finalUrl, redirects } = await resolver.resolve('https://goo.gl/maps/abc');
+  assert.equal(finalUrl, 'https://www.google.com/maps/@21.5,-104.89,17z');
+  assert.equal(redirects, 1);
+  assert.deepEqual(calls.map(c => c.url), ['https://goo.gl/maps/abc']);
+});
+
+test('sin redirección en HEAD se pide GET y la URL se busca en el HTML', async () => {
+  const calls = fakeRequests((method) => (method === 'HEAD'
+    ? { status: 405, headers: {}, data: '' }
+    : page('<meta property="og:url" content="https://www.google.com/maps/@21.5,-104.89,17z">')));
+  const resolver = createLinkResolver();
+
+  const { finalUrl, redirects } = await resolver.resolve('https://goo.gl/maps/abc');
+  assert.equal(finalUrl, 'https://www.google.com/maps/@21.5,-104.89,17z');
+  assert.equal(redirects, 1);
+  assert.deepEqual(calls.map(c => c.method), ['HEAD', 'GET']);
+});
+
+// ───── Redirecciones, tiempo y caché ─────
+
+test('una cadena de redirecciones se corta en maxRedirects y no se guarda en caché', async () => {
+  let hop = 0;
+  const calls = fakeRequests(() => redirect(`https://goo.gl/maps/${++hop}`));
+  const cache = memoryCache();
+  const resolver = createLinkResolver({ cache, maxRedirects: 3 });
+
+  const result = await resolver.resolve('https://goo.gl/maps/0');
+  assert.deepEqual(result, { finalUrl: 'https://goo.gl/maps/3', redirects: 3, cached: false, aviso: 'demasiadas_redirecciones' });
+  assert.equal(calls.length, 3);
+  assert.equal(cache.entries.size, 0);
+});
+
+test('todos los saltos comparten el presupuesto de tiempo', async () => {
+  let hop = 0;
+  const calls = fakeRequests(async () => {
+    await new Promise(resolve => setTimeout(resolve, 40));
+    return redirect(`https://goo.gl/maps/${++hop}`);
+  });
+  const resolver = createLinkResolver({ budgetMs: 100, maxRedirects: 10 });
+
+  const { redirects, aviso } = await resolver.resolve('https://goo.gl/maps/0');
+  assert.equal(aviso, 'tiempo_agotado');
+  assert.ok(redirects >= 1 && redirects <= 3, `redirects: ${redirects}`);
+  assert.ok(calls.every(c => c.timeout > 0 && c.timeout <= 100));
+  assert.ok(calls.every((c, i) => i === 0 || c.timeout < calls[i - 1].timeout));
+});
+
+test('un timeout de la petición también cuenta como tiempo agotado', async () => {
+  fakeRequests(() => {
+    throw Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+  });
+  const cache = memoryCache();
+  const resolver = createLinkResolver({ cache });
+
+  assert.deepEqual(await resolver.resolve('https://goo.gl/maps/lento'), { finalUrl: 'https://goo.gl/maps/lento', redirects: 0, cached: false, aviso: 'tiempo_agotado' });
+  assert.equal(cache.entries.size, 0);
+});
+
+test('un enlace resuelto se guarda en caché y la segunda vez no se pide', async () => {
+  const calls = fakeRequests(() => redirect('https://www.google.com/maps/@21.5,-104.89,17z'));
+  const cache = memoryCache();
+  const resolver = createLinkResolver({ cache });
+
+  await resolver.resolve('https://goo.gl/maps/abc');
+  const segunda = await resolver.resolve('https://goo.gl/maps/abc');
+  assert.deepEqual(segunda, { finalUrl: 'https://www.google.com/maps/@21.5,-104.89,17z', redirects: 1, cached: true, aviso: null });
+  assert.equal(calls.length, 1);
+  assert.deepEqual([...cache.entries.keys()], ['link:https://goo.gl/maps/abc']);
+});
+
+// ───── DNS ─────
+
+test('un host permitido que resuelve a una IP privada no recibe la petición', async () => {
+  let recibidas = 0;
+  const server = http.createServer((req, res) => {
+    recibidas++;
+    res.writeHead(302, { Location: 'https://www.google.com/maps/@21.5,-104.89,17z' }).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const resolver = createLinkResolver({ allowedHosts: ['localhost'] });
+    const url = `http://localhost:${server.address().port}/abc`;
+
+    assert.deepEqual(await resolver.resolve(url), { finalUrl: url, redirects: 0, cached: false, aviso: 'direccion_privada' });
+    assert.equal(recibidas, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,121 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createLocalGeocoder, LOCAL_CONFIDENCE } from '../src/localGeocoder.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Geocodificador local contra test/fixtures/geocoder_local (calles y colonias de prueba de Tepic).
+
+const BOUNDS = [21.0, -105.5, 22.5, -104.0]
+const FIXTURE_DIR = path.resolve(ROOT_DIR, 'test/fixtures/geocoder_local')
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-local-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const geocoder = createLocalGeocoder({ dirPath: FIXTURE_DIR, bounds: BOUNDS })
+geocoder.load()
+
+function writeDir(name, files) {
+  const dirPath = path.join(dir, name);
+  fs.mkdirSync(dirPath);
+  for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(dirPath, file), content);
+  return dirPath;
+}
+
+test('interpola el número dentro del tramo de la calle', () => {
+  const result = geocoder.forward('Av. México 350, Centro, Tepic');
+  assert.equal(result.metodo, 'interpolacion');
+  assert.equal(result.confianza, LOCAL_CONFIDENCE.interpolacion);
+  assert.equal(result.source, 'local');
+  // Tramo 200-499 de 21.5040 a 21.5110: el 350 queda a la mitad.
+  assert.ok(Math.abs(result.lat - 21.5075) < 0.0002, `lat ${result.lat}`);
+  assert.deepEqual(result.components, {
+    road: 'Avenida México', house_number: '350', suburb: 'Centro', city: 'Tepic', postcode: '63000', state: 'Nayarit', country: 'México'
+  });
+});
+
+test('elige el tramo y la colonia según el número', () => {
+  const result = geocoder.forward('Insurgentes 700, Tepic');
+  assert.equal(result.components.suburb, 'Ciudad del Valle');
+  assert.equal(result.components.postcode, '63157');
+  assert.equal(geocoder.forward('Calle Morelos 100, Xalisco').components.city, 'Xalisco');
+});
+
+test('un número que puede ser parte del nombre de la calle se interpreta bien', () => {
+  const result = geocoder.forward('Calle 20 de Noviembre 50, Tepic');
+  assert.equal(result.components.road, 'Calle 20 de Noviembre');
+  assert.equal(result.components.house_number, '50');
+});
+
+test('sin número o fuera de rango se usa la calle, y si no la hay, la colonia', () => {
+  for (const address of ['Avenida Mexico, Tepic', 'Avenida México 9999, Tepic']) {
+    const result = geocoder.forward(address);
+    assert.equal(result.metodo, 'calle', address);
+    assert.equal(result.confianza, LOCAL_CONFIDENCE.calle);
+    assert.equal(result.components.house_number, undefined);
+  }
+
+  const colonia = geocoder.forward('Col. Ciudad del Valle, Tepic');
+  assert.equal(colonia.metodo, 'colonia');
+  assert.deepEqual([colonia.lat, colonia.lon], [21.4930, -104.8745]);
+  assert.equal(geocoder.forward('Calle Inexistente 5, Tepic'), null);
+});
+
+test('encuentra el cruce de dos calles conocidas', () => {
+  const cruce = geocoder.intersection('Av. México', 'Juárez');
+  assert.deepEqual(cruce.calles, ['Avenida México', 'Avenida Juárez']);
+  assert.equal(cruce.metodo, 'interseccion');
+  assert.equal(cruce.separacion_m, 0);
+  assert.equal(geocoder.intersection('Av. México', 'Calle Inexistente'), null);
+});
+
+test('reverse devuelve la calle con número cercano o la colonia más próxima', () => {
+  const calle = geocoder.reverse(21.5075, -104.8941);
+  assert.equal(calle.source, 'local_reverse');
+  assert.equal(calle.components.road, 'Avenida México');
+  assert.ok(Math.abs(Number(calle.components.house_number) - 350) <= 2);
+
+  assert.equal(geocoder.reverse(21.4840, -104.8765).components.suburb, 'Las Aves');
+  assert.equal(geocoder.reverse(21.3, -104.5), null);
+});
+
+test('lee números exactos de un extracto de OpenStreetMap', () => {
+  const dirPath = writeDir('osm', {
+    'tepic.geojson': JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Centro', place: 'suburb', 'addr:city': 'Tepic' }, geometry: { type: 'Point', coordinates: [-104.894, 21.5017] } },
+        { type: 'Feature', properties: { highway: 'residential', name: 'Calle Lerma' }, geometry: { type: 'LineString', coordinates: [[-104.896, 21.500], [-104.890, 21.500]] } },
+        { type: 'Feature', properties: { 'addr:street': 'Calle Lerma', 'addr:housenumber': '42' }, geometry: { type: 'Point', coordinates: [-104.8925, 21.5001] } }
+      ]
+    })
+  });
+  const osm = createLocalGeocoder({ dirPath, bounds: BOUNDS });
+  assert.equal(osm.load(), true);
+
+  const result = osm.forward('Calle Lerma 42, Tepic');
+  assert.equal(result.metodo, 'numero');
+  assert.deepEqual([result.lat, result.lon], [21.5001, -104.8925]);
+  assert.equal(osm.forward('Calle Lerma 10, Tepic').metodo, 'calle');
+});
+
+test('sin directorio no carga nada y un archivo inválido impide la carga', () => {
+  const missing = createLocalGeocoder({ dirPath: path.join(dir, 'no-existe'), bounds: BOUNDS });
+  assert.equal(missing.load(), false);
+  assert.equal(missing.available, false);
+  assert.equal(missing.forward('Av. México 350, Tepic'), null);
+
+  const dirPath = writeDir('invalido', {
+    'calles.csv': 'municipio,colonia,calle,numero_inicio,numero_fin,lat_inicio,lon_inicio,lat_fin,lon_fin\nTepic,Centro,Avenida México,1,199,19.0,-104.89,21.50,-104.89\nTepic,Centro,Calle Lerma,300,100,21.50,-104.89,21.51,-104.89\n'
+  });
+  assert.throws(() => createLocalGeocoder({ dirPath, bounds: BOUNDS }).load(), err => {
+    assert.equal(err.details.length, 2);
+    assert.match(err.details[0], /calles\.csv:2: coordenadas inválidas/);
+    assert.match(err.details[1], /calles\.csv:3: rango de numeración inválido \(300-100\)/);
+    return true;
+  });
+});
@@ -0,0 +1,258 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { copyFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { ROOT_DIR, freePort, startNodeProcess } from './helpers.js'
+
+// Levanta index.js con OPENAPI_VALIDATE_RESPONSES=strict y llama cada operación documentada en
+// /openapi.json. Si una respuesta se sale de su esquema el servidor responde
+// 500 RESPONSE_SCHEMA_MISMATCH y la prueba falla con los `detalles`. Los datos van a un
+// directorio temporal y la geocodificación a un Nominatim falso en proceso.
+
+const ADMIN_TOKEN = 'token_de_prueba'
+const ADMIN = { Authorization: `Bearer ${ADMIN_TOKEN}` }
+const TELEFONO = '3111234567'
+const ORIGEN = { lat: 21.5095, lon: -104.8957 }
+const DESTINO = { lat: 21.4900, lon: -104.8700 }
+
+let app
+let baseUrl
+let nominatim
+let dataDir
+let spec
+
+// Operaciones llamadas ("GET /trips/{id}"), para comprobar al final que no falta ninguna.
+const llamadas = new Set()
+
+// Estado que comparten las pruebas (se ejecutan en orden).
+const estado = {}
+
+function startFakeNominatim() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/search') {
+      const q = url.searchParams.get('q') || '';
+      return res.end(JSON.stringify([
+        { lat: '21.5050', lon: '-104.8900', display_name: `${q}, Centro, Tepic, Nayarit`, place_rank: 30, address: { road: 'Avenida México', house_number: '100', city: 'Tepic' } },
+        { lat: '21.5100', lon: '-104.8800', display_name: 'Centro, Tepic, Nayarit', place_rank: 26, address: { city: 'Tepic' } }
+      ]));
+    }
+    if (url.pathname === '/reverse') {
+      return res.end(JSON.stringify({ display_name: 'Calle Amado Nervo 5, Centro, Tepic, Nayarit', place_rank: 30, address: { road: 'Calle Amado Nervo', house_number: '5', city: 'Tepic' } }));
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Hace la petición y registra la operación con la plantilla de ruta de la especificación.
+async function call(method, template, { params = {}, query, body, headers = ADMIN } = {}) {
+  llamadas.add(`${method} ${template}`);
+  const ruta = template.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+  const url = `${baseUrl}${ruta}${query ? `?${new URLSearchParams(query)}` : ''}`;
+  const res = await fetch(url, {
+    method,
+    headers: { ...headers, ...(body !== undefined && { 'Content-Type': 'application/json' }) },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {}
+  return { status: res.status, headers: res.headers, text, body: json };
+}
+
+// Falla con los detalles de la validación si la respuesta no cumple su esquema.
+function expectStatus(res, status) {
+  assert.notEqual(res.body?.code, 'RESPONSE_SCHEMA_MISMATCH',
+    `la respuesta no cumple la especificación: ${JSON.stringify(res.body?.detalles)}\n${app.output()}`);
+  assert.equal(res.status, status, `código inesperado: ${res.text.slice(0, 500)}`);
+  return res.body;
+}
+
+// Los flujos SSE solo se abren para revisar el código y el Content-Type.
+async function openStream(template, { params = {}, query } = {}) {
+  llamadas.add(`GET ${template}`);
+  const ruta = template.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}${ruta}?${new URLSearchParams(query)}`, { signal: controller.signal });
+  controller.abort();
+  return res;
+}
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-test-'));
+  copyFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), path.join(dataDir, 'tarifas.json'));
+  nominatim = await startFakeNominatim();
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      ROUTING_URL: '',
+      ADMIN_TOKEN,
+      QUOTE_SECRET: 'secreto_de_prueba',
+      OPENAPI_VALIDATE_RESPONSES: 'strict',
+      GEOCACHE_BACKEND: 'memory',
+      AUTOCOMPLETE_DEBOUNCE_MS: '0',
+      TARIFAS_PATH: path.join(dataDir, 'tarifas.json'),
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+  spec = await (await fetch(`${baseUrl}/openapi.json`)).json();
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ─── Públicos ───
+test('GET /health, /service_area, /openapi.json y /docs', async () => {
+  const health = expectStatus(await call('GET', '/health', { headers: {} }), 200);
+  // Sin LOCAL_GEOCODER_DIR el geocodificador local queda apagado.
+  assert.deepEqual(health.geocodificador_local.archivos, []);
+  expectStatus(await call('GET', '/service_area', { headers: {} }), 200);
+  const documento = expectStatus(await call('GET', '/openapi.json', { headers: {} }), 200);
+  assert.ok(Object.keys(documento.paths).length > 0);
+
+  const docs = await call('GET', '/docs', { headers: {} });
+  assert.equal(docs.status, 200);
+  assert.match(docs.headers.get('content-type'), /text\/html/);
+});
+
+// ─── Geocodificación ───
+test('geocodificación de texto, coordenadas y enlaces', async () => {
+  expectStatus(await call('POST', '/geocode_text', { body: { direccion: 'Avenida México 100, Centro, Tepic' } }), 200);
+  expectStatus(await call('POST', '/validate_address', { body: { direccion: 'Avenida México 100, Centro, Tepic' } }), 200);
+  expectStatus(await call('POST', '/reverse_origin', { body: ORIGEN }), 200);
+  expectStatus(await call('POST', '/geocode_link', { body: { url: `https://maps.google.com/?q=${ORIGEN.lat},${ORIGEN.lon}` } }), 200);
+  expectStatus(await call('POST', '/debug_link', { body: { url: `https://maps.google.com/?q=${ORIGEN.lat},${ORIGEN.lon}` } }), 200);
+  expectStatus(await call('POST', '/generate_search_links', { body: { texto: 'catedral tepic' } }), 200);
+  expectStatus(await call('POST', '/geocode_batch', { body: { direcciones: [`${ORIGEN.lat},${ORIGEN.lon}`, 'Avenida México 100, Centro, Tepic'] } }), 200);
+  expectStatus(await call('GET', '/autocomplete', { query: { q: 'avenida mexico', lat: ORIGEN.lat, lon: ORIGEN.lon, limit: 3, sesion: 'chat-1' } }), 200);
+});
+
+test('los errores de validación también cumplen el esquema', async () => {
+  const res = expectStatus(await call('POST', '/reverse_origin', { body: { lat: 91 } }), 400);
+  assert.equal(res.code, 'INVALID_REQUEST');
+  expectStatus(await call('GET', '/admin/tarifas', { headers: {} }), 401);
+});
+
+// ─── Tarifas y viajes ───
+test('cotización, verificación y reservación', async () => {
+  const fare = expectStatus(await call('POST', '/calculate_fare', {
+    body: { lat1: ORIGEN.lat, lon1: ORIGEN.lon, lat2: DESTINO.lat, lon2: DESTINO.lon, telefono: TELEFONO }
+  }), 200);
+  const cotizacionToken = JSON.stringify(fare).match(/"cotizacion_token":"([^"]+)"/)?.[1];
+  assert.ok(cotizacionToken, 'la cotización no trae cotizacion_token');
+
+  expectStatus(await call('POST', '/quote_from_link', {
+    body: { url: `https://www.google.com/maps/dir/${ORIGEN.lat},${ORIGEN.lon}/${DESTINO.lat},${DESTINO.lon}`, telefono: TELEFONO }
+  }), 200);
+  expectStatus(await call('POST', '/quotes/verify', { body: { cotizacion_token: cotizacionToken } }), 200);
+
+  const trip = expectStatus(await call('POST', '/trips', { body: { cotizacion_token: cotizacionToken, notas: 'Prueba' } }), 201);
+  assert.match(trip.origen.direccion, /Amado Nervo/);
+  estado.tripId = trip.id;
+  expectStatus(await call('POST', '/trips', { body: { cotizacion_token: cotizacionToken } }), 409);
+  expectStatus(await call('POST', '/trips', { body: { cotizacion_token: `${cotizacionToken.split('.')[0]}.firma_alterada` } }), 400);
+  estado.trackingToken = trip.token_seguimiento;
+
+  expectStatus(await call('GET', '/trips', { query: { estado: 'solicitado' } }), 200);
+  expectStatus(await call('GET', '/trips/{id}', { params: { id: estado.tripId }, query: { token: estado.trackingToken }, headers: {} }), 200);
+  expectStatus(await call('GET', '/trips/{id}', { params: { id: estado.tripId }, headers: {} }), 401);
+
+  const sinToken = await openStream('/trips/{id}/events', { params: { id: estado.tripId }, query: { token: estado.trackingToken } });
+  assert.equal(sinToken.status, 401);
+  const { access_token } = expectStatus(await call('POST', '/trips/{id}/stream_token', { params: { id: estado.tripId }, query: { token: estado.trackingToken }, headers: {} }), 200);
+  const events = await openStream('/trips/{id}/events', { params: { id: estado.tripId }, query: { access_token } });
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /text\/event-stream/);
+});
+
+// ─── Conductores ───
+test('registro, asignación y ubicación de conductores', async () => {
+  const driver = expectStatus(await call('POST', '/drivers', {
+    body: { nombre: 'Conductor de Prueba', telefono: '3119876543', placa: 'NAY-1234', tipo_vehiculo: 'sedan' }
+  }), 201);
+  estado.driverId = driver.id;
+
+  const rotated = expectStatus(await call('POST', '/drivers/{id}/token', { params: { id: driver.id } }), 200);
+  estado.driverToken = rotated.token_conductor;
+
+  expectStatus(await call('POST', '/drivers/{id}/location', {
+    params: { id: driver.id },
+    body: { ...ORIGEN, disponible: true },
+    headers: { 'X-Driver-Token': estado.driverToken }
+  }), 200);
+  expectStatus(await call('GET', '/drivers', {}), 200);
+  expectStatus(await call('GET', '/drivers/nearest', { query: { ...ORIGEN, limit: 3 } }), 200);
+  expectStatus(await call('GET', '/drivers/{id}', { params: { id: driver.id } }), 200);
+
+  expectStatus(await call('POST', '/trips/{id}/assign', { params: { id: estado.tripId }, body: { conductor_id: driver.id } }), 200);
+  expectStatus(await call('POST', '/trips/{id}/status', { params: { id: estado.tripId }, body: { estado: 'en_camino' } }), 200);
+});
+
+test('flujo de despacho con token de corta duración', async () => {
+  const { access_token } = expectStatus(await call('POST', '/admin/stream_token'), 200);
+  const events = await openStream('/dispatch/events', { query: { access_token } });
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /text\/event-stream/);
+});
+
+// ─── POIs ───
+test('alta, consulta, edición y baja de POIs', async () => {
+  const poi = { id: 'poi_de_prueba', nombre: 'POI de Prueba', aliases: ['prueba'], ...ORIGEN, address: 'Centro, Tepic, Nayarit' };
+  expectStatus(await call('POST', '/pois', { body: poi }), 201);
+  expectStatus(await call('GET', '/pois'), 200);
+  expectStatus(await call('GET', '/pois/{id}', { params: { id: poi.id } }), 200);
+  expectStatus(await call('PUT', '/pois/{id}', { params: { id: poi.id }, body: { destacado: true } }), 200);
+  expectStatus(await call('DELETE', '/pois/{id}', { params: { id: poi.id } }), 200);
+  expectStatus(await call('GET', '/pois/{id}', { params: { id: poi.id } }), 404);
+});
+
+// ─── Administración ───
+test('tarifas y caché de geocodificación', async () => {
+  const tarifas = JSON.parse(readFileSync(path.join(dataDir, 'tarifas.json'), 'utf8'));
+  expectStatus(await call('GET', '/admin/tarifas'), 200);
+  expectStatus(await call('PUT', '/admin/tarifas', { body: tarifas }), 200);
+  expectStatus(await call('POST', '/admin/tarifas/reload'), 200);
+
+  expectStatus(await call('GET', '/admin/cache', { query: { prefix: 'geocode:', limit: 10 } }), 200);
+  expectStatus(await call('DELETE', '/admin/cache', { query: { prefix: 'geocode:' } }), 200);
+});
+
+test('claves de API y consumo', async () => {
+  const created = expectStatus(await call('POST', '/admin/api_keys', { body: { nombre: 'Bot de prueba', scopes: ['geocode', 'fare'] } }), 201);
+  expectStatus(await call('GET', '/admin/api_keys'), 200);
+  expectStatus(await call('GET', '/admin/api_keys/{id}', { params: { id: created.id } }), 200);
+  expectStatus(await call('PUT', '/admin/api_keys/{id}', { params: { id: created.id }, body: { nombre: 'Bot de prueba 2' } }), 200);
+  expectStatus(await call('POST', '/admin/api_keys/reload'), 200);
+
+  expectStatus(await call('GET', '/usage', { headers: { 'X-API-Key': created.api_key } }), 200);
+  expectStatus(await call('DELETE', '/admin/api_keys/{id}', { params: { id: created.id } }), 200);
+});
+
+test('se llamó cada operación documentada', () => {
+  const documentadas = Object.entries(spec.paths).flatMap(([template, item]) =>
+    ['get', 'post', 'put', 'delete', 'patch'].filter(m => item[m]).map(m => `${m.toUpperCase()} ${template}`)
+  );
+  assert.deepEqual(documentadas.filter(op => !llamadas.has(op)), []);
+});
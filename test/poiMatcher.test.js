@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import path from 'node:path'
+import { levenshtein, matchPois, normalizeText, scoreTokens, tokenize } from '../src/poiMatcher.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Coincidencia de POIs contra los alias de data/pois.seed.json.
+
+const pois = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, 'data/pois.seed.json'), 'utf8'))
+const bestId = (text) => matchPois(text, pois, { limit: 1 })[0]?.poi.id ?? null
+
+test('normalizeText quita acentos, mayúsculas y signos', () => {
+  assert.equal(normalizeText('  Universidad Autónoma de Nayarit!! '), 'universidad autonoma de nayarit');
+  assert.equal(normalizeText('Av. México #150'), 'av mexico 150');
+  assert.equal(normalizeText(null), '');
+});
+
+test('tokenize descarta palabras vacías y de localidad, aun con errores', () => {
+  assert.deepEqual(tokenize('El Aeropuerto de Tepic, Nayarit'), ['aeropuerto']);
+  assert.deepEqual(tokenize('catedral tepik'), ['catedral']);
+});
+
+test('levenshtein cuenta inserciones, borrados y sustituciones', () => {
+  assert.equal(levenshtein('catedral', 'catedral'), 0);
+  assert.equal(levenshtein('catedral', 'catedal'), 1);
+  assert.equal(levenshtein('forum', 'foro'), 2);
+  assert.equal(levenshtein('', 'uan'), 3);
+});
+
+test('coincide por nombre o alias sin importar acentos ni localidad', () => {
+  assert.equal(bestId('catedral'), 'catedral');
+  assert.equal(bestId('Aeropuerto de Tepic'), 'aeropuerto');
+  assert.equal(bestId('universidad autonoma de nayarit'), 'uan');
+  assert.equal(bestId('CENTRAL CAMIONERA'), 'central_autobuses');
+});
+
+test('tolera errores de escritura en palabras largas', () => {
+  assert.equal(bestId('catedarl'), 'catedral');
+  assert.equal(bestId('aeropuero'), 'aeropuerto');
+  assert.equal(bestId('chedrahui'), 'chedraui');
+});
+
+test('las palabras cortas deben coincidir exactas', () => {
+  assert.equal(bestId('uan'), 'uan');
+  assert.equal(bestId('tec'), 'tec_tepic');
+  assert.equal(bestId('usn'), null);
+});
+
+test('los tokens extra del usuario bajan el puntaje', () => {
+  assert.equal(bestId('centro'), 'centro');
+  assert.equal(bestId('centro comercial galerias'), null);
+  assert.ok(scoreTokens(['centro', 'comercial'], ['centro']) < 0.75);
+});
+
+test('devuelve un candidato por POI ordenado por puntaje y respeta el límite', () => {
+  const candidatos = matchPois('walmart insurgentes', pois, { limit: 5 });
+  assert.equal(candidatos[0].poi.id, 'walmart');
+  assert.equal(candidatos[0].score, 1);
+  assert.equal(new Set(candidatos.map(c => c.poi.id)).size, candidatos.length);
+  assert.ok(candidatos.every((c, i) => i === 0 || candidatos[i - 1].score >= c.score));
+
+  assert.equal(matchPois('hospital', pois, { limit: 1 }).length, 1);
+  assert.deepEqual(matchPois('de la', pois), []);
+});
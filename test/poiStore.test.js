@@ -0,0 +1,95 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createPoiStore, validatePoi } from '../src/poiStore.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Almacén persistente de POIs (POST/PUT/DELETE /pois).
+
+const SEED_PATH = path.resolve(ROOT_DIR, 'data/pois.seed.json')
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-pois-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Solo acepta POIs al norte del paralelo 21 (basta para probar `validateLocation`).
+const validateLocation = (poi) => (poi.lat < 21 ? 'El POI está fuera del área de servicio.' : null)
+
+function newStore(name) {
+  const filePath = path.join(dir, `${name}.json`);
+  const store = createPoiStore({ filePath, seedPath: SEED_PATH, validateLocation });
+  store.load();
+  return { store, filePath, onDisk: () => JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+const mercado = { nombre: 'Mercado Juan Escutia', aliases: [' mercado '], lat: 21.508, lon: -104.894, address: 'Centro, Tepic' }
+
+test('sin archivo se inicializa con la semilla y la persiste', () => {
+  const { store, onDisk } = newStore('semilla');
+  const seed = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8'));
+  assert.equal(store.list().length, seed.length);
+  assert.deepEqual(onDisk(), seed);
+});
+
+test('create genera el id desde el nombre, limpia los textos y persiste', () => {
+  const { store, onDisk, filePath } = newStore('alta');
+  const poi = store.create(mercado);
+
+  assert.equal(poi.id, 'mercado_juan_escutia');
+  assert.deepEqual(poi.aliases, ['mercado']);
+  assert.deepEqual(poi.components, { _category: 'poi', _type: 'amenity' });
+  assert.deepEqual(onDisk().at(-1), poi);
+
+  const reloaded = createPoiStore({ filePath, seedPath: SEED_PATH });
+  reloaded.load();
+  assert.deepEqual(reloaded.get(poi.id), poi);
+});
+
+test('create rechaza datos inválidos, ids duplicados y ubicaciones fuera del área', () => {
+  const { store } = newStore('errores');
+  assert.throws(() => store.create({ ...mercado, lat: 200, aliases: 'mercado' }), err => {
+    assert.equal(err.code, 'INVALID_POI');
+    assert.deepEqual(err.details, ['aliases: debe ser un arreglo de textos.', 'lat: requerido (número entre -90 y 90).']);
+    return true;
+  });
+  assert.throws(() => store.create({ ...mercado, id: 'catedral' }), { code: 'POI_ALREADY_EXISTS' });
+  assert.throws(() => store.create({ ...mercado, lat: 20.9 }), { code: 'POI_OUT_OF_SERVICE_AREA' });
+});
+
+test('update es parcial, conserva el id y devuelve antes y después', () => {
+  const { store, onDisk } = newStore('edicion');
+  const { before, after: updated } = store.update('catedral', { id: 'otro', aliases: ['catedral', 'la catedral'], destacado: true });
+
+  assert.equal(updated.id, 'catedral');
+  assert.equal(updated.nombre, before.nombre);
+  assert.deepEqual(updated.aliases, ['catedral', 'la catedral']);
+  assert.equal(updated.destacado, true);
+  assert.deepEqual(onDisk().find(p => p.id === 'catedral'), updated);
+
+  assert.throws(() => store.update('catedral', { lat: 'x' }), { code: 'INVALID_POI' });
+  assert.equal(store.get('catedral').lat, before.lat);
+  assert.throws(() => store.update('no_existe', {}), { code: 'POI_NOT_FOUND' });
+});
+
+test('remove borra el POI del archivo', () => {
+  const { store, onDisk } = newStore('baja');
+  assert.equal(store.remove('forum').id, 'forum');
+  assert.equal(store.get('forum'), null);
+  assert.equal(onDisk().some(p => p.id === 'forum'), false);
+  assert.throws(() => store.remove('forum'), { code: 'POI_NOT_FOUND' });
+});
+
+test('un archivo con POIs inválidos no se carga', () => {
+  const filePath = path.join(dir, 'invalido.json');
+  fs.writeFileSync(filePath, JSON.stringify([{ id: 'Sin Formato', nombre: 'x' }]));
+  const store = createPoiStore({ filePath, seedPath: SEED_PATH });
+  assert.throws(() => store.load(), err => {
+    assert.equal(err.code, 'INVALID_POI');
+    assert.equal(err.details[0].id, 'Sin Formato');
+    return true;
+  });
+  assert.equal(validatePoi(JSON.parse(fs.readFileSync(SEED_PATH, 'utf8'))[0]).length, 0);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { calculateBaseCost, calculateCost, parseTripDate } from '../src/pricing.js'
+import { validateTariffConfig } from '../src/tariffs.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Tarifa por escalones de config/tarifas.json: $50 hasta 5 km, $10/km hasta 10 km,
+// $9/km hasta 15 km y $8/km en adelante.
+const config = JSON.parse(readFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), 'utf8'))
+const tariff = config.versions[0]
+
+test('config/tarifas.json es una configuración válida', () => {
+  assert.deepEqual(validateTariffConfig(config), []);
+});
+
+test('cada escalón cobra solo los km dentro de su rango', () => {
+  const casos = [
+    [0, 50],
+    [3, 50],
+    [5, 50],
+    [8, 80],
+    [10, 100],
+    [12.5, 123],
+    [15, 145],
+    [20, 185]
+  ];
+  for (const [km, esperado] of casos) {
+    assert.equal(calculateBaseCost(km, tariff), esperado, `${km} km`);
+  }
+});
+
+test('una distancia inválida cobra el precio base', () => {
+  assert.equal(calculateBaseCost(NaN, tariff), tariff.basePrice);
+  assert.equal(calculateBaseCost(-2, tariff), tariff.basePrice);
+});
+
+test('los multiplicadores se calculan sobre la tarifa base y se suman', () => {
+  // Miércoles 23:00 en Tepic: solo nocturno (x1.2).
+  const miercoles = calculateCost(8, new Date('2025-06-11T23:00:00-07:00'), tariff);
+  assert.deepEqual(miercoles.recargos.map(r => r.id), ['nocturno']);
+  assert.equal(miercoles.total, 96);
+
+  // Domingo 23:00: nocturno (+20%) y dominical (+10%) sobre los mismos $80.
+  const domingo = calculateCost(8, new Date('2025-06-15T23:00:00-07:00'), tariff);
+  assert.deepEqual(domingo.recargos.map(r => [r.id, r.monto]), [['nocturno', 16], ['domingo', 8]]);
+  assert.equal(domingo.total, 104);
+});
+
+test('la espera se cobra después de los minutos gratis por parada', () => {
+  const costo = calculateCost(8, new Date('2025-06-11T12:00:00-07:00'), tariff, null, {
+    esperas: [{ parada: 1, minutos: 12 }, { parada: 2, minutos: 3 }]
+  });
+  assert.equal(costo.cargos_espera.monto, 21);
+  assert.equal(costo.total, 80 + 21);
+});
+
+test('los festivos MM-DD se repiten cada año y la feria suma un cargo fijo', () => {
+  // 16 de septiembre de 2027, jueves al mediodía.
+  const festivo = calculateCost(8, new Date('2027-09-16T12:00:00-07:00'), tariff);
+  assert.deepEqual(festivo.recargos.map(r => [r.id, r.monto]), [['festivo', 12]]);
+
+  // 20 de marzo de 2025, jueves: dentro de la Feria de Tepic (13-03 a 05-04).
+  const feria = calculateCost(8, new Date('2025-03-20T12:00:00-07:00'), tariff);
+  assert.deepEqual(feria.recargos.map(r => [r.id, r.cargo_fijo, r.monto]), [['feria_tepic', 15, 15]]);
+  assert.equal(feria.total, 95);
+});
+
+test('una fecha sin zona horaria se lee en la hora local de la tarifa', () => {
+  const local = parseTripDate('2025-06-11T23:00:00', tariff.surcharges.timeZone);
+  assert.equal(local.toISOString(), '2025-06-12T06:00:00.000Z');
+  assert.deepEqual(calculateCost(8, local, tariff).recargos.map(r => r.id), ['nocturno']);
+
+  assert.equal(parseTripDate('2025-06-11 23:00', 'America/Mazatlan').toISOString(), '2025-06-12T06:00:00.000Z');
+  assert.equal(parseTripDate('2025-06-11', 'America/Mazatlan').toISOString(), '2025-06-11T07:00:00.000Z');
+});
+
+test('una fecha con Z o desfase se respeta tal cual', () => {
+  assert.equal(parseTripDate('2025-06-11T23:00:00Z').toISOString(), '2025-06-11T23:00:00.000Z');
+  assert.equal(parseTripDate('2025-06-11T23:00:00-07:00').toISOString(), '2025-06-12T06:00:00.000Z');
+  assert.equal(parseTripDate('2025-06-11T23:00:00.250+00:00').toISOString(), '2025-06-11T23:00:00.250Z');
+});
+
+test('el horario de verano de la zona se respeta al leer horas locales', () => {
+  // Ciudad Juárez sigue el horario de verano de EUA: -06:00 en julio y -07:00 en enero.
+  assert.equal(parseTripDate('2025-07-01T10:00', 'America/Ciudad_Juarez').toISOString(), '2025-07-01T16:00:00.000Z');
+  assert.equal(parseTripDate('2025-01-01T10:00', 'America/Ciudad_Juarez').toISOString(), '2025-01-01T17:00:00.000Z');
+});
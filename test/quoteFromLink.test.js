@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { freePort, startNodeProcess } from './helpers.js'
+
+// POST /quote_from_link: un enlace de indicaciones se cotiza completo (origen, paradas y destino
+// en orden). Las paradas de texto se geocodifican y las de coordenadas se geocodifican a la inversa.
+
+const FECHA = '2025-06-11T12:00:00'
+
+let app
+let baseUrl
+let nominatim
+let dataDir
+
+function startFakeNominatim() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/reverse') {
+      return res.end(JSON.stringify({ display_name: 'Avenida Insurgentes 200, Tepic, Nayarit', place_rank: 30, address: { road: 'Avenida Insurgentes', house_number: '200', city: 'Tepic' } }));
+    }
+    res.end('[]');
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function post(ruta, body) {
+  const res = await fetch(`${baseUrl}${ruta}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const cotizar = (url, extra = {}) => post('/quote_from_link', { url, telefono: '3111234567', fecha_hora: FECHA, ...extra })
+
+before(async () => {
+  dataDir = mkdtempSync(path.join(os.tmpdir(), 'api-viajes-rutas-'));
+  nominatim = await startFakeNominatim();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  app = await startNodeProcess('index.js', {
+    env: {
+      PORT: String(port),
+      BOUNDS_NAYARIT: '21.0,-105.5,22.5,-104.0',
+      NOMINATIM_URL: `http://127.0.0.1:${nominatim.address().port}`,
+      GEOCODING_PROVIDERS: 'nominatim',
+      OPENCAGE_API_KEY: '',
+      MAPBOX_TOKEN: '',
+      ROUTING_URL: '',
+      QUOTE_SECRET: 'secreto_de_prueba',
+      GEOCACHE_BACKEND: 'memory',
+      API_KEYS_PATH: path.join(dataDir, 'api_keys.json'),
+      POIS_PATH: path.join(dataDir, 'pois.json'),
+      TRIPS_PATH: path.join(dataDir, 'trips.json'),
+      DRIVERS_PATH: path.join(dataDir, 'drivers.json')
+    },
+    readyUrl: `${baseUrl}/health`
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise(resolve => (nominatim ? nominatim.close(resolve) : resolve()));
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('un enlace /maps/dir/A/B/C se cotiza con todas sus paradas en orden', async () => {
+  const { status, body } = await cotizar('https://www.google.com/maps/dir/21.5095,-104.8957/Catedral+de+Tepic/Forum+Tepic/@21.5,-104.88,14z');
+  assert.equal(status, 200, JSON.stringify(body));
+  const { datos } = body;
+
+  assert.equal(datos.enlace.formato_enlace, 'google_maps');
+  assert.deepEqual(datos.enlace.paradas.map(p => [p.parada, p.tipo_entrada]), [[1, 'coordenadas'], [2, 'texto'], [3, 'texto']]);
+  assert.match(datos.enlace.paradas[0].direccion, /Insurgentes/);
+  assert.deepEqual([datos.enlace.paradas[1].lat, datos.enlace.paradas[1].lon], [21.4997, -104.8948]);
+  assert.deepEqual([datos.enlace.paradas[2].lat, datos.enlace.paradas[2].lon], [21.492075, -104.865812]);
+
+  assert.equal(datos.paradas.length, 1);
+  assert.equal(datos.tramos.length, 2);
+  assert.ok(datos.costo_estimado > 0);
+  assert.ok(datos.cotizacion_token);
+});
+
+test('api=1 con waypoints y saddr/daddr con +to: dan la misma ruta', async () => {
+  const api = await cotizar('https://www.google.com/maps/dir/?api=1&origin=21.5095,-104.8957&destination=Forum+Tepic&waypoints=Catedral+de+Tepic');
+  const saddr = await cotizar('https://maps.google.com/?saddr=21.5095,-104.8957&daddr=Catedral+de+Tepic+to:Forum+Tepic');
+  assert.equal(api.status, 200, JSON.stringify(api.body));
+  assert.equal(saddr.status, 200, JSON.stringify(saddr.body));
+
+  const puntos = (body) => body.datos.enlace.paradas.map(p => [p.lat, p.lon]);
+  assert.deepEqual(puntos(api.body), puntos(saddr.body));
+  assert.equal(api.body.datos.costo_estimado, saddr.body.datos.costo_estimado);
+});
+
+test('un enlace que empieza en "mi ubicación" necesita lat_origen y lon_origen', async () => {
+  const enlace = 'https://www.google.com/maps/dir//Catedral+de+Tepic/';
+  const sinOrigen = await cotizar(enlace);
+  assert.equal(sinOrigen.status, 400);
+  assert.equal(sinOrigen.body.code, 'ORIGIN_REQUIRED');
+  assert.equal(sinOrigen.body.parada, 1);
+
+  const conOrigen = await cotizar(enlace, { lat_origen: 21.5095, lon_origen: -104.8957 });
+  assert.equal(conOrigen.status, 200, JSON.stringify(conOrigen.body));
+  assert.deepEqual(conOrigen.body.datos.enlace.paradas[0], { parada: 1, lat: 21.5095, lon: -104.8957, direccion: 'Punto de partida', tipo_entrada: 'ubicacion_actual' });
+
+  const mitad = await cotizar(enlace, { lat_origen: 21.5095 });
+  assert.equal(mitad.body.code, 'INVALID_ORIGIN_COORDINATES');
+});
+
+test('un enlace de un solo lugar se cotiza como destino desde la ubicación del cliente', async () => {
+  const { status, body } = await cotizar('https://waze.com/ul?ll=21.4194,-104.8431', { lat_origen: 21.5095, lon_origen: -104.8957 });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.datos.enlace.formato_enlace, 'waze');
+  assert.deepEqual(body.datos.enlace.paradas.map(p => p.tipo_entrada), ['ubicacion_actual', 'coordenadas']);
+  assert.equal(body.datos.tramos.length, 1);
+});
+
+test('los errores de parada indican su posición en el enlace', async () => {
+  const fuera = await cotizar('https://www.google.com/maps/dir/21.5095,-104.8957/Catedral+de+Tepic/20.6767,-103.3475');
+  assert.equal(fuera.status, 400);
+  assert.equal(fuera.body.code, 'DESTINATION_OUT_OF_BOUNDS');
+  assert.equal(fuera.body.parada, 3);
+
+  const intermedia = await cotizar('https://www.google.com/maps/dir/21.5095,-104.8957/20.6767,-103.3475/Forum+Tepic');
+  assert.equal(intermedia.body.code, 'STOP_OUT_OF_BOUNDS');
+  assert.equal(intermedia.body.parada, 2);
+
+  const noExiste = await cotizar('https://www.google.com/maps/dir/21.5095,-104.8957/Lugar+Inventado+Xyz/Forum+Tepic');
+  assert.equal(noExiste.status, 404);
+  assert.equal(noExiste.body.code, 'STOP_ADDRESS_NOT_FOUND');
+  assert.equal(noExiste.body.parada, 2);
+});
+
+test('más de MAX_PARADAS intermedias o un enlace sin ubicación se rechazan', async () => {
+  const intermedias = Array.from({ length: 6 }, (_, i) => `21.48${i},-104.865`).join('/');
+  const demasiadas = await cotizar(`https://www.google.com/maps/dir/21.5095,-104.8957/${intermedias}/Forum+Tepic`);
+  assert.equal(demasiadas.status, 400);
+  assert.equal(demasiadas.body.code, 'INVALID_STOPS');
+
+  const vacio = await cotizar('https://www.google.com/maps/');
+  assert.equal(vacio.status, 400);
+  assert.equal(vacio.body.code, 'UNPARSABLE_LINK_CONTENT');
+});
+
+test('/geocode_link devuelve el origen de la ruta y la lista completa en paradas_ruta', async () => {
+  const { status, body } = await post('/geocode_link', { url: 'https://www.google.com/maps/dir/21.5095,-104.8957/Catedral+de+Tepic/Forum+Tepic' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.tipo_ubicacion, 'origen_de_ruta');
+  assert.equal(body.destino_detectado, 'Forum Tepic');
+  assert.deepEqual(body.paradas_ruta, [{ lat: 21.5095, lon: -104.8957 }, { q: 'Catedral de Tepic' }, { q: 'Forum Tepic' }]);
+});
@@ -0,0 +1,91 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createQuoteSigner } from '../src/quotes.js'
+import { createTripStore } from '../src/trips.js'
+
+// Cotizaciones firmadas: el precio no se puede alterar entre /calculate_fare y POST /trips.
+
+const quotes = createQuoteSigner({ secret: 'secreto_de_prueba', ttlMinutes: 15 })
+const NOW = new Date('2025-06-11T18:00:00Z')
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-quotes-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const data = {
+  origen: { lat: 21.5095, lon: -104.8957, direccion: 'Centro, Tepic' },
+  destino: { lat: 21.4194, lon: -104.8431, direccion: 'Aeropuerto de Tepic' },
+  distancia_ruta_km: 14.2,
+  costo_estimado: 220,
+  moneda: 'MXN',
+  tarifa_version: '2025.1',
+  telefono: '3111234567'
+}
+
+const decode = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'))
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url')
+
+test('una cotización recién emitida se verifica con todos sus campos', () => {
+  const { cotizacion_id, token, expira_en } = quotes.issue(data, NOW);
+  const payload = quotes.verify(token, NOW);
+
+  assert.equal(payload.cotizacion_id, cotizacion_id);
+  assert.equal(payload.costo_estimado, 220);
+  assert.deepEqual(payload.origen, data.origen);
+  assert.equal(payload.emitida_en, NOW.toISOString());
+  assert.equal(expira_en, '2025-06-11T18:15:00.000Z');
+});
+
+test('cambiar el contenido invalida la firma', () => {
+  const { token } = quotes.issue(data, NOW);
+  const [, signature] = token.split('.');
+  const barata = encode({ ...decode(token), costo_estimado: 20 });
+
+  assert.throws(() => quotes.verify(`${barata}.${signature}`, NOW), { code: 'INVALID_QUOTE_SIGNATURE' });
+});
+
+test('cambiar la firma o firmar con otro secreto se rechaza', () => {
+  const { token } = quotes.issue(data, NOW);
+  const [encoded, signature] = token.split('.');
+  const alterada = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+  assert.throws(() => quotes.verify(`${encoded}.${alterada}`, NOW), { code: 'INVALID_QUOTE_SIGNATURE' });
+  assert.throws(() => quotes.verify(`${encoded}.${signature.slice(1)}`, NOW), { code: 'INVALID_QUOTE_SIGNATURE' });
+
+  const otra = createQuoteSigner({ secret: 'otro_secreto' }).issue(data, NOW);
+  assert.throws(() => quotes.verify(otra.token, NOW), { code: 'INVALID_QUOTE_SIGNATURE' });
+});
+
+test('una cotización vencida se rechaza aunque la firma sea válida', () => {
+  const { token } = quotes.issue(data, NOW);
+  assert.doesNotThrow(() => quotes.verify(token, new Date('2025-06-11T18:14:59Z')));
+  assert.throws(() => quotes.verify(token, new Date('2025-06-11T18:15:00Z')), { code: 'QUOTE_EXPIRED' });
+});
+
+test('extender la expiración también invalida la firma', () => {
+  const { token } = quotes.issue(data, NOW);
+  const [, signature] = token.split('.');
+  const extendida = encode({ ...decode(token), expira_en: '2030-01-01T00:00:00.000Z' });
+
+  assert.throws(() => quotes.verify(`${extendida}.${signature}`, new Date('2025-06-11T19:00:00Z')), { code: 'INVALID_QUOTE_SIGNATURE' });
+});
+
+test('los tokens mal formados se rechazan', () => {
+  for (const token of [undefined, '', 'sin-punto', 'a.b.c', 'con espacios.firma']) {
+    assert.throws(() => quotes.verify(token, NOW), { code: 'MALFORMED_QUOTE' }, String(token));
+  }
+});
+
+test('una cotización verificada no se puede reservar dos veces', () => {
+  const trips = createTripStore({ filePath: path.join(dir, 'trips.json') });
+  trips.load();
+  const { token } = quotes.issue(data, NOW);
+
+  const trip = trips.create(quotes.verify(token, NOW));
+  assert.equal(trip.costo_estimado, 220);
+  assert.throws(() => trips.create(quotes.verify(token, NOW)), { code: 'QUOTE_ALREADY_USED' });
+});
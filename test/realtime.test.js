@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createStreamTokens, createTripAccessTokens } from '../src/realtime.js'
+
+// Tokens de los streams SSE: el de seguimiento no caduca, el de `?access_token=` sí.
+
+const NOW = Date.parse('2025-06-11T18:00:00Z')
+const streamTokens = createStreamTokens({ secret: 'secreto_de_prueba', ttlSeconds: 60 })
+
+test('el token de seguimiento solo sirve para su viaje', () => {
+  const tripAccess = createTripAccessTokens({ secret: 'secreto_de_prueba' });
+  const token = tripAccess.issue('viaje-1');
+
+  assert.equal(tripAccess.verify('viaje-1', token), true);
+  assert.equal(tripAccess.verify('viaje-2', token), false);
+  assert.equal(tripAccess.verify('viaje-1', undefined), false);
+  assert.equal(createTripAccessTokens({ secret: 'otro' }).verify('viaje-1', token), false);
+});
+
+test('el token de stream vence a los ttlSeconds', () => {
+  const { token, expiresAt } = streamTokens.issue('dispatch', NOW);
+
+  assert.equal(expiresAt, NOW + 60_000);
+  assert.equal(streamTokens.verify(token, 'dispatch', NOW + 59_999), true);
+  assert.equal(streamTokens.verify(token, 'dispatch', NOW + 60_000), false);
+});
+
+test('el alcance va firmado: un token de viaje no abre otro viaje ni la central', () => {
+  const { token } = streamTokens.issue('trip:viaje-1', NOW);
+
+  assert.equal(streamTokens.verify(token, 'trip:viaje-1', NOW), true);
+  assert.equal(streamTokens.verify(token, 'trip:viaje-2', NOW), false);
+  assert.equal(streamTokens.verify(token, 'dispatch', NOW), false);
+  assert.equal(streamTokens.verify(streamTokens.issue('dispatch', NOW).token, 'trip:viaje-1', NOW), false);
+});
+
+test('cambiar la expiración o la firma invalida el token', () => {
+  const { token } = streamTokens.issue('dispatch', NOW);
+  const [expiresAt, signature] = token.split('.');
+
+  assert.equal(streamTokens.verify(`${Number(expiresAt) + 3_600_000}.${signature}`, 'dispatch', NOW), false);
+  assert.equal(streamTokens.verify(`${expiresAt}.${signature.slice(1)}`, 'dispatch', NOW), false);
+  for (const malo of [undefined, '', 'sin-punto', `x${expiresAt}.${signature}`, `${expiresAt}.`]) {
+    assert.equal(streamTokens.verify(malo, 'dispatch', NOW), false, String(malo));
+  }
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { getDistance } from 'geolib'
+import { createRoutingServiceFromEnv, decodePolyline } from '../src/routing.js'
+import { calculateCost, calculateBaseCost } from '../src/pricing.js'
+import { ROOT_DIR, freePort, startNodeProcess } from './helpers.js'
+
+// Ruteo contra scripts/mock-routing-server.js: adaptadores OSRM y Valhalla, respaldo sin
+// conexión y tarifa por escalones sobre la distancia devuelta.
+
+const MOCK_DETOUR = 1.3
+const MOCK_SPEED_KMH = 40
+
+// Centro de Tepic → parada intermedia → aeropuerto.
+const POINTS = [
+  { lat: 21.5095, lon: -104.8957 },
+  { lat: 21.4700, lon: -104.8700 },
+  { lat: 21.4194, lon: -104.8428 }
+]
+
+const straightKm = (a, b) => getDistance({ latitude: a.lat, longitude: a.lon }, { latitude: b.lat, longitude: b.lon }) / 1000
+const LEGS_KM = [straightKm(POINTS[0], POINTS[1]), straightKm(POINTS[1], POINTS[2])]
+const TOTAL_KM = LEGS_KM[0] + LEGS_KM[1]
+
+let mock
+let mockUrl
+
+before(async () => {
+  const port = await freePort();
+  mockUrl = `http://127.0.0.1:${port}`;
+  mock = await startNodeProcess('scripts/mock-routing-server.js', {
+    env: { MOCK_ROUTING_PORT: String(port), MOCK_ROUTING_DETOUR: String(MOCK_DETOUR), MOCK_ROUTING_SPEED_KMH: String(MOCK_SPEED_KMH) },
+    readyUrl: `${mockUrl}/route/v1/driving/-104.89,21.50;-104.84,21.41`
+  });
+});
+
+after(async () => {
+  await mock?.stop();
+});
+
+function assertMockRoute(ruta, metodo) {
+  assert.equal(ruta.metodo, metodo);
+  assert.ok(Math.abs(ruta.distanciaKm - TOTAL_KM * MOCK_DETOUR) <= 0.01, `distancia ${ruta.distanciaKm}`);
+  assert.equal(ruta.duracionMin, Math.round(TOTAL_KM * MOCK_DETOUR / MOCK_SPEED_KMH * 60));
+  assert.equal(ruta.tramos.length, POINTS.length - 1);
+  ruta.tramos.forEach((tramo, i) => {
+    assert.ok(Math.abs(tramo.distanciaKm - LEGS_KM[i] * MOCK_DETOUR) <= 0.01, `tramo ${i}: ${tramo.distanciaKm}`);
+  });
+
+  const geometria = decodePolyline(ruta.geometria);
+  assert.deepEqual(geometria[0], POINTS[0]);
+  assert.deepEqual(geometria.at(-1), POINTS.at(-1));
+}
+
+test('el adaptador OSRM usa la distancia, duración y tramos del servidor', async () => {
+  const routing = createRoutingServiceFromEnv({ ROUTING_URL: mockUrl, ROUTING_PROVIDER: 'osrm' });
+  assert.deepEqual(routing.providers, ['osrm', 'linea_recta_ajustada']);
+  assertMockRoute(await routing.route(POINTS), 'osrm');
+});
+
+test('el adaptador Valhalla convierte la forma de precisión 6 a polyline de precisión 5', async () => {
+  const routing = createRoutingServiceFromEnv({ ROUTING_URL: mockUrl, ROUTING_PROVIDER: 'valhalla' });
+  assert.deepEqual(routing.providers, ['valhalla', 'linea_recta_ajustada']);
+  assertMockRoute(await routing.route(POINTS), 'valhalla');
+});
+
+test('si el servidor de ruteo no responde se usa la línea recta con ROUTING_DETOUR_FACTOR', async () => {
+  const closedPort = await freePort();
+  const routing = createRoutingServiceFromEnv({
+    ROUTING_URL: `http://127.0.0.1:${closedPort}`,
+    ROUTING_PROVIDER: 'osrm',
+    ROUTING_DETOUR_FACTOR: '1.5',
+    ROUTING_AVG_SPEED_KMH: '30'
+  });
+  const ruta = await routing.route(POINTS);
+
+  assert.equal(ruta.metodo, 'linea_recta_ajustada');
+  assert.ok(Math.abs(ruta.distanciaKm - TOTAL_KM * 1.5) <= 0.01, `distancia ${ruta.distanciaKm}`);
+  assert.equal(ruta.duracionMin, Math.round(TOTAL_KM * 1.5 / 30 * 60));
+  assert.equal(ruta.tramos.length, POINTS.length - 1);
+  assert.deepEqual(decodePolyline(ruta.geometria), POINTS);
+});
+
+test('un ROUTING_PROVIDER desconocido deja solo el respaldo sin conexión', async () => {
+  const routing = createRoutingServiceFromEnv({ ROUTING_URL: mockUrl, ROUTING_PROVIDER: 'graphhopper' });
+  assert.deepEqual(routing.providers, ['linea_recta_ajustada']);
+  assert.equal((await routing.route(POINTS)).metodo, 'linea_recta_ajustada');
+});
+
+test('la distancia del servidor de ruteo se cotiza con los escalones por km', async () => {
+  const tariff = JSON.parse(readFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), 'utf8')).versions[0];
+  const routing = createRoutingServiceFromEnv({ ROUTING_URL: mockUrl, ROUTING_PROVIDER: 'osrm' });
+  const ruta = await routing.route(POINTS);
+
+  // Miércoles al mediodía en Tepic: sin recargos.
+  const costo = calculateCost(ruta.distanciaKm, new Date('2025-06-11T12:00:00-07:00'), tariff);
+  assert.equal(costo.origen_precio, 'tarifa_km');
+  assert.deepEqual(costo.recargos, []);
+  assert.equal(costo.total, calculateBaseCost(ruta.distanciaKm, tariff));
+  assert.ok(costo.total > tariff.basePrice);
+});
@@ -0,0 +1,93 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createServiceArea, validateServiceAreaGeoJson } from '../src/serviceArea.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Área de servicio: municipios, zonas de cobertura adicionales y exclusiones en GeoJSON.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-area-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Cuadrado [lon, lat] cerrado con esquina inferior izquierda en (lon, lat).
+const square = (lon, lat, size) => [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]
+const feature = (properties, coordinates, type = 'Polygon') => ({ type: 'Feature', properties, geometry: { type, coordinates } })
+
+function loadArea(geojson) {
+  const filePath = path.join(dir, `${Math.random().toString(36).slice(2)}.geojson`);
+  fs.writeFileSync(filePath, JSON.stringify(geojson));
+  const area = createServiceArea({ filePath });
+  area.load();
+  return area;
+}
+
+const area = loadArea({
+  type: 'FeatureCollection',
+  features: [
+    // Municipio con un hueco (p. ej. una zona militar) en el centro.
+    feature({ id: 'norte', nombre: 'Norte', tipo: 'municipio' }, [square(-105, 21, 1), square(-104.6, 21.4, 0.2)]),
+    feature({ id: 'sur', nombre: 'Sur', tipo: 'municipio' }, [[square(-105, 20, 0.5)], [square(-104.4, 20, 0.5)]], 'MultiPolygon'),
+    feature({ id: 'playa', nombre: 'Playa', tipo: 'cobertura' }, [square(-106, 21, 0.1)]),
+    feature({ id: 'penal', nombre: 'Penal', tipo: 'exclusion' }, [square(-104.2, 21.8, 0.1)])
+  ]
+})
+
+test('un punto en un municipio está dentro del área', () => {
+  assert.deepEqual(area.check(21.2, -104.8), { dentro: true, motivo: null, municipio: 'Norte', zona: null });
+  assert.equal(area.check(20.2, -104.2).municipio, 'Sur');
+});
+
+test('los huecos del polígono quedan fuera de cobertura', () => {
+  assert.deepEqual(area.check(21.5, -104.5), { dentro: false, motivo: 'fuera_de_cobertura', municipio: null, zona: null });
+});
+
+test('una zona de cobertura atiende puntos fuera de los municipios', () => {
+  assert.deepEqual(area.check(21.05, -105.95), { dentro: true, motivo: null, municipio: null, zona: 'Playa' });
+});
+
+test('una exclusión gana sobre el municipio que la contiene', () => {
+  assert.deepEqual(area.check(21.85, -104.15), { dentro: false, motivo: 'zona_excluida', municipio: 'Norte', zona: 'Penal' });
+});
+
+test('names y center se derivan de las features', () => {
+  assert.deepEqual(area.names('municipio'), ['Norte', 'Sur']);
+  assert.deepEqual(area.names('exclusion'), ['Penal']);
+  assert.deepEqual(area.center('norte'), { lat: 21.5, lon: -104.5 });
+  assert.deepEqual(area.center('SUR'), { lat: 20.25, lon: -104.45 });
+  assert.equal(area.center('Penal'), null);
+});
+
+test('config/area_servicio.geojson cubre Tepic y deja fuera Guadalajara', () => {
+  const nayarit = createServiceArea({ filePath: path.resolve(ROOT_DIR, 'config/area_servicio.geojson') });
+  nayarit.load();
+  assert.deepEqual(nayarit.names('municipio'), ['Tepic', 'Xalisco', 'San Blas', 'Compostela']);
+  assert.equal(nayarit.check(21.5095, -104.8957).municipio, 'Tepic');
+  assert.equal(nayarit.check(20.6767, -103.3475).motivo, 'fuera_de_cobertura');
+});
+
+test('la validación reporta features mal formadas', () => {
+  assert.deepEqual(validateServiceAreaGeoJson({ type: 'Feature' }), ['El área de servicio debe ser un GeoJSON FeatureCollection.']);
+  assert.deepEqual(validateServiceAreaGeoJson({
+    type: 'FeatureCollection',
+    features: [
+      null,
+      feature({ id: 'a', tipo: 'barrio' }, [square(-105, 21, 1)]),
+      feature({ id: 'a', tipo: 'municipio' }, [[[-105, 21], [-104, 21]]]),
+      feature({ id: 'b', tipo: 'municipio' }, [square(-105, 21, 1)], 'Point')
+    ]
+  }), [
+    'features[0].type: debe ser "Feature".',
+    'features[0].properties.id: requerido (texto).',
+    'features[0].properties.tipo: debe ser uno de municipio, cobertura, exclusion.',
+    'features[0].geometry.type: debe ser Polygon o MultiPolygon.',
+    'features[1].properties.tipo: debe ser uno de municipio, cobertura, exclusion.',
+    'features[2].properties.id: "a" está duplicado.',
+    'features[2].geometry: Polygon con anillos inválidos (mínimo 4 posiciones [lon, lat]).',
+    'features[3].geometry.type: debe ser Polygon o MultiPolygon.'
+  ]);
+});
@@ -0,0 +1,146 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createTariffStore, validateTariffConfig } from '../src/tariffs.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Validación de config/tarifas.json y recarga del almacén de tarifas.
+
+const base = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), 'utf8'))
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-tarifas-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Copia profunda de la configuración de ejemplo con cambios en la primera versión.
+function withVersion(changes) {
+  const config = structuredClone(base);
+  Object.assign(config.versions[0], changes);
+  return config;
+}
+
+function writeConfig(name, config) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+test('una configuración sin versiones es inválida', () => {
+  assert.equal(validateTariffConfig(null).length, 1);
+  assert.equal(validateTariffConfig({ versions: [] }).length, 1);
+});
+
+test('los elementos null o que no son objetos se reportan como error en lugar de lanzar', () => {
+  const version = base.versions[0];
+  const config = withVersion({
+    tiers: [version.tiers[0], null, ...version.tiers.slice(1)],
+    waiting: 5,
+    surcharges: { ...version.surcharges, rules: [null, ...version.surcharges.rules] },
+    zoneFares: [null, ...version.zoneFares]
+  });
+
+  assert.deepEqual(validateTariffConfig(config), [
+    'versions[0].tiers[1]: debe ser un objeto { maxKm, rate }.',
+    'versions[0].waiting: debe ser un objeto.',
+    'versions[0].surcharges.rules[0]: debe ser un objeto.',
+    'versions[0].zoneFares[0]: debe ser un objeto { from, to, price }.'
+  ]);
+  assert.deepEqual(validateTariffConfig({ versions: [null] }), ['versions[0]: debe ser un objeto.']);
+  assert.deepEqual(validateTariffConfig(withVersion({ tiers: [null] })), ['versions[0].tiers[0]: debe ser un objeto { maxKm, rate }.']);
+});
+
+test('los escalones deben crecer y terminar sin límite', () => {
+  const errors = validateTariffConfig(withVersion({
+    tiers: [{ maxKm: 5, rate: null }, { maxKm: 3, rate: 10 }, { maxKm: 20, rate: -1 }]
+  }));
+  assert.deepEqual(errors, [
+    'versions[0].tiers[1].maxKm: debe ser un número mayor que el escalón anterior (5).',
+    'versions[0].tiers[2].rate: debe ser un número >= 0 o null.',
+    'versions[0].tiers: el último escalón debe tener maxKm null (sin límite).'
+  ]);
+});
+
+test('las reglas de recargo validan zona horaria, horario y fechas', () => {
+  const errors = validateTariffConfig(withVersion({
+    surcharges: {
+      timeZone: 'America/NoExiste',
+      rules: [
+        { id: 'a', window: { from: '25:00', to: '06:00' }, multiplier: 1.2 },
+        { id: 'b', dates: ['2025-13-01'], flat: 10 },
+        { id: 'c', dateRange: { from: '03-13', to: '2025-04-05' }, flat: 10 },
+        { id: 'd' }
+      ]
+    }
+  }));
+  assert.deepEqual(errors, [
+    'versions[0].surcharges.timeZone: zona horaria inválida "America/NoExiste".',
+    'versions[0].surcharges.rules[0].window: from/to deben tener formato HH:MM.',
+    'versions[0].surcharges.rules[1].dates: deben tener formato YYYY-MM-DD o MM-DD.',
+    'versions[0].surcharges.rules[2].dateRange: from/to deben tener el mismo formato (YYYY-MM-DD o MM-DD).',
+    'versions[0].surcharges.rules[3]: requiere "multiplier" y/o "flat".'
+  ]);
+});
+
+test('getActive elige la versión vigente más reciente', () => {
+  const config = structuredClone(base);
+  config.versions[0].validTo = '2026-01-01T00:00:00-07:00';
+  config.versions.push({ ...structuredClone(base.versions[0]), version: '2026.1', validFrom: '2026-01-01T00:00:00-07:00', validTo: null, basePrice: 55 });
+  const store = createTariffStore({ filePath: writeConfig('vigencia.json', config) });
+  store.load();
+
+  assert.equal(store.getActive(new Date('2025-12-31T12:00:00-07:00')).version, '2025.1');
+  assert.equal(store.getActive(new Date('2026-01-01T00:00:00-07:00')).version, '2026.1');
+  assert.equal(store.getActive(new Date('2024-06-01T00:00:00Z')), null);
+});
+
+test('recargar un archivo inválido conserva la configuración anterior', () => {
+  const filePath = writeConfig('recarga.json', base);
+  const store = createTariffStore({ filePath });
+  store.load();
+
+  fs.writeFileSync(filePath, JSON.stringify(withVersion({ basePrice: -5 })));
+  assert.throws(() => store.load(), err => {
+    assert.deepEqual(err.details, ['versions[0].basePrice: requerido (número >= 0).']);
+    return true;
+  });
+  assert.equal(store.getActive(new Date('2025-06-01T00:00:00Z')).basePrice, 50);
+
+  fs.writeFileSync(filePath, JSON.stringify(withVersion({ basePrice: 60 })));
+  store.load();
+  assert.equal(store.getActive(new Date('2025-06-01T00:00:00Z')).basePrice, 60);
+});
+
+test('replace valida antes de escribir en disco', () => {
+  const filePath = writeConfig('replace.json', base);
+  const store = createTariffStore({ filePath });
+  store.load();
+
+  assert.throws(() => store.replace({ versions: [null] }));
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), base);
+
+  store.replace(withVersion({ basePrice: 65 }));
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).versions[0].basePrice, 65);
+  assert.equal(store.getActive(new Date('2025-06-01T00:00:00Z')).basePrice, 65);
+});
+
+test('watch recarga el archivo cuando cambia', async () => {
+  const filePath = writeConfig('watch.json', base);
+  const store = createTariffStore({ filePath, watchIntervalMs: 20 });
+  store.load();
+  store.watch();
+
+  try {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.writeFileSync(filePath, JSON.stringify(withVersion({ basePrice: 70 })));
+    const deadline = Date.now() + 3000;
+    while (store.getActive(new Date('2025-06-01T00:00:00Z')).basePrice !== 70 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(store.getActive(new Date('2025-06-01T00:00:00Z')).basePrice, 70);
+  } finally {
+    fs.unwatchFile(filePath);
+  }
+});
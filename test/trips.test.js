@@ -0,0 +1,144 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createTripStore, TRIP_TRANSITIONS, validateQuote } from '../src/trips.js'
+
+// Ciclo de vida de los viajes: solicitado → asignado → en_camino → en_curso → finalizado.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-viajes-trips-'))
+let counter = 0
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function newStore() {
+  const trips = createTripStore({ filePath: path.join(dir, `trips-${++counter}.json`) });
+  trips.load();
+  return trips;
+}
+
+const quote = (overrides = {}) => ({
+  cotizacion_id: `cot-${++counter}`,
+  origen: { lat: 21.5095, lon: -104.8957, direccion: 'Calle Amado Nervo 5, Centro, Tepic' },
+  destino: { lat: 21.4194, lon: -104.8431, direccion: 'Aeropuerto de Tepic' },
+  distancia_ruta_km: 14.2,
+  duracion_estimada_min: 25,
+  costo_estimado: 220,
+  tarifa_version: '2025.1',
+  telefono: ' 3111234567 ',
+  fecha_hora_viaje: '2025-06-11T18:00:00.000Z',
+  ...overrides
+})
+
+const conductor = { id: 'drv-1', nombre: 'Juan Pérez', telefono: '3119876543', placa: 'NAY1234' }
+
+test('create guarda origen y destino con su dirección y arranca en solicitado', () => {
+  const trips = newStore();
+  const trip = trips.create(quote(), { notas: 'Lleva maletas' });
+
+  assert.equal(trip.estado, 'solicitado');
+  assert.equal(trip.telefono, '3111234567');
+  assert.deepEqual(trip.origen, { lat: 21.5095, lon: -104.8957, direccion: 'Calle Amado Nervo 5, Centro, Tepic' });
+  assert.equal(trip.destino.direccion, 'Aeropuerto de Tepic');
+  assert.equal(trip.notas, 'Lleva maletas');
+  assert.deepEqual(trip.historial.map(h => h.estado), ['solicitado']);
+
+  const reloaded = createTripStore({ filePath: trips.filePath });
+  reloaded.load();
+  assert.deepEqual(reloaded.get(trip.id), trip);
+});
+
+test('una cotización solo se puede reservar una vez', () => {
+  const trips = newStore();
+  const cotizacion = quote();
+  const trip = trips.create(cotizacion);
+  assert.throws(() => trips.create(cotizacion), err => {
+    assert.equal(err.code, 'QUOTE_ALREADY_USED');
+    assert.deepEqual(err.details, { viaje_id: trip.id });
+    return true;
+  });
+});
+
+test('create rechaza cotizaciones incompletas', () => {
+  const trips = newStore();
+  assert.throws(() => trips.create(quote({ origen: { lat: 'x' }, costo_estimado: 0 })), err => {
+    assert.equal(err.code, 'INVALID_TRIP');
+    assert.deepEqual(err.details, ['origen: coordenadas inválidas.', 'costo_estimado: requerido (número > 0).']);
+    return true;
+  });
+  assert.deepEqual(validateQuote(null), ['cotizacion: requerida.']);
+});
+
+test('recorrido completo: asignar, reasignar, salir, iniciar y finalizar', () => {
+  const trips = newStore();
+  const { id } = trips.create(quote());
+
+  assert.equal(trips.assign(id, conductor).conductor.nombre, 'Juan Pérez');
+  assert.equal(trips.findActiveByDriver('drv-1').id, id);
+  assert.equal(trips.assign(id, { ...conductor, id: 'drv-2', nombre: 'Ana López' }).conductor.id, 'drv-2');
+  assert.equal(trips.findActiveByDriver('drv-1'), null);
+
+  trips.transition(id, 'en_camino');
+  trips.transition(id, 'en_curso');
+  const finalizado = trips.transition(id, 'finalizado');
+
+  assert.deepEqual(finalizado.historial.map(h => h.estado), ['solicitado', 'asignado', 'asignado', 'en_camino', 'en_curso', 'finalizado']);
+  assert.equal(trips.findActiveByDriver('drv-2'), null);
+});
+
+test('las transiciones no permitidas se rechazan con los estados válidos', () => {
+  const trips = newStore();
+  const { id } = trips.create(quote());
+
+  assert.throws(() => trips.transition(id, 'en_curso'), err => {
+    assert.equal(err.code, 'INVALID_TRIP_TRANSITION');
+    assert.deepEqual(err.details, { estado_actual: 'solicitado', permitidos: ['asignado', 'cancelado'] });
+    return true;
+  });
+  assert.throws(() => trips.transition(id, 'asignado'), { code: 'INVALID_TRIP_TRANSITION' });
+  assert.throws(() => trips.transition(id, 'perdido'), { code: 'INVALID_TRIP' });
+  assert.equal(trips.get(id).estado, 'solicitado');
+
+  trips.assign(id, conductor);
+  trips.transition(id, 'en_camino');
+  trips.transition(id, 'en_curso');
+  assert.throws(() => trips.transition(id, 'cancelado'), { code: 'INVALID_TRIP_TRANSITION' });
+  assert.throws(() => trips.assign(id, conductor), { code: 'INVALID_TRIP_TRANSITION' });
+});
+
+test('cancelar guarda el motivo y deja el viaje en un estado final', () => {
+  const trips = newStore();
+  const { id } = trips.create(quote());
+  const cancelado = trips.transition(id, 'cancelado', { motivo: 'El cliente ya no contesta' });
+
+  assert.deepEqual(cancelado.historial.at(-1).motivo, 'El cliente ya no contesta');
+  assert.deepEqual(TRIP_TRANSITIONS.cancelado, []);
+  for (const estado of ['en_camino', 'en_curso', 'finalizado', 'cancelado']) {
+    assert.throws(() => trips.transition(id, estado), { code: 'INVALID_TRIP_TRANSITION' });
+  }
+});
+
+test('assign valida el conductor y el viaje', () => {
+  const trips = newStore();
+  const { id } = trips.create(quote());
+  assert.throws(() => trips.assign(id, { nombre: ' ', telefono: '123' }), err => {
+    assert.deepEqual(err.details, ['conductor.nombre: requerido.', 'conductor.telefono: requerido (teléfono).']);
+    return true;
+  });
+  assert.throws(() => trips.assign('no-existe', conductor), { code: 'TRIP_NOT_FOUND' });
+});
+
+test('list filtra por estado y teléfono, del más reciente al más antiguo', async () => {
+  const trips = newStore();
+  const primero = trips.create(quote());
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const segundo = trips.create(quote({ telefono: '3110000000' }));
+  trips.transition(primero.id, 'cancelado');
+
+  assert.deepEqual(trips.list().map(t => t.id), [segundo.id, primero.id]);
+  assert.deepEqual(trips.list({ estado: 'cancelado' }).map(t => t.id), [primero.id]);
+  assert.deepEqual(trips.list({ telefono: '3110000000' }).map(t => t.id), [segundo.id]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import path from 'node:path'
+import { createZoneStore, findZoneFare, validateZoneConfig } from '../src/zones.js'
+import { calculateCost } from '../src/pricing.js'
+import { ROOT_DIR } from './helpers.js'
+
+// Zonas de tarifa fija de config/zonas.json.
+
+const config = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, 'config/zonas.json'), 'utf8'))
+const tariff = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, 'config/tarifas.json'), 'utf8')).versions[0]
+const zones = createZoneStore({ filePath: path.resolve(ROOT_DIR, 'config/zonas.json') })
+zones.load()
+
+const CENTRO_TEPIC = { lat: 21.5095, lon: -104.8957 }
+const AEROPUERTO = { lat: 21.4194, lon: -104.8431 }
+const LAS_ISLITAS = { lat: 21.5433, lon: -105.2856 }
+const XALISCO = { lat: 21.4430, lon: -104.9000 }
+
+const ids = (point) => zones.findZones(point.lat, point.lon).map(z => z.id)
+const fareBetween = (from, to, t = tariff) => findZoneFare(t, zones.findZones(from.lat, from.lon), zones.findZones(to.lat, to.lon))
+
+test('config/zonas.json es una configuración válida', () => {
+  assert.deepEqual(validateZoneConfig(config), []);
+});
+
+test('las zonas null o incompletas se reportan como error en lugar de lanzar', () => {
+  assert.deepEqual(validateZoneConfig({ zones: [null, 'aeropuerto', config.zones[0], config.zones[0]] }), [
+    'zones[0]: debe ser un objeto.',
+    'zones[1]: debe ser un objeto.',
+    'zones[3].id: "aeropuerto" está duplicado.'
+  ]);
+  assert.deepEqual(validateZoneConfig({
+    zones: [
+      { id: 'sin_forma' },
+      { id: 'circulo', center: null, radiusKm: 0 },
+      { id: 'poligono', polygon: [{ lat: 21.5, lon: -104.9 }, null, { lat: 21.6, lon: -104.8 }] }
+    ]
+  }), [
+    'zones[0]: requiere "polygon" o "center" + "radiusKm".',
+    'zones[1]: requiere "polygon" o "center" + "radiusKm".',
+    'zones[2].polygon: debe tener al menos 3 vértices { lat, lon } válidos.'
+  ]);
+});
+
+test('findZones devuelve las zonas que contienen el punto en el orden del archivo', () => {
+  assert.deepEqual(ids(CENTRO_TEPIC), ['tepic_urbano']);
+  assert.deepEqual(ids(AEROPUERTO), ['aeropuerto']);
+  assert.deepEqual(ids(LAS_ISLITAS), ['playa_las_islitas', 'san_blas']);
+  assert.deepEqual(ids(XALISCO), []);
+});
+
+test('el precio fijo aplica en ambos sentidos y gana la zona más específica', () => {
+  assert.deepEqual(fareBetween(CENTRO_TEPIC, AEROPUERTO), { zona_origen: 'tepic_urbano', zona_destino: 'aeropuerto', precio: 220, aplica_recargos: true });
+  assert.equal(fareBetween(AEROPUERTO, CENTRO_TEPIC).precio, 220);
+  assert.equal(fareBetween(CENTRO_TEPIC, LAS_ISLITAS).precio, 750);
+  assert.equal(fareBetween(CENTRO_TEPIC, XALISCO), null);
+});
+
+test('oneWay limita el precio fijo a un solo sentido', () => {
+  const oneWay = { ...tariff, zoneFares: [{ from: 'tepic_urbano', to: 'aeropuerto', price: 220, oneWay: true }] };
+  assert.equal(fareBetween(CENTRO_TEPIC, AEROPUERTO, oneWay).precio, 220);
+  assert.equal(fareBetween(AEROPUERTO, CENTRO_TEPIC, oneWay), null);
+});
+
+test('el precio de zona reemplaza la tarifa por km y applySurcharges: false quita los recargos', () => {
+  const nocheDeDomingo = new Date('2025-06-15T23:00:00-07:00');
+  const conRecargos = calculateCost(12, nocheDeDomingo, tariff, fareBetween(CENTRO_TEPIC, AEROPUERTO));
+  assert.equal(conRecargos.origen_precio, 'tarifa_zona');
+  assert.equal(conRecargos.tarifa_base, 220);
+  assert.deepEqual(conRecargos.recargos.map(r => [r.id, r.monto]), [['nocturno', 44], ['domingo', 22]]);
+  assert.equal(conRecargos.total, 286);
+
+  const sinRecargos = { ...tariff, zoneFares: [{ from: 'tepic_urbano', to: 'aeropuerto', price: 220, applySurcharges: false }] };
+  const costo = calculateCost(12, nocheDeDomingo, sinRecargos, fareBetween(CENTRO_TEPIC, AEROPUERTO, sinRecargos));
+  assert.deepEqual(costo.recargos, []);
+  assert.equal(costo.total, 220);
+});